@@ -1,6 +1,7 @@
 const request = require('supertest');
 const express = require('express');
 const adminAuth = require('../middleware/admin-auth');
+const { requireAdminIdentity } = adminAuth;
 
 function createApp(envOverrides = {}) {
     const originalEnv = { ...process.env };
@@ -8,7 +9,8 @@ function createApp(envOverrides = {}) {
 
     const app = express();
     app.use('/api/admin', adminAuth);
-    app.get('/api/admin/test', (req, res) => res.json({ ok: true }));
+    app.get('/api/admin/test', (req, res) => res.json({ ok: true, adminUser: req.adminUser, verified: req.adminUserVerified }));
+    app.post('/api/admin/approve', requireAdminIdentity, (req, res) => res.json({ ok: true, adminUser: req.adminUser }));
     app.get('/api/public', (req, res) => res.json({ ok: true }));
 
     // Cleanup helper
@@ -24,6 +26,7 @@ function createApp(envOverrides = {}) {
 describe('Admin Auth Middleware', () => {
     afterEach(() => {
         delete process.env.ADMIN_API_KEY;
+        delete process.env.ADMIN_API_KEYS;
         delete process.env.NODE_ENV;
     });
 
@@ -79,4 +82,54 @@ describe('Admin Auth Middleware', () => {
         expect(res.status).toBe(200);
         expect(res.body.ok).toBe(true);
     });
+
+    test('per-admin keys identify the admin', async () => {
+        process.env.ADMIN_API_KEYS = 'dana:key-dana, lee:key-lee';
+        const app = createApp();
+        const res = await request(app)
+            .get('/api/admin/test')
+            .set('X-API-Key', 'key-lee')
+            .set('X-Admin-User', 'dana');
+        expect(res.status).toBe(200);
+        expect(res.body.adminUser).toBe('lee');
+        expect(res.body.verified).toBe(true);
+
+        expect((await request(app).get('/api/admin/test').set('X-API-Key', 'lee')).status).toBe(401);
+    });
+
+    test('the shared key takes the declared admin name', async () => {
+        process.env.ADMIN_API_KEY = 'secret123';
+        process.env.ADMIN_API_KEYS = 'dana:key-dana';
+        const app = createApp();
+        const declared = await request(app)
+            .get('/api/admin/test')
+            .set('X-API-Key', 'secret123')
+            .set('X-Admin-User', 'sam');
+        expect(declared.body.adminUser).toBe('sam');
+        expect(declared.body.verified).toBe(false);
+
+        const anonymous = await request(app).get('/api/admin/test').set('X-API-Key', 'secret123');
+        expect(anonymous.body.adminUser).toBe('admin');
+    });
+
+    test('identity-checked routes need a per-admin key', async () => {
+        process.env.ADMIN_API_KEY = 'secret123';
+        process.env.ADMIN_API_KEYS = 'dana:key-dana';
+        const app = createApp();
+
+        const shared = await request(app).post('/api/admin/approve').set('X-API-Key', 'secret123').set('X-Admin-User', 'dana');
+        expect(shared.status).toBe(403);
+        expect(shared.body.error).toBe('Per-admin API key required');
+
+        const own = await request(app).post('/api/admin/approve').set('X-API-Key', 'key-dana');
+        expect(own.status).toBe(200);
+        expect(own.body.adminUser).toBe('dana');
+    });
+
+    test('identity-checked routes are refused without keys in development', async () => {
+        process.env.NODE_ENV = 'development';
+        const app = createApp();
+        const res = await request(app).post('/api/admin/approve').set('X-Admin-User', 'lee');
+        expect(res.status).toBe(403);
+    });
 });
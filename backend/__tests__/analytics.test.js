@@ -1,13 +1,15 @@
 jest.mock('fs');
 
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
 let fs, analytics;
 
 beforeEach(() => {
     jest.resetModules();
     fs = require('fs');
     // Default: no saved file
-    fs.existsSync.mockReturnValue(false);
-    fs.readFileSync.mockReturnValue('{}');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
     fs.writeFileSync.mockImplementation(() => {});
     fs.unlinkSync.mockImplementation(() => {});
     fs.mkdirSync.mockImplementation(() => {});
@@ -95,7 +97,7 @@ describe('Analytics Tracker', () => {
 describe('Analytics Persistence', () => {
     test('save writes data to file', () => {
         analytics.track({ city: 'Denver', state: 'CO', jobType: 'Electrical' });
-        fs.existsSync.mockReturnValue(true);
+        fs.existsSync.mockImplementation(existsWithFeeStore(() => true));
         analytics.save();
 
         expect(fs.writeFileSync).toHaveBeenCalled();
@@ -118,8 +120,8 @@ describe('Analytics Persistence', () => {
             recentQueries: [{ location: 'Denver, CO', jobType: 'Electrical', timestamp: '2025-01-01T00:00:00.000Z' }]
         };
 
-        freshFs.existsSync.mockReturnValue(true);
-        freshFs.readFileSync.mockReturnValue(JSON.stringify(savedData));
+        freshFs.existsSync.mockImplementation(existsWithFeeStore(() => true));
+        freshFs.readFileSync.mockImplementation(readWithFeeStore(() => JSON.stringify(savedData)));
         freshFs.writeFileSync.mockImplementation(() => {});
         freshFs.unlinkSync.mockImplementation(() => {});
         freshFs.mkdirSync.mockImplementation(() => {});
@@ -140,8 +142,8 @@ describe('Analytics Persistence', () => {
         jest.resetModules();
         const freshFs = require('fs');
 
-        freshFs.existsSync.mockReturnValue(true);
-        freshFs.readFileSync.mockReturnValue('not valid json{{{');
+        freshFs.existsSync.mockImplementation(existsWithFeeStore(() => true));
+        freshFs.readFileSync.mockImplementation(readWithFeeStore(() => 'not valid json{{{'));
         freshFs.writeFileSync.mockImplementation(() => {});
         freshFs.unlinkSync.mockImplementation(() => {});
         freshFs.mkdirSync.mockImplementation(() => {});
@@ -152,7 +154,7 @@ describe('Analytics Persistence', () => {
     });
 
     test('reset clears the saved file', () => {
-        fs.existsSync.mockReturnValue(true);
+        fs.existsSync.mockImplementation(existsWithFeeStore(() => true));
         analytics.reset();
         expect(fs.unlinkSync).toHaveBeenCalled();
         const call = fs.unlinkSync.mock.calls.find(c => c[0].includes('analytics-data.json'));
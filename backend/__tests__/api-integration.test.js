@@ -19,6 +19,7 @@ const express = require('express');
 const { calculateFullPricing, generateClientExplanation } = require('../pricing-calculator');
 const { generateAllClientTemplates } = require('../client-templates');
 const { generateRequirements, getInspections } = require('../requirements-generator');
+const { calculateProjectPricing, validateProjectOptions } = require('../project-pricing');
 const {
     getSupportedJurisdictions,
     compareJurisdictions,
@@ -44,17 +45,24 @@ app.get('/health', (req, res) => {
 // Check requirements (static - no OpenAI needed)
 app.post('/api/check-requirements', async (req, res) => {
     try {
-        const { jobType, city, state, projectType, scope, description, projectValue } = req.body;
+        const { jobType, city, state, projectType, scope, description, projectValue, pricingMode, tradeValues } = req.body;
         if (!jobType || !city || !state) {
             return res.status(400).json({
                 error: 'Missing required fields: jobType, city, and state are required'
             });
         }
+        const projectErrors = validateProjectOptions({ pricingMode, tradeValues });
+        if (projectErrors.length > 0) {
+            return res.status(400).json({ error: `Invalid project pricing: ${projectErrors.join('; ')}` });
+        }
         const resolvedProjectValue = Number(projectValue) > 0 ? Number(projectValue) : 5000;
         const requirements = generateRequirements({ jobType, city, state, projectType, scope, description, projectValue: resolvedProjectValue });
         const location = `${city}, ${state}`;
         const pricingData = calculateFullPricing(location, jobType, resolvedProjectValue);
         const clientExplanation = generateClientExplanation(pricingData);
+        const projectPricing = pricingMode === 'project'
+            ? calculateProjectPricing(location, jobType, resolvedProjectValue, { scope, tradeValues })
+            : null;
         const fullPricingData = {
             pricing: pricingData,
             metadata: { jobType, location, projectType, scope, timestamp: new Date().toISOString() }
@@ -67,6 +75,7 @@ app.post('/api/check-requirements', async (req, res) => {
             clientExplanation,
             clientTemplates,
             inspections: getInspections(jobType),
+            ...(projectPricing && { projectPricing }),
             metadata: { jobType, location, projectType, scope, projectValue: resolvedProjectValue, timestamp: new Date().toISOString() }
         });
     } catch (error) {
@@ -247,6 +256,27 @@ describe('POST /api/check-requirements', () => {
         expect(md).toContain('## Disclaimer');
     });
 
+    test('prices every trade permit in project mode', async () => {
+        const res = await request(app)
+            .post('/api/check-requirements')
+            .send({ jobType: 'Remodeling', city: 'Los Angeles', state: 'CA', projectValue: 30000, pricingMode: 'project', tradeValues: { Electrical: 9000 } });
+        expect(res.status).toBe(200);
+        expect(res.body.projectPricing.trades.find(t => t.trade === 'Electrical').projectValue).toBe(9000);
+    });
+
+    test.each([
+        [{ tradeValues: null }, 'tradeValues must be an object'],
+        [{ tradeValues: ['Electrical'] }, 'tradeValues must be an object'],
+        [{ tradeValues: { Electrical: -500 } }, 'tradeValues.Electrical must be a non-negative number'],
+        [{ pricingMode: 'bulk' }, 'pricingMode must be one of']
+    ])('rejects invalid project options %j with 400', async (options, message) => {
+        const res = await request(app)
+            .post('/api/check-requirements')
+            .send({ jobType: 'Remodeling', city: 'Los Angeles', state: 'CA', pricingMode: 'project', ...options });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toContain(message);
+    });
+
     test('includes pricing and templates in response', async () => {
         const res = await request(app)
             .post('/api/check-requirements')
@@ -758,8 +788,10 @@ describe('Pricing + Templates Integration (no API key needed)', () => {
         // Pricing is valid
         expect(pricing.summary.recommendedCharge).toBeGreaterThan(0);
 
-        // Explanation has 6 line items
-        expect(explanation.breakdown.length).toBe(6);
+        // Explanation has 6 line items, plus plan review and surcharges where charged
+        expect(explanation.breakdown.length).toBe(
+            (pricing.permitFee.planReview.required ? 7 : 6) + pricing.permitFee.surcharges.items.length
+        );
 
         // Templates generated
         expect(Object.keys(templates).length).toBe(5);
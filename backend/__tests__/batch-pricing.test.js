@@ -0,0 +1,120 @@
+/**
+ * Test Suite: Batch Pricing
+ * CSV parsing, per-row pricing with failures, and CSV export
+ */
+
+jest.mock('../requirements-generator', () => {
+    const actual = jest.requireActual('../requirements-generator');
+    return { ...actual, generateRequirements: jest.fn(actual.generateRequirements) };
+});
+
+const { parseCsv, validateJob, priceBatch, batchToCsv } = require('../batch-pricing');
+const { calculateFullPricing } = require('../pricing-calculator');
+const { generateRequirements } = require('../requirements-generator');
+
+describe('Batch Pricing', () => {
+    describe('parseCsv()', () => {
+        test('maps header columns case-insensitively', () => {
+            const jobs = parseCsv('JobType,City,STATE,scope,projectValue\nElectrical,Houston,TX,Repair/Service,3000\n');
+            expect(jobs).toEqual([
+                { jobType: 'Electrical', city: 'Houston', state: 'TX', scope: 'Repair/Service', projectValue: '3000' }
+            ]);
+        });
+
+        test('handles quoted fields, escaped quotes and CRLF', () => {
+            const jobs = parseCsv('jobType,city,state,description\r\nPlumbing,"Los Angeles",CA,"Replace 50"" water heater, garage"\r\n');
+            expect(jobs[0].city).toBe('Los Angeles');
+            expect(jobs[0].description).toBe('Replace 50" water heater, garage');
+        });
+
+        test('skips blank lines and omits empty cells', () => {
+            const jobs = parseCsv('jobType,city,state,scope\n\nHVAC,Miami,FL,\n\n');
+            expect(jobs).toEqual([{ jobType: 'HVAC', city: 'Miami', state: 'FL' }]);
+        });
+
+        test('rejects unterminated quotes', () => {
+            expect(() => parseCsv('jobType,city\n"Electrical,Houston\n')).toThrow('unterminated');
+        });
+
+        test('returns no jobs for an empty file', () => {
+            expect(parseCsv('')).toEqual([]);
+        });
+    });
+
+    describe('validateJob()', () => {
+        test('requires jobType, city and state', () => {
+            expect(validateJob({ city: 'Houston' })).toEqual(['jobType is required', 'state is required']);
+        });
+
+        test('rejects non-positive project values', () => {
+            expect(validateJob({ jobType: 'Electrical', city: 'Houston', state: 'TX', projectValue: 'abc' }))
+                .toEqual(['projectValue must be a positive number']);
+        });
+    });
+
+    describe('priceBatch()', () => {
+        const jobs = [
+            { jobType: 'Electrical', city: 'Houston', state: 'TX', scope: 'Repair/Service', projectValue: '3000' },
+            { jobType: 'Plumbing', city: 'Los Angeles' },
+            { jobType: 'HVAC', city: 'Boise', state: 'ID' }
+        ];
+
+        test('prices valid rows and reports failures by row', () => {
+            const batch = priceBatch(jobs);
+
+            expect(batch.results.map(r => r.row)).toEqual([1, 3]);
+            expect(batch.failures).toEqual([{ row: 2, input: jobs[1], errors: ['state is required'] }]);
+            expect(batch.summary).toMatchObject({ total: 3, succeeded: 2, failed: 1, estimatedRows: 1 });
+        });
+
+        test('matches single-job pricing', () => {
+            const batch = priceBatch(jobs);
+            const single = calculateFullPricing('Houston, TX', 'Electrical', 3000, { scope: 'Repair/Service' });
+
+            expect(batch.results[0].pricing.summary).toEqual(single.summary);
+            expect(batch.results[0].input.projectValue).toBe(3000);
+            expect(batch.results[0].requirements).toContain('Houston');
+        });
+
+        test('defaults project value and can omit requirements', () => {
+            generateRequirements.mockClear();
+            const batch = priceBatch([jobs[2]], { includeRequirements: false });
+            expect(batch.results[0].input.projectValue).toBe(5000);
+            expect(batch.results[0].requirements).toBeUndefined();
+            expect(generateRequirements).not.toHaveBeenCalled();
+        });
+
+        test('applies a contractor profile to every row', () => {
+            const profile = { id: 'p1', name: 'Crew', laborRate: 140 };
+            const batch = priceBatch([jobs[0], jobs[2]], { profile });
+            batch.results.forEach(r => {
+                expect(r.pricing.labor.hourlyRate).toBe(140);
+                expect(r.requirements).toContain('@ $140/hr');
+                expect(r.requirements).toContain(`$${r.pricing.summary.recommendedCharge}`);
+            });
+        });
+    });
+
+    describe('batchToCsv()', () => {
+        test('exports one line per row in input order, failures included', () => {
+            const batch = priceBatch([
+                { jobType: 'Electrical', city: 'Houston', state: 'TX' },
+                { jobType: 'Plumbing', city: 'Los Angeles' },
+                { jobType: 'HVAC', city: 'Boise', state: 'ID' }
+            ]);
+            const lines = batchToCsv(batch).trim().split('\n');
+
+            expect(lines[0]).toMatch(/^row,jobType,city,state,scope,projectValue,permitFee/);
+            expect(lines).toHaveLength(4);
+            expect(lines[1]).toMatch(/^1,Electrical,Houston,TX,/);
+            expect(lines[2]).toMatch(/^2,Plumbing,Los Angeles,/);
+            expect(lines[2]).toMatch(/state is required$/);
+            expect(lines[3]).toContain('estimated');
+        });
+
+        test('neutralizes spreadsheet formulas in text cells', () => {
+            const batch = priceBatch([{ jobType: '=HYPERLINK("x")', city: 'Houston' }]);
+            expect(batchToCsv(batch)).toContain('"\'=HYPERLINK(""x"")"');
+        });
+    });
+});
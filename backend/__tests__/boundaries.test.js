@@ -0,0 +1,161 @@
+/**
+ * Test Suite: Jurisdiction Boundaries
+ * Point-in-polygon lookup of the county and state, adjacency and the
+ * pricing/requirements wiring
+ */
+
+const boundaries = require('../boundaries');
+
+const SAN_FRANCISCO = { latitude: 37.7793, longitude: -122.4193 };
+const MANHATTAN = { latitude: 40.7128, longitude: -74.006 };
+const KENDALL = { latitude: 25.679, longitude: -80.317 };
+const FORT_LAUDERDALE = { latitude: 26.1224, longitude: -80.1373 };
+// Broward County, a few hundred metres north of the Miami-Dade line
+const BROWARD_LINE = { latitude: 25.975, longitude: -80.25 };
+
+describe('Jurisdiction Boundaries', () => {
+    describe('pointInGeometry()', () => {
+        const square = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+
+        test('respects holes in polygons', () => {
+            const polygon = { type: 'Polygon', coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)] };
+            expect(boundaries.pointInGeometry([1, 1], polygon)).toBe(true);
+            expect(boundaries.pointInGeometry([5, 5], polygon)).toBe(false);
+            expect(boundaries.pointInGeometry([11, 5], polygon)).toBe(false);
+        });
+
+        test('checks every part of a MultiPolygon', () => {
+            const multi = { type: 'MultiPolygon', coordinates: [[square(0, 0, 1, 1)], [[[5, 5], [6, 5], [6, 6], [5, 5]]]] };
+            expect(boundaries.pointInGeometry([5.8, 5.2], multi)).toBe(true);
+            expect(boundaries.pointInGeometry([3, 3], multi)).toBe(false);
+        });
+    });
+
+    describe('resolvePoint()', () => {
+        test('resolves a point inside city limits to the city', () => {
+            const result = boundaries.resolvePoint(SAN_FRANCISCO);
+            expect(result).toMatchObject({ jurisdiction: 'San Francisco, CA', county: 'San Francisco County, CA', state: 'CA', nearBorder: false });
+            expect(result.matches.map(m => m.jurisdiction)).toEqual(['San Francisco, CA', 'San Francisco County, CA', 'CA']);
+            expect(result.boundary).toMatchObject({ type: 'city', file: 'cities.geojson' });
+        });
+
+        test('multi-part city boundaries (the five boroughs) match', () => {
+            expect(boundaries.resolvePoint(MANHATTAN).jurisdiction).toBe('New York, NY');
+            expect(boundaries.resolvePoint({ latitude: 40.65, longitude: -73.95 }).jurisdiction).toBe('New York, NY');
+        });
+
+        test('a county-only match does not pick a city', () => {
+            const result = boundaries.resolvePoint(KENDALL);
+            expect(result).toMatchObject({ jurisdiction: null, county: 'Miami-Dade County, FL' });
+            expect(result.notes).toContain('no city limits are mapped here');
+        });
+
+        test('flags points within the simplification tolerance of an edge', () => {
+            expect(boundaries.resolvePoint(BROWARD_LINE)).toMatchObject({ county: 'Broward County, FL', nearBorder: true });
+            expect(boundaries.resolvePoint(KENDALL).nearBorder).toBe(false);
+        });
+
+        test('points outside every boundary match nothing', () => {
+            expect(boundaries.resolvePoint({ latitude: 30, longitude: -60 })).toMatchObject({ matches: [], boundary: null, jurisdiction: null, county: null, state: null });
+        });
+    });
+
+    describe('locateJurisdiction()', () => {
+        test('the city the coordinates fall in replaces the entered one; the conflict is advisory', () => {
+            const check = boundaries.locateJurisdiction('Oakland, CA', SAN_FRANCISCO);
+            expect(check).toMatchObject({ location: 'San Francisco, CA', enteredLocation: 'Oakland, CA', conflict: true });
+            expect(check.notes).toContain('pricing San Francisco, CA');
+            expect(boundaries.locateJurisdiction('San Francisco, CA', SAN_FRANCISCO)).toMatchObject({ location: 'San Francisco, CA', conflict: false });
+        });
+
+        test('keeps the entered location when only its county matches', () => {
+            const check = boundaries.locateJurisdiction('Kendall, FL', KENDALL);
+            expect(check).toMatchObject({ location: 'Kendall, FL', enteredLocation: 'Kendall, FL', county: 'Miami-Dade County, FL', conflict: false });
+            expect(check.notes).toContain('using Kendall, FL as entered');
+        });
+
+        test('flags coordinates outside the entered location', () => {
+            expect(boundaries.locateJurisdiction('Houston, TX', KENDALL)).toMatchObject({
+                location: 'Houston, TX',
+                conflict: true,
+                notes: 'The coordinates fall in Miami-Dade County, outside Houston, TX'
+            });
+            expect(boundaries.locateJurisdiction('Miami, FL', FORT_LAUDERDALE).conflict).toBe(true);
+        });
+
+        test('does not flag a conflict too close to the border to tell', () => {
+            const check = boundaries.locateJurisdiction('Miami, FL', BROWARD_LINE);
+            expect(check.conflict).toBe(false);
+            expect(check.notes).toContain('within about 1 km of the Broward County border');
+        });
+    });
+
+    describe('adjacency', () => {
+        test('boundaries sharing a border are adjacent', () => {
+            expect(boundaries.getAdjacentBoundaries('Miami-Dade County, FL')).toEqual(['Broward County, FL']);
+            expect(boundaries.getAdjacentBoundaries('FL').sort()).toEqual(['AL', 'GA']);
+            expect(boundaries.getAdjacentBoundaries('Cook County, IL')).toEqual([]);
+        });
+
+        test('nearby suggestions put the same or bordering boundary first, then the nearest in the state', () => {
+            const { suggestNearbyJurisdictions } = require('../jurisdiction-comparison');
+            expect(suggestNearbyJurisdictions('Kendall, FL')[0]).toBe('Miami, FL');
+            expect(suggestNearbyJurisdictions('Los Angeles, CA')).toEqual(['San Diego, CA', 'San Francisco, CA']);
+            expect(suggestNearbyJurisdictions('Dallas, TX')).toEqual(['Austin, TX', 'Houston, TX']);
+        });
+    });
+
+    describe('validation', () => {
+        test('checks coordinates', () => {
+            expect(boundaries.validateCoordinates(SAN_FRANCISCO)).toEqual([]);
+            expect(boundaries.validateCoordinates({ latitude: 95, longitude: '-80' })).toEqual([
+                'latitude must be a number between -90 and 90',
+                'longitude must be a number between -180 and 180'
+            ]);
+        });
+
+        test('checks boundary features', () => {
+            expect(boundaries.validateBoundaryFeature({
+                type: 'Feature',
+                properties: { jurisdiction: 'Test, FL', type: 'borough' },
+                geometry: { type: 'Point', coordinates: [0, 0] }
+            })).toEqual([
+                'properties.type must be one of: city, county, state',
+                'geometry must be a Polygon or MultiPolygon'
+            ]);
+        });
+    });
+
+    describe('pricing and requirements', () => {
+        test('pricing uses the city the coordinates fall in when the typed city disagrees', () => {
+            const { calculateFullPricing } = require('../pricing-calculator');
+            const boundary = boundaries.locateJurisdiction('Oakland, CA', SAN_FRANCISCO);
+            const pricing = calculateFullPricing(boundary.location, 'Electrical', 10000, { boundary });
+            const sanFrancisco = calculateFullPricing('San Francisco, CA', 'Electrical', 10000);
+
+            expect(pricing.jurisdiction).toBe('San Francisco, CA');
+            expect(pricing.permitFee.permitFee).toBe(sanFrancisco.permitFee.permitFee);
+            expect(pricing.boundary).toMatchObject({ enteredLocation: 'Oakland, CA', conflict: true });
+        });
+
+        test('pricing a county-only match keeps the entered location and reports the check', () => {
+            const { calculateFullPricing } = require('../pricing-calculator');
+            const boundary = boundaries.locateJurisdiction('Houston, TX', KENDALL);
+            const pricing = calculateFullPricing('Houston, TX', 'Electrical', 10000, { boundary });
+            const houston = calculateFullPricing('Houston, TX', 'Electrical', 10000);
+
+            expect(pricing.jurisdiction).toBe('Houston, TX');
+            expect(pricing.permitFee.permitFee).toBe(houston.permitFee.permitFee);
+            expect(pricing.boundary).toBe(boundary);
+            expect(houston.boundary).toBeUndefined();
+        });
+
+        test('requirements describe the job site boundary check', () => {
+            const { generateRequirements } = require('../requirements-generator');
+            const boundary = boundaries.locateJurisdiction('Houston, TX', KENDALL);
+            const markdown = generateRequirements({ jobType: 'Electrical', city: 'Houston', state: 'TX', boundary });
+
+            expect(markdown).toContain('**Permitting authority:** Houston, TX - The coordinates fall in Miami-Dade County, outside Houston, TX');
+        });
+    });
+});
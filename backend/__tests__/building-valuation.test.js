@@ -0,0 +1,100 @@
+/**
+ * Test Suite: Building Valuation Estimator
+ * Project value from square footage, occupancy and construction type
+ */
+
+const {
+    VALUATION_TABLE,
+    CONSTRUCTION_TYPES,
+    validateValuationInput,
+    estimateProjectValue
+} = require('../building-valuation');
+const { permitFees } = require('../permit-fee-database');
+
+describe('Building Valuation', () => {
+    describe('validateValuationInput()', () => {
+        test('accepts square footage alone', () => {
+            expect(validateValuationInput({ squareFeet: 400 })).toEqual([]);
+        });
+
+        test('requires positive square footage', () => {
+            expect(validateValuationInput({ squareFeet: 0 })).toEqual(['squareFeet must be a positive number']);
+            expect(validateValuationInput({})).toEqual(['squareFeet must be a positive number']);
+        });
+
+        test('rejects unknown occupancy and construction types', () => {
+            const errors = validateValuationInput({ squareFeet: 100, occupancy: 'Z-9', constructionType: 'VI' });
+            expect(errors).toHaveLength(2);
+            expect(errors[0]).toContain('occupancy');
+            expect(errors[1]).toContain('constructionType');
+        });
+
+        test('rejects inherited object keys as occupancy', () => {
+            ['toString', 'constructor', '__proto__'].forEach(occupancy => {
+                expect(validateValuationInput({ squareFeet: 100, occupancy })).toHaveLength(1);
+            });
+        });
+
+        test('rejects non-objects', () => {
+            expect(validateValuationInput('400 sq ft')).toEqual(['valuation must be an object']);
+        });
+    });
+
+    describe('estimateProjectValue()', () => {
+        test('defaults to a wood-frame single-family dwelling', () => {
+            const result = estimateProjectValue({ squareFeet: 100 });
+            expect(result.occupancy).toBe('R-3');
+            expect(result.constructionType).toBe('VB');
+            expect(result.projectValue).toBe(100 * VALUATION_TABLE['R-3'].VB);
+        });
+
+        test('applies the jurisdiction multiplier', () => {
+            const result = estimateProjectValue({ squareFeet: 100, location: 'San Francisco, CA' });
+            expect(result.jurisdictionMultiplier).toBe(permitFees['San Francisco, CA'].valuationMultiplier);
+            expect(result.projectValue).toBe(Math.round(100 * VALUATION_TABLE['R-3'].VB * result.jurisdictionMultiplier));
+        });
+
+        test('unknown cities use their regional multiplier', () => {
+            const result = estimateProjectValue({ squareFeet: 100, location: 'Fresno, CA' });
+            expect(result.jurisdiction).toBe('default-california');
+        });
+
+        test('values alterations below new construction', () => {
+            const addition = estimateProjectValue({ squareFeet: 300, scope: 'Addition' });
+            const renovation = estimateProjectValue({ squareFeet: 300, scope: 'Renovation' });
+            expect(renovation.projectValue).toBe(Math.round(addition.projectValue * 0.5));
+            expect(renovation.basis).toContain('Renovation');
+        });
+
+        test('ignores inherited object keys as scope', () => {
+            const addition = estimateProjectValue({ squareFeet: 300, scope: 'Addition' });
+            expect(estimateProjectValue({ squareFeet: 300, scope: 'constructor' }).projectValue).toBe(addition.projectValue);
+        });
+
+        test('trade permits carry only the trade share', () => {
+            const building = estimateProjectValue({ squareFeet: 1000, jobType: 'General Construction' });
+            const electrical = estimateProjectValue({ squareFeet: 1000, jobType: 'Electrical Work' });
+            expect(building.tradeShare).toBe(1);
+            expect(electrical.tradeShare).toBeLessThan(1);
+            expect(electrical.buildingValue).toBe(building.buildingValue);
+            expect(electrical.projectValue).toBeLessThan(building.projectValue);
+        });
+    });
+
+    describe('valuation data', () => {
+        test('every occupancy prices every construction type', () => {
+            for (const [occupancy, row] of Object.entries(VALUATION_TABLE)) {
+                CONSTRUCTION_TYPES.forEach(type => {
+                    expect({ occupancy, type, cost: row[type] > 0 }).toEqual({ occupancy, type, cost: true });
+                });
+            }
+        });
+
+        test('every jurisdiction has a plausible valuation multiplier', () => {
+            for (const [location, entry] of Object.entries(permitFees)) {
+                expect({ location, ok: entry.valuationMultiplier >= 0.7 && entry.valuationMultiplier <= 1.6 })
+                    .toEqual({ location, ok: true });
+            }
+        });
+    });
+});
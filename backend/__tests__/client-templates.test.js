@@ -123,6 +123,52 @@ describe('Client Templates', () => {
             expect(result.body).toContain('FINES');
             expect(result.body).toContain('$5,000 - $15,000'); // Average fix cost
         });
+
+        test('should omit timeline options when only standard review is available', () => {
+            const result = generateClientQuote(mockPricingData);
+
+            expect(result.body).not.toContain('TIMELINE OPTIONS');
+        });
+
+        test('should quote regional estimates as a range', () => {
+            const estimated = {
+                ...mockPricingData,
+                pricing: {
+                    ...mockPricingData.pricing,
+                    range: { recommendedCharge: { low: 780, expected: 850, high: 990 } }
+                }
+            };
+            const result = generateClientQuote(estimated);
+
+            expect(result.body).toContain('$850 (estimated range $780 - $990)');
+            expect(result.body).toContain('regional estimate');
+        });
+
+        test('should quote verified pricing as a single number', () => {
+            const result = generateClientQuote(mockPricingData);
+
+            expect(result.body).not.toContain('estimated range');
+        });
+
+        test('should let the client choose between timeline options', () => {
+            const withScenarios = {
+                ...mockPricingData,
+                pricing: {
+                    ...mockPricingData.pricing,
+                    scenarios: [
+                        { label: 'Standard Review', recommendedCharge: 850, processingTime: '2-4 weeks', issueDate: { expected: '2025-03-24' }, notes: 'Regular plan review queue' },
+                        { label: 'Expedited Review', recommendedCharge: 1138, processingTime: '3-5 days', issueDate: { expected: '2025-03-07' }, notes: 'Expedite fee of $250' }
+                    ]
+                }
+            };
+            const result = generateClientQuote(withScenarios);
+
+            expect(result.body).toContain('TIMELINE OPTIONS');
+            expect(result.body).toContain('OPTION 1: STANDARD REVIEW');
+            expect(result.body).toContain('OPTION 2: EXPEDITED REVIEW');
+            expect(result.body).toContain('$1138');
+            expect(result.body).toContain('permit expected by 2025-03-07');
+        });
     });
 
     describe('generatePermitValueEmail()', () => {
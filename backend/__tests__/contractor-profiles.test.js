@@ -0,0 +1,192 @@
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+let fs, dataEvents, contractorProfiles, calculateFullPricing;
+
+beforeEach(() => {
+    jest.resetModules();
+    fs = require('fs');
+    // Default: no saved file
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.unlinkSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+
+    dataEvents = require('../data-events');
+    contractorProfiles = require('../contractor-profiles');
+    contractorProfiles.reset();
+    ({ calculateFullPricing } = require('../pricing-calculator'));
+});
+
+describe('Contractor Profiles', () => {
+    describe('validateProfile()', () => {
+        test('accepts a full profile', () => {
+            expect(contractorProfiles.validateProfile({
+                name: 'Bright Spark Electric',
+                laborRate: 120,
+                permitFeeMarkup: 0.2,
+                minimumCharge: 400,
+                trades: { Electrical: { laborRate: 135, laborHours: { documentPrep: 1, submission: 0.25 } } }
+            })).toEqual([]);
+        });
+
+        test('requires a name', () => {
+            expect(contractorProfiles.validateProfile({ laborRate: 100 })).toContain('name is required');
+        });
+
+        test('rejects markup given as a whole percentage', () => {
+            const errors = contractorProfiles.validateProfile({ name: 'Crew', permitFeeMarkup: 20 });
+            expect(errors[0]).toContain('permitFeeMarkup');
+        });
+
+        test('rejects unknown trades and labor tasks', () => {
+            const errors = contractorProfiles.validateProfile({
+                name: 'Crew',
+                trades: {
+                    Welding: {},
+                    Plumbing: { laborHours: { coffee: 1, inspection: -1 } }
+                }
+            });
+            expect(errors).toEqual([
+                'Unknown trade: Welding',
+                'trades.Plumbing.laborHours.coffee is not a labor task (documentPrep, planDrawing, submission, inspection, corrections)',
+                'trades.Plumbing.laborHours.inspection must be a non-negative number'
+            ]);
+        });
+    });
+
+    describe('CRUD', () => {
+        test('creates, reads, updates and deletes a profile', () => {
+            const created = contractorProfiles.createProfile({ name: '  Crew One ', laborRate: 110, bogus: true });
+            expect(created.id).toBeDefined();
+            expect(created.name).toBe('Crew One');
+            expect(created.bogus).toBeUndefined();
+            expect(contractorProfiles.getProfile(created.id)).toEqual(created);
+
+            const updated = contractorProfiles.updateProfile(created.id, { minimumCharge: 300 });
+            expect(updated.laborRate).toBe(110);
+            expect(updated.minimumCharge).toBe(300);
+
+            expect(contractorProfiles.deleteProfile(created.id)).toBe(true);
+            expect(contractorProfiles.getProfile(created.id)).toBeNull();
+            expect(contractorProfiles.deleteProfile(created.id)).toBe(false);
+        });
+
+        test('inherited object keys are not profiles', () => {
+            for (const id of ['__proto__', 'constructor', 'toString']) {
+                expect(contractorProfiles.getProfile(id)).toBeNull();
+                expect(contractorProfiles.updateProfile(id, { name: 'Crew' })).toBeNull();
+                expect(contractorProfiles.deleteProfile(id)).toBe(false);
+            }
+            expect(contractorProfiles.validateProfile({ name: 'Crew', trades: { constructor: {} } })).toEqual(['Unknown trade: constructor']);
+        });
+
+        test('lists profiles sorted by name', () => {
+            contractorProfiles.createProfile({ name: 'Zephyr HVAC' });
+            contractorProfiles.createProfile({ name: 'Acme Plumbing' });
+            expect(contractorProfiles.listProfiles().map(p => p.name)).toEqual(['Acme Plumbing', 'Zephyr HVAC']);
+        });
+
+        test('persists changes to disk', () => {
+            contractorProfiles.createProfile({ name: 'Crew' });
+            expect(fs.writeFileSync).toHaveBeenCalledWith(contractorProfiles.DATA_FILE, expect.stringContaining('"Crew"'));
+        });
+
+        test('loads saved profiles', () => {
+            fs.existsSync.mockImplementation(existsWithFeeStore(() => true));
+            fs.readFileSync.mockImplementation(readWithFeeStore(() => JSON.stringify({ abc: { id: 'abc', name: 'Saved Crew' } })));
+            contractorProfiles.load();
+            expect(contractorProfiles.getProfile('abc').name).toBe('Saved Crew');
+        });
+
+        test('starts fresh on a corrupt file', () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            fs.existsSync.mockImplementation(existsWithFeeStore(() => true));
+            fs.readFileSync.mockImplementation(readWithFeeStore(() => 'not json'));
+            contractorProfiles.load();
+            expect(contractorProfiles.listProfiles()).toEqual([]);
+            warn.mockRestore();
+        });
+    });
+
+    describe('toContractorInfo()', () => {
+        test('maps profile contact details onto template fields', () => {
+            expect(contractorProfiles.toContractorInfo({
+                name: 'Jo Smith',
+                companyName: 'Smith Electric',
+                license: 'C-10 #123',
+                phone: '555-0100',
+                email: 'jo@example.com'
+            })).toEqual({
+                contractorName: 'Smith Electric',
+                contractorLicense: 'C-10 #123',
+                contractorPhone: '555-0100',
+                contractorEmail: 'jo@example.com'
+            });
+        });
+
+        test('returns no overrides without a profile', () => {
+            expect(contractorProfiles.toContractorInfo(null)).toEqual({});
+        });
+    });
+
+    describe('pricing with a profile', () => {
+        test('uses the profile labor rate, markup and minimum charge', () => {
+            const profile = { id: 'p1', name: 'Crew', laborRate: 150, permitFeeMarkup: 0.3, minimumCharge: 100 };
+            const result = calculateFullPricing('Houston, TX', 'Plumbing', 5000, { profile });
+
+            expect(result.labor.hourlyRate).toBe(150);
+            expect(result.labor.laborCost).toBe(Math.round(result.labor.hours * 150));
+            expect(result.clientCharge.permitFeeMarkupPercent).toBe(30);
+            expect(result.clientCharge.minimumCharge).toBe(100);
+            expect(result.profile).toEqual({ id: 'p1', name: 'Crew' });
+        });
+
+        test('profile edits drop prices cached before them', () => {
+            const changes = [];
+            dataEvents.onDataChanged(change => changes.push(change));
+            const cache = new Map();
+            dataEvents.onDataChanged(() => cache.clear());
+            const cachedRate = (id) => {
+                if (!cache.has(id)) {
+                    cache.set(id, calculateFullPricing('Houston, TX', 'Plumbing', 5000, { profile: contractorProfiles.getProfile(id) }).labor.hourlyRate);
+                }
+                return cache.get(id);
+            };
+
+            const { id } = contractorProfiles.createProfile({ name: 'Crew', laborRate: 110 });
+            expect(cachedRate(id)).toBe(110);
+            contractorProfiles.updateProfile(id, { name: 'Crew', laborRate: 150 });
+            expect(cachedRate(id)).toBe(150);
+            contractorProfiles.deleteProfile(id);
+
+            expect(changes.map(c => [c.source, c.profileId])).toEqual([
+                ['contractor-profile', id], ['contractor-profile', id], ['contractor-profile', id]
+            ]);
+        });
+
+        test('trade-level overrides win over profile-wide values', () => {
+            const profile = {
+                id: 'p2',
+                name: 'Crew',
+                laborRate: 100,
+                trades: { Electrical: { laborRate: 140, laborHours: { planDrawing: 0.5, corrections: 0 } } }
+            };
+            const electrical = calculateFullPricing('Houston, TX', 'Electrical', 5000, { profile });
+            const plumbing = calculateFullPricing('Houston, TX', 'Plumbing', 5000, { profile });
+
+            expect(electrical.labor.hourlyRate).toBe(140);
+            expect(electrical.labor.breakdown.planDrawing.hours).toBe(0.5);
+            expect(electrical.labor.hours).toBe(3.5); // 1.5 + 0.5 + 0.5 + 1.0 + 0
+            expect(plumbing.labor.hourlyRate).toBe(100);
+        });
+
+        test('prices with defaults when no profile is given', () => {
+            const result = calculateFullPricing('Houston, TX', 'Electrical', 5000);
+            expect(result.labor.hourlyRate).toBe(85);
+            expect(result.profile).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Test Suite: Data Events
+ * Merged fee data is rebuilt once after data changes instead of on a timer
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+let fs, dataEvents, feeStore, loader;
+
+beforeEach(() => {
+    jest.resetModules();
+    fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.renameSync.mockImplementation(() => {});
+    fs.unlinkSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+
+    dataEvents = require('../data-events');
+    feeStore = require('../fee-store');
+    loader = require('../database-loader').loader;
+});
+
+const raiseBaseFee = (jurisdiction, by) => {
+    const data = feeStore.getCollection('permitFees')[jurisdiction];
+    feeStore.putRecord('permitFees', jurisdiction, { ...data, electrical: { ...data.electrical, baseFee: data.electrical.baseFee + by } }, { reason: 'test' });
+};
+
+describe('Data Events', () => {
+    test('merged data is served from cache until the data changes', () => {
+        const spy = jest.spyOn(loader, 'loadFromScraperResults');
+        const version = loader.getDataVersion();
+
+        loader.getMergedData();
+        loader.getMergedData();
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(loader.getDataVersion()).toBe(version);
+    });
+
+    test('a fee store write rebuilds the merged data with a new version', () => {
+        const before = loader.getDataVersion();
+
+        raiseBaseFee('Austin, TX', 5);
+        const after = loader.getDataVersion();
+
+        expect(after.id).not.toBe(before.id);
+        expect(after.storeRevision).toBe(feeStore.getRevision());
+        expect(after.changes).toEqual([expect.objectContaining({ source: 'fee-store', collection: 'permitFees', key: 'Austin, TX' })]);
+        expect(loader.getPermitFees()['Austin, TX'].electrical.baseFee).toBe(feeStore.getCollection('permitFees')['Austin, TX'].electrical.baseFee);
+    });
+
+    test('several changes are rebuilt once', () => {
+        loader.getMergedData();
+        const spy = jest.spyOn(loader, 'loadFromScraperResults');
+
+        raiseBaseFee('Austin, TX', 5);
+        raiseBaseFee('Houston, TX', 5);
+        dataEvents.emitDataChanged('scrape', { cities: ['Austin, TX'] });
+        loader.getMergedData();
+        loader.getMergedData();
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(loader.getDataVersion().changes.map(c => c.source)).toEqual(['fee-store', 'fee-store', 'scrape']);
+    });
+
+    test('a scrape run is picked up without waiting for a timer', () => {
+        loader.getMergedData();
+        fs.existsSync.mockImplementation(existsWithFeeStore((file) => String(file).endsWith('scrape-history.json')));
+        fs.readFileSync.mockImplementation(readWithFeeStore((file) => (String(file).endsWith('scrape-history.json')
+            ? JSON.stringify({ 'Naperville, IL': { scrapedAt: '2026-01-05T10:00:00.000Z', electrical: { baseFee: 85, minFee: 85 } } })
+            : '{}')));
+        expect(loader.getPermitFees()['Naperville, IL']).toBeUndefined();
+
+        const change = dataEvents.emitDataChanged('scrape', { cities: ['Naperville, IL'] });
+
+        expect(loader.getPermitFees()['Naperville, IL'].electrical.baseFee).toBe(85);
+        expect(dataEvents.getLastChange()).toBe(change);
+    });
+
+    test('unsubscribed listeners are not called', () => {
+        const listener = jest.fn();
+        const unsubscribe = dataEvents.onDataChanged(listener);
+
+        dataEvents.emitDataChanged('history-file', { file: 'scrape-history.json' });
+        unsubscribe();
+        dataEvents.emitDataChanged('history-file', { file: 'scrape-history.json' });
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ source: 'history-file', file: 'scrape-history.json', at: expect.any(String) }));
+    });
+});
@@ -42,6 +42,9 @@ const ALL_FEE_KEYS = [...NAMED_CITIES, ...REGIONAL_DEFAULTS];
 
 const TRADE_CATEGORIES = ['electrical', 'plumbing', 'hvac', 'general', 'solar'];
 
+// Categories priced from the parent permit until cited fees are entered
+const JOB_TYPE_CATEGORIES = ['roofing', 'pool', 'fence', 'demolition', 'energyStorage', 'solarThermal'];
+
 const ALL_JOB_TYPES = [
     'Electrical', 'Plumbing', 'HVAC', 'General Construction',
     'Remodeling', 'Solar', 'Roofing', 'Pool', 'Fence', 'Demolition'
@@ -104,6 +107,17 @@ describe('Fee Database Structure', () => {
     });
 });
 
+describe.each(ALL_FEE_KEYS)('%s - job type fee categories', (key) => {
+    test.each(JOB_TYPE_CATEGORIES)('%s fees are on file only with a fee schedule behind them', (category) => {
+        const fees = permitFees[key][category];
+        if (fees === undefined) return;
+
+        const quality = (dataQuality[key].categories || {})[category] || dataQuality[key];
+        expect(fees.maxFee).toBeGreaterThanOrEqual(fees.minFee);
+        expect(quality.url).toMatch(/^https?:\/\//);
+    });
+});
+
 // ============================================================
 // 2. FEE DATA VALUE VALIDATION
 // ============================================================
@@ -238,6 +252,18 @@ describe('Fee Data Values', () => {
             expect(fee).toBeLessThanOrEqual(1000);
         });
     });
+
+    describe('Plan review amounts are cited', () => {
+        test.each(ALL_FEE_KEYS)('%s - plan review is charged only with a source', (key) => {
+            for (const [category, config] of Object.entries(permitFees[key].planReview || {})) {
+                if (config.mayApply) {
+                    expect([category, config.flatFee, config.percentOfPermitFee, config.minFee]).toEqual([category, undefined, undefined, undefined]);
+                } else {
+                    expect([category, config.source && config.source.url]).toEqual([category, expect.stringMatching(/^https:\/\//)]);
+                }
+            }
+        });
+    });
 });
 
 // ============================================================
@@ -467,7 +493,10 @@ describe('Pricing Calculator - All City/Trade Combinations', () => {
 
             expect(explanation).toBeDefined();
             expect(explanation.breakdown).toBeDefined();
-            expect(explanation.breakdown.length).toBe(6);
+            // 6 standard line items, plus plan review and surcharges where the jurisdiction charges them
+            expect(explanation.breakdown.length).toBe(
+                (pricing.permitFee.planReview.required ? 7 : 6) + pricing.permitFee.surcharges.items.length
+            );
             expect(typeof explanation.total).toBe('number');
             expect(Number.isNaN(explanation.total)).toBe(false);
             expect(explanation.valueProposition).toBeDefined();
@@ -720,7 +749,9 @@ describe('End-to-End Pricing Pipeline', () => {
 
             // Validate the full pipeline output
             expect(pricing.summary.recommendedCharge).toBeGreaterThan(0);
-            expect(explanation.breakdown.length).toBe(6);
+            expect(explanation.breakdown.length).toBe(
+                (pricing.permitFee.planReview.required ? 7 : 6) + pricing.permitFee.surcharges.items.length
+            );
 
             // Recommended charge should be >= total cost
             expect(pricing.summary.recommendedCharge).toBeGreaterThanOrEqual(
@@ -0,0 +1,119 @@
+/**
+ * Test Suite: Database Loader
+ * Onboarding jurisdictions that exist only in scraper output as partial data
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+const DOCUMENT = 'https://www.naperville.il.us/fees.pdf';
+
+const NAPERVILLE = {
+    'Naperville, IL': {
+        scrapedAt: '2026-01-05T10:00:00.000Z',
+        sourceUrl: DOCUMENT,
+        pdfHash: 'def456',
+        source: 'Naperville Building Permit Fee Schedule',
+        electrical: {
+            baseFee: 85,
+            valuationRate: 0.005,
+            minFee: 85,
+            citations: { baseFee: { url: DOCUMENT, page: 4, section: 'Electrical', snippet: 'Electrical permit $85.00' } }
+        },
+        // Below the minimum coverage: a base fee alone
+        plumbing: { baseFee: 70 }
+    }
+};
+
+let fs;
+
+const load = (history) => {
+    fs.existsSync.mockImplementation(existsWithFeeStore((file) => String(file).endsWith('scrape-history.json')));
+    fs.readFileSync.mockImplementation(readWithFeeStore((file) => (String(file).endsWith('scrape-history.json') ? JSON.stringify(history) : '{}')));
+    return require('../database-loader');
+};
+
+beforeEach(() => {
+    jest.resetModules();
+    fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.renameSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+});
+
+describe('Database Loader', () => {
+    describe('scraped-only jurisdictions', () => {
+        test('are published as partial with the trades that meet minimum coverage', () => {
+            const { permitFees, detectRegion } = load(NAPERVILLE);
+            const midwest = permitFees['default-midwest'];
+            const naperville = permitFees['Naperville, IL'];
+
+            expect(detectRegion('Naperville, IL')).toBe('Naperville, IL');
+            expect(naperville.electrical).toEqual({
+                baseFee: 85,
+                valuationRate: 0.005,
+                minFee: 85,
+                maxFee: midwest.electrical.maxFee,
+                citations: NAPERVILLE['Naperville, IL'].electrical.citations
+            });
+            expect(naperville.plumbing).toBeUndefined();
+            expect(naperville.processingTime).toBe(midwest.processingTime);
+            expect(naperville.planReview).toEqual(midwest.planReview);
+            expect(naperville._provenance.electrical.maxFee).toEqual({ source: 'fee-store', regionalDefault: 'default-midwest' });
+        });
+
+        test('data quality says which fields are scraped and which are inherited', () => {
+            const { dataQuality } = load(NAPERVILLE);
+
+            expect(dataQuality['Naperville, IL']).toMatchObject({
+                quality: 'partial',
+                confidence: 'low',
+                source: 'Naperville Building Permit Fee Schedule',
+                lastVerified: '2026-01-05',
+                url: DOCUMENT,
+                coverage: {
+                    regionalDefault: 'default-midwest',
+                    trades: {
+                        electrical: { scraped: ['baseFee', 'valuationRate', 'minFee'], inherited: ['maxFee'] },
+                        plumbing: { scraped: [], inherited: ['baseFee', 'valuationRate', 'minFee', 'maxFee'] }
+                    },
+                    inheritedFields: expect.arrayContaining(['processingTime', 'planReview'])
+                },
+                categories: { electrical: { quality: 'partial' } }
+            });
+        });
+
+        test('price scraped trades from their own fees and the rest from the regional default', () => {
+            load(NAPERVILLE);
+            const { calculateFullPricing } = require('../pricing-calculator');
+
+            const electrical = calculateFullPricing('Naperville, IL', 'Electrical', 20000);
+            expect(electrical.permitFee.baseFee).toBe(85);
+            expect(electrical.dataQuality).toMatchObject({ quality: 'partial', isEstimated: true, category: { source: 'Naperville, IL', quality: 'partial' } });
+
+            const plumbing = calculateFullPricing('Naperville, IL', 'Plumbing', 20000);
+            expect(plumbing.dataQuality.category).toMatchObject({ source: 'default-midwest', fallback: 'regionalDefault', quality: 'estimated' });
+        });
+
+        test('are skipped below minimum coverage', () => {
+            const { permitFees, dataQuality, detectRegion } = load({
+                'Aurora, IL': { scrapedAt: '2026-01-05T10:00:00.000Z', electrical: { baseFee: 85 }, hvac: { baseFee: 0, minFee: 5 } }
+            });
+
+            expect(permitFees['Aurora, IL']).toBeUndefined();
+            expect(dataQuality['Aurora, IL']).toBeUndefined();
+            expect(detectRegion('Aurora, IL')).toBe('default-midwest');
+        });
+
+        test('are skipped when scraped minFee exceeds the maxFee', () => {
+            const { permitFees } = load({
+                'Aurora, IL': { scrapedAt: '2026-01-05T10:00:00.000Z', electrical: { baseFee: 85, minFee: 900, maxFee: 500 } }
+            });
+
+            expect(permitFees['Aurora, IL']).toBeUndefined();
+        });
+    });
+});
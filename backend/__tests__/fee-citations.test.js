@@ -0,0 +1,172 @@
+/**
+ * Test Suite: Fee Citations
+ * Per-field citations to the fee schedule: matching values in PDF text,
+ * validation, the scrape merge and the pricing response
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+const DOCUMENT = 'https://www.houstonpermittingcenter.org/media/2636/download';
+
+const PAGES = [
+    'CITY OF HOUSTON 2025 Building Code Enforcement Fee Schedule Effective July 1, 2025',
+    'Plumbing Permit Fees Base permit fee $65.00 Each fixture $8.50',
+    'Electrical Permit Fees Base permit fee $72.00 per permit, plus 0.5% of valuation. Minimum fee $720.00 Maximum fee $1,500.00'
+];
+
+let fs;
+
+beforeEach(() => {
+    jest.resetModules();
+    fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.renameSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+});
+
+describe('Fee Citations', () => {
+    describe('findValueInText()', () => {
+        const { findValueInText } = require('../fee-citations');
+
+        test('matches currency amounts as printed, not inside longer numbers', () => {
+            expect(findValueInText('Minimum fee $720.00', 72)).toBeNull();
+            expect(findValueInText('Maximum fee $1,500.00', 1500)).toEqual({ snippet: 'Maximum fee $1,500.00' });
+            expect(findValueInText('Reinspection 85', 85)).toEqual({ snippet: 'Reinspection 85' });
+        });
+
+        test('matches valuation rates as percentages', () => {
+            expect(findValueInText('plus 0.5% of valuation', 0.005, 'valuationRate')).toEqual({ snippet: 'plus 0.5% of valuation' });
+        });
+
+        test('trims long lines to a snippet around the value', () => {
+            const line = `${'a'.repeat(300)} fee $95.00 ${'b'.repeat(300)}`;
+            const { snippet } = findValueInText(line, 95);
+
+            expect(snippet).toContain('fee $95.00');
+            expect(snippet.startsWith('…')).toBe(true);
+            expect(snippet.endsWith('…')).toBe(true);
+            expect(snippet.length).toBeLessThanOrEqual(162);
+        });
+    });
+
+    describe('citeFees()', () => {
+        test('cites values from the section onwards with page and heading', () => {
+            const { citeFees } = require('../fee-citations');
+            const citations = citeFees(PAGES, { baseFee: 72, valuationRate: 0.005, minFee: 720, maxFee: 1500 }, { url: DOCUMENT, section: 'electrical' });
+
+            expect(citations.baseFee).toEqual({
+                url: DOCUMENT,
+                page: 3,
+                section: 'Electrical',
+                snippet: 'Electrical Permit Fees Base permit fee $72.00 per permit, plus 0.5% of valuation. Minimum fee $720.00 Maximum fee $1,500.00'
+            });
+            expect(citations.maxFee.page).toBe(3);
+            expect(citations.valuationRate.page).toBe(3);
+        });
+
+        test('records the whole heading line when the text keeps line breaks (OCR)', () => {
+            const { citeFees } = require('../fee-citations');
+            const ocrPages = ['ELECTRICAL PERMIT FEES\nBase fee $72.00\nMinimum fee $72.00'];
+
+            expect(citeFees(ocrPages, { baseFee: 72 }, { url: DOCUMENT, section: 'electrical' }).baseFee).toEqual({
+                url: DOCUMENT, page: 1, section: 'ELECTRICAL PERMIT FEES', snippet: 'Base fee $72.00'
+            });
+        });
+
+        test('leaves values that are not in the document uncited', () => {
+            const { citeFees } = require('../fee-citations');
+
+            // $65 is on the plumbing page, before the electrical section
+            expect(citeFees(PAGES, { baseFee: 65, valuationRate: 0.004 }, { url: DOCUMENT, section: 'electrical' })).toEqual({});
+            expect(citeFees(PAGES, { baseFee: 65 }, { url: DOCUMENT, section: 'mechanical' })).toEqual({});
+        });
+    });
+
+    describe('validation', () => {
+        test('fee store records check citations', () => {
+            const feeStore = require('../fee-store');
+            const data = feeStore.getCollection('permitFees')['Houston, TX'];
+            const cite = (citations) => feeStore.validateRecord('permitFees', 'Houston, TX', {
+                ...data,
+                electrical: { ...data.electrical, citations }
+            });
+
+            expect(cite({ baseFee: { url: DOCUMENT, page: 3, section: 'Electrical Permit Fees', snippet: 'Base permit fee $70.00' } })).toEqual([]);
+            expect(cite({ feeRule: { url: DOCUMENT, page: null } })).toEqual([]);
+            expect(cite({ baseFee: { url: 'permit office', page: 0 }, expediteFee: { url: DOCUMENT } })).toEqual([
+                'electrical.citations.baseFee url must be an http(s) URL',
+                'electrical.citations.baseFee page must be a positive whole number or null',
+                'electrical.citations.expediteFee is not a fee field'
+            ]);
+            expect(cite([])).toEqual(['electrical.citations must be an object keyed by fee field']);
+        });
+    });
+
+    describe('curated citations', () => {
+        test('appear in the pricing response and the admin listing', () => {
+            const feeStore = require('../fee-store');
+            const data = feeStore.getCollection('permitFees')['Houston, TX'];
+            const citation = { url: DOCUMENT, page: 3, section: 'Electrical Permit Fees', snippet: 'Base permit fee $70.00' };
+            feeStore.putRecord('permitFees', 'Houston, TX', {
+                ...data,
+                electrical: { ...data.electrical, citations: { baseFee: citation } }
+            }, { reason: 'test' });
+
+            const { calculateFullPricing } = require('../pricing-calculator');
+            const pricing = calculateFullPricing('Houston, TX', 'Electrical', 20000, { trace: true });
+            expect(pricing.permitFee.citations).toEqual({ baseFee: citation });
+            expect(pricing.trace.inputs.find(i => i.name === 'Houston, TX electrical.baseFee').citation).toEqual(citation);
+
+            const { listFeeCitations, getCitationCoverage } = require('../fee-citations');
+            const rows = listFeeCitations('Houston, TX');
+            expect(rows.find(r => r.category === 'electrical' && r.field === 'baseFee')).toEqual({
+                category: 'electrical',
+                field: 'baseFee',
+                value: 70,
+                citation: { ...citation, link: `${DOCUMENT}#page=3` },
+                source: 'fee-store'
+            });
+            expect(rows.find(r => r.category === 'electrical' && r.field === 'minFee').citation).toBeNull();
+            expect(getCitationCoverage().find(c => c.jurisdiction === 'Houston, TX')).toMatchObject({
+                cited: 1,
+                missingCategories: ['roofing', 'pool', 'fence', 'demolition', 'energyStorage', 'solarThermal']
+            });
+            expect(listFeeCitations('Atlantis, XX')).toBeNull();
+        });
+    });
+
+    describe('scraped citations', () => {
+        const SCRAPE = {
+            'Houston, TX': {
+                scrapedAt: '2025-11-16T23:43:19.644Z',
+                sourceUrl: DOCUMENT,
+                pdfHash: 'abc123',
+                electrical: {
+                    baseFee: 72,
+                    valuationRate: 0.02,
+                    citations: {
+                        baseFee: { url: DOCUMENT, page: 3, section: 'Electrical Permit Fees', snippet: 'Base permit fee $72.00' },
+                        valuationRate: { url: DOCUMENT, page: 3, section: 'Electrical Permit Fees', snippet: 'plus 2% of valuation' }
+                    }
+                }
+            }
+        };
+
+        test('follow accepted values and are kept with rejected ones', () => {
+            fs.existsSync.mockImplementation(existsWithFeeStore(() => true));
+            fs.readFileSync.mockImplementation(readWithFeeStore(() => JSON.stringify(SCRAPE)));
+            const { permitFees } = require('../database-loader');
+            const electrical = permitFees['Houston, TX'].electrical;
+            const provenance = permitFees['Houston, TX']._provenance.electrical;
+
+            expect(electrical.baseFee).toBe(72);
+            expect(electrical.citations).toEqual({ baseFee: SCRAPE['Houston, TX'].electrical.citations.baseFee });
+            expect(provenance.baseFee.citation.page).toBe(3);
+            expect(provenance.valuationRate.rejectedScrape.citation.snippet).toBe('plus 2% of valuation');
+        });
+    });
+});
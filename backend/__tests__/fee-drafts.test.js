@@ -0,0 +1,179 @@
+/**
+ * Test Suite: Fee Drafts
+ * Draft, review and approval of fee store changes before they are published
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+let fs, feeStore, feeDrafts;
+
+beforeEach(() => {
+    jest.resetModules();
+    fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.renameSync.mockImplementation(() => {});
+    fs.unlinkSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+
+    feeStore = require('../fee-store');
+    feeDrafts = require('../fee-drafts');
+    feeDrafts.reset();
+});
+
+const houston = () => feeStore.getCollection('permitFees')['Houston, TX'];
+const houstonVersion = () => feeStore.getRecord('permitFees', 'Houston, TX').version;
+
+const verified = { verified: true };
+
+const draftHoustonFee = (baseFee, author = 'dana') => {
+    const data = houston();
+    return feeDrafts.createDraft({
+        collection: 'permitFees',
+        key: 'Houston, TX',
+        data: { ...data, electrical: { ...data.electrical, baseFee } },
+        reason: 'City council adopted new electrical fee'
+    }, author);
+};
+
+describe('Fee Drafts', () => {
+    describe('validateDraft()', () => {
+        test('requires a collection, key and reason', () => {
+            expect(feeDrafts.validateDraft({ collection: 'permits', key: ' ', action: 'archive' })).toEqual([
+                'collection must be one of: permitFees, dataQuality, stateSurcharges, laborTimes, markupRecommendations, marketModel, jurisdictions',
+                'key is required',
+                'action must be one of: put, retire',
+                'reason is required (why the record changes)'
+            ]);
+        });
+
+        test('checks the data against the collection schema', () => {
+            const data = { ...houston(), electrical: { ...houston().electrical, minFee: -1 } };
+            expect(feeDrafts.validateDraft({ collection: 'permitFees', key: 'Houston, TX', data, reason: 'typo' }))
+                .toEqual(['data: electrical.minFee must be a non-negative number or null']);
+        });
+
+        test('only live records can be retired', () => {
+            expect(feeDrafts.validateDraft({ collection: 'laborTimes', key: 'Electrical', action: 'retire', reason: 'merged' })).toEqual([]);
+            expect(feeDrafts.validateDraft({ collection: 'laborTimes', key: 'Welding', action: 'retire', reason: 'merged' }))
+                .toEqual(['laborTimes has no live record Welding to retire']);
+        });
+    });
+
+    describe('drafts', () => {
+        test('are saved pending without touching the store', () => {
+            const version = houstonVersion();
+            const draft = draftHoustonFee(80);
+
+            expect(draft).toMatchObject({
+                collection: 'permitFees',
+                key: 'Houston, TX',
+                action: 'put',
+                status: 'pending',
+                baseVersion: version,
+                createdBy: 'dana',
+                review: null
+            });
+            expect(houston().electrical.baseFee).toBe(70);
+            expect(houstonVersion()).toBe(version);
+            expect(feeDrafts.listDrafts({ status: 'pending' }).map(d => d.id)).toEqual([draft.id]);
+        });
+
+        test('list the field-level changes to the current record', () => {
+            const draft = draftHoustonFee(80);
+            expect(feeDrafts.diffDraft(draft)).toEqual([{ path: 'electrical.baseFee', from: 70, to: 80 }]);
+
+            const retire = feeDrafts.createDraft({ collection: 'laborTimes', key: 'Solar', action: 'retire', reason: 'unused' }, 'dana');
+            expect(feeDrafts.diffDraft(retire)).toEqual([{ path: '(record)', from: feeStore.getCollection('laborTimes').Solar, to: null }]);
+        });
+
+        test('can be revised', () => {
+            const draft = draftHoustonFee(80);
+            const data = { ...draft.data, electrical: { ...draft.data.electrical, baseFee: 82 } };
+            feeDrafts.updateDraft(draft.id, { data, reason: 'Corrected amount' });
+
+            expect(feeDrafts.getDraft(draft.id)).toMatchObject({ reason: 'Corrected amount', data: { electrical: { baseFee: 82 } } });
+        });
+
+        test('a failed write throws and leaves the drafts unchanged', () => {
+            const draft = draftHoustonFee(80);
+            fs.writeFileSync.mockImplementation(() => {
+                throw new Error('ENOSPC: no space left on device');
+            });
+
+            expect(() => draftHoustonFee(90)).toThrow('ENOSPC');
+            expect(() => feeDrafts.updateDraft(draft.id, { reason: 'Corrected amount' })).toThrow('ENOSPC');
+            expect(() => feeDrafts.rejectDraft(draft.id, 'lee')).toThrow('ENOSPC');
+            expect(feeDrafts.listDrafts().map(d => [d.id, d.status, d.reason])).toEqual([[draft.id, 'pending', draft.reason]]);
+        });
+    });
+
+    describe('approval', () => {
+        test('needs a second admin', () => {
+            const draft = draftHoustonFee(80);
+            expect(feeDrafts.getApprovalProblem(draft, 'dana', verified)).toEqual({
+                problem: 'author',
+                error: 'A draft must be approved by a second admin, not its author'
+            });
+            expect(feeDrafts.getApprovalProblem(draft, 'lee', verified)).toBeNull();
+        });
+
+        test('needs a reviewer signed in with their own key', () => {
+            const draft = draftHoustonFee(80);
+            expect(feeDrafts.getApprovalProblem(draft, 'lee')).toMatchObject({ problem: 'unverified' });
+            expect(feeDrafts.getApprovalProblem(draft, 'lee', { verified: false })).toMatchObject({ problem: 'unverified' });
+        });
+
+        test('publishes the draft and pricing picks it up', () => {
+            const { calculateFullPricing } = require('../pricing-calculator');
+            const before = calculateFullPricing('Houston, TX', 'Electrical', 1000).permitFee;
+            const version = houstonVersion();
+            const draft = draftHoustonFee(80);
+
+            const { record } = feeDrafts.approveDraft(draft.id, 'lee', 'Checked against the ordinance');
+
+            expect(record).toMatchObject({ version: version + 1, updatedBy: 'dana', approvedBy: 'lee', reason: 'City council adopted new electrical fee' });
+            expect(feeDrafts.getDraft(draft.id)).toMatchObject({
+                status: 'approved',
+                publishedVersion: version + 1,
+                review: { by: 'lee', note: 'Checked against the ordinance' }
+            });
+            expect(feeStore.listRecords('permitFees').find(r => r.key === 'Houston, TX').approvedBy).toBe('lee');
+            expect(before.baseFee).toBe(70);
+            expect(calculateFullPricing('Houston, TX', 'Electrical', 1000).permitFee.baseFee).toBe(80);
+            expect(feeDrafts.getApprovalProblem(draft, 'sam', verified).problem).toBe('closed');
+        });
+
+        test('retiring drafts delete the record once approved', () => {
+            const draft = feeDrafts.createDraft({ collection: 'laborTimes', key: 'Solar', action: 'retire', reason: 'unused' }, 'dana');
+            feeDrafts.approveDraft(draft.id, 'lee');
+
+            expect(feeStore.getCollection('laborTimes').Solar).toBeUndefined();
+            expect(feeStore.getRecord('laborTimes', 'Solar')).toMatchObject({ deleted: true, approvedBy: 'lee' });
+        });
+
+        test('stale drafts cannot be approved', () => {
+            const first = draftHoustonFee(80);
+            const second = draftHoustonFee(85, 'sam');
+            feeDrafts.approveDraft(first.id, 'lee');
+
+            expect(feeDrafts.isStale(second)).toBe(true);
+            expect(feeDrafts.getApprovalProblem(second, 'lee', verified)).toMatchObject({ problem: 'stale' });
+        });
+    });
+
+    describe('rejection', () => {
+        test('closes the draft without publishing; the author withdraws', () => {
+            const rejected = draftHoustonFee(80);
+            const withdrawn = draftHoustonFee(90);
+
+            expect(feeDrafts.rejectDraft(rejected.id, 'lee', 'No source')).toMatchObject({ status: 'rejected', review: { by: 'lee', note: 'No source' } });
+            expect(feeDrafts.rejectDraft(withdrawn.id, 'dana').status).toBe('withdrawn');
+            expect(houston().electrical.baseFee).toBe(70);
+            expect(feeDrafts.rejectDraft('missing', 'lee')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Test Suite: Fee Rule Engine
+ * Per-unit, tiered, hourly and flat-plus-per-item fee schedules
+ */
+
+const { evaluateFeeRule, validateFeeRule, normalizeQuantities } = require('../fee-rules');
+const { permitFees } = require('../permit-fee-database');
+
+describe('Fee Rule Engine', () => {
+    describe('normalizeQuantities()', () => {
+        test('keeps known positive numeric quantities', () => {
+            expect(normalizeQuantities({ circuits: '8', fixtures: 3 })).toEqual({ circuits: 8, fixtures: 3 });
+        });
+
+        test('drops unknown units, zero and invalid values', () => {
+            expect(normalizeQuantities({ circuits: 0, widgets: 4, tonnage: 'abc', outlets: -2 })).toEqual({});
+        });
+
+        test('handles missing input', () => {
+            expect(normalizeQuantities(undefined)).toEqual({});
+            expect(normalizeQuantities('circuits')).toEqual({});
+        });
+    });
+
+    describe('evaluateFeeRule()', () => {
+        test('returns null when the rule quantity is not supplied', () => {
+            const rule = { type: 'perUnit', unit: 'fixtures', unitFee: 20 };
+            expect(evaluateFeeRule(rule, { circuits: 4 })).toBeNull();
+            expect(evaluateFeeRule(null, { fixtures: 4 })).toBeNull();
+        });
+
+        test('perUnit multiplies quantity by unit fee', () => {
+            const result = evaluateFeeRule({ type: 'perUnit', unit: 'fixtures', unitFee: 22.5 }, { fixtures: 4 });
+            expect(result.fee).toBe(90);
+            expect(result.quantity).toBe(4);
+            expect(result.description).toContain('4 fixtures');
+        });
+
+        test('flatPlusPerItem charges base fee for included units', () => {
+            const rule = { type: 'flatPlusPerItem', unit: 'circuits', baseFee: 164.63, includedUnits: 5, unitFee: 48.85 };
+            expect(evaluateFeeRule(rule, { circuits: 3 }).fee).toBe(164.63);
+            expect(evaluateFeeRule(rule, { circuits: 5 }).fee).toBe(164.63);
+        });
+
+        test('flatPlusPerItem adds per-item fee beyond included units', () => {
+            const rule = { type: 'flatPlusPerItem', unit: 'circuits', baseFee: 164.63, includedUnits: 5, unitFee: 48.85 };
+            const result = evaluateFeeRule(rule, { circuits: 8 });
+            expect(result.fee).toBeCloseTo(164.63 + 3 * 48.85, 2);
+            expect(result.description).toContain('3 additional');
+        });
+
+        test('tiered picks the bracket containing the quantity', () => {
+            const rule = {
+                type: 'tiered',
+                unit: 'outlets',
+                tiers: [
+                    { upTo: 10, fee: 100 },
+                    { upTo: 20, fee: 150 },
+                    { upTo: null, fee: 200, unitFee: 5 }
+                ]
+            };
+            expect(evaluateFeeRule(rule, { outlets: 10 }).fee).toBe(100);
+            expect(evaluateFeeRule(rule, { outlets: 11 }).fee).toBe(150);
+            expect(evaluateFeeRule(rule, { outlets: 24 }).fee).toBe(220);
+        });
+
+        test('hourly applies the minimum hours', () => {
+            const rule = { type: 'hourly', unit: 'hours', hourlyRate: 405, minHours: 1 };
+            expect(evaluateFeeRule(rule, { hours: 0.5 }).fee).toBe(405);
+            expect(evaluateFeeRule(rule, { hours: 2 }).fee).toBe(810);
+        });
+
+        test('throws on unknown rule types', () => {
+            expect(() => evaluateFeeRule({ type: 'mystery', unit: 'circuits' }, { circuits: 2 })).toThrow('Unknown fee rule type');
+        });
+    });
+
+    describe('validateFeeRule()', () => {
+        test('accepts a well-formed rule', () => {
+            expect(validateFeeRule({ type: 'perUnit', unit: 'fixtures', unitFee: 20 })).toEqual([]);
+        });
+
+        test('rejects unknown types and units', () => {
+            const errors = validateFeeRule({ type: 'mystery', unit: 'widgets' });
+            expect(errors.length).toBe(2);
+        });
+
+        test('rejects out-of-order tiers', () => {
+            const errors = validateFeeRule({
+                type: 'tiered',
+                unit: 'outlets',
+                tiers: [{ upTo: 20, fee: 100 }, { upTo: 10, fee: 150 }]
+            });
+            expect(errors.some(e => e.includes('greater than'))).toBe(true);
+        });
+
+        test('every feeRule in the fee database is valid', () => {
+            for (const [location, entry] of Object.entries(permitFees)) {
+                for (const [trade, feeData] of Object.entries(entry)) {
+                    if (feeData && feeData.feeRule) {
+                        expect({ location, trade, errors: validateFeeRule(feeData.feeRule) })
+                            .toEqual({ location, trade, errors: [] });
+                    }
+                }
+            }
+        });
+    });
+});
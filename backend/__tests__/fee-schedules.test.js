@@ -0,0 +1,152 @@
+/**
+ * Test Suite: Effective-Dated Fee Schedules
+ * Fee versions per jurisdiction and "price as of date" resolution
+ */
+
+const { normalizeEffectiveDate, getFeeVersions, resolveFeeSchedule } = require('../fee-schedules');
+const { calculateFullPricing } = require('../pricing-calculator');
+const { permitFees } = require('../permit-fee-database');
+
+const jurisdiction = {
+    electrical: { baseFee: 200, valuationRate: 0, minFee: 200, maxFee: 1000 },
+    plumbing: { baseFee: 150, valuationRate: 0, minFee: 150, maxFee: 1000 },
+    effectiveDate: '2025-10-01',
+    feeHistory: [
+        {
+            effectiveDate: '2024-10-01',
+            source: 'FY 2024-25 schedule',
+            electrical: { baseFee: 100, valuationRate: 0, minFee: 100, maxFee: 1000 }
+        },
+        {
+            effectiveDate: '2026-07-01',
+            notes: 'Announced increase',
+            electrical: { baseFee: 250, valuationRate: 0, minFee: 250, maxFee: 1000 }
+        }
+    ]
+};
+
+describe('Fee Schedules', () => {
+    describe('normalizeEffectiveDate()', () => {
+        test('accepts ISO, US and written dates', () => {
+            expect(normalizeEffectiveDate('2025-10-01')).toBe('2025-10-01');
+            expect(normalizeEffectiveDate('10/1/2025')).toBe('2025-10-01');
+            expect(normalizeEffectiveDate('October 1, 2025')).toBe('2025-10-01');
+            expect(normalizeEffectiveDate(new Date('2025-10-01T12:00:00Z'))).toBe('2025-10-01');
+        });
+
+        test('rejects year-only and invalid dates', () => {
+            expect(normalizeEffectiveDate('2025')).toBeNull();
+            expect(normalizeEffectiveDate('2025-02-30')).toBeNull();
+            expect(normalizeEffectiveDate('soon')).toBeNull();
+            expect(normalizeEffectiveDate(undefined)).toBeNull();
+        });
+
+        test('rejects trailing text and written dates that do not exist', () => {
+            expect(normalizeEffectiveDate('2025-10-01garbage')).toBeNull();
+            expect(normalizeEffectiveDate('2025-10-01T12:00:00Z')).toBeNull();
+            expect(normalizeEffectiveDate('February 30, 2025')).toBeNull();
+            expect(normalizeEffectiveDate('Smarch 1, 2025')).toBeNull();
+            expect(normalizeEffectiveDate('February 29, 2024')).toBe('2024-02-29');
+        });
+    });
+
+    describe('getFeeVersions()', () => {
+        test('lists versions oldest first', () => {
+            const versions = getFeeVersions(jurisdiction);
+            expect(versions.map(v => v.effectiveDate)).toEqual(['2024-10-01', '2025-10-01', '2026-07-01']);
+            expect(versions[1].isCurrent).toBe(true);
+        });
+
+        test('jurisdictions without history have a single current version', () => {
+            const versions = getFeeVersions({ electrical: {} });
+            expect(versions).toHaveLength(1);
+            expect(versions[0].effectiveDate).toBeNull();
+        });
+    });
+
+    describe('resolveFeeSchedule()', () => {
+        test('uses the prior schedule before the effective date', () => {
+            const { data, schedule } = resolveFeeSchedule(jurisdiction, '2025-09-30');
+            expect(data.electrical.baseFee).toBe(100);
+            expect(data.plumbing.baseFee).toBe(150); // unchanged trades carry over
+            expect(schedule.effectiveDate).toBe('2024-10-01');
+            expect(schedule.isCurrent).toBe(false);
+            expect(schedule.source).toBe('FY 2024-25 schedule');
+        });
+
+        test('uses the current schedule from its effective date', () => {
+            const { data, schedule } = resolveFeeSchedule(jurisdiction, '2025-10-01');
+            expect(data.electrical.baseFee).toBe(200);
+            expect(schedule.isCurrent).toBe(true);
+        });
+
+        test('uses announced future schedules for later filing dates', () => {
+            const { data, schedule } = resolveFeeSchedule(jurisdiction, '2026-08-15');
+            expect(data.electrical.baseFee).toBe(250);
+            expect(schedule.notes).toBe('Announced increase');
+        });
+
+        test('falls back to the oldest schedule for dates before any version', () => {
+            const { data, schedule } = resolveFeeSchedule(jurisdiction, '2020-01-01');
+            expect(data.electrical.baseFee).toBe(100);
+            expect(schedule.beforeEarliestSchedule).toBe(true);
+        });
+
+        test('sorts an undated current schedule after every dated version, whatever the date today', () => {
+            const undated = { ...jurisdiction, effectiveDate: undefined };
+
+            const versions = getFeeVersions(undated);
+            expect(versions.map(v => [v.effectiveDate, v.isCurrent])).toEqual([['2024-10-01', false], ['2026-07-01', false], [null, true]]);
+
+            expect(resolveFeeSchedule(undated).data.electrical.baseFee).toBe(200);
+            expect(resolveFeeSchedule(undated, '2020-01-01').schedule.isCurrent).toBe(true);
+            expect(resolveFeeSchedule(undated, '2999-06-01').schedule.isCurrent).toBe(true);
+        });
+
+        test('defaults to today', () => {
+            const { schedule } = resolveFeeSchedule(jurisdiction);
+            expect(schedule.asOf).toBe(new Date().toISOString().split('T')[0]);
+        });
+    });
+
+    describe('fee database', () => {
+        test('every jurisdiction with fee history has a current effective date', () => {
+            for (const [location, entry] of Object.entries(permitFees)) {
+                if (entry.feeHistory) {
+                    expect({ location, effectiveDate: normalizeEffectiveDate(entry.effectiveDate) })
+                        .toEqual({ location, effectiveDate: entry.effectiveDate });
+                    entry.feeHistory.forEach(version => {
+                        expect(normalizeEffectiveDate(version.effectiveDate)).toBe(version.effectiveDate);
+                    });
+                }
+            }
+        });
+    });
+
+    describe('pricing as of a date', () => {
+        test('Austin jobs filed before October 1, 2025 use the FY 2024-25 fees', () => {
+            const before = calculateFullPricing('Austin, TX', 'Electrical', 5000, { asOf: '2025-09-30' });
+            const after = calculateFullPricing('Austin, TX', 'Electrical', 5000, { asOf: '2025-10-01' });
+
+            expect(before.permitFee.baseFee).toBe(85);
+            expect(after.permitFee.baseFee).toBeGreaterThan(before.permitFee.baseFee);
+            expect(after.summary.recommendedCharge).toBeGreaterThan(before.summary.recommendedCharge);
+            expect(before.permitFee.feeSchedule.effectiveDate).toBe('2024-10-01');
+        });
+
+        test('trades without a prior version keep current fees', () => {
+            const before = calculateFullPricing('Austin, TX', 'General Construction', 5000, { asOf: '2025-09-30' });
+            const after = calculateFullPricing('Austin, TX', 'General Construction', 5000, { asOf: '2025-10-01' });
+
+            expect(before.permitFee.permitFee).toBe(after.permitFee.permitFee);
+        });
+
+        test('jurisdictions without history price the same on any date', () => {
+            const old = calculateFullPricing('Houston, TX', 'Plumbing', 5000, { asOf: '2019-01-01' });
+            const today = calculateFullPricing('Houston, TX', 'Plumbing', 5000);
+
+            expect(old.permitFee.permitFee).toBe(today.permitFee.permitFee);
+            expect(old.permitFee.feeSchedule.isCurrent).toBe(true);
+        });
+    });
+});
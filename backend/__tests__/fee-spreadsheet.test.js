@@ -0,0 +1,178 @@
+/**
+ * Test Suite: Fee Spreadsheets
+ * CSV/XLSX import of permit fees as fee store drafts, and export of the
+ * merged fee data
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+let fs, feeStore, feeDrafts, feeSpreadsheet;
+
+beforeEach(() => {
+    jest.resetModules();
+    fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.renameSync.mockImplementation(() => {});
+    fs.unlinkSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+
+    feeStore = require('../fee-store');
+    feeDrafts = require('../fee-drafts');
+    feeDrafts.reset();
+    feeSpreadsheet = require('../fee-spreadsheet');
+});
+
+const SUBURB = [
+    'Jurisdiction,Trade,Base Fee,Valuation Rate,Min Fee,Max Fee,Processing Time,Expedite,Source URL',
+    '"Naperville, IL",Electrical Work,$85,0.5%,85,"$1,200",5-7 days,$150,https://www.naperville.il.us/fees.pdf',
+    '"Naperville, IL",plumbing,75,,,,5-7 days,,',
+    '"Naperville, IL",Mechanical,80,,,,,,',
+    '"Naperville, IL",building,120,1%,,,,,'
+].join('\n');
+
+const plan = async (csv) => {
+    const { rows } = await feeSpreadsheet.parseSpreadsheet(csv, 'csv');
+    return feeSpreadsheet.planImport(rows);
+};
+
+describe('Fee Spreadsheets', () => {
+    describe('parseSpreadsheet()', () => {
+        test('maps spreadsheet headers to import columns', async () => {
+            const { rows, unknownColumns } = await feeSpreadsheet.parseSpreadsheet(
+                'City,Category,base fee,Source URL,Inspector\n"Houston, TX",electrical,80,https://example.gov,Pat', 'csv'
+            );
+            expect(rows).toEqual([{ jurisdiction: 'Houston, TX', trade: 'electrical', baseFee: '80', sourceUrl: 'https://example.gov' }]);
+            expect(unknownColumns).toEqual(['Inspector']);
+        });
+    });
+
+    describe('planImport()', () => {
+        test('builds the permitFees and dataQuality records of a new jurisdiction', async () => {
+            const { errors, jurisdictions } = await plan(SUBURB);
+            expect(errors).toEqual([]);
+
+            const [naperville] = jurisdictions;
+            expect(naperville).toMatchObject({ jurisdiction: 'Naperville, IL', isNew: true, rows: [2, 3, 4, 5] });
+            const [fees, quality] = naperville.records;
+            expect(fees.data).toEqual({
+                electrical: { baseFee: 85, valuationRate: 0.005, minFee: 85, maxFee: 1200 },
+                plumbing: { baseFee: 75, valuationRate: null, minFee: null, maxFee: null },
+                hvac: { baseFee: 80, valuationRate: null, minFee: null, maxFee: null },
+                general: { baseFee: 120, valuationRate: 0.01, minFee: null, maxFee: null },
+                processingTime: '5-7 days',
+                expediteFee: 150
+            });
+            expect(quality.data).toMatchObject({ quality: 'verified', confidence: 'medium', url: 'https://www.naperville.il.us/fees.pdf' });
+        });
+
+        test('changes only the cells filled in for an existing jurisdiction', async () => {
+            const { jurisdictions } = await plan('jurisdiction,trade,baseFee\n"Houston, TX",electrical,80');
+
+            expect(jurisdictions[0].isNew).toBe(false);
+            expect(jurisdictions[0].records).toEqual([
+                expect.objectContaining({ collection: 'permitFees', changes: [{ path: 'electrical.baseFee', from: 70, to: 80 }] })
+            ]);
+        });
+
+        test('drops the citation of a changed value', async () => {
+            const data = feeStore.getCollection('permitFees')['Houston, TX'];
+            const citation = { url: 'https://example.gov/fees.pdf', page: 3 };
+            feeStore.putRecord('permitFees', 'Houston, TX', {
+                ...data,
+                electrical: { ...data.electrical, citations: { baseFee: citation, minFee: citation } }
+            }, { reason: 'test' });
+
+            const { jurisdictions } = await plan('jurisdiction,trade,baseFee,minFee\n"Houston, TX",electrical,80,70');
+            expect(jurisdictions[0].records[0].data.electrical.citations).toEqual({ minFee: citation });
+        });
+
+        test('reports errors by spreadsheet row', async () => {
+            const { errors } = await plan([
+                'jurisdiction,trade,baseFee,valuationRate,minFee,maxFee,processingTime',
+                'Springfield,welding,abc,,,,',
+                '"Houston, TX",electrical,,15,500,100,',
+                '"Houston, TX",plumbing,,,,,2 weeks',
+                '"Houston, TX",hvac,,,,,3 weeks',
+                '"Naperville, IL",electrical,85,,,,'
+            ].join('\n'));
+
+            expect(errors).toEqual([
+                {
+                    row: 2,
+                    jurisdiction: 'Springfield',
+                    errors: [
+                        'jurisdiction must be "City, ST" (got "Springfield")',
+                        expect.stringMatching(/^trade "welding" is not a fee category/),
+                        'baseFee must be a non-negative number (got "abc")'
+                    ]
+                },
+                {
+                    row: 3,
+                    jurisdiction: 'Houston, TX',
+                    errors: ['valuationRate 15 is 1500% of valuation; write percentages with % (e.g. 0.5%)', 'minFee must not exceed maxFee']
+                },
+                { row: 5, jurisdiction: 'Houston, TX', errors: ['processingTime "3 weeks" disagrees with "2 weeks" on an earlier Houston, TX row'] },
+                {
+                    row: 6,
+                    jurisdiction: 'Naperville, IL',
+                    errors: [
+                        'permitFees: plumbing fee category is required',
+                        'permitFees: hvac fee category is required',
+                        'permitFees: general fee category is required'
+                    ]
+                }
+            ]);
+        });
+    });
+
+    describe('importFees()', () => {
+        test('saves a draft per changed record, approved like any other edit', async () => {
+            const { rows } = await feeSpreadsheet.parseSpreadsheet(SUBURB, 'csv');
+            const result = feeSpreadsheet.importFees(rows, { author: 'dana', reason: 'Estimator fee sheet' });
+
+            expect(result.drafts.map(d => [d.collection, d.key, d.createdBy])).toEqual([
+                ['permitFees', 'Naperville, IL', 'dana'],
+                ['dataQuality', 'Naperville, IL', 'dana']
+            ]);
+            expect(feeStore.getCollection('permitFees')['Naperville, IL']).toBeUndefined();
+
+            result.drafts.forEach(d => feeDrafts.approveDraft(d.id, 'lee'));
+            const { calculateFullPricing } = require('../pricing-calculator');
+            expect(calculateFullPricing('Naperville, IL', 'Electrical', 1000).permitFee.baseFee).toBe(85);
+        });
+
+        test('dry runs and invalid spreadsheets save nothing', async () => {
+            const { rows } = await feeSpreadsheet.parseSpreadsheet(SUBURB, 'csv');
+            expect(feeSpreadsheet.importFees(rows, { author: 'dana', reason: 'x', dryRun: true }).drafts).toEqual([]);
+            expect(feeSpreadsheet.importFees([...rows, { jurisdiction: 'Houston, TX' }], { author: 'dana', reason: 'x' }).drafts).toEqual([]);
+            expect(feeDrafts.listDrafts()).toEqual([]);
+        });
+    });
+
+    describe('export', () => {
+        test('lists every jurisdiction and fee category of the merged data', () => {
+            const { permitFees } = require('../database-loader');
+            const rows = feeSpreadsheet.exportRows();
+
+            expect(rows.find(r => r.jurisdiction === 'Houston, TX' && r.trade === 'electrical')).toMatchObject({
+                baseFee: permitFees['Houston, TX'].electrical.baseFee,
+                valuationRate: permitFees['Houston, TX'].electrical.valuationRate
+            });
+            expect(new Set(rows.map(r => r.jurisdiction)).size).toBe(Object.keys(permitFees).length);
+            expect(feeSpreadsheet.exportCsv().split('\n')[0]).toBe(feeSpreadsheet.COLUMNS.join(','));
+        });
+
+        test('XLSX exports import back without changes to the store', async () => {
+            const { rows } = await feeSpreadsheet.parseSpreadsheet(await feeSpreadsheet.exportXlsx(), 'xlsx');
+            expect(rows).toHaveLength(feeSpreadsheet.exportRows().length);
+
+            const { errors, jurisdictions } = feeSpreadsheet.planImport(rows);
+            expect(errors).toEqual([]);
+            expect(jurisdictions.flatMap(j => j.records).filter(r => r.collection === 'permitFees')).toEqual([]);
+        });
+    });
+});
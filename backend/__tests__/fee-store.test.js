@@ -0,0 +1,214 @@
+/**
+ * Test Suite: Fee Store
+ * Versioned fee data records, schema validation and migrations
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+let fs, feeStore;
+
+beforeEach(() => {
+    jest.resetModules();
+    fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.renameSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+
+    feeStore = require('../fee-store');
+});
+
+const houston = () => feeStore.getCollection('permitFees')['Houston, TX'];
+
+describe('Fee Store', () => {
+    describe('loading', () => {
+        test('loads every collection from the committed store', () => {
+            const info = feeStore.getStoreInfo();
+            expect(info.schemaVersion).toBe(require('../migrations').length);
+            expect(info.pendingMigrations).toEqual([]);
+            for (const name of feeStore.COLLECTIONS) {
+                expect(info.collections[name].records).toBeGreaterThan(0);
+            }
+        });
+
+        test('committed records pass the schema', () => {
+            for (const name of feeStore.COLLECTIONS) {
+                for (const [key, data] of Object.entries(feeStore.getCollection(name))) {
+                    expect([name, key, feeStore.validateRecord(name, key, data)]).toEqual([name, key, []]);
+                }
+            }
+        });
+
+        test('permit-fee-database exports read from the store', () => {
+            const staticDB = require('../permit-fee-database');
+            expect(staticDB.permitFees).toBe(feeStore.getCollection('permitFees'));
+            expect(staticDB.laborTimes.Electrical).toBe(feeStore.getCollection('laborTimes').Electrical);
+            expect(staticDB.detectRegion('Houston, TX')).toBe('Houston, TX');
+        });
+    });
+
+    describe('validateRecord()', () => {
+        test('rejects inverted fee limits and bad fee rules', () => {
+            const data = JSON.parse(JSON.stringify(houston()));
+            data.electrical.minFee = 500;
+            data.electrical.maxFee = 100;
+            data.plumbing.feeRule = { type: 'bogus' };
+
+            const errors = feeStore.validateRecord('permitFees', 'Houston, TX', data);
+            expect(errors).toContain('electrical.minFee must not exceed maxFee');
+            expect(errors.some(error => error.startsWith('plumbing.feeRule type must be one of'))).toBe(true);
+        });
+
+        test('requires the core fee categories', () => {
+            expect(feeStore.validateRecord('permitFees', 'Nowhere, KS', { electrical: {}, plumbing: {}, hvac: {} }))
+                .toEqual(['general fee category is required']);
+        });
+
+        test('requires a current effective date alongside fee history', () => {
+            const { effectiveDate, ...austin } = feeStore.getCollection('permitFees')['Austin, TX'];
+            expect(feeStore.validateRecord('permitFees', 'Austin, TX', austin))
+                .toEqual(['effectiveDate is required with feeHistory (when the current schedule took effect)']);
+        });
+
+        test('checks data quality and markup records', () => {
+            expect(feeStore.validateRecord('dataQuality', 'Houston, TX', { quality: 'guess', confidence: 'high', source: 'x' }))
+                .toEqual(['quality must be one of: verified, estimated']);
+            expect(feeStore.validateRecord('markupRecommendations', 'Electrical', { permitFeeMarkup: 15, laborRate: 85, minimumCharge: 250 }))
+                .toEqual(['permitFeeMarkup must be a fraction between 0 and 1']);
+        });
+
+        test('checks per-category data quality', () => {
+            const quality = { quality: 'verified', confidence: 'high', source: 'City fee schedule' };
+            expect(feeStore.validateRecord('dataQuality', 'Houston, TX', {
+                ...quality,
+                categories: { fence: { ...quality, quality: 'estimated', confidence: 'guess' }, decks: quality }
+            })).toEqual([
+                'categories.fence.confidence must be one of: high, medium, low',
+                'categories.decks is not a fee category'
+            ]);
+        });
+
+        test('rejects unknown collections', () => {
+            expect(feeStore.validateRecord('permits', 'x', {})).toEqual(['Unknown collection: permits']);
+        });
+    });
+
+    describe('putRecord()', () => {
+        test('bumps the version and keeps the previous version in history', () => {
+            const data = { ...houston(), processingTime: '2-3 business days' };
+            const record = feeStore.putRecord('permitFees', 'Houston, TX', data, { updatedBy: 'admin', reason: 'Faster turnaround' });
+
+            expect(record).toMatchObject({ key: 'Houston, TX', version: 2, updatedBy: 'admin', reason: 'Faster turnaround' });
+            expect(record.history).toHaveLength(1);
+            expect(record.history[0].version).toBe(1);
+            expect(record.history[0].data.processingTime).not.toBe('2-3 business days');
+            expect(houston().processingTime).toBe('2-3 business days');
+            expect(fs.writeFileSync).toHaveBeenCalled();
+            expect(fs.renameSync).toHaveBeenCalled();
+        });
+
+        test('adds new records at version 1', () => {
+            const record = feeStore.putRecord('laborTimes', 'Siding', {
+                documentPrep: 1, planDrawing: 0.5, submission: 0.5, inspection: 1, corrections: 0.5, total: 3.5
+            });
+            expect(record.version).toBe(1);
+            expect(feeStore.getCollection('laborTimes').Siding.total).toBe(3.5);
+        });
+
+        test('refuses records that fail the schema', () => {
+            expect(() => feeStore.putRecord('laborTimes', 'Siding', { total: -1 }))
+                .toThrow('Invalid laborTimes record Siding');
+        });
+
+        test('throws when the store file cannot be saved and keeps the previous version', () => {
+            const before = houston();
+            const revision = feeStore.getRevision();
+            fs.writeFileSync.mockImplementation(() => { throw new Error('ENOSPC: no space left on device'); });
+
+            expect(() => feeStore.putRecord('permitFees', 'Houston, TX', { ...before, processingTime: '2-3 business days' }))
+                .toThrow('ENOSPC');
+            expect(houston()).toBe(before);
+            expect(feeStore.getRecord('permitFees', 'Houston, TX').version).toBe(1);
+            expect(feeStore.getRevision()).toBe(revision);
+        });
+
+        test('edits reach pricing without a cache reset', () => {
+            const { calculateFullPricing } = require('../pricing-calculator');
+            const { permitFees } = require('../database-loader');
+            const before = calculateFullPricing('Houston, TX', 'Electrical', 20000);
+
+            const markup = { ...feeStore.getCollection('markupRecommendations').Electrical, laborRate: 200 };
+            feeStore.putRecord('markupRecommendations', 'Electrical', markup);
+            const fees = JSON.parse(JSON.stringify(houston()));
+            fees.electrical.baseFee += 10;
+            feeStore.putRecord('permitFees', 'Houston, TX', fees);
+
+            const after = calculateFullPricing('Houston, TX', 'Electrical', 20000);
+            expect(after.labor.hourlyRate).toBe(200);
+            expect(after.summary.recommendedCharge).toBeGreaterThan(before.summary.recommendedCharge);
+            expect(permitFees['Houston, TX'].electrical.baseFee).toBe(fees.electrical.baseFee);
+        });
+    });
+
+    describe('deleteRecord()', () => {
+        test('keeps a tombstone with history', () => {
+            const record = feeStore.deleteRecord('stateSurcharges', 'FL', { reason: 'Repealed' });
+
+            expect(record).toMatchObject({ version: 2, deleted: true, data: null, reason: 'Repealed' });
+            expect(feeStore.getCollection('stateSurcharges').FL).toBeUndefined();
+            expect(feeStore.listRecords('stateSurcharges').find(r => r.key === 'FL').deleted).toBe(true);
+            expect(feeStore.deleteRecord('stateSurcharges', 'FL')).toBeNull();
+        });
+
+        test('restoring a deleted record continues its version history', () => {
+            const data = feeStore.getCollection('stateSurcharges').FL;
+            feeStore.deleteRecord('stateSurcharges', 'FL');
+            const record = feeStore.putRecord('stateSurcharges', 'FL', data);
+
+            expect(record.version).toBe(3);
+            expect(record.deleted).toBeUndefined();
+            expect(record.history.map(h => h.version)).toEqual([1, 2]);
+        });
+    });
+
+    describe('runMigrations()', () => {
+        const migration = {
+            id: '900-raise-minimum-charge',
+            description: 'Raise the HVAC minimum charge',
+            up(store) {
+                const hvac = store.getCollection('markupRecommendations').HVAC;
+                store.putRecord('markupRecommendations', 'HVAC', { ...hvac, minimumCharge: hvac.minimumCharge + 50 });
+            }
+        };
+
+        test('applies pending migrations once and attributes their edits', () => {
+            const migrations = [...require('../migrations'), migration];
+            expect(feeStore.getPendingMigrations(migrations).map(m => m.id)).toEqual(['900-raise-minimum-charge']);
+
+            expect(feeStore.runMigrations(migrations)).toEqual(['900-raise-minimum-charge']);
+            expect(feeStore.runMigrations(migrations)).toEqual([]);
+
+            const record = feeStore.getRecord('markupRecommendations', 'HVAC');
+            expect(record).toMatchObject({ version: 2, updatedBy: 'migration:900-raise-minimum-charge' });
+            expect(feeStore.getStoreInfo().schemaVersion).toBe(migrations.length);
+        });
+
+        test('a new store is built with the same data as the committed one', () => {
+            const committed = Object.fromEntries(feeStore.COLLECTIONS.map(name => [name, feeStore.getCollection(name)]));
+            jest.resetModules();
+            require('fs').existsSync.mockReturnValue(false);
+            const newStore = require('../fee-store');
+            expect(newStore.getCollection('permitFees')).toEqual({});
+
+            newStore.runMigrations();
+
+            for (const name of newStore.COLLECTIONS) {
+                expect([name, newStore.getCollection(name)]).toEqual([name, committed[name]]);
+            }
+            expect(newStore.getRecord('permitFees', 'Houston, TX').updatedBy).toBe('migration:001-create-collections');
+        });
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ * fs stubs for suites that jest.mock('fs'): reads of the committed fee store
+ * (data/fee-store/) go to the real files, every other path to the suite's stub.
+ *
+ *   fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+ *   fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+ */
+
+const path = require('path');
+
+const actualFs = jest.requireActual('fs');
+const FEE_STORE_DIR = path.join(__dirname, '..', '..', 'data', 'fee-store');
+
+const isStoreFile = (file) => String(file).startsWith(FEE_STORE_DIR + path.sep);
+
+function existsWithFeeStore(exists = () => false) {
+    return (file, ...args) => (isStoreFile(file) ? actualFs.existsSync(file) : exists(file, ...args));
+}
+
+function readWithFeeStore(read = () => '{}') {
+    return (file, ...args) => (isStoreFile(file) ? actualFs.readFileSync(file, ...args) : read(file, ...args));
+}
+
+module.exports = {
+    FEE_STORE_DIR,
+    existsWithFeeStore,
+    readWithFeeStore
+};
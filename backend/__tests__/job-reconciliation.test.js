@@ -0,0 +1,184 @@
+/**
+ * Test Suite: Job Reconciliation
+ * Saved quotes, recorded actuals, estimation error reports and labor calibration
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+let fs, jobReconciliation;
+
+const HOUSTON = { jobType: 'Electrical', city: 'Houston', state: 'TX', projectValue: 20000 };
+
+beforeEach(() => {
+    jest.resetModules();
+    fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.unlinkSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+
+    jobReconciliation = require('../job-reconciliation');
+    jobReconciliation.reset();
+});
+
+describe('Job Reconciliation', () => {
+    describe('validateActuals()', () => {
+        test('accepts fees, hours per labor task and correction cycles', () => {
+            expect(jobReconciliation.validateActuals({
+                feePaid: 142.5,
+                hours: { documentPrep: 2, corrections: 1.5 },
+                correctionCycles: 1,
+                completedAt: '2025-11-01'
+            })).toEqual([]);
+        });
+
+        test('requires fees or hours', () => {
+            expect(jobReconciliation.validateActuals({ correctionCycles: 1 })).toEqual(['Provide feePaid, hours, or both']);
+        });
+
+        test('rejects unknown tasks and bad values', () => {
+            expect(jobReconciliation.validateActuals({
+                feePaid: -5,
+                hours: { driving: 1, submission: 'two' },
+                correctionCycles: 1.5
+            })).toEqual([
+                'feePaid must be a non-negative number',
+                'hours.driving is not a labor task (documentPrep, planDrawing, submission, inspection, corrections)',
+                'hours.submission must be a non-negative number',
+                'correctionCycles must be a non-negative whole number'
+            ]);
+        });
+    });
+
+    describe('createQuote()', () => {
+        test('snapshots the estimate from calculateFullPricing', () => {
+            const { calculateFullPricing } = require('../pricing-calculator');
+            const pricing = calculateFullPricing('Houston, TX', 'Electrical', 20000);
+            const quote = jobReconciliation.createQuote(HOUSTON);
+
+            expect(quote).toMatchObject({
+                jurisdiction: 'Houston, TX',
+                jobType: 'Electrical',
+                profileId: null,
+                actual: null
+            });
+            expect(quote.estimate.totalFees).toBe(pricing.permitFee.totalFees);
+            expect(quote.estimate.recommendedCharge).toBe(pricing.summary.recommendedCharge);
+            expect(quote.estimate.laborHours.documentPrep).toBe(pricing.labor.breakdown.documentPrep.hours);
+            expect(fs.writeFileSync).toHaveBeenCalled();
+        });
+
+        test('prices with the contractor profile', () => {
+            const profile = { id: 'p1', name: 'Crew', laborRate: 140 };
+            const quote = jobReconciliation.createQuote(HOUSTON, profile);
+
+            expect(quote.profileId).toBe('p1');
+            expect(quote.estimate.laborRate).toBe(140);
+        });
+    });
+
+    describe('recordActuals()', () => {
+        test('computes fee, hours and profit variance', () => {
+            const quote = jobReconciliation.createQuote(HOUSTON);
+            const { estimate } = quote;
+            const updated = jobReconciliation.recordActuals(quote.id, {
+                feePaid: estimate.totalFees + 20,
+                hours: { documentPrep: estimate.laborHours.documentPrep + 1 },
+                correctionCycles: 2
+            });
+
+            expect(updated.variance.fee.error).toBe(20);
+            expect(updated.variance.hours).toEqual({
+                documentPrep: { estimated: estimate.laborHours.documentPrep, actual: estimate.laborHours.documentPrep + 1, error: 1 }
+            });
+            expect(updated.variance.totalHours.error).toBe(1);
+            expect(updated.variance.profit.realized)
+                .toBeCloseTo(updated.variance.profit.estimated - 20 - estimate.laborRate, 2);
+        });
+
+        test('returns null for unknown quotes', () => {
+            expect(jobReconciliation.recordActuals('missing', { feePaid: 10 })).toBeNull();
+        });
+    });
+
+    describe('getReconciliationReport()', () => {
+        test('groups estimation error by jurisdiction and trade', () => {
+            [10, 30].forEach(extra => {
+                const quote = jobReconciliation.createQuote(HOUSTON);
+                jobReconciliation.recordActuals(quote.id, { feePaid: quote.estimate.totalFees + extra, correctionCycles: 1 });
+            });
+            jobReconciliation.createQuote({ ...HOUSTON, jobType: 'Plumbing' });
+
+            const report = jobReconciliation.getReconciliationReport();
+            expect(report.quotes).toBe(3);
+            expect(report.reconciled).toBe(2);
+            expect(report.groups).toHaveLength(1);
+            expect(report.groups[0]).toMatchObject({
+                jurisdiction: 'Houston, TX',
+                jobType: 'Electrical',
+                jobs: 2,
+                fee: { jobs: 2, meanError: 20 },
+                correctionCycles: { jobs: 2, mean: 1 }
+            });
+        });
+
+        test('filters by profile', () => {
+            const quote = jobReconciliation.createQuote(HOUSTON, { id: 'p1', name: 'Crew' });
+            jobReconciliation.recordActuals(quote.id, { feePaid: 100 });
+            jobReconciliation.recordActuals(jobReconciliation.createQuote(HOUSTON).id, { feePaid: 100 });
+
+            expect(jobReconciliation.getReconciliationReport({ profileId: 'p1' }).reconciled).toBe(1);
+        });
+    });
+
+    describe('suggestLaborTimes()', () => {
+        const profile = {
+            id: 'p1',
+            name: 'Crew',
+            trades: { Electrical: { laborRate: 120, laborHours: { inspection: 0.5 } } }
+        };
+
+        function recordJobs(hoursList) {
+            hoursList.forEach(hours => {
+                const quote = jobReconciliation.createQuote(HOUSTON, profile);
+                jobReconciliation.recordActuals(quote.id, { hours });
+            });
+        }
+
+        test('averages actual hours once a task has enough jobs', () => {
+            recordJobs([
+                { documentPrep: 2, submission: 1 },
+                { documentPrep: 3 },
+                { documentPrep: 2.5 }
+            ]);
+
+            const suggestions = jobReconciliation.suggestLaborTimes(profile);
+            expect(suggestions.trades.Electrical).toMatchObject({
+                jobs: 3,
+                basedOn: { documentPrep: 3 },
+                current: { documentPrep: 1.5 },
+                laborHours: { documentPrep: 2.5 }
+            });
+        });
+
+        test('builds a profile update that keeps existing trade overrides', () => {
+            recordJobs([{ documentPrep: 2 }, { documentPrep: 2 }, { documentPrep: 2 }]);
+
+            expect(jobReconciliation.suggestLaborTimes(profile).profileUpdate).toEqual({
+                trades: { Electrical: { laborRate: 120, laborHours: { inspection: 0.5, documentPrep: 2 } } }
+            });
+        });
+
+        test('honors minJobs and ignores other profiles', () => {
+            recordJobs([{ documentPrep: 2 }]);
+            jobReconciliation.recordActuals(jobReconciliation.createQuote(HOUSTON).id, { hours: { documentPrep: 9 } });
+
+            expect(jobReconciliation.suggestLaborTimes(profile).trades).toEqual({});
+            expect(jobReconciliation.suggestLaborTimes(profile, { minJobs: 1 }).trades.Electrical.laborHours)
+                .toEqual({ documentPrep: 2 });
+        });
+    });
+});
@@ -196,6 +196,19 @@ describe('Jurisdiction Comparison Engine', () => {
                 expect(result.comparisons).toHaveLength(2);
             });
         });
+
+        test('should price with a contractor profile when given', () => {
+            const profile = { id: 'crew-1', name: 'Crew', laborRate: 150 };
+            const defaults = compareJurisdictions(testJurisdictions, jobType);
+            const withProfile = compareJurisdictions(testJurisdictions, jobType, { profile });
+
+            expect(withProfile.profile).toEqual({ id: 'crew-1', name: 'Crew' });
+            expect(defaults.profile).toBeNull();
+            withProfile.comparisons.forEach(comp => {
+                const base = defaults.comparisons.find(c => c.location === comp.location);
+                expect(comp.pricing.laborCost).toBeGreaterThan(base.pricing.laborCost);
+            });
+        });
     });
 
     describe('identifyKeyDifferences()', () => {
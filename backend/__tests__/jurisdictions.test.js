@@ -0,0 +1,148 @@
+/**
+ * Test Suite: Jurisdiction Hierarchy
+ * State → county → city resolution, inheritance of fees, forms and tips,
+ * and overlay districts
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+let feeStore, jurisdictions, detectRegion, getPermitFeeData;
+
+beforeEach(() => {
+    jest.resetModules();
+    const fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore());
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.renameSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+
+    feeStore = require('../fee-store');
+    jurisdictions = require('../jurisdictions');
+    ({ detectRegion, getPermitFeeData } = require('../permit-fee-database'));
+});
+
+describe('Jurisdiction Hierarchy', () => {
+    describe('getAncestry()', () => {
+        test('walks from an unincorporated place up to its state', () => {
+            expect(jurisdictions.getAncestry('Kendall, FL')).toEqual([
+                'Kendall, FL',
+                'Unincorporated Miami-Dade County, FL',
+                'Miami-Dade County, FL',
+                'FL'
+            ]);
+        });
+
+        test('places outside the hierarchy still inherit from their state', () => {
+            expect(jurisdictions.getAncestry('Dallas, TX')).toEqual(['Dallas, TX', 'TX']);
+            expect(jurisdictions.getAncestry('Some Place')).toEqual(['Some Place']);
+        });
+
+        test('survives parent cycles', () => {
+            feeStore.putRecord('jurisdictions', 'Loop A, TX', { type: 'city', name: 'Loop A', parent: 'Loop B, TX' });
+            feeStore.putRecord('jurisdictions', 'Loop B, TX', { type: 'city', name: 'Loop B', parent: 'Loop A, TX' });
+            expect(jurisdictions.getAncestry('Loop A, TX')).toEqual(['Loop A, TX', 'Loop B, TX']);
+        });
+    });
+
+    describe('detectRegion()', () => {
+        test('resolves unincorporated areas to the county that permits them', () => {
+            expect(detectRegion('Kendall, FL')).toBe('Miami-Dade County, FL');
+            expect(detectRegion('Unincorporated Miami-Dade County, FL')).toBe('Miami-Dade County, FL');
+            expect(getPermitFeeData('Kendall, FL').isEstimate).toBe(false);
+        });
+
+        test('cities with their own data keep it', () => {
+            expect(detectRegion('Miami, FL')).toBe('Miami, FL');
+        });
+
+        test('falls back to regional defaults when no authority has data', () => {
+            expect(detectRegion('Fort Lauderdale, FL')).toBe('default-southeast');
+            expect(getPermitFeeData('Fort Lauderdale, FL').isEstimate).toBe(true);
+        });
+
+        test('pricing uses the inherited county fees as verified data', () => {
+            const { calculateFullPricing } = require('../pricing-calculator');
+            const kendall = calculateFullPricing('Kendall, FL', 'Electrical', 20000, { trace: true });
+            const county = calculateFullPricing('Miami-Dade County, FL', 'Electrical', 20000);
+
+            expect(kendall.permitFee.permitFee).toBe(county.permitFee.permitFee);
+            expect(kendall.dataQuality.isEstimated).toBe(false);
+            expect(kendall.trace.jurisdiction).toMatchObject({ resolved: 'Miami-Dade County, FL', method: 'hierarchy' });
+            expect(kendall.trace.inputs.find(i => i.name.endsWith('electrical.baseFee')).inheritedFrom)
+                .toBe('Miami-Dade County, FL');
+        });
+    });
+
+    describe('overlay districts', () => {
+        test('apply to the district members and their descendants', () => {
+            const keys = (location) => jurisdictions.getOverlayDistricts(location).map(d => d.key);
+            expect(keys('Miami, FL')).toEqual(['High-Velocity Hurricane Zone, FL']);
+            expect(keys('Kendall, FL')).toEqual(['High-Velocity Hurricane Zone, FL']);
+            expect(keys('Orlando, FL')).toEqual([]);
+        });
+
+        test('add their surcharges to the permit', () => {
+            feeStore.putRecord('jurisdictions', 'Test Levy District, FL', {
+                type: 'district',
+                name: 'Test Levy District',
+                appliesTo: ['Miami-Dade County, FL'],
+                surcharges: [{ name: 'District Levy', type: 'flat', amount: 12, source: 'Test ordinance' }]
+            });
+            const { calculateFullPricing } = require('../pricing-calculator');
+            const pricing = calculateFullPricing('Kendall, FL', 'Electrical', 20000, { trace: true });
+
+            const levy = pricing.permitFee.surcharges.items.find(item => item.name === 'District Levy');
+            expect(levy).toMatchObject({ amount: 12, level: 'district', district: 'Test Levy District, FL' });
+            expect(pricing.trace.inputs.find(i => i.name === 'surcharge: District Levy').source)
+                .toBe('fee-store jurisdictions.Test Levy District, FL.surcharges');
+        });
+    });
+
+    describe('inherited tips and forms', () => {
+        test('tips come from the place, its ancestors and its districts', () => {
+            const { getPaperworkTips } = require('../permit-paperwork');
+
+            expect(getPaperworkTips('San Diego, CA', 'HVAC')).toContain('Energy code compliance (Title 24) required for most projects');
+            expect(getPaperworkTips('Kendall, FL', 'Electrical').some(tip => tip.includes('Notice of Acceptance'))).toBe(true);
+            expect(jurisdictions.getInheritedTips('New York, NY')[0]).toContain('DOB NOW');
+        });
+
+        test('forms are inherited from the nearest authority that has them', () => {
+            const { getFormsForTrade } = require('../permit-paperwork-database');
+            const { getRequiredPaperwork } = require('../permit-paperwork');
+            feeStore.putRecord('jurisdictions', 'Test Annex, FL', { type: 'unincorporated', name: 'Test Annex', parent: 'Miami, FL' });
+
+            expect(getFormsForTrade('Test Annex, FL', 'Electrical')).toBe(getFormsForTrade('Miami, FL', 'Electrical'));
+            expect(getRequiredPaperwork('Test Annex, FL', 'Electrical').formsJurisdiction).toBe('Miami, FL');
+            expect(getFormsForTrade('Kendall, FL', 'Electrical')).toEqual([]);
+        });
+    });
+
+    describe('describeJurisdiction()', () => {
+        test('reports the chain, data authorities and districts', () => {
+            const { permitFees } = require('../database-loader');
+            const description = jurisdictions.describeJurisdiction('Kendall, FL', { fees: key => Boolean(permitFees[key]) });
+
+            expect(description.chain.map(c => c.type)).toEqual(['unincorporated', 'unincorporated', 'county', 'state']);
+            expect(description.authorities).toEqual({ fees: 'Miami-Dade County, FL' });
+            expect(description.districts[0]).toMatchObject({ key: 'High-Velocity Hurricane Zone, FL', name: 'High-Velocity Hurricane Zone' });
+        });
+    });
+
+    describe('validation', () => {
+        test('checks types, parents and district membership', () => {
+            const validate = (key, data) => feeStore.validateRecord('jurisdictions', key, data);
+
+            expect(validate('FL', { type: 'state', name: 'Florida', parent: null })).toEqual([]);
+            expect(validate('Florida', { type: 'state', name: 'Florida' })).toEqual(['state keys must be a two-letter state code']);
+            expect(validate('Hialeah, FL', { type: 'city', name: 'Hialeah' })).toEqual(['a city needs a parent jurisdiction']);
+            expect(validate('Zone, FL', { type: 'district', name: 'Zone', appliesTo: [] }))
+                .toEqual(['appliesTo must list the jurisdictions the district overlays']);
+            expect(validate('Hamlet, NY', { type: 'hamlet', name: 'Hamlet', parent: 'NY' }))
+                .toEqual(['type must be one of: state, county, city, unincorporated, district']);
+        });
+    });
+});
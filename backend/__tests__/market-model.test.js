@@ -0,0 +1,192 @@
+/**
+ * Test Suite: Market Model
+ * Layered competitive market figures with admin overrides and citations
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+let fs, dataEvents, loader, marketModel, calculateFullPricing, generateComparisonSheet;
+
+const SOURCE = { name: 'Houston expediter survey', url: 'https://example.com/survey', asOf: '2025-10-01' };
+
+beforeEach(() => {
+    jest.resetModules();
+    fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => false));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.unlinkSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+
+    dataEvents = require('../data-events');
+    loader = require('../database-loader').loader;
+    marketModel = require('../market-model');
+    marketModel.reset();
+    ({ calculateFullPricing } = require('../pricing-calculator'));
+    ({ generateComparisonSheet } = require('../client-templates'));
+});
+
+describe('Market Model', () => {
+    describe('validateMarketOverride()', () => {
+        test('accepts a cited override with trade entries', () => {
+            expect(marketModel.validateMarketOverride('Houston, TX', {
+                laborIndex: 0.9,
+                expediter: { flatFee: 400, permitFeeMultiplier: 2 },
+                competitorBids: { low: 400, typical: 600, high: 900 },
+                source: SOURCE,
+                trades: { Electrical: { laborIndex: 0.95 } }
+            })).toEqual([]);
+        });
+
+        test('requires a source', () => {
+            expect(marketModel.validateMarketOverride('Houston, TX', { laborIndex: 0.9 }))
+                .toEqual(['source.name is required (cite where the figures come from)']);
+        });
+
+        test('rejects unknown jurisdictions and trades', () => {
+            expect(marketModel.validateMarketOverride('Gotham, NY', { source: SOURCE }))
+                .toEqual(['Unknown jurisdiction: Gotham, NY']);
+            expect(marketModel.validateMarketOverride('Houston, TX', { source: SOURCE, trades: { Juggling: {} } }))
+                .toEqual(['Unknown trade: Juggling']);
+        });
+
+        test('rejects out-of-order bids and bad numbers', () => {
+            const errors = marketModel.validateMarketOverride('Houston, TX', {
+                source: SOURCE,
+                laborIndex: 0,
+                expediter: { flatFee: 400 },
+                competitorBids: { low: 900, typical: 600, high: 1000 }
+            });
+            expect(errors).toEqual([
+                'laborIndex must be a positive number (1.0 = national average)',
+                'expediter.permitFeeMultiplier must be a non-negative number',
+                'competitorBids must satisfy low <= typical <= high'
+            ]);
+        });
+    });
+
+    describe('resolveMarketModel()', () => {
+        test('uses the cited database default without overrides', () => {
+            const model = marketModel.resolveMarketModel('Houston, TX', 'Electrical');
+
+            expect(model).toMatchObject({
+                jurisdiction: 'Houston, TX',
+                laborIndex: 1,
+                unlicensedPermitFeeFactor: 0.5,
+                expediter: { flatFee: 500, permitFeeMultiplier: 2.5 },
+                competitorBids: null
+            });
+            expect(model.citations.expediter).toMatchObject({ name: 'Permit tool baseline estimate', level: 'default' });
+        });
+
+        test('layers admin overrides field by field, trade entries last', () => {
+            marketModel.setMarketOverride('Houston, TX', {
+                laborIndex: 0.9,
+                source: SOURCE,
+                trades: { Electrical: { laborIndex: 0.95, source: { name: 'Electrician bids' } } }
+            });
+
+            const electrical = marketModel.resolveMarketModel('Houston, TX', 'Electrical');
+            const plumbing = marketModel.resolveMarketModel('Houston, TX', 'Plumbing');
+
+            expect(electrical.laborIndex).toBe(0.95);
+            expect(electrical.citations.laborIndex).toEqual({ name: 'Electrician bids', level: 'admin (Electrical)' });
+            expect(plumbing.laborIndex).toBe(0.9);
+            expect(plumbing.citations.laborIndex).toMatchObject({ name: 'Houston expediter survey', level: 'admin' });
+            expect(plumbing.citations.expediter.level).toBe('default');
+        });
+
+        test('applies regional default overrides to cities without their own data', () => {
+            marketModel.setMarketOverride('default-texas', { laborIndex: 0.85, source: SOURCE });
+            expect(marketModel.resolveMarketModel('Dallas, TX', 'HVAC')).toMatchObject({
+                jurisdiction: 'default-texas',
+                laborIndex: 0.85
+            });
+        });
+    });
+
+    describe('persistence', () => {
+        test('saves overrides and deletes them', () => {
+            marketModel.setMarketOverride('Houston, TX', { laborIndex: 0.9, source: SOURCE });
+            expect(fs.writeFileSync).toHaveBeenCalled();
+            expect(marketModel.getMarketOverrides()['Houston, TX'].updatedAt).toBeDefined();
+
+            expect(marketModel.deleteMarketOverride('Houston, TX')).toBe(true);
+            expect(marketModel.deleteMarketOverride('Houston, TX')).toBe(false);
+        });
+
+        test('loads saved overrides', () => {
+            fs.existsSync.mockImplementation(existsWithFeeStore(() => true));
+            fs.readFileSync.mockImplementation(readWithFeeStore(() => JSON.stringify({ 'Houston, TX': { laborIndex: 0.8, source: SOURCE } })));
+            marketModel.load();
+            expect(marketModel.resolveMarketModel('Houston, TX', 'Electrical').laborIndex).toBe(0.8);
+        });
+    });
+
+    describe('competitive pricing', () => {
+        test('default model keeps the baseline multipliers', () => {
+            const pricing = calculateFullPricing('Houston, TX', 'Electrical', 20000);
+            const { permitFee } = pricing.permitFee;
+
+            expect(pricing.competitive.unlicensedContractorPrice).toBe(Math.round(permitFee * 0.5));
+            expect(pricing.competitive.expediterServicePrice).toBe(Math.round(permitFee * 2.5 + 500));
+            expect(pricing.competitive.licensedCompetitorBid.estimated).toBe(true);
+        });
+
+        test('estimated competitor bids scale with the labor index', () => {
+            const before = calculateFullPricing('Houston, TX', 'Electrical', 20000).competitive.licensedCompetitorBid.typical;
+            marketModel.setMarketOverride('Houston, TX', { laborIndex: 1.5, source: SOURCE });
+            const after = calculateFullPricing('Houston, TX', 'Electrical', 20000).competitive.licensedCompetitorBid.typical;
+
+            expect(after).toBeGreaterThan(before);
+        });
+
+        test('saving or deleting an override drops prices cached before it', () => {
+            // The server clears its response cache the same way
+            const cache = new Map();
+            dataEvents.onDataChanged(() => cache.clear());
+            const cachedBid = () => {
+                if (!cache.has('Houston, TX')) {
+                    cache.set('Houston, TX', calculateFullPricing('Houston, TX', 'Electrical', 20000).competitive.licensedCompetitorBid.typical);
+                }
+                return cache.get('Houston, TX');
+            };
+            const before = cachedBid();
+            loader.getDataVersion();
+
+            marketModel.setMarketOverride('Houston, TX', { laborIndex: 1.5, source: SOURCE });
+            expect(cachedBid()).toBeGreaterThan(before);
+            expect(loader.getDataVersion().changes).toEqual([expect.objectContaining({ source: 'market-model', jurisdiction: 'Houston, TX' })]);
+
+            marketModel.deleteMarketOverride('Houston, TX');
+            expect(cachedBid()).toBe(before);
+        });
+
+        test('uses configured expediter rates and competitor bids', () => {
+            marketModel.setMarketOverride('Houston, TX', {
+                expediter: { flatFee: 300, permitFeeMultiplier: 1 },
+                competitorBids: { low: 450, typical: 600, high: 850 },
+                source: SOURCE
+            });
+            const pricing = calculateFullPricing('Houston, TX', 'Electrical', 20000);
+
+            expect(pricing.competitive.expediterServicePrice).toBe(pricing.permitFee.permitFee + 300);
+            expect(pricing.competitive.licensedCompetitorBid).toEqual({ low: 450, typical: 600, high: 850, estimated: false });
+        });
+
+        test('comparison sheet shows market prices with their sources', () => {
+            marketModel.setMarketOverride('Houston, TX', {
+                competitorBids: { low: 450, typical: 600, high: 850 },
+                source: SOURCE
+            });
+            const content = generateComparisonSheet(calculateFullPricing('Houston, TX', 'Electrical', 20000)).content;
+
+            expect(content).toContain('WHAT OTHERS CHARGE');
+            expect(content).toContain('$450-850 (typical $600)');
+            expect(content).toContain('Houston expediter survey (2025-10-01) - https://example.com/survey');
+            expect(content).toContain('Permit tool baseline estimate (2025-11-16)');
+        });
+    });
+});
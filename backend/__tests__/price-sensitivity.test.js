@@ -0,0 +1,118 @@
+/**
+ * Test Suite: Price Sensitivity
+ * projectValue sweeps with min/max fee breakpoints
+ */
+
+const { validateSweepOptions, calculatePriceSensitivity } = require('../price-sensitivity');
+const { calculateFullPricing } = require('../pricing-calculator');
+
+describe('Price Sensitivity', () => {
+    describe('validateSweepOptions()', () => {
+        test('accepts defaults and explicit ranges', () => {
+            expect(validateSweepOptions()).toEqual([]);
+            expect(validateSweepOptions({ minValue: 0, maxValue: 20000, steps: 10 })).toEqual([]);
+        });
+
+        test('rejects inverted ranges and bad step counts', () => {
+            expect(validateSweepOptions({ minValue: 5000, maxValue: 1000 })).toEqual(['maxValue must be greater than minValue']);
+            expect(validateSweepOptions({ steps: 1 })[0]).toContain('steps');
+            expect(validateSweepOptions({ steps: 500 })[0]).toContain('steps');
+            expect(validateSweepOptions({ minValue: '1000' })).toEqual(['minValue must be a non-negative number']);
+        });
+    });
+
+    describe('calculatePriceSensitivity()', () => {
+        // Houston electrical: $70 base + 0.5% of value, capped at $1600
+        const houston = calculatePriceSensitivity('Houston, TX', 'Electrical', { minValue: 0, maxValue: 400000, steps: 10 });
+
+        test('prices each point with calculateFullPricing', () => {
+            const point = houston.points.find(p => p.projectValue === 120000);
+            const pricing = calculateFullPricing('Houston, TX', 'Electrical', 120000);
+
+            expect(point.permitFee).toBe(pricing.permitFee.permitFee);
+            expect(point.recommendedCharge).toBe(pricing.summary.recommendedCharge);
+            expect(point.profitMargin).toBe(pricing.summary.profitMargin);
+        });
+
+        test('marks where the fee hits the cap', () => {
+            const cap = houston.breakpoints.find(b => b.type === 'maximumFee');
+            const { baseFee, valuationRate, maxFee } = houston.fee;
+
+            expect(cap.projectValue).toBe(Math.round((maxFee - baseFee) / valuationRate));
+            expect(cap.inRange).toBe(true);
+
+            const marked = houston.points.find(p => p.projectValue === cap.projectValue);
+            expect(marked.breakpoints).toContain('maximumFee');
+            expect(marked.permitFee).toBe(maxFee);
+            expect(houston.points[houston.points.length - 1].feeRegion).toBe('maximum');
+        });
+
+        test('fees never decrease as the project grows', () => {
+            for (let i = 1; i < houston.points.length; i++) {
+                expect(houston.points[i].permitFee).toBeGreaterThanOrEqual(houston.points[i - 1].permitFee);
+            }
+        });
+
+        test('marks where the fee leaves the minimum', () => {
+            // Phoenix electrical: $150 base + 0.3% of value, $300 minimum
+            const result = calculatePriceSensitivity('Phoenix, AZ', 'Electrical', { minValue: 1000, maxValue: 100000, steps: 5 });
+            const min = result.breakpoints.find(b => b.type === 'minimumFee');
+
+            expect(min.projectValue).toBe(50000);
+            expect(result.points[0].feeRegion).toBe('minimum');
+            expect(result.points[0].permitFee).toBe(300);
+            expect(result.points[result.points.length - 1].feeRegion).toBe('valuation');
+        });
+
+        test('has no minimum breakpoint when the base fee already meets the minimum', () => {
+            const result = calculatePriceSensitivity('Austin, TX', 'Electrical');
+            expect(result.breakpoints.map(b => b.type)).not.toContain('minimumFee');
+        });
+
+        test('includes plan review and over-the-counter thresholds', () => {
+            const result = calculatePriceSensitivity('Los Angeles, CA', 'Electrical', { scope: 'Repair/Service' });
+            const types = result.breakpoints.map(b => b.type);
+
+            expect(types).toContain('planReview');
+            expect(types).toContain('overTheCounter');
+            expect(result.breakpoints.find(b => b.type === 'planReview').inRange).toBe(false);
+        });
+
+        test('skips over-the-counter for scopes that do not qualify', () => {
+            const result = calculatePriceSensitivity('Los Angeles, CA', 'Electrical', { scope: 'New Installation' });
+            expect(result.breakpoints.map(b => b.type)).not.toContain('overTheCounter');
+        });
+
+        test('default range extends past the fee cap', () => {
+            const result = calculatePriceSensitivity('Houston, TX', 'Plumbing');
+            const cap = result.breakpoints.find(b => b.type === 'maximumFee');
+
+            expect(result.range.minValue).toBe(1000);
+            expect(result.range.maxValue).toBeGreaterThan(cap.projectValue);
+            expect(result.points.length).toBeGreaterThanOrEqual(21);
+        });
+
+        test('a maxValue below the default minimum sweeps up from zero', () => {
+            const result = calculatePriceSensitivity('Houston, TX', 'Plumbing', { maxValue: 500, steps: 5 });
+            const values = result.points.map(p => p.projectValue);
+
+            expect(result.range).toEqual({ minValue: 0, maxValue: 500, steps: 5 });
+            expect(values).toEqual([...values].sort((a, b) => a - b));
+            expect(values[0]).toBe(100);
+            expect(values[values.length - 1]).toBe(500);
+        });
+
+        test('rule-based fees stay flat across the sweep', () => {
+            const result = calculatePriceSensitivity('San Diego, CA', 'Electrical', {
+                quantities: { circuits: 8 },
+                minValue: 1000,
+                maxValue: 50000,
+                steps: 4
+            });
+
+            expect(result.fee.ruleBased).toBe(true);
+            expect(new Set(result.points.map(p => p.permitFee)).size).toBe(1);
+            expect(result.points.every(p => p.feeRegion === 'rule')).toBe(true);
+        });
+    });
+});
@@ -85,6 +85,35 @@ describe('Pricing Calculator', () => {
             expect(result.permitFee.permitFee).toBeGreaterThan(0);
         });
 
+        test('should price San Diego electrical per circuit when circuits are given', () => {
+            const fiveCircuits = calculateFullPricing('San Diego, CA', 'Electrical', 5000, { quantities: { circuits: 5 } });
+            const eightCircuits = calculateFullPricing('San Diego, CA', 'Electrical', 5000, { quantities: { circuits: 8 } });
+
+            expect(fiveCircuits.permitFee.feeMethod).toBe('rule');
+            expect(fiveCircuits.permitFee.permitFee).toBe(165);
+            expect(eightCircuits.permitFee.permitFee).toBe(Math.round(164.63 + 3 * 48.85));
+        });
+
+        test('should fall back to valuation pricing when the rule quantity is missing', () => {
+            const result = calculateFullPricing('San Diego, CA', 'Electrical', 5000, { quantities: { fixtures: 4 } });
+
+            expect(result.permitFee.feeMethod).toBe('valuation');
+            expect(result.permitFee.feeRule).toBeNull();
+        });
+
+        test('should not price San Francisco electrical by outlet count without published brackets', () => {
+            const result = calculateFullPricing('San Francisco, CA', 'Electrical', 5000, { quantities: { outlets: 30 } });
+
+            expect(result.permitFee.feeRule).toBeNull();
+            expect(result.permitFee.permitFee).toBe(405);
+        });
+
+        test('should clamp rule-based fees to the max fee', () => {
+            const result = calculateFullPricing('San Diego, CA', 'Electrical', 5000, { quantities: { circuits: 200 } });
+
+            expect(result.permitFee.permitFee).toBe(result.permitFee.maxFee);
+        });
+
         test('should calculate competitive intelligence', () => {
             const result = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000);
 
@@ -95,6 +124,198 @@ describe('Pricing Calculator', () => {
         });
     });
 
+    describe('Plan review fees', () => {
+        test('should add LA electrical plan check over $500 valuation', () => {
+            const result = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000);
+
+            expect(result.permitFee.planReview.required).toBe(true);
+            expect(result.permitFee.planReview.fee).toBe(50);
+            expect(result.permitFee.totalFees).toBeCloseTo(result.permitFee.permitFee + 50 + result.permitFee.surcharges.total, 2);
+        });
+
+        test('should skip LA plan check at or below $500 valuation', () => {
+            const result = calculateFullPricing('Los Angeles, CA', 'Electrical', 500);
+
+            expect(result.permitFee.planReview.required).toBe(false);
+            expect(result.permitFee.planReview.fee).toBe(0);
+        });
+
+        test('should cite the fee schedule behind a plan review amount', () => {
+            const result = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000);
+
+            expect(result.permitFee.planReview.source).toMatchObject({ url: expect.stringContaining('ladbs.org') });
+        });
+
+        test('should report uncited plan review as may apply without a fee', () => {
+            const result = calculateFullPricing('Phoenix, AZ', 'Electrical', 5000, { scope: 'New Installation' });
+
+            expect(result.permitFee.planReview).toMatchObject({ required: false, mayApply: true, fee: 0 });
+            expect(result.permitFee.totalFees).toBeCloseTo(result.permitFee.permitFee + result.permitFee.surcharges.total, 2);
+        });
+
+        test('should skip plan review for scopes outside the trigger list', () => {
+            const result = calculateFullPricing('Phoenix, AZ', 'Electrical', 5000, { scope: 'Repair/Service' });
+
+            expect(result.permitFee.planReview.required).toBe(false);
+        });
+
+        test('should include plan review in total cost and the client charge', () => {
+            const result = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000);
+
+            expect(result.summary.totalCost).toBeCloseTo(result.permitFee.totalFees + result.labor.laborCost, 2);
+            expect(result.clientCharge.planReviewFee).toBe(50);
+        });
+
+        test('should not add plan review where none is modeled', () => {
+            const result = calculateFullPricing('Houston, TX', 'Electrical', 5000);
+
+            expect(result.permitFee.planReview.required).toBe(false);
+            expect(result.permitFee.totalFees).toBe(result.permitFee.permitFee);
+        });
+    });
+
+    describe('Pricing scenarios', () => {
+        const startDate = '2025-03-03';
+
+        test('standard scenario matches the main summary', () => {
+            const result = calculateFullPricing('Houston, TX', 'Plumbing', 5000, { startDate });
+            const standard = result.scenarios.find(s => s.key === 'standard');
+
+            expect(result.scenarios[0]).toBe(standard);
+            expect(standard.recommendedCharge).toBe(result.summary.recommendedCharge);
+            expect(standard.totalCost).toBe(result.summary.totalCost);
+            expect(standard.profitMargin).toBe(result.summary.profitMargin);
+        });
+
+        test('expedited scenario prices the expedite fee with markup', () => {
+            const result = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000, { startDate });
+            const standard = result.scenarios.find(s => s.key === 'standard');
+            const expedited = result.scenarios.find(s => s.key === 'expedited');
+
+            expect(expedited.expediteFee).toBe(250);
+            expect(expedited.totalCost - standard.totalCost).toBe(250);
+            expect(expedited.recommendedCharge).toBeGreaterThan(standard.recommendedCharge + 250);
+            expect(expedited.processingTime).toBe('3-5 days');
+        });
+
+        test('issue dates are derived from processing times', () => {
+            const result = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000, { startDate });
+            const standard = result.scenarios.find(s => s.key === 'standard');
+            const expedited = result.scenarios.find(s => s.key === 'expedited');
+
+            // '2-4 weeks' and '3-5 days'
+            expect(standard.issueDate).toEqual({ earliest: '2025-03-17', expected: '2025-03-24', latest: '2025-03-31' });
+            expect(expedited.issueDate).toEqual({ earliest: '2025-03-06', expected: '2025-03-07', latest: '2025-03-08' });
+        });
+
+        test('offers over-the-counter permits for qualifying jobs', () => {
+            const result = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000, { scope: 'Replacement', startDate });
+            const otc = result.scenarios.find(s => s.key === 'overTheCounter');
+
+            expect(otc).toBeDefined();
+            expect(otc.planReviewFee).toBe(0);
+            expect(otc.issueDate.expected).toBe(startDate);
+            expect(otc.recommendedCharge).toBeLessThan(result.summary.recommendedCharge);
+        });
+
+        test('does not offer over-the-counter permits outside the eligible scope or valuation', () => {
+            const newInstall = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000, { scope: 'New Installation' });
+            const large = calculateFullPricing('Los Angeles, CA', 'Electrical', 50000, { scope: 'Replacement' });
+            const noProgram = calculateFullPricing('Chicago, IL', 'Electrical', 5000, { scope: 'Replacement' });
+
+            for (const result of [newInstall, large, noProgram]) {
+                expect(result.scenarios.map(s => s.key)).not.toContain('overTheCounter');
+            }
+        });
+    });
+
+    describe('Estimate ranges', () => {
+        test('verified jurisdictions have no range', () => {
+            expect(calculateFullPricing('Los Angeles, CA', 'Electrical', 5000).range).toBeNull();
+        });
+
+        test('regional estimates return low/expected/high around the point value', () => {
+            const result = calculateFullPricing('Fresno, CA', 'Electrical', 5000);
+            const { totalFees, recommendedCharge } = result.range;
+
+            expect(totalFees.expected).toBe(result.permitFee.totalFees);
+            expect(recommendedCharge.expected).toBe(result.summary.recommendedCharge);
+            expect(totalFees.low).toBeLessThan(totalFees.expected);
+            expect(totalFees.high).toBeGreaterThan(totalFees.expected);
+            expect(recommendedCharge.low).toBeLessThan(recommendedCharge.expected);
+            expect(recommendedCharge.high).toBeGreaterThan(recommendedCharge.expected);
+        });
+
+        test('range spans the verified cities behind the regional default', () => {
+            const result = calculateFullPricing('Fresno, CA', 'Electrical', 5000);
+            const cityFees = result.range.basedOn.map(city => calculateFullPricing(city, 'Electrical', 5000).permitFee.totalFees);
+
+            expect(result.range.basedOn).toEqual(['Los Angeles, CA', 'San Diego, CA', 'San Francisco, CA']);
+            expect(result.range.totalFees.low).toBeLessThanOrEqual(Math.min(...cityFees));
+            expect(result.range.totalFees.high).toBeGreaterThanOrEqual(Math.max(...cityFees));
+        });
+
+        test('range is never narrower than the region minimum spread', () => {
+            const result = calculateFullPricing('Boston, MA', 'Plumbing', 5000);
+            const { low, expected, high } = result.range.totalFees;
+
+            expect(result.range.minSpread).toBe(0.3);
+            expect(low).toBeLessThanOrEqual(Math.round(expected * 0.7));
+            expect(high).toBeGreaterThanOrEqual(Math.round(expected * 1.3));
+        });
+
+        test('estimated cities report their regional data quality', () => {
+            const result = calculateFullPricing('Dallas, TX', 'Electrical', 5000);
+
+            expect(result.dataQuality.isEstimated).toBe(true);
+            expect(result.dataQuality.source).toBe('Average of Houston and Austin verified data');
+        });
+    });
+
+    describe('Job type fee categories', () => {
+        test('categories without fees on file price as the parent permit and say so', () => {
+            const fence = calculateFullPricing('Austin, TX', 'Fence/Deck', 20000);
+            const building = calculateFullPricing('Austin, TX', 'General Construction', 20000);
+
+            expect(fence.permitFee.feeCategory).toMatchObject({ category: 'fence', source: 'Austin, TX', sourceCategory: 'general', fallback: 'parentCategory' });
+            expect(fence.permitFee.permitFee).toBe(building.permitFee.permitFee);
+            expect(fence.dataQuality.quality).toBe('verified');
+            expect(fence.dataQuality.category).toMatchObject({
+                category: 'fence',
+                fallback: 'parentCategory',
+                quality: 'estimated',
+                confidence: 'low',
+                isEstimated: true,
+                notes: 'No Fence permit fees on file; priced as a general building permit'
+            });
+        });
+
+        test('regional defaults carry no made-up fees for the new categories', () => {
+            const result = calculateFullPricing('Dallas, TX', 'Roofing', 10000, { quantities: { squares: 25 } });
+
+            expect(result.permitFee.feeCategory).toMatchObject({ source: 'default-texas', sourceCategory: 'general', fallback: 'parentCategory' });
+            expect(result.permitFee.feeMethod).toBe('valuation');
+        });
+
+        test('categories the jurisdiction publishes report its own quality', () => {
+            const result = calculateFullPricing('Austin, TX', 'Electrical', 5000);
+
+            expect(result.dataQuality.category).toMatchObject({ category: 'electrical', source: 'Austin, TX', fallback: null, isEstimated: false });
+        });
+
+        test('solar subtypes price as their own categories, from solar fees until theirs are on file', () => {
+            expect(normalizeJobType('Energy Storage')).toBe('Battery Storage');
+            expect(calculateFullPricing('Fresno, CA', 'Battery Storage', 15000).permitFee.feeCategory).toMatchObject({ category: 'energyStorage', sourceCategory: 'solar' });
+            expect(calculateFullPricing('Fresno, CA', 'Solar Water Heating', 8000).dataQuality.category.notes)
+                .toBe('No Solar Water Heating permit fees on file; priced as a solar permit');
+        });
+
+        test('building subtypes keep the building permit plan review', () => {
+            const result = calculateFullPricing('Fresno, CA', 'Roofing', 20000);
+            expect(result.permitFee.planReview.mayApply).toBe(true);
+        });
+    });
+
     describe('generateClientExplanation()', () => {
         test('should generate breakdown with all required fields', () => {
             const pricing = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000);
@@ -107,12 +328,21 @@ describe('Pricing Calculator', () => {
         });
 
         test('should include 6 line items in breakdown', () => {
-            const pricing = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000);
+            const pricing = calculateFullPricing('Houston, TX', 'Electrical', 5000);
             const explanation = generateClientExplanation(pricing);
 
             expect(explanation.breakdown).toHaveLength(6);
         });
 
+        test('should add a plan review line item when the jurisdiction charges plan check', () => {
+            const pricing = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000);
+            const explanation = generateClientExplanation(pricing);
+
+            expect(explanation.breakdown).toHaveLength(7 + pricing.permitFee.surcharges.items.length);
+            expect(explanation.breakdown[1].item).toBe('Plan Review Fee');
+            expect(explanation.breakdown[1].cost).toBe(50);
+        });
+
         test('should sum breakdown to total (within rounding tolerance)', () => {
             const pricing = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000);
             const explanation = generateClientExplanation(pricing);
@@ -146,7 +376,8 @@ describe('Pricing Calculator', () => {
 
         test('should handle all supported job types', () => {
             const jobTypes = ['Electrical', 'Plumbing', 'HVAC', 'General Construction',
-                            'Remodeling', 'Solar', 'Roofing', 'Pool', 'Fence', 'Demolition'];
+                            'Remodeling', 'Solar', 'Roofing', 'Pool', 'Fence', 'Demolition',
+                            'Battery Storage', 'Solar Water Heating'];
 
             jobTypes.forEach(jobType => {
                 const result = calculateFullPricing('Los Angeles, CA', jobType, 5000);
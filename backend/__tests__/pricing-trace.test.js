@@ -0,0 +1,135 @@
+/**
+ * Test Suite: Pricing Trace
+ * Provenance of every pricing input and the formula at each step
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+const SCRAPE = {
+    'Houston, TX': {
+        scrapedAt: '2025-11-16T23:43:19.644Z',
+        sourceUrl: 'https://www.houstonpermittingcenter.org/media/2636/download',
+        pdfHash: 'abc123',
+        // baseFee within 10% of the curated $70, valuationRate far off the curated 0.5%
+        electrical: { baseFee: 72, valuationRate: 0.02, minFee: 5 }
+    }
+};
+
+let calculateFullPricing;
+
+beforeEach(() => {
+    jest.resetModules();
+    const fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore(() => true));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => JSON.stringify(SCRAPE)));
+    ({ calculateFullPricing } = require('../pricing-calculator'));
+});
+
+const input = (trace, name) => trace.inputs.find(i => i.name === name);
+const step = (trace, name) => trace.steps.find(s => s.step === name);
+
+describe('Pricing Trace', () => {
+    test('is only included when requested', () => {
+        expect(calculateFullPricing('Houston, TX', 'Electrical', 20000).trace).toBeUndefined();
+        expect(calculateFullPricing('Houston, TX', 'Electrical', 20000, { trace: true }).trace).toBeDefined();
+    });
+
+    test('records scrape provenance for merged fields', () => {
+        const { trace } = calculateFullPricing('Houston, TX', 'Electrical', 20000, { trace: true });
+        const baseFee = input(trace, 'Houston, TX electrical.baseFee');
+
+        expect(baseFee).toMatchObject({
+            value: 72,
+            source: 'scraper-results/scrape-history.json',
+            scrapedAt: '2025-11-16T23:43:19.644Z',
+            pdfHash: 'abc123',
+            deviationCheck: { scrapedValue: 72, curatedValue: 70, passed: true }
+        });
+    });
+
+    test('records rejected scrapes with the deviation check', () => {
+        const { trace } = calculateFullPricing('Houston, TX', 'Electrical', 20000, { trace: true });
+
+        expect(input(trace, 'Houston, TX electrical.valuationRate')).toMatchObject({
+            value: 0.005,
+            source: 'fee-store',
+            rejectedScrape: { value: 0.02, pdfHash: 'abc123' },
+            deviationCheck: { deviation: 3, maxDeviation: 0.1, passed: false }
+        });
+        expect(input(trace, 'Houston, TX electrical.minFee')).toMatchObject({
+            value: 70,
+            rejectedScrape: { value: 5, reason: 'implausible value' }
+        });
+        expect(input(trace, 'Houston, TX electrical.maxFee')).toEqual({
+            name: 'Houston, TX electrical.maxFee',
+            value: 1600,
+            source: 'fee-store'
+        });
+    });
+
+    test('shows the formula and result for each step', () => {
+        const pricing = calculateFullPricing('Houston, TX', 'Electrical', 20000, { trace: true });
+        const permitFee = step(pricing.trace, 'permitFee');
+
+        expect(permitFee.calculation).toBe('max(70, min(72 + 20000 × 0.005, 1600))');
+        expect(permitFee.result).toBe(pricing.permitFee.permitFee);
+        expect(step(pricing.trace, 'totalFees').result).toBe(pricing.permitFee.totalFees);
+        expect(step(pricing.trace, 'laborCost').result).toBe(pricing.labor.laborCost);
+        expect(step(pricing.trace, 'recommendedCharge').result).toBe(pricing.summary.recommendedCharge);
+    });
+
+    test('describes rule-based fees', () => {
+        const { trace } = calculateFullPricing('San Diego, CA', 'Electrical', 5000, {
+            trace: true,
+            quantities: { circuits: 8 }
+        });
+
+        expect(step(trace, 'permitFee').formula).toMatch(/^fee rule: /);
+        expect(input(trace, 'San Diego, CA electrical.feeRule')).toBeDefined();
+        expect(input(trace, 'quantities.circuits')).toEqual({ name: 'quantities.circuits', value: 8, source: 'request' });
+    });
+
+    test('lists each surcharge with its citation and amount', () => {
+        const pricing = calculateFullPricing('Los Angeles, CA', 'Electrical', 20000, { trace: true });
+        const surcharges = pricing.trace.steps.filter(s => s.step === 'surcharge');
+
+        expect(surcharges.map(s => s.result)).toEqual(pricing.permitFee.surcharges.items.map(i => i.amount));
+        expect(input(pricing.trace, 'surcharge: Systems Development Surcharge').source)
+            .toBe('fee-store Los Angeles, CA.surcharges');
+    });
+
+    test('flags regional defaults', () => {
+        const { trace } = calculateFullPricing('Boise, ID', 'HVAC', 8000, { trace: true });
+
+        expect(trace.jurisdiction).toMatchObject({ requested: 'Boise, ID', resolved: 'default-mountain-west', method: 'regionalDefault' });
+        expect(input(trace, 'default-mountain-west hvac.baseFee').regionalDefault).toBe('default-mountain-west');
+    });
+
+    test('attributes historical fee schedules to feeHistory', () => {
+        const { trace } = calculateFullPricing('Austin, TX', 'Electrical', 5000, { trace: true, asOf: '2025-09-30' });
+
+        expect(trace.feeSchedule.isCurrent).toBe(false);
+        expect(input(trace, 'Austin, TX electrical.baseFee')).toEqual({
+            name: 'Austin, TX electrical.baseFee',
+            value: 85,
+            source: 'fee-store feeHistory (effective 2024-10-01)'
+        });
+    });
+
+    test('attributes labor settings to the contractor profile', () => {
+        const profile = {
+            id: 'p1',
+            name: 'Crew',
+            laborRate: 130,
+            trades: { HVAC: { permitFeeMarkup: 0.25, laborHours: { submission: 2 } } }
+        };
+        const { trace } = calculateFullPricing('Miami, FL', 'HVAC', 8000, { trace: true, profile });
+
+        expect(input(trace, 'laborRate')).toEqual({ name: 'laborRate', value: 130, source: 'contractor profile p1.laborRate' });
+        expect(input(trace, 'permitFeeMarkup').source).toBe('contractor profile p1 trades.HVAC.permitFeeMarkup');
+        expect(input(trace, 'minimumCharge').source).toBe('fee-store markupRecommendations.HVAC.minimumCharge');
+        expect(input(trace, 'laborHours.submission')).toMatchObject({ value: 2, source: 'contractor profile p1 trades.HVAC.laborHours.submission' });
+    });
+});
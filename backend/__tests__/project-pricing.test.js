@@ -0,0 +1,129 @@
+/**
+ * Test Suite: Multi-Trade Project Pricing
+ * Prices every related trade permit and combines them into one charge
+ */
+
+const { calculateProjectPricing, getProjectTrades, validateProjectOptions } = require('../project-pricing');
+const { calculateFullPricing } = require('../pricing-calculator');
+
+describe('Project Pricing', () => {
+    describe('getProjectTrades()', () => {
+        test('remodel needs building, electrical, plumbing and HVAC permits', () => {
+            expect(getProjectTrades('Remodeling/Renovation')).toEqual(['Remodeling', 'Electrical', 'Plumbing', 'HVAC']);
+        });
+
+        test('does not price two permits for the same fee category', () => {
+            // Remodeling and General Construction are both general building permits
+            expect(getProjectTrades('Remodeling/Renovation', 'Renovation')).toEqual(['Remodeling', 'Electrical', 'Plumbing', 'HVAC']);
+        });
+
+        test('a pool fence is its own permit', () => {
+            expect(getProjectTrades('Pool/Spa')).toEqual(['Pool', 'Electrical', 'Plumbing', 'Fence']);
+        });
+
+        test('renovation scope adds a building permit', () => {
+            expect(getProjectTrades('Electrical', 'Renovation')).toEqual(['Electrical', 'General Construction']);
+        });
+
+        test('trades without related permits price alone', () => {
+            expect(getProjectTrades('Plumbing')).toEqual(['Plumbing']);
+        });
+    });
+
+    describe('calculateProjectPricing()', () => {
+        const result = calculateProjectPricing('Los Angeles, CA', 'Remodeling', 30000);
+
+        test('returns a per-trade breakdown with the selected trade first', () => {
+            expect(result.trades.map(t => t.trade)).toEqual(['Remodeling', 'Electrical', 'Plumbing', 'HVAC']);
+            expect(result.trades[0].isPrimary).toBe(true);
+            expect(result.summary.permitCount).toBe(4);
+        });
+
+        test('splits the project value across trades, weighting the selected trade double', () => {
+            const values = result.trades.map(t => t.projectValue);
+            expect(values).toEqual([12000, 6000, 6000, 6000]);
+        });
+
+        test('honors explicit per-trade values', () => {
+            const custom = calculateProjectPricing('Los Angeles, CA', 'Remodeling', 30000, {
+                tradeValues: { Electrical: 9000 }
+            });
+            const byTrade = Object.fromEntries(custom.trades.map(t => [t.trade, t.projectValue]));
+            expect(byTrade.Electrical).toBe(9000);
+            expect(byTrade.Remodeling).toBe(10500);
+            expect(byTrade.Plumbing).toBe(5250);
+        });
+
+        test('sums government fees across every trade permit', () => {
+            const permitFees = result.trades.reduce((sum, t) => sum + t.permitFee, 0);
+            const planReview = result.trades.reduce((sum, t) => sum + t.planReviewFee, 0);
+            const surcharges = result.trades.reduce((sum, t) => sum + t.surcharges, 0);
+            expect(result.totals.permitFees).toBe(permitFees);
+            expect(result.totals.surcharges).toBeGreaterThan(0);
+            expect(result.totals.totalFees).toBeCloseTo(permitFees + planReview + surcharges, 2);
+        });
+
+        test('counts the submission trip only once', () => {
+            const standaloneLabor = result.trades.reduce((sum, t) => sum + t.laborCost, 0);
+            expect(result.sharedLaborSavings.cost).toBeGreaterThan(0);
+            expect(result.totals.laborCost).toBe(standaloneLabor - result.sharedLaborSavings.cost);
+        });
+
+        test('combined charge is below the sum of separate quotes', () => {
+            expect(result.summary.recommendedCharge).toBe(Math.round(
+                result.totals.totalFees + result.totals.permitFeeMarkup + result.totals.laborCost
+            ));
+            expect(result.summary.recommendedCharge).toBeLessThan(result.totals.standaloneCharge);
+            expect(result.summary.savingsVsSeparateQuotes).toBeGreaterThan(0);
+        });
+
+        test('costs more than pricing the selected trade alone', () => {
+            const single = calculateFullPricing('Los Angeles, CA', 'Remodeling', 30000);
+            expect(result.summary.recommendedCharge).toBeGreaterThan(single.summary.recommendedCharge);
+        });
+
+        test('single-trade project matches regular pricing', () => {
+            const project = calculateProjectPricing('Houston, TX', 'Plumbing', 8000);
+            const single = calculateFullPricing('Houston, TX', 'Plumbing', 8000);
+            expect(project.sharedLaborSavings.cost).toBe(0);
+            expect(project.summary.recommendedCharge).toBe(single.summary.recommendedCharge);
+            expect(project.summary.totalCost).toBe(single.summary.totalCost);
+        });
+
+        test('passes job quantities through to rule-based trades', () => {
+            const project = calculateProjectPricing('San Diego, CA', 'Remodeling', 20000, {
+                quantities: { circuits: 8 }
+            });
+            const electrical = project.trades.find(t => t.trade === 'Electrical');
+            expect(electrical.feeMethod).toBe('rule');
+        });
+
+        test('treats null tradeValues as no overrides', () => {
+            const project = calculateProjectPricing('Los Angeles, CA', 'Remodeling', 30000, { tradeValues: null });
+            expect(project.trades.map(t => t.projectValue)).toEqual([12000, 6000, 6000, 6000]);
+        });
+    });
+
+    describe('validateProjectOptions()', () => {
+        test('accepts known modes and non-negative trade values', () => {
+            expect(validateProjectOptions({})).toEqual([]);
+            expect(validateProjectOptions({ pricingMode: 'project', tradeValues: { Electrical: 4000, Plumbing: 0 } })).toEqual([]);
+        });
+
+        test('rejects unknown pricing modes', () => {
+            expect(validateProjectOptions({ pricingMode: 'bulk' })).toEqual(['pricingMode must be one of: trade, project']);
+        });
+
+        test.each([null, [], 'Electrical', 4000])('rejects tradeValues %p', (tradeValues) => {
+            expect(validateProjectOptions({ tradeValues })).toEqual(['tradeValues must be an object of trade values']);
+        });
+
+        test('rejects negative, non-numeric and non-finite trade values', () => {
+            expect(validateProjectOptions({ tradeValues: { Electrical: -1, Plumbing: '4000', HVAC: Infinity } })).toEqual([
+                'tradeValues.Electrical must be a non-negative number',
+                'tradeValues.Plumbing must be a non-negative number',
+                'tradeValues.HVAC must be a non-negative number'
+            ]);
+        });
+    });
+});
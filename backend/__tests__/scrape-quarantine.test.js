@@ -0,0 +1,183 @@
+/**
+ * Test Suite: Scrape Quarantine
+ * Scraped values rejected by the deviation check are queued for review by
+ * each scrape run and can be accepted as a fee draft or dismissed
+ */
+
+jest.mock('fs');
+
+const { existsWithFeeStore, readWithFeeStore } = require('./helpers/fee-store-fs');
+
+const DOCUMENT = 'https://www.austintexas.gov/sites/default/files/files/Development_Services/Fees_Residential.pdf';
+
+// A real fee increase: Austin's electrical base fee nearly doubled
+const scrape = (baseFee, scrapedAt = '2025-11-16T23:43:19.644Z') => ({
+    'Austin, TX': {
+        scrapedAt,
+        sourceUrl: DOCUMENT,
+        pdfHash: 'abc123',
+        electrical: {
+            baseFee,
+            citations: { baseFee: { url: DOCUMENT, page: 2, section: 'Electrical', snippet: `Electrical permit $${baseFee}.00` } }
+        }
+    }
+});
+
+let fs, feeStore, feeDrafts, scrapeQuarantine, loader;
+
+const mergeScrape = (history) => {
+    fs.readFileSync.mockImplementation(readWithFeeStore((file) => (String(file).endsWith('scrape-history.json') ? JSON.stringify(history) : '{}')));
+    loader.clearCache();
+    return loader.permitFees['Austin, TX'];
+};
+
+// What a scrape run does: merge the new history, then queue its rejections
+const loadScrape = (history) => {
+    const austin = mergeScrape(history);
+    scrapeQuarantine.recordRejections(loader.loader.getScrapeRejections());
+    return austin;
+};
+
+beforeEach(() => {
+    jest.resetModules();
+    fs = require('fs');
+    fs.existsSync.mockImplementation(existsWithFeeStore((file) => String(file).endsWith('scrape-history.json')));
+    fs.readFileSync.mockImplementation(readWithFeeStore(() => '{}'));
+    fs.writeFileSync.mockImplementation(() => {});
+    fs.renameSync.mockImplementation(() => {});
+    fs.unlinkSync.mockImplementation(() => {});
+    fs.mkdirSync.mockImplementation(() => {});
+
+    feeStore = require('../fee-store');
+    feeDrafts = require('../fee-drafts');
+    feeDrafts.reset();
+    scrapeQuarantine = require('../scrape-quarantine');
+    scrapeQuarantine.reset();
+    loader = require('../database-loader');
+});
+
+describe('Scrape Quarantine', () => {
+    test('queues values rejected by the deviation check', () => {
+        const curated = feeStore.getCollection('permitFees')['Austin, TX'].electrical.baseFee;
+        const austin = loadScrape(scrape(336));
+
+        expect(austin.electrical.baseFee).toBe(curated);
+        expect(scrapeQuarantine.listEntries()).toEqual([expect.objectContaining({
+            jurisdiction: 'Austin, TX',
+            trade: 'electrical',
+            field: 'baseFee',
+            curatedValue: curated,
+            scrapedValue: 336,
+            deviation: Math.round(Math.abs(336 - curated) / curated * 1e4) / 1e4,
+            maxDeviation: 0.1,
+            sourceUrl: DOCUMENT,
+            pdfHash: 'abc123',
+            scrapedAt: '2025-11-16T23:43:19.644Z',
+            citation: expect.objectContaining({ page: 2 }),
+            status: 'pending'
+        })]);
+    });
+
+    test('reading the merged data does not queue anything', () => {
+        const austin = mergeScrape(scrape(336));
+
+        expect(austin._provenance.electrical.baseFee.rejectedScrape.value).toBe(336);
+        expect(loader.loader.getScrapeRejections()).toEqual([expect.objectContaining({ field: 'baseFee', scrapedValue: 336 })]);
+        expect(scrapeQuarantine.listEntries()).toEqual([]);
+        expect(fs.writeFileSync).not.toHaveBeenCalledWith(scrapeQuarantine.DATA_FILE, expect.anything());
+    });
+
+    test('does not queue the same scrape twice; a new scrape supersedes it', () => {
+        loadScrape(scrape(336));
+        loadScrape(scrape(336));
+        expect(scrapeQuarantine.listEntries()).toHaveLength(1);
+
+        loadScrape(scrape(340, '2025-12-01T00:00:00.000Z'));
+        expect(scrapeQuarantine.listEntries().map(e => [e.scrapedValue, e.status]).sort()).toEqual([[336, 'superseded'], [340, 'pending']]);
+    });
+
+    test('implausible values and values within the deviation are not queued', () => {
+        const curated = feeStore.getCollection('permitFees')['Austin, TX'].electrical.baseFee;
+        loadScrape(scrape(0));
+        loadScrape(scrape(curated + 1, '2025-12-01T00:00:00.000Z'));
+
+        expect(scrapeQuarantine.listEntries()).toEqual([]);
+    });
+
+    test('accepting saves a fee draft that a second admin publishes', () => {
+        const curated = feeStore.getCollection('permitFees')['Austin, TX'].electrical.baseFee;
+        loadScrape(scrape(336));
+        const [entry] = scrapeQuarantine.listEntries();
+        const version = feeStore.getRecord('permitFees', 'Austin, TX').version;
+
+        expect(scrapeQuarantine.getAcceptProblem(entry)).toBeNull();
+        const { draft } = scrapeQuarantine.acceptEntry(entry.id, 'lee', 'Council approved the FY26 increase');
+
+        expect(draft).toMatchObject({ collection: 'permitFees', key: 'Austin, TX', status: 'pending', createdBy: 'lee', baseVersion: version });
+        expect(draft.data.electrical.baseFee).toBe(336);
+        expect(draft.data.electrical.citations.baseFee.page).toBe(2);
+        expect(scrapeQuarantine.getEntry(entry.id)).toMatchObject({
+            status: 'accepted',
+            draftId: draft.id,
+            review: { by: 'lee', note: 'Council approved the FY26 increase' }
+        });
+        expect(feeStore.getRecord('permitFees', 'Austin, TX').version).toBe(version);
+        expect(mergeScrape(scrape(336)).electrical.baseFee).toBe(curated);
+
+        expect(feeDrafts.getApprovalProblem(draft, 'lee', { verified: true }).problem).toBe('author');
+        const { record } = feeDrafts.approveDraft(draft.id, 'sam');
+        expect(record).toMatchObject({ version: version + 1, updatedBy: 'lee', approvedBy: 'sam' });
+
+        // The scrape now matches the curated value and is merged
+        const austin = loadScrape(scrape(336));
+        expect(austin.electrical.baseFee).toBe(336);
+        expect(austin._provenance.electrical.baseFee.source).toBe(loader.SCRAPER_SOURCE);
+        expect(scrapeQuarantine.getAcceptProblem(entry).problem).toBe('closed');
+    });
+
+    test('a rejected or withdrawn draft puts the value back in the queue', () => {
+        loadScrape(scrape(336));
+        const [entry] = scrapeQuarantine.listEntries();
+        const { draft } = scrapeQuarantine.acceptEntry(entry.id, 'lee');
+
+        feeDrafts.rejectDraft(draft.id, 'sam', 'Wrong fee table');
+        expect(scrapeQuarantine.reopenForDraft(draft.id)).toMatchObject({ id: entry.id, status: 'pending', draftId: null, review: null });
+        expect(scrapeQuarantine.getAcceptProblem(entry)).toBeNull();
+
+        const { draft: retry } = scrapeQuarantine.acceptEntry(entry.id, 'lee');
+        feeDrafts.rejectDraft(retry.id, 'lee');
+        expect(scrapeQuarantine.reopenForDraft(retry.id).status).toBe('pending');
+        expect(scrapeQuarantine.reopenForDraft(retry.id)).toBeNull();
+    });
+
+    test('a rejected draft does not reopen a value a later scrape replaced', () => {
+        loadScrape(scrape(336));
+        const [entry] = scrapeQuarantine.listEntries();
+        const { draft } = scrapeQuarantine.acceptEntry(entry.id, 'lee');
+        loadScrape(scrape(340, '2025-12-01T00:00:00.000Z'));
+
+        feeDrafts.rejectDraft(draft.id, 'sam');
+        expect(scrapeQuarantine.reopenForDraft(draft.id).status).toBe('superseded');
+        expect(scrapeQuarantine.listEntries({ status: 'pending' }).map(e => e.scrapedValue)).toEqual([340]);
+    });
+
+    test('accepting is refused when the record would become invalid', () => {
+        const data = feeStore.getCollection('permitFees')['Austin, TX'];
+        feeStore.putRecord('permitFees', 'Austin, TX', { ...data, electrical: { ...data.electrical, minFee: 20, maxFee: 100 } }, { reason: 'test' });
+        loadScrape({ 'Austin, TX': { scrapedAt: '2025-11-16T23:43:19.644Z', electrical: { minFee: 500 } } });
+
+        const [entry] = scrapeQuarantine.listEntries();
+        expect(scrapeQuarantine.getAcceptProblem(entry)).toMatchObject({ problem: 'invalid', details: [expect.stringContaining('minFee')] });
+    });
+
+    test('dismissed values stay dismissed when the scrape is queued again', () => {
+        const curated = feeStore.getCollection('permitFees')['Austin, TX'].electrical.baseFee;
+        loadScrape(scrape(336));
+        const [entry] = scrapeQuarantine.listEntries();
+
+        expect(scrapeQuarantine.dismissEntry(entry.id, 'lee', 'Misread table')).toMatchObject({ status: 'dismissed', review: { by: 'lee' } });
+        expect(loadScrape(scrape(336)).electrical.baseFee).toBe(curated);
+        expect(scrapeQuarantine.listEntries({ status: 'pending' })).toEqual([]);
+        expect(scrapeQuarantine.dismissEntry('missing', 'lee')).toBeNull();
+    });
+});
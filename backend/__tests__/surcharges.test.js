@@ -0,0 +1,139 @@
+/**
+ * Test Suite: Permit Surcharges
+ * State and local surcharges applied after the base permit fee
+ */
+
+const {
+    getStateCode,
+    validateSurcharge,
+    getSurchargeDefinitions,
+    calculateSurcharges
+} = require('../surcharges');
+const { calculateFullPricing, generateClientExplanation } = require('../pricing-calculator');
+const { permitFees, stateSurcharges } = require('../permit-fee-database');
+
+describe('Surcharges', () => {
+    describe('getStateCode()', () => {
+        test('reads the state from "City, ST"', () => {
+            expect(getStateCode('Los Angeles, CA')).toBe('CA');
+            expect(getStateCode('Miami, fl')).toBe('FL');
+            expect(getStateCode('Nowhere')).toBeNull();
+        });
+    });
+
+    describe('validateSurcharge()', () => {
+        test('accepts each surcharge type', () => {
+            expect(validateSurcharge({ name: 'A', type: 'percentOfFee', rate: 0.05 })).toEqual([]);
+            expect(validateSurcharge({ name: 'B', type: 'percentOfValuation', rate: 0.0001 })).toEqual([]);
+            expect(validateSurcharge({ name: 'C', type: 'perValuation', amount: 1, per: 25000 })).toEqual([]);
+            expect(validateSurcharge({ name: 'D', type: 'flat', amount: 10, categories: ['electrical'] })).toEqual([]);
+        });
+
+        test('rejects bad definitions', () => {
+            expect(validateSurcharge({ type: 'percentOfFee', rate: 6 })).toEqual([
+                'name is required',
+                'rate must be a fraction between 0 and 1'
+            ]);
+            expect(validateSurcharge({ name: 'X', type: 'perValuation', amount: 1 })).toEqual(['per must be a positive number']);
+            expect(validateSurcharge({ name: 'X', type: 'sometimes' })[0]).toContain('type must be one of');
+        });
+    });
+
+    describe('calculateSurcharges()', () => {
+        const context = { feeCategory: 'electrical', permitFee: 200, planReviewFee: 50, projectValue: 60000 };
+
+        test('computes percentage, valuation and flat surcharges', () => {
+            const result = calculateSurcharges([
+                { name: 'Tech', type: 'percentOfFee', rate: 0.04, level: 'local' },
+                { name: 'SMIP', type: 'percentOfValuation', rate: 0.00013, level: 'state' },
+                { name: 'BSC', type: 'perValuation', amount: 1, per: 25000, level: 'state' },
+                { name: 'Records', type: 'flat', amount: 5, level: 'local' }
+            ], context);
+
+            expect(result.items.map(i => i.amount)).toEqual([10, 7.8, 3, 5]);
+            expect(result.total).toBe(25.8);
+            expect(result.items[0].basis).toBe('4% of permit and plan review fees');
+        });
+
+        test('applies minimum and maximum amounts', () => {
+            const result = calculateSurcharges([
+                { name: 'Min', type: 'percentOfFee', rate: 0.001, minFee: 2 },
+                { name: 'Max', type: 'percentOfValuation', rate: 0.01, maxFee: 100 }
+            ], context);
+            expect(result.items.map(i => i.amount)).toEqual([2, 100]);
+        });
+
+        test('skips surcharges limited to other fee categories', () => {
+            const result = calculateSurcharges([
+                { name: 'Electrical Board', type: 'flat', amount: 12, categories: ['electrical'] },
+                { name: 'Plumbing Board', type: 'flat', amount: 8, categories: ['plumbing'] }
+            ], context);
+            expect(result.items.map(i => i.name)).toEqual(['Electrical Board']);
+        });
+    });
+
+    describe('getSurchargeDefinitions()', () => {
+        test('combines state and local surcharges', () => {
+            const defs = getSurchargeDefinitions('Los Angeles, CA', permitFees['Los Angeles, CA']);
+            expect(defs.filter(d => d.level === 'state')).toHaveLength(stateSurcharges.CA.length);
+            expect(defs.filter(d => d.level === 'local').map(d => d.name)).toEqual(['Systems Development Surcharge']);
+        });
+
+        test('estimated cities still get state surcharges', () => {
+            const defs = getSurchargeDefinitions('Fresno, CA', permitFees['default-california']);
+            expect(defs.length).toBe(stateSurcharges.CA.length);
+        });
+
+        test('states without surcharges return none', () => {
+            expect(getSurchargeDefinitions('Houston, TX', permitFees['Houston, TX'])).toEqual([]);
+        });
+    });
+
+    describe('fee database', () => {
+        test('every surcharge definition is valid', () => {
+            const definitions = [
+                ...Object.values(stateSurcharges).flat(),
+                ...Object.values(permitFees).flatMap(entry => entry.surcharges || [])
+            ];
+            definitions.forEach(def => {
+                expect({ name: def.name, errors: validateSurcharge(def) }).toEqual({ name: def.name, errors: [] });
+            });
+        });
+    });
+
+    describe('pricing', () => {
+        test('includes surcharges in total fees and the client charge', () => {
+            const result = calculateFullPricing('Miami, FL', 'Plumbing', 5000);
+            const { surcharges } = result.permitFee;
+
+            expect(surcharges.items.map(i => i.level)).toEqual(['state', 'state']);
+            expect(result.permitFee.totalFees).toBeCloseTo(
+                result.permitFee.permitFee + result.permitFee.planReview.fee + surcharges.total, 2
+            );
+            expect(result.clientCharge.surcharges).toBe(surcharges.total);
+            expect(result.scenarios[0].surcharges).toBe(surcharges.total);
+        });
+
+        test('itemizes each surcharge in the client explanation', () => {
+            const pricing = calculateFullPricing('San Francisco, CA', 'Electrical', 20000);
+            const explanation = generateClientExplanation(pricing);
+            const names = explanation.breakdown.map(item => item.item);
+
+            pricing.permitFee.surcharges.items.forEach(s => expect(names).toContain(s.name));
+            expect(names).toContain('Technology Surcharge');
+        });
+
+        test('over-the-counter permits recompute fee-based surcharges without plan review', () => {
+            const pricing = calculateFullPricing('Los Angeles, CA', 'Electrical', 5000, { scope: 'Repair/Service' });
+            const standard = pricing.scenarios.find(s => s.key === 'standard');
+            const otc = pricing.scenarios.find(s => s.key === 'overTheCounter');
+
+            expect(otc.surcharges).toBeLessThan(standard.surcharges);
+        });
+
+        test('jurisdictions without surcharges are unchanged', () => {
+            const result = calculateFullPricing('Houston, TX', 'Electrical', 5000);
+            expect(result.permitFee.surcharges).toEqual({ items: [], total: 0 });
+        });
+    });
+});
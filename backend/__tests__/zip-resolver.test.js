@@ -0,0 +1,85 @@
+/**
+ * Test Suite: ZIP Code Resolver
+ * ZIP → permitting jurisdiction from the bundled offline dataset,
+ * including ZIPs that span several authorities
+ */
+
+const { normalizeZip, lookupZip, resolveZip, getDatasetInfo } = require('../zip-resolver');
+
+describe('ZIP Code Resolver', () => {
+    describe('normalizeZip()', () => {
+        test('accepts 5-digit ZIPs, ZIP+4 and numbers', () => {
+            expect(normalizeZip('90012')).toBe('90012');
+            expect(normalizeZip(' 90012-1234 ')).toBe('90012');
+            expect(normalizeZip('900121234')).toBe('90012');
+            expect(normalizeZip(2108)).toBe('02108');
+        });
+
+        test('rejects anything else', () => {
+            expect(normalizeZip('9001')).toBeNull();
+            expect(normalizeZip('Los Angeles')).toBeNull();
+            expect(normalizeZip(undefined)).toBeNull();
+        });
+    });
+
+    describe('lookupZip()', () => {
+        test('returns the postal city and state', () => {
+            expect(lookupZip('90012')).toEqual({ zip: '90012', city: 'Los Angeles', state: 'CA' });
+            expect(lookupZip('02108')).toMatchObject({ city: 'Boston', state: 'MA' });
+        });
+
+        test('returns null for unknown ZIPs', () => {
+            expect(lookupZip('00000')).toBeNull();
+        });
+    });
+
+    describe('resolveZip()', () => {
+        test('resolves a single-authority ZIP to its postal city', () => {
+            expect(resolveZip('78701')).toMatchObject({
+                jurisdiction: 'Austin, TX',
+                ambiguous: false,
+                candidates: [],
+                matchedBy: 'zip'
+            });
+        });
+
+        test('uses the postal spelling when the city matches', () => {
+            expect(resolveZip('78701', 'austin').jurisdiction).toBe('Austin, TX');
+        });
+
+        test('keeps a different work order city but notes the postal city', () => {
+            const result = resolveZip('78701', 'Rollingwood');
+            expect(result).toMatchObject({ jurisdiction: 'Rollingwood, TX', matchedBy: 'zip+city', postalCity: 'Austin' });
+            expect(result.notes).toContain('delivered as Austin');
+        });
+
+        test('flags ZIPs that span several authorities and lists the candidates', () => {
+            const result = resolveZip('33156');
+            expect(result.ambiguous).toBe(true);
+            expect(result.jurisdiction).toBeNull();
+            expect(result.postalCity).toBe('Miami');
+            expect(result.candidates.map(c => c.jurisdiction)).toEqual(['Pinecrest, FL', 'Palmetto Bay, FL', 'Kendall, FL']);
+        });
+
+        test('the city picks between candidates', () => {
+            expect(resolveZip('33156', 'Kendall')).toMatchObject({ jurisdiction: 'Kendall, FL', ambiguous: false, matchedBy: 'zip+city' });
+            expect(resolveZip('77084', 'Unincorporated Harris County').jurisdiction).toBe('Harris County, TX');
+        });
+
+        test('a postal city that is not a candidate stays ambiguous', () => {
+            expect(resolveZip('33156', 'Miami').ambiguous).toBe(true);
+        });
+
+        test('returns null for unknown ZIPs', () => {
+            expect(resolveZip('00000')).toBeNull();
+            expect(resolveZip('abc')).toBeNull();
+        });
+    });
+
+    test('reports the dataset source', () => {
+        const info = getDatasetInfo();
+        expect(info.license).toBe('BSD');
+        expect(info.zipCount).toBeGreaterThan(40000);
+        expect(info.spanningZipCount).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * Batch Pricing
+ * Runs the check-requirements pricing pipeline over a list of jobs (JSON
+ * array or CSV upload) and exports the results as CSV
+ */
+
+const { calculateFullPricing } = require('./pricing-calculator');
+const { generateRequirements } = require('./requirements-generator');
+
+const MAX_BATCH_ROWS = 200;
+
+const INPUT_COLUMNS = ['jobType', 'city', 'state', 'scope', 'projectValue', 'projectType', 'description'];
+
+const RESULT_COLUMNS = [
+    'row', 'jobType', 'city', 'state', 'scope', 'projectValue',
+    'permitFee', 'planReviewFee', 'surcharges', 'totalFees', 'laborCost',
+    'recommendedCharge', 'yourProfit', 'profitMargin', 'processingTime',
+    'dataQuality', 'confidence', 'isEstimated', 'chargeLow', 'chargeHigh', 'error'
+];
+
+/**
+ * Parse CSV text into one object per data row, keyed by the header row.
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings.
+ * Header names are matched to input columns case-insensitively.
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].map(name => {
+        const trimmed = name.trim();
+        return INPUT_COLUMNS.find(col => col.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+    });
+
+    return nonEmpty.slice(1).map(values => {
+        const job = {};
+        header.forEach((name, index) => {
+            const value = (values[index] || '').trim();
+            if (value !== '') job[name] = value;
+        });
+        return job;
+    });
+}
+
+/**
+ * Quote a CSV cell when needed. Text starting with a formula character is
+ * prefixed with ' so spreadsheets don't execute it.
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => lines.push(columns.map(col => escapeCsvValue(row[col])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Validate one job. Returns a list of problems (empty when valid).
+ */
+function validateJob(job) {
+    if (!job || typeof job !== 'object' || Array.isArray(job)) {
+        return ['job must be an object'];
+    }
+
+    const errors = [];
+    ['jobType', 'city', 'state'].forEach(field => {
+        if (typeof job[field] !== 'string' || job[field].trim().length === 0) {
+            errors.push(`${field} is required`);
+        }
+    });
+    if (job.projectValue !== undefined && job.projectValue !== '' && !(Number(job.projectValue) > 0)) {
+        errors.push('projectValue must be a positive number');
+    }
+    return errors;
+}
+
+/**
+ * Price every job in a batch. Invalid or failing rows are reported in
+ * `failures` without stopping the rest of the batch.
+ *
+ * @param {Object[]} jobs - { jobType, city, state, scope, projectValue, projectType, description }
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - contractor pricing profile applied to every row
+ * @param {string} [options.asOf] - price with the fee schedules in effect on this date
+ * @param {boolean} [options.includeRequirements=true] - include requirements markdown per row
+ */
+function priceBatch(jobs, options = {}) {
+    const includeRequirements = options.includeRequirements !== false;
+    const results = [];
+    const failures = [];
+
+    jobs.forEach((job, index) => {
+        const row = index + 1;
+        const errors = validateJob(job);
+        if (errors.length > 0) {
+            failures.push({ row, input: job, errors });
+            return;
+        }
+
+        const city = job.city.trim();
+        const state = job.state.trim();
+        const projectValue = Number(job.projectValue) > 0 ? Number(job.projectValue) : 5000;
+
+        try {
+            const pricing = calculateFullPricing(`${city}, ${state}`, job.jobType, projectValue, {
+                scope: job.scope,
+                profile: options.profile,
+                asOf: options.asOf
+            });
+            const result = {
+                row,
+                input: { jobType: job.jobType, city, state, scope: job.scope || null, projectValue },
+                pricing
+            };
+            if (includeRequirements) {
+                result.requirements = generateRequirements({
+                    jobType: job.jobType,
+                    city,
+                    state,
+                    projectType: job.projectType,
+                    scope: job.scope,
+                    description: job.description,
+                    projectValue,
+                    asOf: options.asOf,
+                    profile: options.profile
+                });
+            }
+
+            results.push(result);
+        } catch (error) {
+            failures.push({ row, input: job, errors: [error.message] });
+        }
+    });
+
+    return {
+        results,
+        failures,
+        summary: {
+            total: jobs.length,
+            succeeded: results.length,
+            failed: failures.length,
+            totalRecommendedCharge: results.reduce((sum, r) => sum + r.pricing.summary.recommendedCharge, 0),
+            estimatedRows: results.filter(r => r.pricing.dataQuality.isEstimated).length
+        }
+    };
+}
+
+/**
+ * Flatten a batch into CSV rows: recommended charge, fees and data-quality
+ * flags per job, with failed rows carrying their error
+ */
+function batchToCsv(batch) {
+    const rows = [
+        ...batch.results.map(({ row, input, pricing }) => ({
+            row,
+            ...input,
+            permitFee: pricing.permitFee.permitFee,
+            planReviewFee: pricing.permitFee.planReview.fee,
+            surcharges: pricing.permitFee.surcharges.total,
+            totalFees: pricing.permitFee.totalFees,
+            laborCost: pricing.labor.laborCost,
+            recommendedCharge: pricing.summary.recommendedCharge,
+            yourProfit: pricing.summary.yourProfit,
+            profitMargin: pricing.summary.profitMargin,
+            processingTime: pricing.summary.processingTime,
+            dataQuality: pricing.dataQuality.quality,
+            confidence: pricing.dataQuality.confidence,
+            isEstimated: pricing.dataQuality.isEstimated,
+            chargeLow: pricing.range ? pricing.range.recommendedCharge.low : '',
+            chargeHigh: pricing.range ? pricing.range.recommendedCharge.high : ''
+        })),
+        ...batch.failures.map(({ row, input, errors }) => ({
+            row,
+            ...(input && typeof input === 'object' ? input : {}),
+            error: errors.join('; ')
+        }))
+    ].sort((a, b) => a.row - b.row);
+
+    return toCsv(rows, RESULT_COLUMNS);
+}
+
+module.exports = {
+    MAX_BATCH_ROWS,
+    parseCsv,
+    toCsv,
+    validateJob,
+    priceBatch,
+    batchToCsv
+};
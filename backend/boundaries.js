@@ -0,0 +1,371 @@
+/**
+ * Jurisdiction Boundaries
+ * Offline point-in-polygon lookup of the permitting authority for a job
+ * site, from the GeoJSON files in data/boundaries/ (*.geojson).
+ *
+ * The bundled files are US Census cartographic boundaries simplified to
+ * 1:10,000,000, so edges can be off by about a kilometre. City limits are
+ * bundled only for consolidated city-counties (cities.geojson); add city
+ * GIS or TIGER/Line place boundaries there to resolve other cities. A job
+ * site inside mapped city limits is priced for that city; elsewhere the
+ * coordinates are only checked against the entered location's county and
+ * state.
+ *
+ * Each file is a FeatureCollection with an optional top-level `source`
+ * ({ name, url, license, precision }). Feature properties:
+ *   { jurisdiction, type, name, notes? }
+ *
+ *   jurisdiction - hierarchy key ("City, ST", "Name County, ST", "ST")
+ *   type         - city | county | state
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAncestry, stateOf, describeJurisdiction } = require('./jurisdictions');
+
+const BOUNDARY_DIR = process.env.BOUNDARY_DIR || path.join(__dirname, 'data', 'boundaries');
+
+// Lower is more specific
+const TYPE_RANK = { city: 0, county: 1, state: 2 };
+
+// Points this close to a boundary edge may lie on either side of it
+const BORDER_TOLERANCE_KM = 1;
+
+let boundaries = null;
+const vertexCache = new Map();
+
+function ringsOf(geometry) {
+    return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+function computeBbox(geometry) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const polygon of ringsOf(geometry)) {
+        for (const [lng, lat] of polygon[0]) {
+            bbox[0] = Math.min(bbox[0], lng);
+            bbox[1] = Math.min(bbox[1], lat);
+            bbox[2] = Math.max(bbox[2], lng);
+            bbox[3] = Math.max(bbox[3], lat);
+        }
+    }
+    return bbox;
+}
+
+/**
+ * Validate a boundary feature. Returns a list of problems (empty when valid).
+ */
+function validateBoundaryFeature(feature) {
+    const errors = [];
+    const props = (feature && feature.properties) || {};
+    const geometry = feature && feature.geometry;
+
+    if (typeof props.jurisdiction !== 'string' || props.jurisdiction.trim().length === 0) {
+        errors.push('properties.jurisdiction is required');
+    }
+    if (!(props.type in TYPE_RANK)) {
+        errors.push(`properties.type must be one of: ${Object.keys(TYPE_RANK).join(', ')}`);
+    }
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+        errors.push('geometry must be a Polygon or MultiPolygon');
+    }
+    return errors;
+}
+
+/**
+ * Load every boundary file. Invalid features are skipped with a warning.
+ */
+function loadBoundaries() {
+    boundaries = [];
+    vertexCache.clear();
+
+    let files = [];
+    try {
+        files = fs.readdirSync(BOUNDARY_DIR).filter(file => file.endsWith('.geojson')).sort();
+    } catch (err) {
+        console.warn('Boundaries: could not read boundary directory:', err.message);
+    }
+
+    for (const file of files) {
+        let collection;
+        try {
+            collection = JSON.parse(fs.readFileSync(path.join(BOUNDARY_DIR, file), 'utf8'));
+        } catch (err) {
+            console.warn(`Boundaries: could not read ${file}:`, err.message);
+            continue;
+        }
+        (collection.features || []).forEach((feature, i) => {
+            const errors = validateBoundaryFeature(feature);
+            if (errors.length > 0) {
+                console.warn(`Boundaries: skipping ${file} feature ${i}: ${errors.join('; ')}`);
+                return;
+            }
+            boundaries.push({
+                key: feature.properties.jurisdiction,
+                type: feature.properties.type,
+                name: feature.properties.name || feature.properties.jurisdiction,
+                properties: feature.properties,
+                geometry: feature.geometry,
+                bbox: computeBbox(feature.geometry),
+                file,
+                source: collection.source || null
+            });
+        });
+    }
+    return boundaries;
+}
+
+function getBoundaries() {
+    return boundaries || loadBoundaries();
+}
+
+/**
+ * Boundary for a jurisdiction key, or null
+ */
+function getBoundary(key) {
+    return getBoundaries().find(boundary => boundary.key === key) || null;
+}
+
+/**
+ * Most specific boundary covering a location: its own, else the nearest
+ * ancestor's (a city without mapped limits falls back to its county)
+ */
+function getLocationBoundary(location) {
+    for (const key of getAncestry(location)) {
+        const boundary = getBoundary(key);
+        if (boundary) return boundary;
+    }
+    return null;
+}
+
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a [longitude, latitude] point lies in a Polygon or MultiPolygon
+ * (inside an outer ring and outside its holes)
+ */
+function pointInGeometry(point, geometry) {
+    return ringsOf(geometry).some(([outer, ...holes]) =>
+        pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole)));
+}
+
+/**
+ * Distance in km from a [longitude, latitude] point to the nearest edge of
+ * a Polygon or MultiPolygon (flat projection around the point; boundaries
+ * are only compared against BORDER_TOLERANCE_KM)
+ */
+function distanceToEdgeKm([lng, lat], geometry) {
+    const kmPerLng = 111.32 * Math.cos((lat * Math.PI) / 180);
+    const kmPerLat = 110.574;
+    let nearest = Infinity;
+    for (const polygon of ringsOf(geometry)) {
+        for (const ring of polygon) {
+            for (let i = 1; i < ring.length; i++) {
+                const ax = (ring[i - 1][0] - lng) * kmPerLng;
+                const ay = (ring[i - 1][1] - lat) * kmPerLat;
+                const bx = (ring[i][0] - lng) * kmPerLng;
+                const by = (ring[i][1] - lat) * kmPerLat;
+                const length = (bx - ax) ** 2 + (by - ay) ** 2;
+                const t = length === 0 ? 0 : Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / length));
+                nearest = Math.min(nearest, Math.hypot(ax + t * (bx - ax), ay + t * (by - ay)));
+            }
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Validate { latitude, longitude }. Returns a list of problems.
+ */
+function validateCoordinates(coordinates) {
+    if (!coordinates || typeof coordinates !== 'object') {
+        return ['coordinates must be an object with latitude and longitude'];
+    }
+    const errors = [];
+    const { latitude, longitude } = coordinates;
+    if (typeof latitude !== 'number' || !(latitude >= -90 && latitude <= 90)) {
+        errors.push('latitude must be a number between -90 and 90');
+    }
+    if (typeof longitude !== 'number' || !(longitude >= -180 && longitude <= 180)) {
+        errors.push('longitude must be a number between -180 and 180');
+    }
+    return errors;
+}
+
+const describeBoundary = (boundary) => boundary && ({
+    jurisdiction: boundary.key,
+    type: boundary.type,
+    name: boundary.name,
+    file: boundary.file,
+    source: boundary.source ? boundary.source.name : null
+});
+
+/**
+ * Resolve a job site to the boundaries containing it
+ *
+ * @param {{ latitude: number, longitude: number }} coordinates
+ * @returns {{ latitude, longitude, matches: Object[], boundary: Object|null, jurisdiction: string|null, county: string|null, state: string|null, nearBorder: boolean, notes: string }}
+ *   matches are most specific first; jurisdiction is the city whose limits
+ *   contain the point (null without a city match); nearBorder is set when
+ *   the point is within BORDER_TOLERANCE_KM of a matched boundary's edge
+ */
+function resolvePoint({ latitude, longitude }) {
+    const point = [longitude, latitude];
+    const matches = getBoundaries()
+        .filter(({ bbox }) => longitude >= bbox[0] && longitude <= bbox[2] && latitude >= bbox[1] && latitude <= bbox[3])
+        .filter(boundary => pointInGeometry(point, boundary.geometry))
+        .sort((a, b) => TYPE_RANK[a.type] - TYPE_RANK[b.type]);
+
+    const keyOf = (type) => (matches.find(match => match.type === type) || {}).key || null;
+    const best = matches[0] || null;
+    let notes = 'No boundary contains this point';
+    if (best && best.type === 'city') {
+        notes = `Inside the ${best.name} city limits`;
+    } else if (best) {
+        notes = `In ${best.name}; no city limits are mapped here, so the coordinates cannot confirm the city`;
+    }
+    return {
+        latitude,
+        longitude,
+        matches: matches.map(describeBoundary),
+        boundary: describeBoundary(best),
+        jurisdiction: keyOf('city'),
+        county: keyOf('county'),
+        state: keyOf('state'),
+        nearBorder: matches.some(match => distanceToEdgeKm(point, match.geometry) < BORDER_TOLERANCE_KM),
+        notes
+    };
+}
+
+/**
+ * Location to price for a job site: the city whose limits contain the
+ * coordinates, otherwise the location as entered. `conflict` is advisory:
+ * it flags coordinates outside the entered location (a different city, or
+ * a county or state the location is known not to be in, unless the point
+ * is too close to the border to tell).
+ *
+ * @param {string} location - "City, ST" as entered
+ * @param {{ latitude: number, longitude: number }} coordinates
+ * @returns {Object} resolvePoint() result with { location, enteredLocation, conflict }
+ */
+function locateJurisdiction(location, coordinates) {
+    const resolution = resolvePoint(coordinates);
+    const point = [coordinates.longitude, coordinates.latitude];
+
+    if (resolution.jurisdiction) {
+        const conflict = resolution.jurisdiction !== location;
+        return {
+            ...resolution,
+            location: resolution.jurisdiction,
+            enteredLocation: location,
+            conflict,
+            notes: conflict
+                ? `The coordinates fall inside the ${resolution.boundary.name} city limits, not ${location}; pricing ${resolution.jurisdiction}`
+                : resolution.notes
+        };
+    }
+
+    const { chain } = describeJurisdiction(location);
+    const ancestry = chain.map(link => link.key);
+    const knowsCounty = chain.some(link => link.type === 'county');
+    const conflicting = resolution.matches.find(match =>
+        (match.type === 'state' && match.jurisdiction !== stateOf(location)) ||
+        (match.type === 'county' && knowsCounty && !ancestry.includes(match.jurisdiction)));
+    const nearConflict = conflicting && distanceToEdgeKm(point, getBoundary(conflicting.jurisdiction).geometry) < BORDER_TOLERANCE_KM;
+
+    let notes = `${resolution.notes}; using ${location} as entered`;
+    if (nearConflict) {
+        notes = `The coordinates are within about ${BORDER_TOLERANCE_KM} km of the ${conflicting.name} border, too close to check against ${location}; using it as entered`;
+    } else if (conflicting) {
+        notes = `The coordinates fall in ${conflicting.name}, outside ${location}`;
+    }
+    return {
+        ...resolution,
+        location,
+        enteredLocation: location,
+        conflict: Boolean(conflicting) && !nearConflict,
+        notes
+    };
+}
+
+/**
+ * Distinct vertices of a boundary, rounded to ~1 m so shared borders match
+ */
+function getVertices(boundary) {
+    if (!vertexCache.has(boundary.key)) {
+        const vertices = new Set();
+        for (const polygon of ringsOf(boundary.geometry)) {
+            for (const ring of polygon) {
+                ring.forEach(([lng, lat]) => vertices.add(`${lng.toFixed(5)},${lat.toFixed(5)}`));
+            }
+        }
+        vertexCache.set(boundary.key, vertices);
+    }
+    return vertexCache.get(boundary.key);
+}
+
+/**
+ * Whether two boundaries share a border. Boundaries from the same source
+ * share their border vertices, so two or more common vertices mean an edge.
+ */
+function areAdjacent(a, b) {
+    if (a.key === b.key) return false;
+    if (a.bbox[0] > b.bbox[2] || b.bbox[0] > a.bbox[2] || a.bbox[1] > b.bbox[3] || b.bbox[1] > a.bbox[3]) {
+        return false;
+    }
+    const bVertices = getVertices(b);
+    let shared = 0;
+    for (const vertex of getVertices(a)) {
+        if (bVertices.has(vertex) && ++shared >= 2) return true;
+    }
+    return false;
+}
+
+/**
+ * Boundaries of the same type that share a border with the jurisdiction's
+ */
+function getAdjacentBoundaries(key) {
+    const boundary = getBoundary(key);
+    if (!boundary) return [];
+    return getBoundaries()
+        .filter(other => other.type === boundary.type && areAdjacent(boundary, other))
+        .map(other => other.key);
+}
+
+/**
+ * Approximate distance in miles between the centres of two boundaries
+ */
+function distanceMiles(a, b) {
+    const centre = ({ bbox }) => [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+    const [lng1, lat1] = centre(a);
+    const [lng2, lat2] = centre(b);
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const h = Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+    return 3959 * 2 * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+    BOUNDARY_DIR,
+    BORDER_TOLERANCE_KM,
+    loadBoundaries,
+    validateBoundaryFeature,
+    validateCoordinates,
+    getBoundary,
+    getLocationBoundary,
+    pointInGeometry,
+    resolvePoint,
+    locateJurisdiction,
+    areAdjacent,
+    getAdjacentBoundaries,
+    distanceMiles
+};
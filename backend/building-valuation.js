@@ -0,0 +1,132 @@
+/**
+ * Building Valuation Estimator
+ * Derives a project value from square footage the way most permit offices
+ * do at intake: ICC Building Valuation Data (BVD) cost per square foot for
+ * the occupancy group and construction type, scaled by scope, trade share
+ * and a local construction cost multiplier.
+ */
+
+const { permitFees, detectRegion } = require('./database-loader');
+const { normalizeJobType } = require('./pricing-calculator');
+
+/**
+ * Cost per square foot by occupancy group and construction type.
+ * Rounded from the ICC Building Valuation Data table; check against the
+ * current edition when a jurisdiction publishes its own.
+ */
+const VALUATION_TABLE = {
+    'A-2': { label: 'Assembly, restaurants and bars', IA: 290, IB: 280, IIA: 270, IIB: 260, IIIA: 245, IIIB: 235, IV: 255, VA: 225, VB: 215 },
+    'B': { label: 'Business / offices', IA: 320, IB: 308, IIA: 297, IIB: 283, IIIA: 266, IIIB: 255, IV: 272, VA: 240, VB: 230 },
+    'M': { label: 'Mercantile / retail', IA: 230, IB: 220, IIA: 205, IIB: 198, IIIA: 185, IIIB: 176, IV: 192, VA: 168, VB: 160 },
+    'R-1': { label: 'Residential, hotels', IA: 280, IB: 270, IIA: 262, IIB: 252, IIIA: 238, IIIB: 230, IV: 246, VA: 214, VB: 206 },
+    'R-2': { label: 'Residential, multiple family', IA: 265, IB: 254, IIA: 244, IIB: 236, IIIA: 223, IIIB: 213, IV: 229, VA: 202, VB: 195 },
+    'R-3': { label: 'Residential, one- and two-family', IA: 228, IB: 222, IIA: 215, IIB: 208, IIIA: 206, IIIB: 198, IV: 200, VA: 190, VB: 180 },
+    'S-1': { label: 'Storage, moderate hazard', IA: 150, IB: 142, IIA: 133, IIB: 126, IIIA: 116, IIIB: 108, IV: 122, VA: 98, VB: 92 },
+    'U': { label: 'Utility, garages and sheds', IA: 100, IB: 95, IIA: 90, IIB: 85, IIIA: 80, IIIB: 75, IV: 80, VA: 65, VB: 60 }
+};
+
+const CONSTRUCTION_TYPES = ['IA', 'IB', 'IIA', 'IIB', 'IIIA', 'IIIB', 'IV', 'VA', 'VB'];
+
+/**
+ * Share of new-construction value by scope. Alterations are valued at a
+ * fraction of new building cost.
+ */
+const SCOPE_FACTORS = {
+    'New Installation': 1.0,
+    'Addition': 1.0,
+    'Renovation': 0.5,
+    'Replacement': 0.35,
+    'Repair/Service': 0.25
+};
+
+/**
+ * Share of building value carried by each trade, for trade-only permits.
+ * Building permits (General Construction, Remodeling) cover the whole value.
+ */
+const TRADE_SHARES = {
+    'Electrical': 0.12,
+    'Plumbing': 0.10,
+    'HVAC': 0.12
+};
+
+const DEFAULT_OCCUPANCY = 'R-3';
+const DEFAULT_CONSTRUCTION_TYPE = 'VB';
+
+/**
+ * Validate valuation input. Returns a list of problems (empty when valid).
+ */
+function validateValuationInput(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return ['valuation must be an object'];
+    }
+
+    const errors = [];
+    const squareFeet = Number(input.squareFeet);
+    if (!(Number.isFinite(squareFeet) && squareFeet > 0)) {
+        errors.push('squareFeet must be a positive number');
+    }
+    if (input.occupancy !== undefined && !Object.hasOwn(VALUATION_TABLE, input.occupancy)) {
+        errors.push(`occupancy must be one of: ${Object.keys(VALUATION_TABLE).join(', ')}`);
+    }
+    if (input.constructionType !== undefined && !CONSTRUCTION_TYPES.includes(input.constructionType)) {
+        errors.push(`constructionType must be one of: ${CONSTRUCTION_TYPES.join(', ')}`);
+    }
+    return errors;
+}
+
+/**
+ * Estimate project value from square footage
+ *
+ * @param {Object} input
+ * @param {number} input.squareFeet - floor area affected by the work
+ * @param {string} [input.occupancy='R-3'] - ICC occupancy group
+ * @param {string} [input.constructionType='VB'] - ICC construction type
+ * @param {string} [input.scope] - scope of work (defaults to new construction)
+ * @param {string} [input.jobType] - trade; trade-only permits use the trade's share
+ * @param {string} [input.location] - "City, ST" for the local cost multiplier
+ */
+function estimateProjectValue(input) {
+    const squareFeet = Number(input.squareFeet);
+    const occupancy = input.occupancy || DEFAULT_OCCUPANCY;
+    const constructionType = input.constructionType || DEFAULT_CONSTRUCTION_TYPE;
+    const costPerSqFt = VALUATION_TABLE[occupancy][constructionType];
+
+    const scopeFactor = Object.hasOwn(SCOPE_FACTORS, input.scope) ? SCOPE_FACTORS[input.scope] : 1.0;
+    const jobType = input.jobType ? normalizeJobType(input.jobType) : null;
+    const tradeShare = (jobType && TRADE_SHARES[jobType]) || 1.0;
+
+    const jurisdictionKey = input.location ? detectRegion(input.location) : 'default';
+    const jurisdictionMultiplier = (permitFees[jurisdictionKey] || {}).valuationMultiplier || 1.0;
+
+    const buildingValue = Math.round(squareFeet * costPerSqFt * jurisdictionMultiplier);
+    const projectValue = Math.round(buildingValue * scopeFactor * tradeShare);
+
+    const basis = [`${squareFeet} sq ft × $${costPerSqFt}/sq ft (${occupancy}, Type ${constructionType})`];
+    if (jurisdictionMultiplier !== 1.0) basis.push(`× ${jurisdictionMultiplier} local cost multiplier`);
+    if (scopeFactor !== 1.0) basis.push(`× ${scopeFactor} for ${input.scope}`);
+    if (tradeShare !== 1.0) basis.push(`× ${tradeShare} ${jobType} share`);
+
+    return {
+        projectValue,
+        buildingValue,
+        squareFeet,
+        occupancy,
+        occupancyLabel: VALUATION_TABLE[occupancy].label,
+        constructionType,
+        costPerSqFt,
+        jurisdiction: jurisdictionKey,
+        jurisdictionMultiplier,
+        scopeFactor,
+        tradeShare,
+        basis: basis.join(' '),
+        source: 'ICC Building Valuation Data (rounded)'
+    };
+}
+
+module.exports = {
+    VALUATION_TABLE,
+    CONSTRUCTION_TYPES,
+    SCOPE_FACTORS,
+    validateValuationInput,
+    estimateProjectValue
+};
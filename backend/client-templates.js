@@ -4,6 +4,77 @@
  * and compete against unlicensed workers
  */
 
+/**
+ * Regional estimates are quoted as a range rather than an exact number
+ */
+function formatEstimateRange(range, key) {
+    if (!range || !range[key]) return '';
+    return ` (estimated range $${range[key].low} - $${range[key].high})`;
+}
+
+/**
+ * Format standard / expedited / over-the-counter options so the homeowner
+ * can pick one. Empty when only standard review is available.
+ */
+function formatTimelineOptions(scenarios) {
+    if (!Array.isArray(scenarios) || scenarios.length < 2) {
+        return '';
+    }
+
+    const options = scenarios.map((scenario, i) => {
+        const issue = scenario.issueDate ? ` - permit expected by ${scenario.issueDate.expected}` : '';
+        return `OPTION ${i + 1}: ${scenario.label.toUpperCase()}
+Total: $${scenario.recommendedCharge}
+Processing: ${scenario.processingTime}${issue}
+${scenario.notes}`;
+    }).join('\n\n');
+
+    return `
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+⏱️ TIMELINE OPTIONS
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+${options}
+
+Let me know which option you prefer and I'll file accordingly.
+`;
+}
+
+/**
+ * Market prices from the jurisdiction's market model, with the sources
+ * behind them. Empty when the pricing has no market citations.
+ */
+function formatMarketPrices(competitive) {
+    if (!competitive || !competitive.citations) {
+        return '';
+    }
+
+    const bid = competitive.licensedCompetitorBid;
+    const bidText = bid.estimated
+        ? `$${bid.typical} (estimated)`
+        : `$${bid.low}-${bid.high} (typical $${bid.typical})`;
+
+    const sources = [];
+    for (const citation of Object.values(competitive.citations)) {
+        const text = `${citation.name}${citation.asOf ? ` (${citation.asOf})` : ''}${citation.url ? ` - ${citation.url}` : ''}`;
+        if (!sources.includes(text)) sources.push(text);
+    }
+
+    return `
+WHAT OTHERS CHARGE
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Licensed competitor:    ${bidText}
+Permit expediter:       $${competitive.expediterServicePrice}
+Unlicensed "handyman":  ~$${competitive.unlicensedContractorPrice}
+
+Sources: ${sources.join('; ')}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+`;
+}
+
 /**
  * Generate professional client quote email
  */
@@ -17,6 +88,19 @@ function generateClientQuote(pricingData, contractorInfo = {}) {
     } = contractorInfo;
 
     const { pricing, metadata } = pricingData;
+    const planReview = pricing.permitFee.planReview;
+    const planReviewLine = planReview && planReview.fee > 0
+        ? `\nPlan Review Fee (${metadata.location})        $${planReview.fee}`
+        : '';
+    const surchargeLines = ((pricing.permitFee.surcharges && pricing.permitFee.surcharges.items) || [])
+        .map(surcharge => `\n${surcharge.name}        $${surcharge.amount.toFixed(2)}`)
+        .join('');
+    const timelineOptions = formatTimelineOptions(pricing.scenarios);
+    const estimateNote = pricing.range
+        ? `\nNote: ${metadata.location} fees are a regional estimate based on nearby verified cities.
+The final permit fee is set by the building department and may fall anywhere in the range shown.
+`
+        : '';
 
     return {
         subject: `Permit Quote: ${metadata.jobType} - ${metadata.location}`,
@@ -41,18 +125,18 @@ Location: ${metadata.location}
 💰 PERMIT SERVICE QUOTE
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-Permit Fee (${metadata.location})             $${pricing.permitFee.permitFee}
+Permit Fee (${metadata.location})             $${pricing.permitFee.permitFee}${planReviewLine}${surchargeLines}
 Document Preparation (${pricing.labor.breakdown.documentPrep.hours}h)        $${pricing.labor.breakdown.documentPrep.cost}
 Plan Drawing & Diagrams (${pricing.labor.breakdown.planDrawing.hours}h)      $${pricing.labor.breakdown.planDrawing.cost}
 Permit Submission (${pricing.labor.breakdown.submission.hours}h)             $${pricing.labor.breakdown.submission.cost}
 Inspection Attendance (${pricing.labor.breakdown.inspection.hours}h)         $${pricing.labor.breakdown.inspection.cost}
 Administrative & Follow-up                     $${pricing.labor.breakdown.corrections.cost + pricing.clientCharge.permitFeeMarkup}
                                                ──────────
-TOTAL PERMIT SERVICE:                          $${pricing.summary.recommendedCharge}
-
+TOTAL PERMIT SERVICE:                          $${pricing.summary.recommendedCharge}${formatEstimateRange(pricing.range, 'recommendedCharge')}
+${estimateNote}
 Time Investment: ${pricing.summary.timeInvestment}
 Expected Timeline: ${pricing.summary.processingTime}
-
+${timelineOptions}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 ✓ WHY PROPER PERMITS MATTER
@@ -326,7 +410,7 @@ Insurance denial risk:  -$10,000-50,000
 POTENTIAL TOTAL:        $53,500-145,000 LOSS
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
+${formatMarketPrices(pricing.competitive)}
 THE MATH IS CLEAR
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
@@ -0,0 +1,202 @@
+/**
+ * Contractor pricing profiles with file-based persistence
+ *
+ * A profile overrides the global markupRecommendations / laborTimes tables
+ * with a contractor's own hourly rate, markup, minimum charge and per-task
+ * labor hours, optionally per trade.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { laborTimes } = require('./database-loader');
+const dataEvents = require('./data-events');
+
+const DATA_FILE = path.join(__dirname, 'scraper-results', 'contractor-profiles.json');
+
+const LABOR_TASKS = ['documentPrep', 'planDrawing', 'submission', 'inspection', 'corrections'];
+const CONTACT_FIELDS = ['name', 'companyName', 'license', 'phone', 'email'];
+
+let profiles = {};
+
+function load() {
+    try {
+        if (fs.existsSync(DATA_FILE)) {
+            const saved = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+            profiles = saved && typeof saved === 'object' ? saved : {};
+        }
+    } catch (err) {
+        // Graceful fallback - start fresh if file is corrupt/missing
+        console.warn('Contractor profiles: could not load saved data, starting fresh');
+        profiles = {};
+    }
+}
+
+function save() {
+    try {
+        const dir = path.dirname(DATA_FILE);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(DATA_FILE, JSON.stringify(profiles, null, 2));
+    } catch (err) {
+        console.warn('Contractor profiles: could not save data:', err.message);
+    }
+}
+
+/**
+ * Check rate/markup/minimum fields shared by the profile and its trade overrides
+ */
+function validateRates(rates, prefix, errors) {
+    if (rates.laborRate !== undefined && !(typeof rates.laborRate === 'number' && rates.laborRate > 0)) {
+        errors.push(`${prefix}laborRate must be a positive number`);
+    }
+    if (rates.permitFeeMarkup !== undefined &&
+        !(typeof rates.permitFeeMarkup === 'number' && rates.permitFeeMarkup >= 0 && rates.permitFeeMarkup <= 1)) {
+        errors.push(`${prefix}permitFeeMarkup must be a fraction between 0 and 1 (e.g. 0.2 for 20%)`);
+    }
+    if (rates.minimumCharge !== undefined && !(typeof rates.minimumCharge === 'number' && rates.minimumCharge >= 0)) {
+        errors.push(`${prefix}minimumCharge must be a non-negative number`);
+    }
+}
+
+/**
+ * Validate profile input. Returns a list of problems (empty when valid).
+ */
+function validateProfile(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['profile must be an object'];
+    }
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+        errors.push('name is required');
+    }
+
+    validateRates(data, '', errors);
+
+    if (data.trades !== undefined) {
+        if (!data.trades || typeof data.trades !== 'object' || Array.isArray(data.trades)) {
+            errors.push('trades must be an object keyed by trade');
+        } else {
+            for (const [trade, overrides] of Object.entries(data.trades)) {
+                if (!Object.hasOwn(laborTimes, trade)) {
+                    errors.push(`Unknown trade: ${trade}`);
+                    continue;
+                }
+                validateRates(overrides || {}, `trades.${trade}.`, errors);
+
+                const hours = (overrides || {}).laborHours || {};
+                for (const [task, value] of Object.entries(hours)) {
+                    if (!LABOR_TASKS.includes(task)) {
+                        errors.push(`trades.${trade}.laborHours.${task} is not a labor task (${LABOR_TASKS.join(', ')})`);
+                    } else if (!(typeof value === 'number' && value >= 0)) {
+                        errors.push(`trades.${trade}.laborHours.${task} must be a non-negative number`);
+                    }
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+function pickProfileFields(data) {
+    const fields = {};
+    for (const key of [...CONTACT_FIELDS, 'laborRate', 'permitFeeMarkup', 'minimumCharge', 'trades']) {
+        if (data[key] !== undefined) {
+            fields[key] = data[key];
+        }
+    }
+    if (fields.name) fields.name = fields.name.trim();
+    return fields;
+}
+
+function listProfiles() {
+    return Object.values(profiles).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Profiles are keyed by id in a plain object: ignore inherited keys like __proto__
+const hasProfile = (id) => Object.hasOwn(profiles, id);
+
+function getProfile(id) {
+    return hasProfile(id) ? profiles[id] : null;
+}
+
+function createProfile(data) {
+    const now = new Date().toISOString();
+    const profile = {
+        id: crypto.randomUUID(),
+        ...pickProfileFields(data),
+        createdAt: now,
+        updatedAt: now
+    };
+    profiles[profile.id] = profile;
+    save();
+    dataEvents.emitDataChanged('contractor-profile', { profileId: profile.id });
+    return profile;
+}
+
+function updateProfile(id, data) {
+    if (!hasProfile(id)) return null;
+
+    profiles[id] = {
+        ...profiles[id],
+        ...pickProfileFields(data),
+        updatedAt: new Date().toISOString()
+    };
+    save();
+    dataEvents.emitDataChanged('contractor-profile', { profileId: id });
+    return profiles[id];
+}
+
+function deleteProfile(id) {
+    if (!hasProfile(id)) return false;
+    delete profiles[id];
+    save();
+    dataEvents.emitDataChanged('contractor-profile', { profileId: id });
+    return true;
+}
+
+/**
+ * Map a profile onto the contractorInfo shape the client templates use
+ */
+function toContractorInfo(profile) {
+    if (!profile) return {};
+
+    const info = {};
+    const contractorName = profile.companyName || profile.name;
+    if (contractorName) info.contractorName = contractorName;
+    if (profile.license) info.contractorLicense = profile.license;
+    if (profile.phone) info.contractorPhone = profile.phone;
+    if (profile.email) info.contractorEmail = profile.email;
+    return info;
+}
+
+function reset() {
+    profiles = {};
+    try {
+        if (fs.existsSync(DATA_FILE)) {
+            fs.unlinkSync(DATA_FILE);
+        }
+    } catch (err) {
+        // ignore
+    }
+}
+
+// Load persisted profiles on module init
+load();
+
+module.exports = {
+    LABOR_TASKS,
+    validateProfile,
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    toContractorInfo,
+    reset,
+    load,
+    DATA_FILE
+};
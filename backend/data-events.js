@@ -0,0 +1,77 @@
+/**
+ * Data Events
+ * In-process bus for "the fee data changed". Scrape runs, fee store writes
+ * (approved drafts, accepted quarantine values, migrations), market model
+ * overrides, contractor profile edits and edits to scrape-history.json
+ * made outside the server emit DATA_CHANGED; the
+ * database loader rebuilds its merged data once on the next read and the
+ * server drops its cached responses.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const DATA_CHANGED = 'data-changed';
+
+// fs.watch reports a single write several times
+const WATCH_DEBOUNCE_MS = 500;
+
+const bus = new EventEmitter();
+let lastChange = null;
+
+/**
+ * Announce a data change
+ *
+ * @param {string} source - scrape | fee-store | history-file | market-model | contractor-profile
+ * @param {Object} [details] - e.g. { collection, key }, { jurisdiction }, { profileId } or { file }
+ * @returns {Object} the change: { source, ...details, at }
+ */
+function emitDataChanged(source, details = {}) {
+    lastChange = { source, ...details, at: new Date().toISOString() };
+    bus.emit(DATA_CHANGED, lastChange);
+    return lastChange;
+}
+
+/**
+ * Call listener(change) on every data change. Returns an unsubscribe function.
+ */
+function onDataChanged(listener) {
+    bus.on(DATA_CHANGED, listener);
+    return () => bus.off(DATA_CHANGED, listener);
+}
+
+function getLastChange() {
+    return lastChange;
+}
+
+/**
+ * Emit when a file changes on disk (e.g. scrape-history.json written by the
+ * scraper CLI). Watches the directory so files replaced by rename are
+ * still seen. The watcher does not keep the process alive.
+ *
+ * @returns {Function} stops watching
+ */
+function watchFile(file, source) {
+    const name = path.basename(file);
+    let timer = null;
+    const watcher = fs.watch(path.dirname(file), (eventType, filename) => {
+        if (filename && filename !== name) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => emitDataChanged(source, { file: name }), WATCH_DEBOUNCE_MS);
+        timer.unref();
+    });
+    watcher.unref();
+    return () => {
+        clearTimeout(timer);
+        watcher.close();
+    };
+}
+
+module.exports = {
+    DATA_CHANGED,
+    emitDataChanged,
+    onDataChanged,
+    getLastChange,
+    watchFile
+};
@@ -1,27 +1,85 @@
 /**
  * Database Loader
- * Loads permit fee data from scraped JSON results instead of static JS file
+ * Overlays scraped JSON results on the curated fee store data
  * This enables fully automated database updates from scrapers
+ *
+ * Jurisdictions that exist only in scraper output are published as
+ * "partial" once enough of their fees were scraped (see PARTIAL_COVERAGE);
+ * everything else they need comes from their regional default.
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
-// Fallback to static database if needed
+// Curated data from the fee store (fallback when scraper results are unusable)
 const staticDB = require('./permit-fee-database');
+const feeStore = require('./fee-store');
+const dataEvents = require('./data-events');
+
+// Provenance labels for merged fee fields
+const STATIC_SOURCE = 'fee-store';
+const SCRAPER_SOURCE = 'scraper-results/scrape-history.json';
+const MAX_SCRAPE_DEVIATION = 0.1;
+
+const SCRAPED_TRADES = ['electrical', 'plumbing', 'hvac'];
+
+// Plausibility checks for scraped fee fields; failing values are never used
+const SCRAPED_FIELD_CHECKS = {
+    baseFee: value => value > 0,
+    // valuationRate must be reasonable (under 10%)
+    valuationRate: value => value >= 0 && value < 0.1,
+    // minFee: only plausible at $10 or more
+    minFee: value => value >= 10,
+    maxFee: value => value > 0
+};
+
+// Minimum coverage for a trade of a scraped-only jurisdiction to be published:
+// these fields, and this many plausible fee fields in all
+const PARTIAL_COVERAGE = { requiredFields: ['baseFee'], minFields: 2 };
+
+// Record-level fields a partial jurisdiction takes from its regional default
+const INHERITED_RECORD_FIELDS = ['processingTime', 'expediteFee', 'expediteTime', 'valuationMultiplier', 'planReview'];
+
+/**
+ * A scraped fee field's value, or null when missing. Valuation rates are
+ * rounded to 6 decimal places to avoid floating point noise.
+ */
+function readScrapedField(scraped, field) {
+    const value = scraped[field];
+    if (value == null) return null;
+    return field === 'valuationRate' ? Math.round(value * 1e6) / 1e6 : value;
+}
+
+/**
+ * Scraped fee fields of a trade that pass the plausibility checks
+ */
+function plausibleScrapedFields(scraped) {
+    return Object.keys(SCRAPED_FIELD_CHECKS).filter(field => {
+        const value = readScrapedField(scraped, field);
+        return value != null && SCRAPED_FIELD_CHECKS[field](value);
+    });
+}
 
 class DatabaseLoader {
     constructor() {
         this.scraperResultsDir = path.join(__dirname, 'scraper-results');
         this.historyFile = path.join(this.scraperResultsDir, 'scrape-history.json');
         this.cache = null;
-        this.cacheTimestamp = null;
-        this.cacheTTL = 60000; // 1 minute cache
+        this.dataVersion = null;
+        // Changes since the merged data was last built
+        this.pendingChanges = [];
+
+        // Rebuild on the next read after any data change (scrape, store write, history file edit)
+        dataEvents.onDataChanged(change => {
+            this.cache = null;
+            this.pendingChanges.push(change);
+        });
     }
 
     /**
-     * Load latest scraper results and merge into static database.
-     * Scraper results overlay the static data - static DB is the base,
+     * Load latest scraper results and merge into the curated data.
+     * Scraper results overlay the fee store - the store is the base,
      * scraped values update individual trade fields where available.
      */
     loadFromScraperResults() {
@@ -42,65 +100,110 @@ class DatabaseLoader {
 
             // Merge scraper results into static database with validation.
             // Only overwrite static values when scraper provides plausible data.
+            // Values rejected by the deviation check are listed for the scrape
+            // run to queue for admin review (scrape-quarantine.js).
+            const rejections = [];
             for (const [jurisdiction, feeData] of Object.entries(history)) {
-                // Only update existing jurisdictions - don't add new incomplete entries
+                // Jurisdictions without curated data are published as partial
+                // when they meet the minimum coverage, skipped otherwise
                 if (!permitFees[jurisdiction]) {
+                    const partial = this._buildPartialJurisdiction(jurisdiction, feeData, permitFees);
+                    if (partial) {
+                        permitFees[jurisdiction] = partial.fees;
+                        dataQuality[jurisdiction] = partial.quality;
+                    }
                     continue;
                 }
 
+                const scrape = {
+                    scrapedAt: feeData.scrapedAt || null,
+                    sourceUrl: feeData.sourceUrl || null,
+                    pdfHash: feeData.pdfHash || null
+                };
+                const provenance = {};
+
                 // Update individual trade fields if scraper has them
-                const trades = ['electrical', 'plumbing', 'hvac'];
-                for (const trade of trades) {
+                for (const trade of SCRAPED_TRADES) {
                     if (feeData[trade] && permitFees[jurisdiction][trade]) {
                         const existing = permitFees[jurisdiction][trade];
                         const scraped = feeData[trade];
+                        const fieldProvenance = {};
 
                         // Only merge non-null values that pass sanity checks
-                        // AND don't deviate too far from curated values
+                        // AND don't deviate too far from curated values.
+                        // Every scraped value records why it was or wasn't used.
+                        // Citations follow the value: an accepted scraped value takes the
+                        // scraper's citation (or none), replacing the curated one
                         const curated = existing;
-
-                        if (scraped.baseFee != null && scraped.baseFee > 0) {
-                            // Reject if >10% deviation from curated value (when curated exists)
-                            if (curated.baseFee == null || this._withinDeviation(scraped.baseFee, curated.baseFee, 0.1)) {
-                                permitFees[jurisdiction][trade].baseFee = scraped.baseFee;
-                            }
-                        }
-                        // valuationRate must be reasonable (under 10%) and close to curated
-                        if (scraped.valuationRate != null && scraped.valuationRate >= 0 && scraped.valuationRate < 0.1) {
-                            // Round to 6 decimal places to avoid floating point noise
-                            const rounded = Math.round(scraped.valuationRate * 1e6) / 1e6;
-                            if (curated.valuationRate == null || this._withinDeviation(rounded, curated.valuationRate, 0.1)) {
-                                permitFees[jurisdiction][trade].valuationRate = rounded;
-                            }
-                        }
-                        // minFee: only overwrite if scraped value is plausible (>= $10)
-                        if (scraped.minFee != null && scraped.minFee >= 10) {
-                            if (curated.minFee == null || this._withinDeviation(scraped.minFee, curated.minFee, 0.1)) {
-                                permitFees[jurisdiction][trade].minFee = scraped.minFee;
+                        const mergeField = (field, value, plausible) => {
+                            if (value == null) return;
+                            const citation = (scraped.citations && scraped.citations[field]) || null;
+                            if (!plausible) {
+                                fieldProvenance[field] = { source: STATIC_SOURCE, rejectedScrape: { value, ...scrape, citation, reason: 'implausible value' } };
+                                return;
                             }
-                        }
-                        // maxFee: never overwrite with null, and must be > 0
-                        if (scraped.maxFee != null && scraped.maxFee > 0) {
-                            if (curated.maxFee == null || this._withinDeviation(scraped.maxFee, curated.maxFee, 0.1)) {
-                                permitFees[jurisdiction][trade].maxFee = scraped.maxFee;
+                            const deviationCheck = this._deviationCheck(value, curated[field], MAX_SCRAPE_DEVIATION);
+                            if (deviationCheck.passed) {
+                                permitFees[jurisdiction][trade][field] = value;
+                                const citations = { ...permitFees[jurisdiction][trade].citations };
+                                if (citation) {
+                                    citations[field] = citation;
+                                } else {
+                                    delete citations[field];
+                                }
+                                permitFees[jurisdiction][trade].citations = citations;
+                                fieldProvenance[field] = { source: SCRAPER_SOURCE, ...scrape, citation, deviationCheck };
+                            } else {
+                                fieldProvenance[field] = { source: STATIC_SOURCE, rejectedScrape: { value, ...scrape, citation }, deviationCheck };
+                                rejections.push({
+                                    jurisdiction,
+                                    trade,
+                                    field,
+                                    curatedValue: deviationCheck.curatedValue,
+                                    scrapedValue: value,
+                                    deviation: deviationCheck.deviation,
+                                    maxDeviation: MAX_SCRAPE_DEVIATION,
+                                    ...scrape,
+                                    citation
+                                });
                             }
+                        };
+
+                        // Reject implausible values, and values >10% from the
+                        // curated value (when curated exists). Never overwrite with null.
+                        for (const [field, isPlausible] of Object.entries(SCRAPED_FIELD_CHECKS)) {
+                            const value = readScrapedField(scraped, field);
+                            mergeField(field, value, value != null && isPlausible(value));
                         }
                         if (scraped.notes) {
                             permitFees[jurisdiction][trade].notes = scraped.notes;
                         }
 
                         // Post-merge consistency check: if minFee > maxFee,
-                        // the scraper produced bad data. Revert to static values.
+                        // the scraper produced bad data. Revert to static values
+                        // (and their curated citations).
                         const merged = permitFees[jurisdiction][trade];
                         if (merged.minFee > merged.maxFee) {
                             const staticTrade = staticDB.permitFees[jurisdiction]?.[trade];
                             if (staticTrade) {
                                 permitFees[jurisdiction][trade] = { ...staticTrade };
+                                for (const field of Object.keys(fieldProvenance)) {
+                                    fieldProvenance[field] = {
+                                        source: STATIC_SOURCE,
+                                        ...scrape,
+                                        reverted: 'Scraped minFee exceeded maxFee; static values restored'
+                                    };
+                                }
                             }
                         }
+
+                        provenance[trade] = fieldProvenance;
                     }
                 }
 
+                // Per-field origin of merged values (fields not listed come from the static database)
+                permitFees[jurisdiction]._provenance = provenance;
+
                 // Store raw scraper data for reference/debugging
                 permitFees[jurisdiction]._rawScraperData = {
                     electrical: feeData.electrical,
@@ -119,7 +222,7 @@ class DatabaseLoader {
                 };
             }
 
-            return { permitFees, dataQuality };
+            return { permitFees, dataQuality, rejections };
 
         } catch (error) {
             console.error('❌ Error loading scraper results:', error.message);
@@ -128,6 +231,107 @@ class DatabaseLoader {
         }
     }
 
+    /**
+     * Partial permitFees and dataQuality entries for a jurisdiction that
+     * exists only in scraper output, or null when no trade meets the
+     * minimum coverage. Covered trades take their unscraped fields from the
+     * regional default; other trades and fee categories fall back to the
+     * regional default when priced, and record-level fields (processing
+     * time, expedite, plan review) are copied from it.
+     */
+    _buildPartialJurisdiction(jurisdiction, feeData, permitFees) {
+        const regionKey = staticDB.getRegionalDefault(jurisdiction);
+        const region = permitFees[regionKey];
+        if (!region) return null;
+
+        const scrape = {
+            scrapedAt: feeData.scrapedAt || null,
+            sourceUrl: feeData.sourceUrl || null,
+            pdfHash: feeData.pdfHash || null
+        };
+        const feeFields = Object.keys(SCRAPED_FIELD_CHECKS);
+        const fees = {};
+        const provenance = {};
+        const trades = {};
+
+        for (const trade of SCRAPED_TRADES) {
+            const scraped = feeData[trade] || {};
+            const scrapedFields = plausibleScrapedFields(scraped);
+            const covered = scrapedFields.length >= PARTIAL_COVERAGE.minFields &&
+                PARTIAL_COVERAGE.requiredFields.every(field => scrapedFields.includes(field));
+
+            const merged = {};
+            const fieldProvenance = {};
+            const citations = {};
+            for (const field of feeFields) {
+                if (scrapedFields.includes(field)) {
+                    merged[field] = readScrapedField(scraped, field);
+                    const citation = (scraped.citations && scraped.citations[field]) || null;
+                    if (citation) citations[field] = citation;
+                    fieldProvenance[field] = { source: SCRAPER_SOURCE, ...scrape, citation };
+                } else {
+                    merged[field] = region[trade] ? region[trade][field] : null;
+                    fieldProvenance[field] = { source: STATIC_SOURCE, regionalDefault: regionKey };
+                }
+            }
+
+            // Same consistency check as curated merges: minFee above maxFee is bad data
+            if (!covered || merged.minFee > merged.maxFee) {
+                trades[trade] = { scraped: [], inherited: feeFields };
+                continue;
+            }
+            if (scraped.notes) merged.notes = scraped.notes;
+            if (Object.keys(citations).length > 0) merged.citations = citations;
+            fees[trade] = merged;
+            provenance[trade] = fieldProvenance;
+            trades[trade] = {
+                scraped: scrapedFields,
+                inherited: feeFields.filter(field => !scrapedFields.includes(field))
+            };
+        }
+
+        const publishedTrades = Object.keys(fees);
+        if (publishedTrades.length === 0) return null;
+
+        const recordFields = INHERITED_RECORD_FIELDS.filter(field => region[field] !== undefined);
+        for (const field of recordFields) {
+            fees[field] = JSON.parse(JSON.stringify(region[field]));
+        }
+        fees._provenance = provenance;
+        fees._rawScraperData = {
+            electrical: feeData.electrical,
+            plumbing: feeData.plumbing,
+            hvac: feeData.hvac
+        };
+
+        const describe = (fields) => fields.length > 0 ? fields.join(', ') : 'none';
+        const lastVerified = feeData.scrapedAt ? feeData.scrapedAt.split('T')[0] : null;
+        const quality = {
+            quality: 'partial',
+            source: feeData.source || 'Automated Scraper',
+            lastVerified,
+            url: feeData.sourceUrl || null,
+            confidence: 'low',
+            notes: `Partial data from scraper output (${publishedTrades.join(', ')} fees). Fields and permit types not scraped use the ${regionKey} regional estimate. Please verify with your local building department.`,
+            pdfHash: feeData.pdfHash,
+            effectiveDate: feeData.effectiveDate,
+            coverage: {
+                regionalDefault: regionKey,
+                trades,
+                inheritedFields: recordFields
+            },
+            categories: Object.fromEntries(publishedTrades.map(trade => [trade, {
+                quality: 'partial',
+                source: feeData.source || 'Automated Scraper',
+                lastVerified,
+                url: feeData.sourceUrl || null,
+                confidence: trades[trade].inherited.length === 0 ? 'medium' : 'low',
+                notes: `Scraped: ${describe(trades[trade].scraped)}. From the ${regionKey} regional estimate: ${describe(trades[trade].inherited)}`
+            }]))
+        };
+        return { fees, quality };
+    }
+
     /**
      * Convert static database to new format
      */
@@ -139,41 +343,56 @@ class DatabaseLoader {
     }
 
     /**
-     * Get permit fees with caching
+     * Merged data, rebuilt once after each burst of data changes
      */
-    getPermitFees() {
-        const now = Date.now();
-
-        // Return cached data if fresh
-        if (this.cache && this.cacheTimestamp && (now - this.cacheTimestamp < this.cacheTTL)) {
-            return this.cache.permitFees;
+    getMergedData() {
+        if (this.cache) {
+            return this.cache;
         }
 
-        // Load fresh data
-        const data = this.loadFromScraperResults();
-        this.cache = data;
-        this.cacheTimestamp = now;
+        this.cache = this.loadFromScraperResults();
+        // Content hash: the same data gets the same version ID across restarts
+        this.dataVersion = {
+            id: crypto.createHash('sha1').update(JSON.stringify(this.cache)).digest('hex').slice(0, 12),
+            builtAt: new Date().toISOString(),
+            storeRevision: feeStore.getRevision(),
+            changes: this.pendingChanges
+        };
+        this.pendingChanges = [];
 
-        return data.permitFees;
+        return this.cache;
     }
 
     /**
-     * Get data quality metadata with caching
+     * The active data version: { id, builtAt, storeRevision, changes }
+     * (changes that triggered the build)
      */
-    getDataQuality() {
-        const now = Date.now();
+    getDataVersion() {
+        this.getMergedData();
+        return this.dataVersion;
+    }
 
-        // Return cached data if fresh
-        if (this.cache && this.cacheTimestamp && (now - this.cacheTimestamp < this.cacheTTL)) {
-            return this.cache.dataQuality;
-        }
+    /**
+     * Get permit fees with caching
+     */
+    getPermitFees() {
+        return this.getMergedData().permitFees;
+    }
 
-        // Load fresh data
-        const data = this.loadFromScraperResults();
-        this.cache = data;
-        this.cacheTimestamp = now;
+    /**
+     * Get data quality metadata with caching
+     */
+    getDataQuality() {
+        return this.getMergedData().dataQuality;
+    }
 
-        return data.dataQuality;
+    /**
+     * Scraped values the deviation check kept out of the merged data, as
+     * { jurisdiction, trade, field, curatedValue, scrapedValue, deviation,
+     * maxDeviation, sourceUrl, pdfHash, scrapedAt, citation }
+     */
+    getScrapeRejections() {
+        return this.getMergedData().rejections || [];
     }
 
     /**
@@ -186,12 +405,29 @@ class DatabaseLoader {
         return deviation <= maxDeviation;
     }
 
+    /**
+     * Deviation check result recorded in field provenance. A missing
+     * curated value always passes (nothing to compare against).
+     */
+    _deviationCheck(scraped, curated, maxDeviation) {
+        if (curated == null) {
+            return { scrapedValue: scraped, curatedValue: null, deviation: null, maxDeviation, passed: true };
+        }
+        const deviation = curated === 0 ? (scraped === 0 ? 0 : null) : Math.abs(scraped - curated) / Math.abs(curated);
+        return {
+            scrapedValue: scraped,
+            curatedValue: curated,
+            deviation: deviation == null ? null : Math.round(deviation * 1e4) / 1e4,
+            maxDeviation,
+            passed: this._withinDeviation(scraped, curated, maxDeviation)
+        };
+    }
+
     /**
      * Clear cache (force reload)
      */
     clearCache() {
         this.cache = null;
-        this.cacheTimestamp = null;
     }
 
     /**
@@ -206,43 +442,49 @@ class DatabaseLoader {
 // Create singleton instance
 const loader = new DatabaseLoader();
 
-// Export in same format as old database for backward compatibility
-module.exports = {
-    permitFees: new Proxy({}, {
-        get: (target, prop) => {
-            const fees = loader.getPermitFees();
-            return fees[prop];
-        },
-        ownKeys: () => {
-            return Object.keys(loader.getPermitFees());
-        },
-        getOwnPropertyDescriptor: (target, prop) => {
-            return {
-                enumerable: true,
-                configurable: true
-            };
-        }
-    }),
-    dataQuality: new Proxy({}, {
-        get: (target, prop) => {
-            const quality = loader.getDataQuality();
-            return quality[prop];
-        },
-        ownKeys: () => {
-            return Object.keys(loader.getDataQuality());
-        },
+/**
+ * Read-only object view whose keys and values come from getData() on every
+ * access, so callers holding the export always see current data
+ */
+function liveView(getData) {
+    return new Proxy({}, {
+        get: (target, prop) => getData()[prop],
+        has: (target, prop) => prop in getData(),
+        ownKeys: () => Object.keys(getData()),
         getOwnPropertyDescriptor: (target, prop) => {
+            if (!Object.prototype.hasOwnProperty.call(getData(), prop)) return undefined;
             return {
                 enumerable: true,
                 configurable: true
             };
         }
-    }),
-    // Re-export static data for backward compatibility
-    laborTimes: staticDB.laborTimes,
-    markupRecommendations: staticDB.markupRecommendations,
-    detectRegion: staticDB.detectRegion,
+    });
+}
+
+/**
+ * Region detection over the merged data, so jurisdictions onboarded from
+ * scraper output resolve to their own (partial) fees
+ */
+function detectRegion(location) {
+    return staticDB.detectRegion(location, loader.getPermitFees());
+}
+
+// Export in same format as old database for backward compatibility
+module.exports = {
+    permitFees: liveView(() => loader.getPermitFees()),
+    dataQuality: liveView(() => loader.getDataQuality()),
+    // Curated data straight from the fee store
+    laborTimes: liveView(() => staticDB.laborTimes),
+    markupRecommendations: liveView(() => staticDB.markupRecommendations),
+    marketModel: liveView(() => staticDB.marketModel),
+    stateSurcharges: liveView(() => staticDB.stateSurcharges),
+    detectRegion,
+    getRegionalDefault: staticDB.getRegionalDefault,
+    STATIC_SOURCE,
+    SCRAPER_SOURCE,
+    PARTIAL_COVERAGE,
     // Add new utilities
     loader: loader,
-    clearCache: () => loader.clearCache()
+    clearCache: () => loader.clearCache(),
+    getDataVersion: () => loader.getDataVersion()
 };
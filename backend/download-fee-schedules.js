@@ -202,7 +202,7 @@ async function downloadAllFeeSchedules() {
     console.log('\n=== NEXT STEPS ===\n');
     console.log('1. Review downloaded PDFs in: ' + DOWNLOADS_DIR);
     console.log('2. Extract fee information manually or use PDF parsing tools');
-    console.log('3. Update permit-fee-database.js with verified data');
+    console.log('3. Update the permitFees records in the fee store (PUT /api/admin/fee-store/permitFees/:key)');
     console.log('4. Update lastVerified dates to current date');
     console.log('5. Re-run validate-city-data.js to confirm updates\n');
 
@@ -229,7 +229,7 @@ ${s.note ? `- **Note:** ${s.note}` : ''}
    - **HVAC/Mechanical permits:** Base fees, valuation rates, min/max fees
 3. Note the effective date of the fee schedule
 4. Record any special notes or calculation methods
-5. Update ../permit-fee-database.js with the verified data
+5. Update the permitFees record in the fee store (PUT /api/admin/fee-store/permitFees/:key)
 
 ## Fee Data Template
 
@@ -142,7 +142,7 @@ async function downloadMissingFeeSchedules() {
     console.log('\n=== ALL FEE SCHEDULES STATUS ===\n');
     console.log('Total cities with verified data needed: 10');
     console.log('✅ PDFs downloaded: ' + (8 + results.success.length) + '/11+');
-    console.log('\nNext: Extract fee data from all PDFs and update permit-fee-database.js\n');
+    console.log('\nNext: Extract fee data from all PDFs and update the fee store permitFees records\n');
 }
 
 if (require.main === module) {
@@ -0,0 +1,189 @@
+/**
+ * Fee Citations
+ * Points each fee field at the line of the fee schedule it came from, so a
+ * fee can be checked (or challenged with a permit clerk) against the source.
+ *
+ * A fee category in permitFees may carry `citations` keyed by field:
+ *   { baseFee: { url, page, section, snippet }, minFee: {...}, feeRule: {...} }
+ *
+ *   url     - fee schedule document
+ *   page    - 1-based page number in the document
+ *   section - heading of the section the value appears under
+ *   snippet - the extracted text the value was read from
+ *
+ * Scrapers attach citations to the values they extract (PDFParser.citeTrades);
+ * the database loader keeps them with the merged values. Curated citations
+ * are edited through the fee store.
+ */
+
+const { FEE_CATEGORIES } = require('./fee-store-schema');
+
+const CITED_FIELDS = ['baseFee', 'valuationRate', 'minFee', 'maxFee', 'feeRule'];
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Ways a value can be printed in a fee schedule: $1,172.80, 1172.8, 0.6%...
+ */
+function valueForms(value, field) {
+    const forms = new Set();
+    if (field === 'valuationRate') {
+        forms.add(`${Number((value * 100).toFixed(4))}%`);
+        forms.add(String(value));
+        return [...forms];
+    }
+    const withCommas = (n, decimals) => n.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    forms.add(withCommas(value, 2));
+    forms.add(value.toFixed(2));
+    forms.add(String(value));
+    if (Number.isInteger(value)) {
+        forms.add(withCommas(value, 0));
+    }
+    return [...forms];
+}
+
+/**
+ * Find a fee value in extracted text. Returns the matching line trimmed to
+ * a snippet around the value, or null when the value does not appear.
+ */
+function findValueInText(text, value, field) {
+    if (typeof text !== 'string' || typeof value !== 'number' || !Number.isFinite(value)) return null;
+
+    for (const form of valueForms(value, field)) {
+        // Not part of a longer number (so $85 does not match $850)
+        const match = new RegExp(`(?<![\\d.,])${escapeRegExp(form)}(?![\\d]|[.,]\\d)`).exec(text);
+        if (!match) continue;
+
+        const lineStart = text.lastIndexOf('\n', match.index) + 1;
+        const lineEnd = text.indexOf('\n', match.index);
+        const line = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+        const offset = match.index - lineStart;
+        const start = Math.max(0, Math.min(offset - SNIPPET_LENGTH / 2, line.length - SNIPPET_LENGTH));
+        const snippet = line.slice(start, start + SNIPPET_LENGTH).replace(/\s+/g, ' ').trim();
+        return {
+            snippet: `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < line.length ? '…' : ''}`
+        };
+    }
+    return null;
+}
+
+/**
+ * Cite a value in a parsed PDF (one text per page). With a section, only
+ * text from the first match of the section name onwards is searched and the
+ * matching heading is recorded.
+ *
+ * @param {string[]} pages - text of each page
+ * @param {number} value - extracted fee value
+ * @param {{ url: string, section?: string, field?: string }} options
+ * @returns {{ url, page, section, snippet }|null} null when the value is not in the document
+ */
+function findCitation(pages, value, { url, section = null, field } = {}) {
+    if (!Array.isArray(pages)) return null;
+
+    let firstPage = 0;
+    let offset = 0;
+    let heading = null;
+    if (section) {
+        const pattern = new RegExp(section, 'i');
+        const start = pages.findIndex(text => pattern.test(text));
+        if (start === -1) return null;
+        const match = pattern.exec(pages[start]);
+        const lineStart = pages[start].lastIndexOf('\n', match.index) + 1;
+        const lineEnd = pages[start].indexOf('\n', match.index);
+        const line = pages[start].slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim();
+        firstPage = start;
+        offset = lineStart;
+        heading = line.length <= 80 ? line : match[0];
+    }
+
+    for (let i = firstPage; i < pages.length; i++) {
+        const found = findValueInText(i === firstPage ? pages[i].slice(offset) : pages[i], value, field);
+        if (found) {
+            return { url, page: i + 1, section: heading, snippet: found.snippet };
+        }
+    }
+    return null;
+}
+
+/**
+ * Citations for the numeric fields of a set of extracted fees. Fields whose
+ * value is not in the document (scraper defaults) are left uncited.
+ */
+function citeFees(pages, fees, options) {
+    const citations = {};
+    for (const field of CITED_FIELDS) {
+        if (typeof fees[field] !== 'number') continue;
+        const citation = findCitation(pages, fees[field], { ...options, field });
+        if (citation) citations[field] = citation;
+    }
+    return citations;
+}
+
+/**
+ * Link to the cited page (PDF viewers honour #page=N)
+ */
+function citationLink(citation) {
+    return citation.page ? `${citation.url}#page=${citation.page}` : citation.url;
+}
+
+/**
+ * Every fee field of a jurisdiction with its citation, if any
+ *
+ * @param {string} jurisdiction - permitFees key
+ * @returns {Object[]|null} rows of { category, field, value, citation, source }; null when unknown
+ */
+function listFeeCitations(jurisdiction) {
+    // Lazy require: the scrapers use the text helpers above without loading the fee data
+    const { permitFees } = require('./database-loader');
+    const data = permitFees[jurisdiction];
+    if (!data) return null;
+
+    const provenance = data._provenance || {};
+    const rows = [];
+    for (const category of FEE_CATEGORIES.filter(c => data[c])) {
+        const fees = data[category];
+        for (const field of CITED_FIELDS) {
+            if (fees[field] == null) continue;
+            const citation = (fees.citations && fees.citations[field]) || null;
+            rows.push({
+                category,
+                field,
+                value: fees[field],
+                citation: citation && { ...citation, link: citationLink(citation) },
+                source: ((provenance[category] || {})[field] || {}).source || 'fee-store'
+            });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Cited and uncited fee fields per jurisdiction, with the document-level
+ * source from dataQuality and the fee categories it has no fees for
+ */
+function getCitationCoverage() {
+    const { permitFees, dataQuality } = require('./database-loader');
+    return Object.keys(permitFees).sort().map(jurisdiction => {
+        const rows = listFeeCitations(jurisdiction);
+        const quality = dataQuality[jurisdiction] || {};
+        return {
+            jurisdiction,
+            quality: quality.quality || null,
+            documentUrl: quality.url || null,
+            fields: rows.length,
+            cited: rows.filter(row => row.citation).length,
+            missingCategories: FEE_CATEGORIES.filter(category => !permitFees[jurisdiction][category])
+        };
+    });
+}
+
+module.exports = {
+    CITED_FIELDS,
+    findValueInText,
+    findCitation,
+    citeFees,
+    citationLink,
+    listFeeCitations,
+    getCitationCoverage
+};
@@ -0,0 +1,290 @@
+/**
+ * Fee store drafts with file-based persistence
+ *
+ * Admin changes to fee store records (fees, data quality, labor times,
+ * markups...) are saved as drafts. A draft is published to the fee store
+ * only when a second admin approves it; the database loader picks up the
+ * new store revision on its next read, so approved fees apply immediately.
+ *
+ * Draft format:
+ *   { id, collection, key, action, data, reason, baseVersion, status,
+ *     createdBy, createdAt, updatedAt, review, publishedVersion }
+ *
+ *   action      - put (create or edit the record) | retire (delete it)
+ *   baseVersion - record version the draft was written against (0 = new);
+ *                 a draft is stale once the record moves past it
+ *   status      - pending | approved | rejected | withdrawn
+ *   review      - { by, at, note } once approved, rejected or withdrawn
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const feeStore = require('./fee-store');
+
+const DATA_FILE = path.join(__dirname, 'scraper-results', 'fee-drafts.json');
+
+const DRAFT_ACTIONS = ['put', 'retire'];
+const DRAFT_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+let drafts = {};
+
+function load() {
+    try {
+        if (fs.existsSync(DATA_FILE)) {
+            const saved = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+            drafts = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        }
+    } catch (err) {
+        // Graceful fallback - start fresh if file is corrupt/missing
+        console.warn('Fee drafts: could not load saved drafts, starting fresh');
+        drafts = {};
+    }
+}
+
+/**
+ * Persist the drafts with one draft added or updated, then apply it in
+ * memory (updating the existing draft object in place). Throws when the
+ * file cannot be written, leaving the drafts unchanged.
+ */
+function saveDraft(draft) {
+    const next = { ...drafts, [draft.id]: draft };
+    const dir = path.dirname(DATA_FILE);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    // Write then rename so a crash mid-write never leaves a truncated file
+    const tmpFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(next, null, 2));
+    fs.renameSync(tmpFile, DATA_FILE);
+    if (drafts[draft.id]) {
+        return Object.assign(drafts[draft.id], draft);
+    }
+    drafts = next;
+    return draft;
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const currentVersion = (collection, key) => {
+    const record = feeStore.getRecord(collection, key);
+    return record ? record.version : 0;
+};
+
+/**
+ * Validate a new draft: { collection, key, action, data, reason, expectedVersion? }.
+ * Returns a list of problems (empty when valid).
+ */
+function validateDraft(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return ['draft must be an object'];
+    }
+
+    const errors = [];
+    const action = input.action || 'put';
+    if (!feeStore.COLLECTIONS.includes(input.collection)) {
+        errors.push(`collection must be one of: ${feeStore.COLLECTIONS.join(', ')}`);
+    }
+    if (!isNonEmptyString(input.key)) {
+        errors.push('key is required');
+    }
+    if (!DRAFT_ACTIONS.includes(action)) {
+        errors.push(`action must be one of: ${DRAFT_ACTIONS.join(', ')}`);
+    }
+    if (!isNonEmptyString(input.reason)) {
+        errors.push('reason is required (why the record changes)');
+    }
+    if (errors.length > 0) return errors;
+
+    if (action === 'put') {
+        feeStore.validateRecord(input.collection, input.key, input.data).forEach(error => errors.push(`data: ${error}`));
+    } else if (!feeStore.getCollection(input.collection)[input.key]) {
+        errors.push(`${input.collection} has no live record ${input.key} to retire`);
+    }
+    return errors;
+}
+
+/**
+ * Save a pending draft. Call validateDraft() first.
+ *
+ * @param {Object} input - { collection, key, action, data, reason, expectedVersion? }
+ * @param {string} author - admin submitting the change
+ */
+function createDraft(input, author) {
+    const action = input.action || 'put';
+    const now = new Date().toISOString();
+    const draft = {
+        id: crypto.randomUUID(),
+        collection: input.collection,
+        key: input.key.trim(),
+        action,
+        data: action === 'put' ? JSON.parse(JSON.stringify(input.data)) : null,
+        reason: input.reason.trim(),
+        baseVersion: input.expectedVersion !== undefined ? input.expectedVersion : currentVersion(input.collection, input.key.trim()),
+        status: 'pending',
+        createdBy: author,
+        createdAt: now,
+        updatedAt: now,
+        review: null,
+        publishedVersion: null
+    };
+    return saveDraft(draft);
+}
+
+/**
+ * Revise a pending draft's data and/or reason (its author only; checked by
+ * the caller). Returns null when the draft does not exist.
+ */
+function updateDraft(id, { data, reason }) {
+    if (!drafts[id]) return null;
+
+    const draft = { ...drafts[id], updatedAt: new Date().toISOString() };
+    if (data !== undefined && draft.action === 'put') {
+        draft.data = JSON.parse(JSON.stringify(data));
+    }
+    if (isNonEmptyString(reason)) {
+        draft.reason = reason.trim();
+    }
+    return saveDraft(draft);
+}
+
+function listDrafts({ status, collection, key } = {}) {
+    return Object.values(drafts)
+        .filter(d => status === undefined || d.status === status)
+        .filter(d => collection === undefined || d.collection === collection)
+        .filter(d => key === undefined || d.key === key)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getDraft(id) {
+    return drafts[id] || null;
+}
+
+/**
+ * Whether the record changed since the draft was written
+ */
+function isStale(draft) {
+    return currentVersion(draft.collection, draft.key) !== draft.baseVersion;
+}
+
+/**
+ * Field-level differences between two versions of a record, as
+ * { path, from, to } (paths like "electrical.baseFee")
+ */
+function diffData(before, after) {
+    const changes = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    const walk = (from, to, prefix) => {
+        if (isObject(from) && isObject(to)) {
+            for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+                walk(from[field], to[field], prefix ? `${prefix}.${field}` : field);
+            }
+        } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ path: prefix || '(record)', from: from === undefined ? null : from, to: to === undefined ? null : to });
+        }
+    };
+    walk(before, after, '');
+    return changes;
+}
+
+/**
+ * Changes the draft makes to the current record
+ */
+function diffDraft(draft) {
+    const current = feeStore.getCollection(draft.collection)[draft.key];
+    return diffData(current, draft.action === 'retire' ? undefined : draft.data);
+}
+
+/**
+ * Why a reviewer cannot approve the draft, as { problem, error, details? }
+ * (problem: closed | unverified | author | stale | invalid); null when it
+ * can be published. `verified` says the reviewer signed in with their own
+ * admin key - a declared name alone cannot prove they are a second admin.
+ */
+function getApprovalProblem(draft, reviewer, { verified = false } = {}) {
+    if (draft.status !== 'pending') {
+        return { problem: 'closed', error: `Draft is ${draft.status}, not pending` };
+    }
+    if (!verified) {
+        return { problem: 'unverified', error: 'Approving a draft needs your own admin key (ADMIN_API_KEYS)' };
+    }
+    if (reviewer === draft.createdBy) {
+        return { problem: 'author', error: 'A draft must be approved by a second admin, not its author' };
+    }
+    if (isStale(draft)) {
+        return {
+            problem: 'stale',
+            error: `${draft.collection}/${draft.key} has changed since the draft was written (draft version ${draft.baseVersion}, now ${currentVersion(draft.collection, draft.key)})`
+        };
+    }
+    // The schema may have moved on (migrations) since the draft was saved
+    const errors = validateDraft({ ...draft, expectedVersion: draft.baseVersion });
+    if (errors.length > 0) {
+        return { problem: 'invalid', error: 'Draft no longer passes validation', details: errors };
+    }
+    return null;
+}
+
+function closeDraft(draft, status, reviewer, note) {
+    const review = { by: reviewer, at: new Date().toISOString(), note: isNonEmptyString(note) ? note.trim() : null };
+    return { ...draft, status, review, updatedAt: review.at };
+}
+
+/**
+ * Publish a draft to the fee store. Call getApprovalProblem() first.
+ * Returns { draft, record } with the published record version.
+ */
+function approveDraft(id, reviewer, note) {
+    const draft = drafts[id];
+    const options = { updatedBy: draft.createdBy, approvedBy: reviewer, reason: draft.reason };
+    const record = draft.action === 'retire'
+        ? feeStore.deleteRecord(draft.collection, draft.key, options)
+        : feeStore.putRecord(draft.collection, draft.key, draft.data, options);
+
+    const approved = saveDraft({ ...closeDraft(draft, 'approved', reviewer, note), publishedVersion: record.version });
+    return { draft: approved, record };
+}
+
+/**
+ * Close a pending draft without publishing. Rejecting your own draft
+ * withdraws it. Returns null when the draft does not exist.
+ */
+function rejectDraft(id, reviewer, note) {
+    const draft = drafts[id];
+    if (!draft) return null;
+    return saveDraft(closeDraft(draft, reviewer === draft.createdBy ? 'withdrawn' : 'rejected', reviewer, note));
+}
+
+function reset() {
+    drafts = {};
+    try {
+        if (fs.existsSync(DATA_FILE)) {
+            fs.unlinkSync(DATA_FILE);
+        }
+    } catch (err) {
+        // ignore
+    }
+}
+
+// Load persisted drafts on module init
+load();
+
+module.exports = {
+    DRAFT_ACTIONS,
+    DRAFT_STATUSES,
+    validateDraft,
+    createDraft,
+    updateDraft,
+    listDrafts,
+    getDraft,
+    isStale,
+    diffData,
+    diffDraft,
+    getApprovalProblem,
+    approveDraft,
+    rejectDraft,
+    reset,
+    load,
+    DATA_FILE
+};
@@ -0,0 +1,183 @@
+/**
+ * Fee Rule Engine
+ * Evaluates rule-based permit fee schedules (per-unit, tiered brackets,
+ * hourly, flat-plus-per-item) against job quantities.
+ *
+ * A trade entry in permitFees may carry a `feeRule`. When the job supplies
+ * the quantity the rule is keyed on (circuits, fixtures, etc.), the rule
+ * replaces the baseFee + valuationRate formula.
+ */
+
+/**
+ * Job quantities the calculator understands, with display labels
+ */
+const QUANTITY_UNITS = {
+    circuits: { singular: 'circuit', plural: 'circuits' },
+    fixtures: { singular: 'fixture', plural: 'fixtures' },
+    outlets: { singular: 'outlet/device', plural: 'outlets/devices' },
+    tonnage: { singular: 'ton', plural: 'tons' },
+    hours: { singular: 'hour', plural: 'hours' },
+    squares: { singular: 'roofing square', plural: 'roofing squares' },
+    linearFeet: { singular: 'linear foot', plural: 'linear feet' },
+    kilowatts: { singular: 'kW', plural: 'kW' },
+    kilowattHours: { singular: 'kWh', plural: 'kWh' }
+};
+
+const RULE_TYPES = ['perUnit', 'tiered', 'hourly', 'flatPlusPerItem'];
+
+/**
+ * Keep only known, positive numeric quantities from user input
+ */
+function normalizeQuantities(input) {
+    const quantities = {};
+    if (!input || typeof input !== 'object') {
+        return quantities;
+    }
+
+    for (const unit of Object.keys(QUANTITY_UNITS)) {
+        const value = Number(input[unit]);
+        if (Number.isFinite(value) && value > 0) {
+            quantities[unit] = value;
+        }
+    }
+
+    return quantities;
+}
+
+function unitLabel(unit, quantity) {
+    const label = QUANTITY_UNITS[unit] || { singular: unit, plural: unit };
+    return quantity === 1 ? label.singular : label.plural;
+}
+
+/**
+ * Check a fee rule definition. Returns a list of problems (empty when valid).
+ */
+function validateFeeRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') {
+        return ['feeRule must be an object'];
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+        errors.push(`type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+    if (!QUANTITY_UNITS[rule.unit]) {
+        errors.push(`unit must be one of: ${Object.keys(QUANTITY_UNITS).join(', ')}`);
+    }
+
+    const isNonNegative = (val) => typeof val === 'number' && val >= 0;
+
+    switch (rule.type) {
+        case 'perUnit':
+            if (!isNonNegative(rule.unitFee)) errors.push('perUnit rules need a non-negative unitFee');
+            break;
+        case 'flatPlusPerItem':
+            if (!isNonNegative(rule.baseFee)) errors.push('flatPlusPerItem rules need a non-negative baseFee');
+            if (!isNonNegative(rule.unitFee)) errors.push('flatPlusPerItem rules need a non-negative unitFee');
+            if (rule.includedUnits != null && !isNonNegative(rule.includedUnits)) {
+                errors.push('includedUnits must be a non-negative number');
+            }
+            break;
+        case 'hourly':
+            if (!isNonNegative(rule.hourlyRate)) errors.push('hourly rules need a non-negative hourlyRate');
+            break;
+        case 'tiered': {
+            if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) {
+                errors.push('tiered rules need a non-empty tiers array');
+                break;
+            }
+            let previous = 0;
+            rule.tiers.forEach((tier, i) => {
+                if (!isNonNegative(tier.fee)) errors.push(`tier ${i + 1} needs a non-negative fee`);
+                if (tier.upTo == null) {
+                    if (i !== rule.tiers.length - 1) errors.push('only the last tier may be open-ended (upTo: null)');
+                } else if (!(tier.upTo > previous)) {
+                    errors.push(`tier ${i + 1} upTo must be greater than the previous tier`);
+                } else {
+                    previous = tier.upTo;
+                }
+            });
+            break;
+        }
+        default:
+            break;
+    }
+
+    return errors;
+}
+
+/**
+ * Evaluate a fee rule against job quantities.
+ * Returns null when the job does not supply the rule's quantity, so the
+ * caller can fall back to valuation-based pricing.
+ */
+function evaluateFeeRule(rule, quantities = {}) {
+    if (!rule) return null;
+
+    const quantity = Number(quantities[rule.unit]);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+        return null;
+    }
+
+    let fee;
+    let description;
+
+    switch (rule.type) {
+        case 'perUnit':
+            fee = quantity * rule.unitFee;
+            description = `${quantity} ${unitLabel(rule.unit, quantity)} @ $${rule.unitFee} each`;
+            break;
+
+        case 'flatPlusPerItem': {
+            const included = rule.includedUnits || 0;
+            const extraUnits = Math.max(0, quantity - included);
+            fee = rule.baseFee + extraUnits * rule.unitFee;
+            description = `$${rule.baseFee} for first ${included} ${unitLabel(rule.unit, included)}`;
+            if (extraUnits > 0) {
+                description += ` + ${extraUnits} additional @ $${rule.unitFee}`;
+            }
+            break;
+        }
+
+        case 'tiered': {
+            let lowerBound = 0;
+            const tier = rule.tiers.find(t => {
+                if (t.upTo == null || quantity <= t.upTo) return true;
+                lowerBound = t.upTo;
+                return false;
+            }) || rule.tiers[rule.tiers.length - 1];
+
+            fee = tier.fee + (tier.unitFee ? (quantity - lowerBound) * tier.unitFee : 0);
+            description = tier.upTo == null
+                ? `${quantity} ${unitLabel(rule.unit, quantity)} (over ${lowerBound} bracket)`
+                : `${quantity} ${unitLabel(rule.unit, quantity)} (${lowerBound + 1}-${tier.upTo} bracket)`;
+            break;
+        }
+
+        case 'hourly': {
+            const hours = Math.max(quantity, rule.minHours || 0);
+            fee = hours * rule.hourlyRate;
+            description = `${hours} ${unitLabel('hours', hours)} @ $${rule.hourlyRate}/hr`;
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown fee rule type: ${rule.type}`);
+    }
+
+    return {
+        type: rule.type,
+        unit: rule.unit,
+        quantity,
+        fee: Math.round(fee * 100) / 100,
+        description
+    };
+}
+
+module.exports = {
+    QUANTITY_UNITS,
+    RULE_TYPES,
+    normalizeQuantities,
+    validateFeeRule,
+    evaluateFeeRule
+};
@@ -0,0 +1,116 @@
+/**
+ * Effective-Dated Fee Schedules
+ * Resolves which version of a jurisdiction's fee schedule applies on a date.
+ *
+ * The top-level trade entries in permitFees are the current schedule, in
+ * effect from the jurisdiction's `effectiveDate`. Prior or announced future
+ * schedules live in `feeHistory`, each with its own effectiveDate and the
+ * trade entries that differ from the current schedule. The fee store
+ * requires an effectiveDate alongside feeHistory; an undated current
+ * schedule is treated as the newest version, so it applies on every date.
+ */
+
+const VERSION_METADATA_KEYS = ['effectiveDate', 'source', 'notes'];
+
+/**
+ * Normalize a date (Date, 'YYYY-MM-DD', 'October 1, 2025', '10/1/2025') to
+ * 'YYYY-MM-DD'. Returns null for anything without a full month and day, so
+ * year-only strings like '2025' are not mistaken for January 1st.
+ */
+function normalizeEffectiveDate(value) {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+    }
+    if (typeof value !== 'string') return null;
+
+    const trimmed = value.trim();
+    const iso = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const us = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const written = trimmed.match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+
+    let year, month, day;
+    if (iso) {
+        [, year, month, day] = iso.map(Number);
+    } else if (us) {
+        [, month, day, year] = us.map(Number);
+    } else if (written) {
+        const parsed = new Date(`${written[1]} 1, ${written[3]} UTC`);
+        if (Number.isNaN(parsed.getTime())) return null;
+        [year, month, day] = [parsed.getUTCFullYear(), parsed.getUTCMonth() + 1, Number(written[2])];
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * All fee schedule versions for a jurisdiction, oldest first
+ */
+function getFeeVersions(jurisdictionData) {
+    const current = {
+        effectiveDate: jurisdictionData.effectiveDate || null,
+        source: null,
+        isCurrent: true,
+        overrides: {}
+    };
+
+    const history = (jurisdictionData.feeHistory || []).map(version => {
+        const overrides = {};
+        for (const [key, value] of Object.entries(version)) {
+            if (!VERSION_METADATA_KEYS.includes(key)) overrides[key] = value;
+        }
+        return {
+            effectiveDate: version.effectiveDate,
+            source: version.source || null,
+            notes: version.notes || null,
+            isCurrent: false,
+            overrides
+        };
+    });
+
+    // Nothing says when an undated current schedule started, so it sorts
+    // after every dated version rather than at a guessed date
+    const dated = [current, ...history].filter(v => v.effectiveDate);
+    const undated = [current, ...history].filter(v => !v.effectiveDate);
+    return [
+        ...dated.sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate) || Number(a.isCurrent) - Number(b.isCurrent)),
+        ...undated
+    ];
+}
+
+/**
+ * Resolve the jurisdiction data in effect on `asOf` (defaults to today).
+ * Returns the merged jurisdiction data plus a description of the schedule used.
+ */
+function resolveFeeSchedule(jurisdictionData, asOf) {
+    const asOfDate = normalizeEffectiveDate(asOf || new Date()) || normalizeEffectiveDate(new Date());
+    const versions = getFeeVersions(jurisdictionData);
+
+    const applicable = versions.filter(v => !v.effectiveDate || v.effectiveDate <= asOfDate);
+    // Dates before the earliest known schedule fall back to the oldest version we have
+    const version = applicable.length > 0 ? applicable[applicable.length - 1] : versions[0];
+
+    const data = version.isCurrent ? jurisdictionData : { ...jurisdictionData, ...version.overrides };
+
+    return {
+        data,
+        schedule: {
+            asOf: asOfDate,
+            effectiveDate: version.effectiveDate,
+            isCurrent: version.isCurrent,
+            source: version.source,
+            notes: version.notes || null,
+            beforeEarliestSchedule: applicable.length === 0,
+            versionCount: versions.length
+        }
+    };
+}
+
+module.exports = {
+    normalizeEffectiveDate,
+    getFeeVersions,
+    resolveFeeSchedule
+};
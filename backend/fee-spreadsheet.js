@@ -0,0 +1,406 @@
+/**
+ * Fee Spreadsheets
+ * Bulk import of permit fees from a CSV or XLSX spreadsheet (one row per
+ * jurisdiction and trade) into permitFees and dataQuality, and export of
+ * the merged fee data the database loader serves in the same layout.
+ *
+ * Imports are validated row by row and saved as fee store drafts, so a
+ * second admin approves them like any other edit; a dry run returns the
+ * planned records and their changes without saving anything.
+ */
+
+const ExcelJS = require('exceljs');
+const { parseCsv, toCsv } = require('./batch-pricing');
+const { FEE_CATEGORIES, validateRecord } = require('./fee-store-schema');
+const feeStore = require('./fee-store');
+const feeDrafts = require('./fee-drafts');
+
+const MAX_IMPORT_ROWS = 2000;
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const COLUMNS = [
+    'jurisdiction', 'trade', 'baseFee', 'valuationRate', 'minFee', 'maxFee',
+    'processingTime', 'expediteFee', 'expediteTime',
+    'source', 'sourceUrl', 'quality', 'confidence', 'lastVerified', 'notes'
+];
+// Other header spellings, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+    city: 'jurisdiction',
+    category: 'trade',
+    feecategory: 'trade',
+    expedite: 'expediteFee',
+    url: 'sourceUrl',
+    sourcelink: 'sourceUrl'
+};
+const FEE_COLUMNS = ['baseFee', 'valuationRate', 'minFee', 'maxFee'];
+// Columns that describe the whole jurisdiction and must agree across its rows
+const RECORD_COLUMNS = ['processingTime', 'expediteFee', 'expediteTime'];
+const QUALITY_COLUMNS = ['source', 'sourceUrl', 'quality', 'confidence', 'lastVerified'];
+
+const TRADE_ALIASES = {
+    mechanical: 'hvac',
+    building: 'general',
+    'general construction': 'general',
+    remodeling: 'general',
+    'remodeling/renovation': 'general',
+    'electrical work': 'electrical',
+    'solar installation': 'solar',
+    'battery storage': 'energyStorage',
+    'energy storage': 'energyStorage',
+    'solar water heating': 'solarThermal',
+    'solar thermal': 'solarThermal',
+    'pool/spa': 'pool',
+    'fence/deck': 'fence'
+};
+
+const DEFAULT_SOURCE = 'Fee spreadsheet import';
+const JURISDICTION_KEY = /^.+, [A-Z]{2}$|^default(-[a-z-]+)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const normalizeHeader = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function canonicalColumn(name) {
+    const normalized = normalizeHeader(name);
+    return COLUMNS.find(col => col.toLowerCase() === normalized) || COLUMN_ALIASES[normalized] || null;
+}
+
+/**
+ * Fee category for a trade cell: a fee category name or a job type
+ */
+function resolveTrade(value) {
+    const text = String(value).trim().toLowerCase();
+    return FEE_CATEGORIES.find(category => category.toLowerCase() === text) || TRADE_ALIASES[text] || null;
+}
+
+/**
+ * Read a money cell: 1200, "$1,200.00"
+ */
+function parseAmount(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).replace(/[$,\s]/g, '');
+    return /^\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Read a valuation rate cell: "0.5%" or a fraction (0.005)
+ */
+function parseRate(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).replace(/\s/g, '');
+    if (text.endsWith('%')) {
+        const percent = parseAmount(text.slice(0, -1));
+        return Number.isNaN(percent) ? NaN : Math.round(percent * 1e4) / 1e6;
+    }
+    return parseAmount(text);
+}
+
+/**
+ * Rows keyed by canonical column name, from header-keyed objects. Unknown
+ * columns are reported once; empty cells are left out.
+ */
+function normalizeRows(records) {
+    const unknownColumns = new Set();
+    const rows = records.map(record => {
+        const row = {};
+        for (const [name, value] of Object.entries(record)) {
+            const column = canonicalColumn(name);
+            if (!column) {
+                unknownColumns.add(name);
+            } else if (value !== null && value !== undefined && String(value).trim() !== '') {
+                row[column] = typeof value === 'string' ? value.trim() : value;
+            }
+        }
+        return row;
+    });
+    return { rows, unknownColumns: [...unknownColumns] };
+}
+
+function cellValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value !== 'object') return value;
+    if (value.result !== undefined) return cellValue(value.result); // formula
+    if (value.hyperlink) return value.hyperlink;
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    return value.text !== undefined ? value.text : null;
+}
+
+/**
+ * Parse a spreadsheet upload into rows keyed by canonical column name
+ *
+ * @param {string|Buffer} content - CSV text or XLSX file contents
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<{ rows: Object[], unknownColumns: string[] }>}
+ */
+async function parseSpreadsheet(content, format) {
+    if (format !== 'xlsx') {
+        return normalizeRows(parseCsv(String(content)));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(content);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { rows: [], unknownColumns: [] };
+
+    const header = [];
+    sheet.getRow(1).eachCell((cell, col) => { header[col] = String(cellValue(cell.value) || '').trim(); });
+
+    const records = [];
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const record = {};
+        row.eachCell((cell, col) => {
+            if (header[col]) record[header[col]] = cellValue(cell.value);
+        });
+        if (Object.values(record).some(value => value !== null && String(value).trim() !== '')) {
+            records.push(record);
+        }
+    });
+    return normalizeRows(records);
+}
+
+/**
+ * Check one row and read its values. Returns { errors, category, fees, record, quality }.
+ */
+function readRow(row) {
+    const errors = [];
+    if (!row.jurisdiction) {
+        errors.push('jurisdiction is required');
+    } else if (!JURISDICTION_KEY.test(row.jurisdiction) && !feeStore.getCollection('permitFees')[row.jurisdiction]) {
+        errors.push(`jurisdiction must be "City, ST" (got "${row.jurisdiction}")`);
+    }
+
+    const category = row.trade === undefined ? null : resolveTrade(row.trade);
+    if (row.trade === undefined) {
+        errors.push('trade is required');
+    } else if (!category) {
+        errors.push(`trade "${row.trade}" is not a fee category (${FEE_CATEGORIES.join(', ')}) or job type`);
+    }
+
+    const fees = {};
+    for (const column of FEE_COLUMNS) {
+        if (row[column] === undefined) continue;
+        const value = column === 'valuationRate' ? parseRate(row[column]) : parseAmount(row[column]);
+        if (Number.isNaN(value) || value < 0) {
+            errors.push(`${column} must be a non-negative number (got "${row[column]}")`);
+        } else if (column === 'valuationRate' && value >= 0.1) {
+            errors.push(`valuationRate ${row[column]} is ${Math.round(value * 100)}% of valuation; write percentages with % (e.g. 0.5%)`);
+        } else {
+            fees[column] = value;
+        }
+    }
+    if (fees.minFee !== undefined && fees.maxFee !== undefined && fees.minFee > fees.maxFee) {
+        errors.push('minFee must not exceed maxFee');
+    }
+
+    const record = {};
+    if (row.processingTime !== undefined) record.processingTime = String(row.processingTime);
+    if (row.expediteTime !== undefined) record.expediteTime = String(row.expediteTime);
+    if (row.expediteFee !== undefined) {
+        const expediteFee = parseAmount(row.expediteFee);
+        if (Number.isNaN(expediteFee)) {
+            errors.push(`expediteFee must be a non-negative number (got "${row.expediteFee}")`);
+        } else {
+            record.expediteFee = expediteFee;
+        }
+    }
+
+    const quality = {};
+    for (const column of QUALITY_COLUMNS) {
+        if (row[column] !== undefined) quality[column] = String(row[column]);
+    }
+    if (quality.sourceUrl !== undefined && !/^https?:\/\//.test(quality.sourceUrl)) {
+        errors.push('sourceUrl must be an http(s) URL');
+    }
+    if (quality.lastVerified !== undefined && !DATE_PATTERN.test(quality.lastVerified)) {
+        errors.push('lastVerified must be a date (YYYY-MM-DD)');
+    }
+
+    return { errors, category, fees, record, quality };
+}
+
+/**
+ * Validate the rows and build the permitFees and dataQuality records each
+ * jurisdiction would get. Existing records keep everything the spreadsheet
+ * does not set; citations of changed fee fields are dropped.
+ *
+ * @param {Object[]} rows - from parseSpreadsheet()
+ * @returns {{ rows: number, errors: Object[], jurisdictions: Object[] }}
+ *   errors: { row, jurisdiction, errors } with spreadsheet row numbers (header = 1)
+ */
+function planImport(rows) {
+    const errors = [];
+    const groups = new Map();
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2;
+        const result = readRow(row);
+        if (result.errors.length === 0) {
+            const group = groups.get(row.jurisdiction) || { rows: [], categories: new Map(), record: {}, quality: {} };
+            if (group.categories.has(result.category)) {
+                result.errors.push(`duplicate ${result.category} row for ${row.jurisdiction} (row ${group.categories.get(result.category)})`);
+            }
+            for (const [source, values] of [[group.record, result.record], [group.quality, result.quality]]) {
+                for (const [column, value] of Object.entries(values)) {
+                    if (source[column] !== undefined && source[column] !== value) {
+                        result.errors.push(`${column} "${value}" disagrees with "${source[column]}" on an earlier ${row.jurisdiction} row`);
+                    }
+                }
+            }
+            if (result.errors.length === 0) {
+                group.rows.push(rowNumber);
+                group.categories.set(result.category, rowNumber);
+                group[result.category] = { fees: result.fees, notes: row.notes };
+                Object.assign(group.record, result.record);
+                Object.assign(group.quality, result.quality);
+                groups.set(row.jurisdiction, group);
+            }
+        }
+        if (result.errors.length > 0) {
+            errors.push({ row: rowNumber, jurisdiction: row.jurisdiction || null, errors: result.errors });
+        }
+    });
+
+    const permitFees = feeStore.getCollection('permitFees');
+    const dataQuality = feeStore.getCollection('dataQuality');
+    const jurisdictions = [];
+
+    for (const [jurisdiction, group] of groups) {
+        const current = permitFees[jurisdiction];
+        const fees = JSON.parse(JSON.stringify(current || {}));
+        for (const category of group.categories.keys()) {
+            const { fees: values, notes } = group[category];
+            const existing = fees[category] || { baseFee: null, valuationRate: null, minFee: null, maxFee: null };
+            const updated = { ...existing, ...values, ...(notes !== undefined && { notes }) };
+            if (existing.citations) {
+                const citations = { ...existing.citations };
+                Object.keys(values).filter(field => values[field] !== existing[field]).forEach(field => delete citations[field]);
+                updated.citations = citations;
+                if (Object.keys(citations).length === 0) delete updated.citations;
+            }
+            fees[category] = updated;
+        }
+        Object.assign(fees, group.record);
+
+        const { sourceUrl, ...qualityValues } = group.quality;
+        const hasQuality = Object.keys(group.quality).length > 0;
+        let quality = dataQuality[jurisdiction] || null;
+        if (hasQuality || !quality) {
+            quality = {
+                ...(quality || { source: DEFAULT_SOURCE, lastVerified: null, url: null }),
+                quality: sourceUrl ? 'verified' : 'estimated',
+                confidence: 'medium',
+                ...(quality && { quality: quality.quality, confidence: quality.confidence }),
+                ...qualityValues,
+                ...(sourceUrl !== undefined && { url: sourceUrl })
+            };
+        }
+
+        const records = [
+            { collection: 'permitFees', before: current, data: fees },
+            { collection: 'dataQuality', before: dataQuality[jurisdiction], data: quality }
+        ].map(({ collection, before, data }) => ({
+            collection,
+            data,
+            changes: feeDrafts.diffData(before, data),
+            errors: validateRecord(collection, jurisdiction, data)
+        }));
+
+        const recordErrors = records.flatMap(r => r.errors.map(error => `${r.collection}: ${error}`));
+        if (recordErrors.length > 0) {
+            errors.push({ row: group.rows[0], jurisdiction, errors: recordErrors });
+        }
+        jurisdictions.push({
+            jurisdiction,
+            isNew: !current,
+            rows: group.rows,
+            records: records.filter(r => r.changes.length > 0).map(({ errors: _errors, ...r }) => r)
+        });
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    return { rows: rows.length, errors, jurisdictions };
+}
+
+/**
+ * Plan an import and, unless it is a dry run or has errors, save a draft
+ * for every record it changes
+ *
+ * @param {Object[]} rows - from parseSpreadsheet()
+ * @param {Object} options - { author, reason, dryRun }
+ * @returns {Object} the plan with `drafts` (empty for dry runs and rejected imports)
+ */
+function importFees(rows, { author, reason, dryRun = false }) {
+    const plan = planImport(rows);
+    const drafts = [];
+    if (!dryRun && plan.errors.length === 0) {
+        for (const { jurisdiction, records } of plan.jurisdictions) {
+            for (const { collection, data } of records) {
+                drafts.push(feeDrafts.createDraft({ collection, key: jurisdiction, action: 'put', data, reason }, author));
+            }
+        }
+    }
+    return { ...plan, dryRun, drafts };
+}
+
+/**
+ * One row per jurisdiction and fee category of the merged fee data, in the
+ * import layout (so an export can be edited and imported back)
+ */
+function exportRows() {
+    // Lazy require: the loader's merged data, including scraped values
+    const { permitFees, dataQuality } = require('./database-loader');
+    const rows = [];
+    for (const jurisdiction of Object.keys(permitFees).sort()) {
+        const fees = permitFees[jurisdiction];
+        const quality = dataQuality[jurisdiction] || {};
+        for (const category of FEE_CATEGORIES.filter(c => fees[c])) {
+            rows.push({
+                jurisdiction,
+                trade: category,
+                baseFee: fees[category].baseFee,
+                valuationRate: fees[category].valuationRate,
+                minFee: fees[category].minFee,
+                maxFee: fees[category].maxFee,
+                processingTime: fees.processingTime,
+                expediteFee: fees.expediteFee,
+                expediteTime: fees.expediteTime,
+                source: quality.source,
+                sourceUrl: quality.url,
+                quality: quality.quality,
+                confidence: quality.confidence,
+                lastVerified: quality.lastVerified,
+                notes: fees[category].notes
+            });
+        }
+    }
+    return rows;
+}
+
+function exportCsv() {
+    return toCsv(exportRows(), COLUMNS);
+}
+
+/**
+ * The export as an XLSX workbook (Buffer)
+ */
+async function exportXlsx() {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Permit Fees');
+    sheet.columns = COLUMNS.map(key => ({ header: key, key, width: key === 'jurisdiction' || key === 'source' ? 28 : 14 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(exportRows());
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+    COLUMNS,
+    MAX_IMPORT_ROWS,
+    XLSX_TYPE,
+    parseSpreadsheet,
+    planImport,
+    importFees,
+    exportRows,
+    exportCsv,
+    exportXlsx
+};
@@ -0,0 +1,323 @@
+/**
+ * Fee Store Schema
+ * Record validators for each fee store collection. Every validator takes
+ * (key, data) and returns a list of problems (empty when valid).
+ */
+
+const { validateFeeRule } = require('./fee-rules');
+
+const FEE_CATEGORIES = [
+    'electrical', 'plumbing', 'hvac', 'general', 'solar',
+    'roofing', 'pool', 'fence', 'demolition', 'energyStorage', 'solarThermal'
+];
+// Jurisdictions without one of the other categories price it from the regional default
+const REQUIRED_CATEGORIES = ['electrical', 'plumbing', 'hvac', 'general'];
+// Trade-specific building permits and solar subtypes: plan review,
+// over-the-counter and surcharge rules written for the parent cover them
+const PARENT_CATEGORIES = {
+    roofing: 'general',
+    pool: 'general',
+    fence: 'general',
+    demolition: 'general',
+    energyStorage: 'solar',
+    solarThermal: 'solar'
+};
+const FEE_FIELDS = ['baseFee', 'valuationRate', 'minFee', 'maxFee'];
+const LABOR_TASKS = ['documentPrep', 'planDrawing', 'submission', 'inspection', 'corrections'];
+const QUALITY_LEVELS = ['verified', 'estimated'];
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const JURISDICTION_TYPES = ['state', 'county', 'city', 'unincorporated', 'district'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Whether a list of fee categories (e.g. a surcharge's) covers a category,
+ * directly or through its parent
+ */
+function coversCategory(categories, category) {
+    return categories.includes(category) || categories.includes(PARENT_CATEGORIES[category]);
+}
+
+/**
+ * Check a citation back to the fee schedule: { url, page, section, snippet }.
+ * Returns a list of problems (empty when valid).
+ */
+function validateCitation(citation) {
+    if (!isObject(citation)) return ['must be an object'];
+
+    const errors = [];
+    if (typeof citation.url !== 'string' || !/^https?:\/\//.test(citation.url)) {
+        errors.push('url must be an http(s) URL');
+    }
+    if (citation.page != null && !(Number.isInteger(citation.page) && citation.page > 0)) {
+        errors.push('page must be a positive whole number or null');
+    }
+    for (const field of ['section', 'snippet']) {
+        if (citation[field] != null && typeof citation[field] !== 'string') {
+            errors.push(`${field} must be a string or null`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Check one fee category (baseFee/valuationRate/minFee/maxFee, optional
+ * feeRule and per-field citations)
+ */
+function validateFeeCategory(category, prefix, errors) {
+    if (!isObject(category)) {
+        errors.push(`${prefix} must be an object`);
+        return;
+    }
+    for (const field of FEE_FIELDS) {
+        if (category[field] != null && !isNonNegative(category[field])) {
+            errors.push(`${prefix}.${field} must be a non-negative number or null`);
+        }
+    }
+    if (isNonNegative(category.minFee) && isNonNegative(category.maxFee) && category.minFee > category.maxFee) {
+        errors.push(`${prefix}.minFee must not exceed maxFee`);
+    }
+    if (category.feeRule !== undefined) {
+        validateFeeRule(category.feeRule).forEach(error => errors.push(`${prefix}.feeRule ${error}`));
+    }
+    if (category.citations !== undefined) {
+        if (!isObject(category.citations)) {
+            errors.push(`${prefix}.citations must be an object keyed by fee field`);
+            return;
+        }
+        for (const [field, citation] of Object.entries(category.citations)) {
+            if (!FEE_FIELDS.includes(field) && field !== 'feeRule') {
+                errors.push(`${prefix}.citations.${field} is not a fee field`);
+                continue;
+            }
+            validateCitation(citation).forEach(error => errors.push(`${prefix}.citations.${field} ${error}`));
+        }
+    }
+}
+
+function validateSurchargeList(list, prefix, errors) {
+    // Lazy require: surcharges.js reads stateSurcharges through the loader, which reads this store
+    const { validateSurcharge } = require('./surcharges');
+    if (!Array.isArray(list)) {
+        errors.push(`${prefix} must be an array`);
+        return;
+    }
+    list.forEach((def, i) => {
+        validateSurcharge(def).forEach(error => errors.push(`${prefix}[${i}] ${error}`));
+    });
+}
+
+function validatePermitFees(key, data) {
+    if (!isObject(data)) return ['permit fee record must be an object'];
+
+    const errors = [];
+    for (const category of REQUIRED_CATEGORIES) {
+        if (data[category] === undefined) {
+            errors.push(`${category} fee category is required`);
+        }
+    }
+    for (const category of FEE_CATEGORIES) {
+        if (data[category] !== undefined) {
+            validateFeeCategory(data[category], category, errors);
+        }
+    }
+    if (data.planReview !== undefined && !isObject(data.planReview)) {
+        errors.push('planReview must be an object keyed by fee category');
+    }
+    if (data.processingTime !== undefined && typeof data.processingTime !== 'string') {
+        errors.push('processingTime must be a string');
+    }
+    if (data.expediteFee != null && !isNonNegative(data.expediteFee)) {
+        errors.push('expediteFee must be a non-negative number or null');
+    }
+    if (data.valuationMultiplier !== undefined && !(isNonNegative(data.valuationMultiplier) && data.valuationMultiplier > 0)) {
+        errors.push('valuationMultiplier must be a positive number');
+    }
+    if (data.effectiveDate !== undefined && !DATE_PATTERN.test(data.effectiveDate)) {
+        errors.push('effectiveDate must be a date (YYYY-MM-DD)');
+    }
+    if (data.surcharges !== undefined) {
+        validateSurchargeList(data.surcharges, 'surcharges', errors);
+    }
+    if (data.feeHistory !== undefined) {
+        if (!Array.isArray(data.feeHistory)) {
+            errors.push('feeHistory must be an array');
+        } else {
+            if (data.effectiveDate === undefined && data.feeHistory.length > 0) {
+                errors.push('effectiveDate is required with feeHistory (when the current schedule took effect)');
+            }
+            data.feeHistory.forEach((schedule, i) => {
+                if (!isObject(schedule) || !DATE_PATTERN.test(schedule.effectiveDate)) {
+                    errors.push(`feeHistory[${i}].effectiveDate must be a date (YYYY-MM-DD)`);
+                    return;
+                }
+                for (const category of FEE_CATEGORIES) {
+                    if (schedule[category] !== undefined) {
+                        validateFeeCategory(schedule[category], `feeHistory[${i}].${category}`, errors);
+                    }
+                }
+            });
+        }
+    }
+    return errors;
+}
+
+function validateDataQuality(key, data) {
+    if (!isObject(data)) return ['data quality record must be an object'];
+
+    const errors = [];
+    if (!QUALITY_LEVELS.includes(data.quality)) {
+        errors.push(`quality must be one of: ${QUALITY_LEVELS.join(', ')}`);
+    }
+    if (!CONFIDENCE_LEVELS.includes(data.confidence)) {
+        errors.push(`confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`);
+    }
+    if (typeof data.source !== 'string' || data.source.trim().length === 0) {
+        errors.push('source is required');
+    }
+    if (data.lastVerified != null && !DATE_PATTERN.test(data.lastVerified)) {
+        errors.push('lastVerified must be a date (YYYY-MM-DD) or null');
+    }
+    if (data.url != null && typeof data.url !== 'string') {
+        errors.push('url must be a string or null');
+    }
+    if (data.categories !== undefined) {
+        if (!isObject(data.categories)) {
+            errors.push('categories must be an object keyed by fee category');
+        } else {
+            // Per-category quality, for categories sourced differently from the record as a whole
+            for (const [category, quality] of Object.entries(data.categories)) {
+                if (!FEE_CATEGORIES.includes(category)) {
+                    errors.push(`categories.${category} is not a fee category`);
+                    continue;
+                }
+                validateDataQuality(key, quality).forEach(error => errors.push(`categories.${category}.${error}`));
+            }
+        }
+    }
+    return errors;
+}
+
+function validateStateSurcharges(key, data) {
+    const errors = [];
+    if (!/^[A-Z]{2}$/.test(key)) {
+        errors.push('key must be a two-letter state code');
+    }
+    validateSurchargeList(data, 'surcharges', errors);
+    return errors;
+}
+
+function validateLaborTimes(key, data) {
+    if (!isObject(data)) return ['labor time record must be an object'];
+
+    const errors = [];
+    for (const task of [...LABOR_TASKS, 'total']) {
+        if (!isNonNegative(data[task])) {
+            errors.push(`${task} must be a non-negative number of hours`);
+        }
+    }
+    return errors;
+}
+
+function validateMarkupRecommendations(key, data) {
+    if (!isObject(data)) return ['markup record must be an object'];
+
+    const errors = [];
+    if (!(isNonNegative(data.permitFeeMarkup) && data.permitFeeMarkup <= 1)) {
+        errors.push('permitFeeMarkup must be a fraction between 0 and 1');
+    }
+    if (!(isNonNegative(data.laborRate) && data.laborRate > 0)) {
+        errors.push('laborRate must be a positive number');
+    }
+    if (!isNonNegative(data.minimumCharge)) {
+        errors.push('minimumCharge must be a non-negative number');
+    }
+    return errors;
+}
+
+function validateMarketModel(key, data) {
+    if (!isObject(data)) return ['market model record must be an object'];
+
+    const errors = [];
+    if (!isObject(data.source) || typeof data.source.name !== 'string' || data.source.name.trim().length === 0) {
+        errors.push('source.name is required (cite where the figures come from)');
+    }
+    return errors;
+}
+
+function validateJurisdiction(key, data) {
+    if (!isObject(data)) return ['jurisdiction record must be an object'];
+
+    const errors = [];
+    if (!JURISDICTION_TYPES.includes(data.type)) {
+        errors.push(`type must be one of: ${JURISDICTION_TYPES.join(', ')}`);
+    }
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+        errors.push('name is required');
+    }
+    if (data.type === 'state') {
+        if (!/^[A-Z]{2}$/.test(key)) errors.push('state keys must be a two-letter state code');
+        if (data.parent != null) errors.push('states have no parent');
+    } else if (data.type === 'district') {
+        if (data.parent != null) errors.push('districts overlay jurisdictions through appliesTo, not parent');
+        if (!Array.isArray(data.appliesTo) || data.appliesTo.length === 0 ||
+            !data.appliesTo.every(item => typeof item === 'string' && item.length > 0)) {
+            errors.push('appliesTo must list the jurisdictions the district overlays');
+        }
+    } else if (data.type !== undefined) {
+        if (typeof data.parent !== 'string' || data.parent.length === 0) {
+            errors.push(`a ${data.type} needs a parent jurisdiction`);
+        } else if (data.parent === key) {
+            errors.push('a jurisdiction cannot be its own parent');
+        }
+    }
+    if (data.tips !== undefined && !(Array.isArray(data.tips) && data.tips.every(tip => typeof tip === 'string'))) {
+        errors.push('tips must be an array of strings');
+    }
+    if (data.surcharges !== undefined) {
+        validateSurchargeList(data.surcharges, 'surcharges', errors);
+    }
+    return errors;
+}
+
+/**
+ * Validators by collection name. The keys are the fee store's collections.
+ */
+const COLLECTION_VALIDATORS = {
+    permitFees: validatePermitFees,
+    dataQuality: validateDataQuality,
+    stateSurcharges: validateStateSurcharges,
+    laborTimes: validateLaborTimes,
+    markupRecommendations: validateMarkupRecommendations,
+    marketModel: validateMarketModel,
+    jurisdictions: validateJurisdiction
+};
+
+const COLLECTIONS = Object.keys(COLLECTION_VALIDATORS);
+
+/**
+ * Validate a record for a collection. Returns a list of problems.
+ */
+function validateRecord(collection, key, data) {
+    const validator = COLLECTION_VALIDATORS[collection];
+    if (!validator) {
+        return [`Unknown collection: ${collection}`];
+    }
+    if (typeof key !== 'string' || key.trim().length === 0) {
+        return ['record key is required'];
+    }
+    return validator(key, data);
+}
+
+module.exports = {
+    COLLECTIONS,
+    FEE_CATEGORIES,
+    PARENT_CATEGORIES,
+    LABOR_TASKS,
+    JURISDICTION_TYPES,
+    coversCategory,
+    validateCitation,
+    validateRecord
+};
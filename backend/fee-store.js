@@ -0,0 +1,265 @@
+/**
+ * Fee Store
+ * Versioned JSON store for the fee, data quality, surcharge, labor, markup
+ * and market model data (data/fee-store/<collection>.json).
+ *
+ * Each record keeps its current data plus a version number and the history
+ * of earlier versions, so records can be added, corrected and audited
+ * without a code deploy. Schema changes ship as migrations (migrations/),
+ * recorded in meta.json once applied.
+ *
+ * Record format:
+ *   { version, updatedAt, updatedBy, approvedBy?, reason, data, history: [...], deleted? }
+ *
+ * Admin edits reach the store as reviewed drafts (fee-drafts.js); approvedBy
+ * names the second admin who published the version. Every load and write
+ * emits a data change (data-events.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS, validateRecord } = require('./fee-store-schema');
+const MIGRATIONS = require('./migrations');
+const dataEvents = require('./data-events');
+
+const STORE_DIR = process.env.FEE_STORE_DIR || path.join(__dirname, 'data', 'fee-store');
+const META_FILE = path.join(STORE_DIR, 'meta.json');
+
+let collections = {};
+let meta = { schemaVersion: 0, migrations: [] };
+let revision = 0;
+let views = {};
+
+const collectionFile = (name) => path.join(STORE_DIR, `${name}.json`);
+
+function readJson(file) {
+    try {
+        if (fs.existsSync(file)) {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+    } catch (err) {
+        console.warn(`Fee store: could not read ${path.basename(file)}:`, err.message);
+    }
+    return null;
+}
+
+/**
+ * Throws when the file cannot be saved; callers update the in-memory store
+ * only after the write succeeds, so a failed edit is not reported as saved.
+ */
+function writeJson(file, data) {
+    if (!fs.existsSync(STORE_DIR)) {
+        fs.mkdirSync(STORE_DIR, { recursive: true });
+    }
+    // Write then rename so a crash mid-write never leaves a truncated store file
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tmpFile, file);
+}
+
+function load() {
+    meta = readJson(META_FILE) || { schemaVersion: 0, migrations: [] };
+    collections = {};
+    for (const name of COLLECTIONS) {
+        const saved = readJson(collectionFile(name));
+        if (saved && saved.records && typeof saved.records === 'object') {
+            collections[name] = saved;
+        }
+    }
+    changed();
+}
+
+function assertCollection(name) {
+    if (!COLLECTIONS.includes(name)) {
+        throw new Error(`Unknown collection: ${name}`);
+    }
+}
+
+function changed(details = {}) {
+    revision++;
+    dataEvents.emitDataChanged('fee-store', details);
+}
+
+/**
+ * Current store revision. Bumped on every load and write so callers can
+ * tell when cached data built from the store is stale.
+ */
+function getRevision() {
+    return revision;
+}
+
+function createCollection(name) {
+    assertCollection(name);
+    if (!collections[name]) {
+        const collection = { collection: name, records: {} };
+        writeJson(collectionFile(name), collection);
+        collections[name] = collection;
+        changed({ collection: name });
+    }
+}
+
+/**
+ * Current data of every live record, keyed by record key. The object is
+ * shared between callers until the next write - treat it as read-only.
+ */
+function getCollection(name) {
+    assertCollection(name);
+    const cached = views[name];
+    if (cached && cached.revision === revision) {
+        return cached.data;
+    }
+
+    const data = {};
+    const records = collections[name] ? collections[name].records : {};
+    for (const [key, record] of Object.entries(records)) {
+        if (!record.deleted) data[key] = record.data;
+    }
+    views[name] = { revision, data };
+    return data;
+}
+
+/**
+ * Record metadata for a collection (no data or history), including deletions
+ */
+function listRecords(name) {
+    assertCollection(name);
+    const records = collections[name] ? collections[name].records : {};
+    return Object.entries(records).map(([key, record]) => ({
+        key,
+        version: record.version,
+        updatedAt: record.updatedAt,
+        updatedBy: record.updatedBy,
+        approvedBy: record.approvedBy || null,
+        reason: record.reason || null,
+        deleted: Boolean(record.deleted)
+    }));
+}
+
+/**
+ * A record with its version history, or null when it was never stored
+ */
+function getRecord(name, key) {
+    assertCollection(name);
+    const record = collections[name] && collections[name].records[key];
+    if (!record) return null;
+    return JSON.parse(JSON.stringify({ key, ...record }));
+}
+
+function snapshot(record) {
+    const { history, ...rest } = record;
+    return rest;
+}
+
+function writeRecord(name, key, fields, { updatedBy = 'admin', approvedBy = null, reason = null } = {}) {
+    createCollection(name);
+    const existing = collections[name].records[key];
+    const record = {
+        version: existing ? existing.version + 1 : 1,
+        updatedAt: new Date().toISOString(),
+        updatedBy,
+        ...(approvedBy && { approvedBy }),
+        reason,
+        ...fields,
+        history: existing ? [...existing.history, snapshot(existing)] : []
+    };
+    const collection = { ...collections[name], records: { ...collections[name].records, [key]: record } };
+    writeJson(collectionFile(name), collection);
+    collections[name] = collection;
+    changed({ collection: name, key });
+    return getRecord(name, key);
+}
+
+/**
+ * Add or replace a record, keeping the previous version in its history.
+ * Throws when the data fails the collection schema; callers validate first
+ * with validateRecord() to report the problems.
+ */
+function putRecord(name, key, data, options = {}) {
+    assertCollection(name);
+    const errors = validateRecord(name, key, data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${name} record ${key}: ${errors.join('; ')}`);
+    }
+    return writeRecord(name, key, { data: JSON.parse(JSON.stringify(data)) }, options);
+}
+
+/**
+ * Delete a record. The record is kept as a tombstone so its history
+ * survives; returns null when there is no live record to delete.
+ */
+function deleteRecord(name, key, options = {}) {
+    assertCollection(name);
+    const existing = collections[name] && collections[name].records[key];
+    if (!existing || existing.deleted) return null;
+    return writeRecord(name, key, { data: null, deleted: true }, options);
+}
+
+function getPendingMigrations(migrations = MIGRATIONS) {
+    const applied = new Set(meta.migrations.map(m => m.id));
+    return migrations.filter(m => !applied.has(m.id));
+}
+
+/**
+ * Apply pending migrations in order. Records written by a migration are
+ * attributed to it (updatedBy "migration:<id>"). Returns the applied ids.
+ */
+function runMigrations(migrations = MIGRATIONS) {
+    const applied = [];
+    for (const migration of getPendingMigrations(migrations)) {
+        const options = { updatedBy: `migration:${migration.id}`, reason: migration.description };
+        migration.up({
+            createCollection,
+            getCollection,
+            getRecord,
+            putRecord: (name, key, data) => putRecord(name, key, data, options),
+            deleteRecord: (name, key) => deleteRecord(name, key, options)
+        });
+        const migrationsApplied = [...meta.migrations, { id: migration.id, description: migration.description, appliedAt: new Date().toISOString() }];
+        const updated = { ...meta, schemaVersion: migrationsApplied.length, migrations: migrationsApplied };
+        writeJson(META_FILE, updated);
+        meta = updated;
+        applied.push(migration.id);
+    }
+    return applied;
+}
+
+/**
+ * Schema version, applied and pending migrations, and record counts
+ */
+function getStoreInfo() {
+    const counts = {};
+    for (const name of COLLECTIONS) {
+        const records = listRecords(name);
+        counts[name] = {
+            records: records.filter(r => !r.deleted).length,
+            deleted: records.filter(r => r.deleted).length
+        };
+    }
+    return {
+        schemaVersion: meta.schemaVersion,
+        revision,
+        migrations: meta.migrations,
+        pendingMigrations: getPendingMigrations().map(m => m.id),
+        collections: counts
+    };
+}
+
+// Load the store on module init
+load();
+
+module.exports = {
+    COLLECTIONS,
+    validateRecord,
+    getRevision,
+    createCollection,
+    getCollection,
+    listRecords,
+    getRecord,
+    putRecord,
+    deleteRecord,
+    getPendingMigrations,
+    runMigrations,
+    getStoreInfo,
+    load,
+    STORE_DIR
+};
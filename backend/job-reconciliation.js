@@ -0,0 +1,378 @@
+/**
+ * Job reconciliation with file-based persistence
+ *
+ * Saves quotes (the pricing a client was given) and records what the job
+ * actually took once the permit is issued: the fee paid, hours per labor
+ * task and correction cycles. Reports estimation error by jurisdiction and
+ * trade, and suggests calibrated labor hours for a contractor profile.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { calculateFullPricing, calculateLaborCosts } = require('./pricing-calculator');
+const { LABOR_TASKS } = require('./contractor-profiles');
+
+const DATA_FILE = path.join(__dirname, 'scraper-results', 'job-reconciliation.json');
+
+// Reconciled jobs needed before a task's hours are suggested
+const DEFAULT_MIN_JOBS = 3;
+
+let quotes = {};
+
+function load() {
+    try {
+        if (fs.existsSync(DATA_FILE)) {
+            const saved = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+            quotes = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        }
+    } catch (err) {
+        // Graceful fallback - start fresh if file is corrupt/missing
+        console.warn('Job reconciliation: could not load saved quotes, starting fresh');
+        quotes = {};
+    }
+}
+
+function save() {
+    try {
+        const dir = path.dirname(DATA_FILE);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(DATA_FILE, JSON.stringify(quotes, null, 2));
+    } catch (err) {
+        console.warn('Job reconciliation: could not save quotes:', err.message);
+    }
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+const mean = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+/**
+ * Validate quote input. Returns a list of problems (empty when valid).
+ */
+function validateQuoteInput(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['quote must be an object'];
+    }
+
+    const errors = [];
+    ['jobType', 'city', 'state'].forEach(field => {
+        if (typeof data[field] !== 'string' || data[field].trim().length === 0) {
+            errors.push(`${field} is required`);
+        }
+    });
+    if (data.projectValue !== undefined && !(isNumber(data.projectValue) && data.projectValue > 0)) {
+        errors.push('projectValue must be a positive number');
+    }
+    return errors;
+}
+
+/**
+ * Validate recorded actuals. Returns a list of problems (empty when valid).
+ * Hours are keyed by the calculateLaborCosts breakdown tasks.
+ */
+function validateActuals(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['actuals must be an object'];
+    }
+
+    const errors = [];
+    if (data.feePaid === undefined && data.hours === undefined) {
+        errors.push('Provide feePaid, hours, or both');
+    }
+    if (data.feePaid !== undefined && !(isNumber(data.feePaid) && data.feePaid >= 0)) {
+        errors.push('feePaid must be a non-negative number');
+    }
+    if (data.hours !== undefined) {
+        if (!data.hours || typeof data.hours !== 'object' || Array.isArray(data.hours)) {
+            errors.push(`hours must be an object keyed by labor task (${LABOR_TASKS.join(', ')})`);
+        } else {
+            for (const [task, value] of Object.entries(data.hours)) {
+                if (!LABOR_TASKS.includes(task)) {
+                    errors.push(`hours.${task} is not a labor task (${LABOR_TASKS.join(', ')})`);
+                } else if (!(isNumber(value) && value >= 0)) {
+                    errors.push(`hours.${task} must be a non-negative number`);
+                }
+            }
+        }
+    }
+    if (data.correctionCycles !== undefined && !(Number.isInteger(data.correctionCycles) && data.correctionCycles >= 0)) {
+        errors.push('correctionCycles must be a non-negative whole number');
+    }
+    if (data.completedAt !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(data.completedAt)) {
+        errors.push('completedAt must be a date (YYYY-MM-DD)');
+    }
+    if (data.notes !== undefined && typeof data.notes !== 'string') {
+        errors.push('notes must be a string');
+    }
+    return errors;
+}
+
+/**
+ * Price a job and save the quote snapshot that actuals are compared to
+ *
+ * @param {Object} input - { jobType, city, state, scope, projectValue, quantities, asOf }
+ * @param {Object} [profile] - contractor pricing profile used for the quote
+ */
+function createQuote(input, profile = null) {
+    const city = input.city.trim();
+    const state = input.state.trim();
+    const projectValue = input.projectValue || 5000;
+    const pricing = calculateFullPricing(`${city}, ${state}`, input.jobType, projectValue, {
+        scope: input.scope,
+        quantities: input.quantities,
+        profile,
+        asOf: input.asOf
+    });
+
+    const laborHours = {};
+    for (const task of LABOR_TASKS) {
+        laborHours[task] = pricing.labor.breakdown[task].hours;
+    }
+
+    const now = new Date().toISOString();
+    const quote = {
+        id: crypto.randomUUID(),
+        jurisdiction: pricing.jurisdiction,
+        jobType: pricing.jobType,
+        profileId: profile ? profile.id : null,
+        input: {
+            scope: input.scope || null,
+            projectValue,
+            quantities: pricing.quantities,
+            asOf: pricing.permitFee.feeSchedule.asOf
+        },
+        estimate: {
+            permitFee: pricing.permitFee.permitFee,
+            totalFees: pricing.permitFee.totalFees,
+            laborRate: pricing.labor.hourlyRate,
+            laborHours,
+            totalHours: pricing.labor.hours,
+            laborCost: pricing.labor.laborCost,
+            recommendedCharge: pricing.summary.recommendedCharge,
+            isEstimated: pricing.dataQuality.isEstimated
+        },
+        actual: null,
+        variance: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    quotes[quote.id] = quote;
+    save();
+    return quote;
+}
+
+/**
+ * Compare actuals to the quote. Tasks without recorded hours count at their
+ * estimated hours when working out realized profit.
+ */
+function calculateVariance(estimate, actual) {
+    const fee = actual.feePaid != null
+        ? {
+            estimated: estimate.totalFees,
+            actual: actual.feePaid,
+            error: round2(actual.feePaid - estimate.totalFees),
+            errorPercent: estimate.totalFees > 0 ? round1((actual.feePaid - estimate.totalFees) / estimate.totalFees * 100) : null
+        }
+        : null;
+
+    const hours = {};
+    for (const [task, value] of Object.entries(actual.hours || {})) {
+        hours[task] = {
+            estimated: estimate.laborHours[task],
+            actual: value,
+            error: round2(value - estimate.laborHours[task])
+        };
+    }
+
+    const actualHours = LABOR_TASKS.reduce((sum, task) =>
+        sum + (actual.hours && actual.hours[task] != null ? actual.hours[task] : estimate.laborHours[task]), 0);
+    const actualCost = (actual.feePaid != null ? actual.feePaid : estimate.totalFees) + actualHours * estimate.laborRate;
+
+    return {
+        fee,
+        hours,
+        totalHours: { estimated: estimate.totalHours, actual: round2(actualHours), error: round2(actualHours - estimate.totalHours) },
+        profit: {
+            estimated: round2(estimate.recommendedCharge - estimate.totalFees - estimate.laborCost),
+            realized: round2(estimate.recommendedCharge - actualCost)
+        }
+    };
+}
+
+function listQuotes({ profileId } = {}) {
+    return Object.values(quotes)
+        .filter(q => profileId === undefined || q.profileId === profileId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getQuote(id) {
+    return quotes[id] || null;
+}
+
+function recordActuals(id, data) {
+    const quote = quotes[id];
+    if (!quote) return null;
+
+    const actual = {
+        feePaid: data.feePaid != null ? data.feePaid : null,
+        hours: data.hours || {},
+        correctionCycles: data.correctionCycles != null ? data.correctionCycles : null,
+        completedAt: data.completedAt || null,
+        notes: data.notes || null,
+        recordedAt: new Date().toISOString()
+    };
+    quote.actual = actual;
+    quote.variance = calculateVariance(quote.estimate, actual);
+    quote.updatedAt = actual.recordedAt;
+    save();
+    return quote;
+}
+
+function deleteQuote(id) {
+    if (!quotes[id]) return false;
+    delete quotes[id];
+    save();
+    return true;
+}
+
+/**
+ * Estimation error by jurisdiction and trade across reconciled quotes
+ */
+function getReconciliationReport({ profileId } = {}) {
+    const all = listQuotes({ profileId });
+    const reconciled = all.filter(q => q.actual);
+    const groups = new Map();
+
+    for (const quote of reconciled) {
+        const key = `${quote.jurisdiction}|${quote.jobType}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(quote);
+    }
+
+    const rows = [...groups.values()].map(group => {
+        const fees = group.map(q => q.variance.fee).filter(Boolean);
+        const hours = {};
+        for (const task of LABOR_TASKS) {
+            const samples = group.map(q => q.variance.hours[task]).filter(Boolean);
+            if (samples.length > 0) {
+                hours[task] = {
+                    jobs: samples.length,
+                    meanEstimated: round2(mean(samples.map(s => s.estimated))),
+                    meanActual: round2(mean(samples.map(s => s.actual))),
+                    meanError: round2(mean(samples.map(s => s.error)))
+                };
+            }
+        }
+        const cycles = group.map(q => q.actual.correctionCycles).filter(c => c != null);
+
+        return {
+            jurisdiction: group[0].jurisdiction,
+            jobType: group[0].jobType,
+            jobs: group.length,
+            fee: fees.length > 0 ? {
+                jobs: fees.length,
+                meanError: round2(mean(fees.map(f => f.error))),
+                meanErrorPercent: fees.every(f => f.errorPercent != null) ? round1(mean(fees.map(f => f.errorPercent))) : null,
+                meanAbsoluteErrorPercent: fees.every(f => f.errorPercent != null) ? round1(mean(fees.map(f => Math.abs(f.errorPercent)))) : null
+            } : null,
+            hours,
+            totalHoursError: round2(mean(group.map(q => q.variance.totalHours.error))),
+            correctionCycles: cycles.length > 0 ? { jobs: cycles.length, mean: round1(mean(cycles)) } : null,
+            profit: {
+                meanEstimated: round2(mean(group.map(q => q.variance.profit.estimated))),
+                meanRealized: round2(mean(group.map(q => q.variance.profit.realized)))
+            }
+        };
+    }).sort((a, b) => b.jobs - a.jobs || a.jurisdiction.localeCompare(b.jurisdiction));
+
+    return {
+        profileId: profileId || null,
+        quotes: all.length,
+        reconciled: reconciled.length,
+        groups: rows
+    };
+}
+
+/**
+ * Suggest per-trade labor hours from recorded actuals. A task is suggested
+ * once it has at least minJobs recorded jobs; `profileUpdate` is the
+ * profile's `trades` with the suggestions merged in, ready for PUT /profiles/:id.
+ *
+ * @param {Object|null} profile - contractor profile (null = all quotes vs industry defaults)
+ * @param {Object} [options]
+ * @param {number} [options.minJobs=3]
+ */
+function suggestLaborTimes(profile, { minJobs = DEFAULT_MIN_JOBS } = {}) {
+    const reconciled = listQuotes(profile ? { profileId: profile.id } : {}).filter(q => q.actual);
+    const byTrade = new Map();
+    for (const quote of reconciled) {
+        if (!byTrade.has(quote.jobType)) byTrade.set(quote.jobType, []);
+        byTrade.get(quote.jobType).push(quote);
+    }
+
+    const trades = {};
+    const profileTrades = { ...((profile && profile.trades) || {}) };
+
+    for (const [trade, group] of byTrade) {
+        const current = calculateLaborCosts(trade, profile).breakdown;
+        const laborHours = {};
+        const basedOn = {};
+        for (const task of LABOR_TASKS) {
+            const samples = group.map(q => q.actual.hours[task]).filter(v => v != null);
+            if (samples.length >= minJobs) {
+                laborHours[task] = round1(mean(samples));
+                basedOn[task] = samples.length;
+            }
+        }
+        if (Object.keys(laborHours).length === 0) continue;
+
+        trades[trade] = {
+            jobs: group.length,
+            basedOn,
+            current: Object.fromEntries(Object.keys(laborHours).map(task => [task, current[task].hours])),
+            laborHours
+        };
+        const existing = profileTrades[trade] || {};
+        profileTrades[trade] = { ...existing, laborHours: { ...(existing.laborHours || {}), ...laborHours } };
+    }
+
+    return {
+        profileId: profile ? profile.id : null,
+        minJobs,
+        trades,
+        profileUpdate: { trades: profileTrades }
+    };
+}
+
+function reset() {
+    quotes = {};
+    try {
+        if (fs.existsSync(DATA_FILE)) {
+            fs.unlinkSync(DATA_FILE);
+        }
+    } catch (err) {
+        // ignore
+    }
+}
+
+// Load persisted quotes on module init
+load();
+
+module.exports = {
+    validateQuoteInput,
+    validateActuals,
+    createQuote,
+    listQuotes,
+    getQuote,
+    recordActuals,
+    deleteQuote,
+    getReconciliationReport,
+    suggestLaborTimes,
+    reset,
+    load,
+    DATA_FILE
+};
@@ -5,6 +5,9 @@
 
 const { permitFees, laborTimes, markupRecommendations } = require('./database-loader');
 const { calculateFullPricing } = require('./pricing-calculator');
+const { normalizeEffectiveDate } = require('./fee-schedules');
+const { getAncestry, stateOf } = require('./jurisdictions');
+const { getLocationBoundary, areAdjacent, distanceMiles } = require('./boundaries');
 
 /**
  * Get list of all supported jurisdictions
@@ -27,10 +30,16 @@ function getSupportedJurisdictions() {
 
 /**
  * Compare pricing across multiple jurisdictions
+ *
+ * @param {string[]} jurisdictions - locations as "City, ST"
+ * @param {string} jobType
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - contractor pricing profile
+ * @param {string} [options.asOf] - compare the fee schedules in effect on this date
  */
-function compareJurisdictions(jurisdictions, jobType) {
+function compareJurisdictions(jurisdictions, jobType, options = {}) {
     const comparisons = jurisdictions.map(location => {
-        const pricing = calculateFullPricing(location, jobType, 5000);
+        const pricing = calculateFullPricing(location, jobType, 5000, { profile: options.profile, asOf: options.asOf });
 
         return {
             location,
@@ -49,7 +58,9 @@ function compareJurisdictions(jurisdictions, jobType) {
                 valuationRate: pricing.permitFee.valuationRate,
                 expediteFee: pricing.permitFee.expediteFee,
                 expediteTime: pricing.permitFee.expediteTime,
-                processingTime: pricing.permitFee.processingTime
+                processingTime: pricing.permitFee.processingTime,
+                feeScheduleEffective: pricing.permitFee.feeSchedule.effectiveDate,
+                feeCategory: pricing.dataQuality.category
             }
         };
     });
@@ -113,7 +124,9 @@ function compareJurisdictions(jurisdictions, jobType) {
     return {
         comparisons: ranked,
         analysis,
-        jobType
+        jobType,
+        asOf: normalizeEffectiveDate(options.asOf || new Date()),
+        profile: options.profile ? { id: options.profile.id, name: options.profile.name } : null
     };
 }
 
@@ -195,7 +208,9 @@ function generateQuickReference(jurisdictions, jobTypes) {
                 location,
                 permitFee: pricing.permitFee.permitFee,
                 recommendedCharge: pricing.summary.recommendedCharge,
-                processingTime: pricing.permitFee.processingTime
+                processingTime: pricing.permitFee.processingTime,
+                feeCategory: pricing.permitFee.feeCategory.category,
+                isEstimated: pricing.dataQuality.isEstimated || pricing.dataQuality.category.isEstimated
             };
         });
     });
@@ -204,21 +219,30 @@ function generateQuickReference(jurisdictions, jobTypes) {
 }
 
 /**
- * Smart jurisdiction suggestions based on contractor location
+ * Jurisdictions with fee data near a location, from the boundary files:
+ * those whose boundary is the same as or borders the location's (county
+ * next to county, city next to city) come first, then the rest of the
+ * state, nearest first
  */
 function suggestNearbyJurisdictions(baseLocation) {
-    const suggestions = {
-        'Los Angeles, CA': ['San Diego, CA', 'San Francisco, CA'],
-        'San Diego, CA': ['Los Angeles, CA'],
-        'San Francisco, CA': ['Los Angeles, CA', 'San Diego, CA'],
-        'Austin, TX': ['Houston, TX'],
-        'Houston, TX': ['Austin, TX'],
-        'Miami, FL': [],
-        'Chicago, IL': [],
-        'New York, NY': []
-    };
-
-    return suggestions[baseLocation] || [];
+    const base = getLocationBoundary(baseLocation);
+    if (!base) return [];
+
+    const ancestry = getAncestry(baseLocation);
+    const state = stateOf(baseLocation);
+    return Object.keys(permitFees)
+        .filter(location => location.includes(', ') && !ancestry.includes(location))
+        .map(location => ({ location, boundary: getLocationBoundary(location) }))
+        .filter(({ boundary }) => boundary)
+        .map(({ location, boundary }) => ({
+            location,
+            adjacent: boundary.key === base.key || (boundary.type === base.type && areAdjacent(base, boundary)),
+            sameState: stateOf(location) === state,
+            distance: distanceMiles(base, boundary)
+        }))
+        .filter(candidate => candidate.adjacent || candidate.sameState)
+        .sort((a, b) => (b.adjacent - a.adjacent) || (a.distance - b.distance))
+        .map(candidate => candidate.location);
 }
 
 /**
@@ -0,0 +1,120 @@
+/**
+ * Jurisdiction Hierarchy
+ * State → county → city (or unincorporated area) permitting authorities,
+ * plus overlay districts, stored in the fee store `jurisdictions` collection.
+ *
+ * Record format (keyed like permitFees: "City, ST", "Name County, ST", "ST"):
+ *   { type, name, parent, tips, notes }
+ *   district: { type: 'district', name, appliesTo: [keys], tips, surcharges, source }
+ *
+ * A place without its own data inherits from the nearest ancestor that has
+ * it: unincorporated areas are permitted by their county, so they pick up
+ * the county's fees and forms. Districts overlay every jurisdiction they
+ * apply to, including descendants (a county-wide district covers its cities).
+ */
+
+const feeStore = require('./fee-store');
+const { JURISDICTION_TYPES } = require('./fee-store-schema');
+
+const getRecords = () => feeStore.getCollection('jurisdictions');
+
+/**
+ * State code of a "Name, ST" location (or a bare "ST" key)
+ */
+function stateOf(location) {
+    const match = String(location || '').match(/(?:^|,\s*)([A-Z]{2})\s*$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * The location followed by its ancestors, most specific first. Locations
+ * not in the hierarchy still inherit from their state record.
+ */
+function getAncestry(location) {
+    const records = getRecords();
+    const chain = [];
+    const seen = new Set();
+    let key = location;
+
+    if (!records[key]) {
+        chain.push(key);
+        seen.add(key);
+        key = stateOf(location);
+    }
+    while (key && records[key] && !seen.has(key)) {
+        chain.push(key);
+        seen.add(key);
+        key = records[key].parent;
+    }
+    return chain;
+}
+
+/**
+ * Overlay districts that apply to the location or any of its ancestors
+ */
+function getOverlayDistricts(location) {
+    const chain = getAncestry(location);
+    return Object.entries(getRecords())
+        .filter(([, record]) => record.type === 'district' &&
+            (record.appliesTo || []).some(key => chain.includes(key)))
+        .map(([key, record]) => ({ key, ...record }));
+}
+
+/**
+ * Most specific authority in the location's ancestry for which hasData(key)
+ * is true, or null when nothing in the hierarchy has data
+ */
+function findAuthority(location, hasData) {
+    return getAncestry(location).find(key => hasData(key)) || null;
+}
+
+/**
+ * Tips from the location and its ancestors (most specific first), then
+ * from overlay districts
+ */
+function getInheritedTips(location) {
+    const records = getRecords();
+    const tips = [];
+    for (const key of getAncestry(location)) {
+        tips.push(...((records[key] && records[key].tips) || []));
+    }
+    for (const district of getOverlayDistricts(location)) {
+        tips.push(...(district.tips || []));
+    }
+    return tips;
+}
+
+/**
+ * Describe how a location resolves through the hierarchy
+ *
+ * @param {string} location - "City, ST"
+ * @param {Object} [checks] - named predicates, e.g. { fees: key => Boolean(permitFees[key]) }
+ * @returns {{ location, chain: Object[], authorities: Object, districts: Object[] }}
+ */
+function describeJurisdiction(location, checks = {}) {
+    const records = getRecords();
+    const authorities = {};
+    for (const [name, hasData] of Object.entries(checks)) {
+        authorities[name] = findAuthority(location, hasData);
+    }
+    return {
+        location,
+        chain: getAncestry(location).map(key => ({
+            key,
+            type: records[key] ? records[key].type : null,
+            name: records[key] ? records[key].name : key
+        })),
+        authorities,
+        districts: getOverlayDistricts(location).map(({ key, name, source }) => ({ key, name, source: source || null }))
+    };
+}
+
+module.exports = {
+    JURISDICTION_TYPES,
+    stateOf,
+    getAncestry,
+    getOverlayDistricts,
+    findAuthority,
+    getInheritedTips,
+    describeJurisdiction
+};
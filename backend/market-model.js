@@ -0,0 +1,262 @@
+/**
+ * Competitive market model with admin overrides and file-based persistence
+ *
+ * Resolves what other providers typically charge for a jurisdiction and
+ * trade: expediter rates, licensed competitor bids, the unlicensed
+ * undercut and a local labor index. Values layer from the national default
+ * in the fee store (marketModel collection), through jurisdiction and
+ * trade entries, to admin overrides; every resolved value carries the
+ * source it came from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { permitFees, marketModel, markupRecommendations, detectRegion } = require('./database-loader');
+const dataEvents = require('./data-events');
+
+const DATA_FILE = path.join(__dirname, 'scraper-results', 'market-model.json');
+
+const MODEL_FIELDS = ['laborIndex', 'unlicensedPermitFeeFactor', 'expediter', 'competitorBids'];
+
+let overrides = {};
+
+function load() {
+    try {
+        if (fs.existsSync(DATA_FILE)) {
+            const saved = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+            overrides = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        }
+    } catch (err) {
+        // Graceful fallback - start fresh if file is corrupt/missing
+        console.warn('Market model: could not load saved overrides, starting fresh');
+        overrides = {};
+    }
+}
+
+function save() {
+    try {
+        const dir = path.dirname(DATA_FILE);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(DATA_FILE, JSON.stringify(overrides, null, 2));
+    } catch (err) {
+        console.warn('Market model: could not save overrides:', err.message);
+    }
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check the model fields shared by a jurisdiction entry and its trade entries
+ */
+function validateFields(data, prefix, errors) {
+    if (data.laborIndex !== undefined && !(isNumber(data.laborIndex) && data.laborIndex > 0)) {
+        errors.push(`${prefix}laborIndex must be a positive number (1.0 = national average)`);
+    }
+    if (data.unlicensedPermitFeeFactor !== undefined &&
+        !(isNumber(data.unlicensedPermitFeeFactor) && data.unlicensedPermitFeeFactor >= 0)) {
+        errors.push(`${prefix}unlicensedPermitFeeFactor must be a non-negative number`);
+    }
+    if (data.expediter !== undefined) {
+        const expediter = data.expediter;
+        if (!expediter || typeof expediter !== 'object' || Array.isArray(expediter)) {
+            errors.push(`${prefix}expediter must be an object with flatFee and permitFeeMultiplier`);
+        } else {
+            for (const key of ['flatFee', 'permitFeeMultiplier']) {
+                if (!(isNumber(expediter[key]) && expediter[key] >= 0)) {
+                    errors.push(`${prefix}expediter.${key} must be a non-negative number`);
+                }
+            }
+        }
+    }
+    if (data.competitorBids !== undefined && data.competitorBids !== null) {
+        const bids = data.competitorBids;
+        if (!bids || typeof bids !== 'object' || Array.isArray(bids)) {
+            errors.push(`${prefix}competitorBids must be an object with low, typical and high`);
+        } else if (!['low', 'typical', 'high'].every(key => isNumber(bids[key]) && bids[key] >= 0)) {
+            errors.push(`${prefix}competitorBids low, typical and high must be non-negative numbers`);
+        } else if (!(bids.low <= bids.typical && bids.typical <= bids.high)) {
+            errors.push(`${prefix}competitorBids must satisfy low <= typical <= high`);
+        }
+    }
+    if (data.source !== undefined) {
+        validateSource(data.source, prefix, errors);
+    }
+}
+
+function validateSource(source, prefix, errors) {
+    if (!source || typeof source !== 'object' || Array.isArray(source) ||
+        typeof source.name !== 'string' || source.name.trim().length === 0) {
+        errors.push(`${prefix}source.name is required (cite where the figures come from)`);
+        return;
+    }
+    if (source.url !== undefined && source.url !== null && typeof source.url !== 'string') {
+        errors.push(`${prefix}source.url must be a string`);
+    }
+    if (source.asOf !== undefined && source.asOf !== null && !/^\d{4}-\d{2}-\d{2}$/.test(source.asOf)) {
+        errors.push(`${prefix}source.asOf must be a date (YYYY-MM-DD)`);
+    }
+}
+
+/**
+ * Validate an admin override for one jurisdiction. Returns a list of
+ * problems (empty when valid). A source is required so every figure on the
+ * comparison sheet can be cited.
+ */
+function validateMarketOverride(jurisdiction, data) {
+    if (!permitFees[jurisdiction]) {
+        return [`Unknown jurisdiction: ${jurisdiction}`];
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['market model must be an object'];
+    }
+
+    const errors = [];
+    if (data.source === undefined) {
+        errors.push('source.name is required (cite where the figures come from)');
+    }
+    validateFields(data, '', errors);
+
+    if (data.trades !== undefined) {
+        if (!data.trades || typeof data.trades !== 'object' || Array.isArray(data.trades)) {
+            errors.push('trades must be an object keyed by trade');
+        } else {
+            for (const [trade, entry] of Object.entries(data.trades)) {
+                if (!markupRecommendations[trade]) {
+                    errors.push(`Unknown trade: ${trade}`);
+                } else if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                    errors.push(`trades.${trade} must be an object`);
+                } else {
+                    validateFields(entry, `trades.${trade}.`, errors);
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+function pickFields(data) {
+    const fields = {};
+    for (const key of [...MODEL_FIELDS, 'source']) {
+        if (data[key] !== undefined) fields[key] = data[key];
+    }
+    return fields;
+}
+
+function getMarketOverrides() {
+    return overrides;
+}
+
+/**
+ * Replace the admin override for a jurisdiction (city or regional default key)
+ */
+function setMarketOverride(jurisdiction, data) {
+    const entry = {
+        ...pickFields(data),
+        updatedAt: new Date().toISOString()
+    };
+    if (data.trades) {
+        entry.trades = {};
+        for (const [trade, tradeEntry] of Object.entries(data.trades)) {
+            entry.trades[trade] = pickFields(tradeEntry);
+        }
+    }
+    overrides[jurisdiction] = entry;
+    save();
+    dataEvents.emitDataChanged('market-model', { jurisdiction });
+    return entry;
+}
+
+function deleteMarketOverride(jurisdiction) {
+    if (!overrides[jurisdiction]) return false;
+    delete overrides[jurisdiction];
+    save();
+    dataEvents.emitDataChanged('market-model', { jurisdiction });
+    return true;
+}
+
+/**
+ * Resolve the market model for a location and trade. Later layers win
+ * field by field; `citations` records the source behind each field.
+ */
+function resolveMarketModel(location, trade) {
+    const jurisdiction = detectRegion(location);
+    const layers = [];
+    const addLayers = (entry, origin) => {
+        if (!entry || typeof entry !== 'object') return;
+        layers.push({ entry, origin, source: entry.source });
+        const tradeEntry = entry.trades && entry.trades[trade];
+        if (tradeEntry) {
+            layers.push({ entry: tradeEntry, origin: `${origin} (${trade})`, source: tradeEntry.source || entry.source });
+        }
+    };
+    addLayers(marketModel.default, 'default');
+    if (jurisdiction !== 'default') addLayers(marketModel[jurisdiction], 'database');
+    addLayers(overrides[jurisdiction], 'admin');
+
+    const model = { jurisdiction, trade, citations: {} };
+    for (const { entry, origin, source } of layers) {
+        for (const field of MODEL_FIELDS) {
+            if (entry[field] !== undefined) {
+                model[field] = entry[field];
+                model.citations[field] = { ...source, level: origin };
+            }
+        }
+    }
+    return model;
+}
+
+/**
+ * What the client is likely to be quoted elsewhere for this job. Licensed
+ * competitor bids come from the model when set; otherwise they are
+ * estimated from the industry markup and labor rate scaled by laborIndex.
+ */
+function calculateCompetitivePricing(model, { permitFee, totalFees, laborHours, jobType }) {
+    const markup = markupRecommendations[jobType] || markupRecommendations['General Construction'];
+    const licensedCompetitorBid = model.competitorBids
+        ? { ...model.competitorBids, estimated: false }
+        : {
+            low: null,
+            typical: Math.round(totalFees * (1 + markup.permitFeeMarkup) + laborHours * markup.laborRate * model.laborIndex),
+            high: null,
+            estimated: true
+        };
+
+    return {
+        unlicensedContractorPrice: Math.round(permitFee * model.unlicensedPermitFeeFactor),
+        expediterServicePrice: Math.round(permitFee * model.expediter.permitFeeMultiplier + model.expediter.flatFee),
+        licensedCompetitorBid,
+        laborIndex: model.laborIndex,
+        marketJurisdiction: model.jurisdiction,
+        citations: model.citations
+    };
+}
+
+function reset() {
+    overrides = {};
+    try {
+        if (fs.existsSync(DATA_FILE)) {
+            fs.unlinkSync(DATA_FILE);
+        }
+    } catch (err) {
+        // ignore
+    }
+}
+
+// Load persisted overrides on module init
+load();
+
+module.exports = {
+    MODEL_FIELDS,
+    validateMarketOverride,
+    getMarketOverrides,
+    setMarketOverride,
+    deleteMarketOverride,
+    resolveMarketModel,
+    calculateCompetitivePricing,
+    reset,
+    load,
+    DATA_FILE
+};
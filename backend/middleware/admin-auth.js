@@ -1,14 +1,43 @@
 /**
  * Admin API Key Authentication Middleware
  * Protects /api/admin routes with X-API-Key header validation.
+ *
+ * ADMIN_API_KEYS ("name:key,name:key") gives each admin their own key, and
+ * the matching name is the admin's identity (req.adminUser). With the single
+ * shared ADMIN_API_KEY (or none in development) the identity comes from the
+ * X-Admin-User header and cannot be verified (req.adminUserVerified false),
+ * so routes that record who drafted or approved a fee store change add
+ * requireAdminIdentity.
  */
 
+function parseAdminKeys(value) {
+    const keys = new Map();
+    for (const entry of (value || '').split(',')) {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) continue;
+        const name = entry.slice(0, separator).trim();
+        const key = entry.slice(separator + 1).trim();
+        if (name && key) keys.set(key, name);
+    }
+    return keys;
+}
+
+const declaredUser = (req) => (req.headers['x-admin-user'] || '').trim() || 'admin';
+
 function adminAuth(req, res, next) {
     const configuredKey = process.env.ADMIN_API_KEY;
+    const adminKeys = parseAdminKeys(process.env.ADMIN_API_KEYS);
     const providedKey = req.headers['x-api-key'];
 
+    // Per-admin keys
+    if (providedKey && adminKeys.has(providedKey)) {
+        req.adminUser = adminKeys.get(providedKey);
+        req.adminUserVerified = true;
+        return next();
+    }
+
     // No key configured
-    if (!configuredKey) {
+    if (!configuredKey && adminKeys.size === 0) {
         if (process.env.NODE_ENV === 'production') {
             return res.status(503).json({
                 error: 'Admin API key not configured',
@@ -19,6 +48,8 @@ function adminAuth(req, res, next) {
         if (!req._adminAuthWarned) {
             console.warn('WARNING: ADMIN_API_KEY not set - admin routes are unprotected');
         }
+        req.adminUser = declaredUser(req);
+        req.adminUserVerified = false;
         return next();
     }
 
@@ -30,7 +61,23 @@ function adminAuth(req, res, next) {
         });
     }
 
+    req.adminUser = declaredUser(req);
+    req.adminUserVerified = false;
+    next();
+}
+
+/**
+ * Only admins signed in with their own ADMIN_API_KEYS key (use after adminAuth)
+ */
+function requireAdminIdentity(req, res, next) {
+    if (!req.adminUserVerified) {
+        return res.status(403).json({
+            error: 'Per-admin API key required',
+            message: 'Fee store drafts and approvals need your own key from ADMIN_API_KEYS; the shared key cannot tell admins apart'
+        });
+    }
     next();
 }
 
 module.exports = adminAuth;
+module.exports.requireAdminIdentity = requireAdminIdentity;
@@ -0,0 +1,26 @@
+/**
+ * Fee Store Migration Runner
+ *
+ * Usage:
+ *   node migrate.js           Apply pending migrations
+ *   node migrate.js --status  List applied and pending migrations
+ */
+
+const feeStore = require('./fee-store');
+
+if (require.main === module) {
+    if (process.argv.includes('--status')) {
+        const info = feeStore.getStoreInfo();
+        console.log(`Fee store: ${feeStore.STORE_DIR}`);
+        console.log(`Schema version: ${info.schemaVersion}\n`);
+        info.migrations.forEach(m => console.log(`  ✅ ${m.id} (${m.appliedAt})`));
+        info.pendingMigrations.forEach(id => console.log(`  ⏳ ${id} (pending)`));
+    } else {
+        const applied = feeStore.runMigrations();
+        if (applied.length === 0) {
+            console.log('Fee store is up to date');
+        } else {
+            applied.forEach(id => console.log(`✅ Applied ${id}`));
+        }
+    }
+}
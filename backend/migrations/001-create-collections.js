@@ -0,0 +1,23 @@
+/**
+ * Create the fee store collections and import the fee data previously kept
+ * as object literals in permit-fee-database.js (migrations/seed/), so a new
+ * store starts with the same records as the committed one.
+ */
+
+const { COLLECTIONS } = require('../fee-store-schema');
+const initialData = require('./seed/initial-fee-data');
+
+module.exports = {
+    id: '001-create-collections',
+    description: 'Create the fee store collections',
+    up(store) {
+        COLLECTIONS.forEach(name => store.createCollection(name));
+        for (const [name, records] of Object.entries(initialData)) {
+            for (const [key, data] of Object.entries(records)) {
+                if (!store.getRecord(name, key)) {
+                    store.putRecord(name, key, data);
+                }
+            }
+        }
+    }
+};
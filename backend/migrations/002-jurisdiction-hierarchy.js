@@ -0,0 +1,163 @@
+/**
+ * Add the jurisdiction hierarchy (state → county → city, unincorporated
+ * areas and overlay districts) and move jurisdiction tips out of
+ * permit-paperwork.js into the hierarchy so they are inherited.
+ *
+ * Miami's fee record comes from the Miami-Dade County fee sheet; it is
+ * copied to the county so unincorporated Miami-Dade (where the county
+ * issues permits) resolves to verified county fees.
+ */
+
+const STATES = {
+    AZ: 'Arizona',
+    CA: 'California',
+    CO: 'Colorado',
+    FL: 'Florida',
+    IL: 'Illinois',
+    NY: 'New York',
+    TX: 'Texas',
+    WA: 'Washington',
+    WI: 'Wisconsin'
+};
+
+const STATE_TIPS = {
+    CA: ['Energy code compliance (Title 24) required for most projects']
+};
+
+const COUNTIES = {
+    'Los Angeles County, CA': 'Los Angeles County',
+    'San Diego County, CA': 'San Diego County',
+    'San Francisco County, CA': 'City and County of San Francisco',
+    'Travis County, TX': 'Travis County',
+    'Harris County, TX': 'Harris County',
+    'Miami-Dade County, FL': 'Miami-Dade County',
+    'Broward County, FL': 'Broward County',
+    'Cook County, IL': 'Cook County',
+    'Milwaukee County, WI': 'Milwaukee County',
+    'Maricopa County, AZ': 'Maricopa County',
+    'King County, WA': 'King County'
+};
+
+// Cities and their parents. New York City spans five counties and Denver is
+// a consolidated city-county, so both sit directly under their state.
+const CITIES = {
+    'Los Angeles, CA': {
+        parent: 'Los Angeles County, CA',
+        tips: [
+            'LADBS accepts both in-person and online submissions',
+            'Express permits available for simple electrical/plumbing work'
+        ]
+    },
+    'San Diego, CA': { parent: 'San Diego County, CA' },
+    'San Francisco, CA': {
+        parent: 'San Francisco County, CA',
+        tips: ['SF DBI uses numbered forms (Form 1/2, 3/8, etc.) - make sure you have the right one']
+    },
+    'Austin, TX': { parent: 'Travis County, TX' },
+    'Houston, TX': { parent: 'Harris County, TX' },
+    'Miami, FL': { parent: 'Miami-Dade County, FL' },
+    'Chicago, IL': {
+        parent: 'Cook County, IL',
+        tips: [
+            'Express permits available for qualifying minor work',
+            'Energy code forms (408 series) required for many projects'
+        ]
+    },
+    'Milwaukee, WI': {
+        parent: 'Milwaukee County, WI',
+        tips: [
+            'Submit permits at the Development Center (809 N. Broadway, 1st Floor)',
+            'Online applications available through the Accela portal',
+            'Plan review fees due at submission; permit fees due before issuance'
+        ]
+    },
+    'Phoenix, AZ': {
+        parent: 'Maricopa County, AZ',
+        tips: [
+            'Phoenix uses a single unified application (TRT 00030) for all residential trades',
+            'Residential permits now go through the SHAPE PHX portal',
+            'Valuation-based fees with $150 minimum; plan review adds 80-100%'
+        ]
+    },
+    'New York, NY': {
+        parent: 'NY',
+        tips: [
+            'NYC requires electronic filing through DOB NOW - paper applications not accepted for most permits',
+            'Create a DOB NOW account before starting your application'
+        ]
+    },
+    'Denver, CO': {
+        parent: 'CO',
+        tips: [
+            'Use the ePermit online portal (Accela) at denvergov.org/epermits for all permit applications',
+            'Quick Permits available for qualifying trade work - issued without plan review',
+            'Denver uses the 2025 Denver Building Code with local amendments - do not assume standard IBC applies'
+        ]
+    },
+    'Seattle, WA': {
+        parent: 'King County, WA',
+        tips: [
+            'Plumbing permits are issued by Public Health - Seattle & King County, NOT SDCI',
+            'Most OTC trade permits are issued immediately after online submission via the Seattle Services Portal',
+            'Seattle uses locally amended codes - check Seattle-specific code references, not just NEC/UMC/UPC'
+        ]
+    }
+};
+
+// Census-designated places in unincorporated Miami-Dade County
+const UNINCORPORATED_MIAMI_DADE = ['Kendall', 'Kendale Lakes', 'The Hammocks', 'Tamiami', 'Westchester', 'Fontainebleau'];
+
+const HVHZ = {
+    type: 'district',
+    name: 'High-Velocity Hurricane Zone',
+    appliesTo: ['Miami-Dade County, FL', 'Broward County, FL'],
+    tips: [
+        'High-Velocity Hurricane Zone: windows, doors, shutters and roofing need a Miami-Dade Notice of Acceptance (NOA) or an HVHZ-approved Florida Product Approval',
+        'List product approval numbers on the application - HVHZ inspections check installed products against them'
+    ],
+    source: { name: 'Florida Building Code, High-Velocity Hurricane Zone provisions', url: 'https://www.floridabuilding.org' }
+};
+
+module.exports = {
+    id: '002-jurisdiction-hierarchy',
+    description: 'Add the jurisdiction hierarchy and Miami-Dade County fees',
+    up(store) {
+        store.createCollection('jurisdictions');
+
+        for (const [code, name] of Object.entries(STATES)) {
+            store.putRecord('jurisdictions', code, {
+                type: 'state', name, parent: null, ...(STATE_TIPS[code] && { tips: STATE_TIPS[code] })
+            });
+        }
+        for (const [key, name] of Object.entries(COUNTIES)) {
+            store.putRecord('jurisdictions', key, { type: 'county', name, parent: key.slice(-2) });
+        }
+        for (const [key, { parent, tips }] of Object.entries(CITIES)) {
+            store.putRecord('jurisdictions', key, { type: 'city', name: key.split(', ')[0], parent, ...(tips && { tips }) });
+        }
+        store.putRecord('jurisdictions', 'Unincorporated Miami-Dade County, FL', {
+            type: 'unincorporated',
+            name: 'Unincorporated Miami-Dade County',
+            parent: 'Miami-Dade County, FL',
+            notes: 'Miami-Dade County issues permits outside incorporated municipalities'
+        });
+        for (const place of UNINCORPORATED_MIAMI_DADE) {
+            store.putRecord('jurisdictions', `${place}, FL`, {
+                type: 'unincorporated',
+                name: place,
+                parent: 'Unincorporated Miami-Dade County, FL'
+            });
+        }
+        store.putRecord('jurisdictions', 'High-Velocity Hurricane Zone, FL', HVHZ);
+
+        const miamiFees = store.getCollection('permitFees')['Miami, FL'];
+        const miamiQuality = store.getCollection('dataQuality')['Miami, FL'];
+        if (miamiFees && miamiQuality && !store.getCollection('permitFees')['Miami-Dade County, FL']) {
+            store.putRecord('permitFees', 'Miami-Dade County, FL', JSON.parse(JSON.stringify(miamiFees)));
+            store.putRecord('dataQuality', 'Miami-Dade County, FL', {
+                ...miamiQuality,
+                notes: 'Miami-Dade County fee sheet. Applies to permits the county issues, including unincorporated Miami-Dade.'
+            });
+        }
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * Give roofing, pool, fence and demolition permits and the solar subtypes
+ * (battery storage, solar water heating) fee categories of their own, which
+ * were previously priced as general building permits.
+ *
+ * No fee data is added here: a category gets amounts only once they are
+ * entered from a cited fee schedule. Until then the calculator prices it
+ * from the parent permit category (general building or solar) and flags
+ * the price as an estimate.
+ */
+
+// Labor and markup for the new job types follow solar installations
+const NEW_JOB_TYPES = ['Battery Storage', 'Solar Water Heating'];
+
+module.exports = {
+    id: '003-job-type-fee-categories',
+    description: 'Add labor times and markup for the battery storage and solar water heating job types',
+    up(store) {
+        const laborTimes = store.getCollection('laborTimes');
+        const markupRecommendations = store.getCollection('markupRecommendations');
+        for (const jobType of NEW_JOB_TYPES) {
+            if (!laborTimes[jobType]) store.putRecord('laborTimes', jobType, { ...laborTimes.Solar });
+            if (!markupRecommendations[jobType]) store.putRecord('markupRecommendations', jobType, { ...markupRecommendations.Solar });
+        }
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * Remove the outlet tier brackets from San Francisco's electrical fees. The
+ * DBI schedule (Table 1A-E) only told us the structure is tiered by
+ * outlets/devices; the bracket amounts were never read from it. Electrical
+ * permits are priced from the scraped base and maximum fee until the
+ * published brackets are entered with a citation.
+ */
+
+const KEY = 'San Francisco, CA';
+
+module.exports = {
+    id: '004-remove-uncited-sf-electrical-tiers',
+    description: 'Remove the uncited San Francisco electrical outlet tiers',
+    up(store) {
+        const record = store.getCollection('permitFees')[KEY];
+        if (!record || !record.electrical || !record.electrical.feeRule) return;
+
+        const { feeRule, ...electrical } = record.electrical;
+        store.putRecord('permitFees', KEY, { ...record, electrical });
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * Plan review amounts are shown to users as fees, so only keep the ones a
+ * fee schedule backs and record that schedule as their source. The rest
+ * were rules of thumb (65% of the permit fee for the regional defaults, and
+ * Phoenix's "adds 80-100%" paperwork tip applied to every trade): they
+ * become `mayApply` entries with no amount, so pricing says plan review may
+ * apply instead of adding a made-up fee.
+ */
+
+// Plan review amounts taken from the jurisdiction's own fee schedule
+const CITED = {
+    'Los Angeles, CA': {
+        electrical: {
+            name: 'LADBS Official Fee Schedule',
+            url: 'https://www.ladbs.org/services/core-services/plan-check-inspection/permits-information'
+        }
+    }
+};
+
+const MAY_APPLY_NOTES = 'Plan review may apply when the work needs plans; the amount is not in our fee data. Confirm it with the building department.';
+
+module.exports = {
+    id: '005-plan-review-sources',
+    description: 'Cite plan review amounts and drop the uncited ones',
+    up(store) {
+        const permitFees = store.getCollection('permitFees');
+
+        for (const [key, record] of Object.entries(permitFees)) {
+            if (!record.planReview) continue;
+
+            const planReview = {};
+            for (const [category, config] of Object.entries(record.planReview)) {
+                const source = config.source || (CITED[key] && CITED[key][category]);
+                if (source) {
+                    planReview[category] = { ...config, source };
+                    continue;
+                }
+                const { flatFee, percentOfPermitFee, minFee, notes, ...trigger } = config;
+                planReview[category] = { ...trigger, mayApply: true, notes: MAY_APPLY_NOTES };
+            }
+            store.putRecord('permitFees', key, { ...record, planReview });
+        }
+    }
+};
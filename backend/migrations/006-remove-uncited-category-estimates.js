@@ -0,0 +1,43 @@
+/**
+ * Remove the roofing, pool, fence, demolition, battery storage and solar
+ * water heating fees an earlier version of migration 003 wrote to the
+ * regional defaults. They were national baseline guesses scaled by each
+ * region's building permit fees, with no fee schedule behind them. The
+ * categories are left empty, so pricing falls back to the parent permit
+ * category and says the fees are not on file.
+ */
+
+const CATEGORIES = ['roofing', 'pool', 'fence', 'demolition', 'energyStorage', 'solarThermal'];
+
+// Source line the baseline estimates were recorded with in dataQuality
+const ESTIMATE_SOURCE = /^Typical residential .* permit fees, scaled to this region's building permit fees$/;
+
+module.exports = {
+    id: '006-remove-uncited-category-estimates',
+    description: 'Remove the uncited fee estimates for the new permit categories from the regional defaults',
+    up(store) {
+        const dataQuality = store.getCollection('dataQuality');
+
+        for (const [key, quality] of Object.entries(dataQuality)) {
+            if (!quality.categories) continue;
+
+            const removed = CATEGORIES.filter(category => {
+                const entry = quality.categories[category];
+                return entry && ESTIMATE_SOURCE.test(entry.source);
+            });
+            if (removed.length === 0) continue;
+
+            const record = store.getCollection('permitFees')[key];
+            if (record) {
+                const fees = { ...record };
+                removed.forEach(category => delete fees[category]);
+                store.putRecord('permitFees', key, fees);
+            }
+
+            const { categories, ...rest } = quality;
+            const kept = { ...categories };
+            removed.forEach(category => delete kept[category]);
+            store.putRecord('dataQuality', key, Object.keys(kept).length > 0 ? { ...rest, categories: kept } : rest);
+        }
+    }
+};
@@ -0,0 +1,18 @@
+/**
+ * Fee store migrations, in the order they apply. Append new migrations to
+ * the end of the list; once applied, their ids are recorded in
+ * data/fee-store/meta.json and they never run again.
+ *
+ * A migration exports { id, description, up(store) }. `store` exposes
+ * createCollection, getCollection, getRecord, putRecord and deleteRecord;
+ * records it writes are versioned like any other edit.
+ */
+
+module.exports = [
+    require('./001-create-collections'),
+    require('./002-jurisdiction-hierarchy'),
+    require('./003-job-type-fee-categories'),
+    require('./004-remove-uncited-sf-electrical-tiers'),
+    require('./005-plan-review-sources'),
+    require('./006-remove-uncited-category-estimates')
+];
@@ -0,0 +1,1244 @@
+/**
+ * Initial Fee Data
+ * The object literals kept in permit-fee-database.js before the fee data
+ * moved into the fee store. Migration 001 imports them into a new store.
+ *
+ * This file is a snapshot: do not edit it. Changes to the fee data ship
+ * as migrations or as reviewed fee store edits.
+ */
+
+/**
+ * Data Quality Tracking
+ * Tracks which jurisdictions have verified vs estimated data
+ */
+const dataQuality = {
+    'Los Angeles, CA': {
+        quality: 'verified',
+        source: 'LADBS Official Fee Schedule',
+        lastVerified: '2024-10-15',
+        url: 'https://www.ladbs.org/services/core-services/plan-check-inspection/permits-information',
+        confidence: 'high',
+        notes: 'Data verified from official LADBS fee schedule'
+    },
+    'San Diego, CA': {
+        quality: 'verified',
+        source: 'City of San Diego IB-103 MEP Fee Schedule (Jan 2026)',
+        lastVerified: '2026-02-19',
+        url: 'https://www.sandiego.gov/development-services/forms-publications/information-bulletins/103',
+        confidence: 'high',
+        notes: 'Per-circuit/per-item fee structure from City of San Diego IB-103. $164.63 base for first 5 circuits or panel upgrade.'
+    },
+    'San Francisco, CA': {
+        quality: 'verified',
+        source: 'SF Department of Building Inspection 2025 Electrical Permit Fee Schedule',
+        lastVerified: '2025-11-16',
+        url: 'https://media.api.sf.gov/documents/Table_1A-E_-_Electrical_Permit_Issuance_and_Inspection_2025.pdf',
+        confidence: 'high',
+        notes: 'Data automatically scraped from official 2025 fee schedule. PDF hash: af29f84096cc6d3e813881c8bfeee809. Hourly rate: $405/hr regular, $477/hr off-hours.'
+    },
+    'Austin, TX': {
+        quality: 'verified',
+        source: 'Residential Building Plan Review & Inspection Permit Fees (FY 2025-26)',
+        lastVerified: '2025-11-16',
+        url: 'https://www.austintexas.gov/sites/default/files/files/Development_Services/Fees_Residential.pdf',
+        confidence: 'high',
+        notes: 'Data automatically scraped from official FY 2025-26 fee schedule. Effective October 1, 2025. Significant fee increases: +99% electrical, +125% plumbing, +78% HVAC from prior year.'
+    },
+    'Houston, TX': {
+        quality: 'verified',
+        source: '2025 Building Code Enforcement Fee Schedule',
+        lastVerified: '2025-11-16',
+        url: 'https://www.houstonpermittingcenter.org/media/2636/download',
+        confidence: 'high',
+        notes: 'Data automatically scraped from official 2025 fee schedule. Minor updates: -$5 electrical, -$10 plumbing from prior database values.'
+    },
+    'Miami, FL': {
+        quality: 'verified',
+        source: 'Miami-Dade County Electrical Fee Sheet',
+        lastVerified: '2025-11-16',
+        url: 'https://www.miamidade.gov/permits/library/fees/electrical-fee-sheet.pdf',
+        confidence: 'high',
+        notes: 'Data automatically scraped from official Miami-Dade electrical fee schedule. PDF hash: a461b8e63ed6c9259316cb19938afa5f'
+    },
+    'Chicago, IL': {
+        quality: 'verified',
+        source: 'Chicago Admin Code 14A-12-1204.2 Stand-Alone Permit Fees',
+        lastVerified: '2026-02-19',
+        url: 'https://www.chicago.gov/content/dam/city/depts/bldgs/general/Permitfees/2025%20Bldg%20Permit%20Fee%20Tables.pdf',
+        confidence: 'high',
+        notes: 'Flat/tiered fee structure per Chicago Admin Code 14A-12-1204.2. Verified against UpCodes and City of Chicago building permit guides.'
+    },
+    'Milwaukee, WI': {
+        quality: 'verified',
+        source: 'Milwaukee Code of Ordinances Chapter 200-33 & DNS Fee Schedule',
+        lastVerified: '2025-01-13',
+        url: 'https://city.milwaukee.gov/DNS/permits',
+        confidence: 'high',
+        notes: 'Data verified from official City of Milwaukee fee schedule (revised January 3, 2025)'
+    },
+    'Phoenix, AZ': {
+        quality: 'verified',
+        source: 'Phoenix Planning & Development Fee Schedule',
+        lastVerified: '2025-11-16',
+        url: 'https://www.phoenix.gov/pddsite/Documents/TRT/dsd_trt_pdf_00042.pdf',
+        confidence: 'high',
+        notes: 'Data automatically scraped from official fee schedule. PDF hash: 61797847dd530ea3da1fe4a80427df2c. 56-page comprehensive fee schedule.'
+    },
+    'New York, NY': {
+        quality: 'verified',
+        source: 'NYC Department of Buildings Permit Fee Structure',
+        lastVerified: '2025-11-16',
+        url: 'https://www.nyc.gov/assets/buildings/pdf/new_permit_fee_structure.pdf',
+        confidence: 'medium',
+        notes: 'Data automatically scraped from official fee schedule. WARNING: Fee schedule dated June 9, 2016 - may be outdated. Needs verification with current NYC DOB rates. PDF hash: 6829c03e141f9e31eef3736019f8b49c'
+    },
+    // Regional default quality markers. basedOn lists the verified cities behind
+    // each estimate; minSpread is the smallest +/- band quoted around it.
+    'default-midwest': {
+        quality: 'estimated',
+        source: 'Average of Chicago and Milwaukee verified data',
+        lastVerified: '2025-01-13',
+        url: null,
+        confidence: 'medium',
+        notes: 'Regional estimate for Midwest cities based on Chicago and Milwaukee averages. Actual fees may vary by 20-40%. Please verify with your local building department.',
+        basedOn: ['Chicago, IL', 'Milwaukee, WI'],
+        minSpread: 0.2
+    },
+    'default-texas': {
+        quality: 'estimated',
+        source: 'Average of Houston and Austin verified data',
+        lastVerified: '2025-01-13',
+        url: null,
+        confidence: 'medium',
+        notes: 'Regional estimate for Texas cities based on Houston and Austin averages. Actual fees may vary by 20-30%. Please verify with your local building department.',
+        basedOn: ['Houston, TX', 'Austin, TX'],
+        minSpread: 0.2
+    },
+    'default-california': {
+        quality: 'estimated',
+        source: 'Average of Los Angeles, San Diego, and San Francisco verified data',
+        lastVerified: '2025-01-13',
+        url: null,
+        confidence: 'medium',
+        notes: 'Regional estimate for California cities based on LA, SD, and SF averages. Actual fees may vary by 20-40%. Please verify with your local building department.',
+        basedOn: ['Los Angeles, CA', 'San Diego, CA', 'San Francisco, CA'],
+        minSpread: 0.2
+    },
+    'default-mountain-west': {
+        quality: 'estimated',
+        source: 'Based on Phoenix verified data with regional adjustments',
+        lastVerified: '2025-01-13',
+        url: null,
+        confidence: 'medium',
+        notes: 'Regional estimate for Mountain West cities (CO, UT, NV, AZ). Actual fees may vary by 30-50%. Please verify with your local building department.',
+        basedOn: ['Phoenix, AZ'],
+        minSpread: 0.3
+    },
+    'default-southeast': {
+        quality: 'estimated',
+        source: 'Based on Miami verified data with regional adjustments',
+        lastVerified: '2025-01-13',
+        url: null,
+        confidence: 'medium',
+        notes: 'Regional estimate for Southeast cities (GA, FL, AL, SC, NC). Actual fees may vary by 25-45%. Please verify with your local building department.',
+        basedOn: ['Miami, FL'],
+        minSpread: 0.25
+    },
+    'default-northeast': {
+        quality: 'estimated',
+        source: 'Based on NYC verified data with regional adjustments',
+        lastVerified: '2025-01-13',
+        url: null,
+        confidence: 'medium',
+        notes: 'Regional estimate for Northeast cities (PA, MA, CT, NJ). Actual fees may vary by 30-50%. Please verify with your local building department.',
+        basedOn: ['New York, NY'],
+        minSpread: 0.3
+    },
+    'default': {
+        quality: 'estimated',
+        source: 'National average of all verified cities',
+        lastVerified: '2025-01-13',
+        url: null,
+        confidence: 'low',
+        notes: 'Generic estimate when region cannot be determined. Actual fees may vary significantly (40-100%). Please verify with your local building department before quoting.',
+        // Every verified city
+        basedOn: ['Los Angeles, CA', 'San Diego, CA', 'San Francisco, CA', 'Austin, TX', 'Houston, TX',
+            'Miami, FL', 'Chicago, IL', 'Milwaukee, WI', 'Phoenix, AZ', 'New York, NY'],
+        minSpread: 0.4
+    }
+};
+
+const permitFees = {
+    // California
+    'Los Angeles, CA': {
+        electrical: {
+            baseFee: 150,
+            valuationRate: 0.008, // % of project value
+            minFee: 150,
+            maxFee: 2500,
+            notes: 'Additional $50 for plan check over $500 valuation'
+        },
+        plumbing: {
+            baseFee: 135,
+            valuationRate: 0.008,
+            minFee: 135,
+            maxFee: 2500
+        },
+        hvac: {
+            baseFee: 165,
+            valuationRate: 0.008,
+            minFee: 165,
+            maxFee: 2500
+        },
+        general: {
+            baseFee: 200,
+            valuationRate: 0.015,
+            minFee: 200,
+            maxFee: 5000
+        },
+        solar: {
+            baseFee: 350,
+            valuationRate: 0.01,
+            minFee: 350,
+            maxFee: 3500
+        },
+        // Plan check charged on top of the permit fee, keyed by fee category
+        planReview: {
+            electrical: {
+                flatFee: 50,
+                minValuation: 500,
+                notes: 'Additional $50 for plan check over $500 valuation'
+            }
+        },
+        processingTime: '2-4 weeks',
+        expediteFee: 250,
+        expediteTime: '3-5 days',
+        // Local construction cost modifier applied to ICC building valuation data
+        valuationMultiplier: 1.12,
+        surcharges: [
+            {
+                name: 'Systems Development Surcharge',
+                type: 'percentOfFee',
+                rate: 0.06,
+                source: 'LADBS fee schedule'
+            }
+        ],
+        // Express permits: issued at the counter/online without plan check
+        overTheCounter: {
+            categories: ['electrical', 'plumbing', 'hvac'],
+            scopes: ['Repair/Service', 'Replacement'],
+            maxValuation: 15000,
+            time: 'Same day',
+            notes: 'LADBS Express Permit - no plan check for minor MEP work'
+        }
+    },
+
+    'San Diego, CA': {
+        electrical: {
+            baseFee: 164.63,
+            valuationRate: null,
+            minFee: 164.63,
+            maxFee: 2000,
+            notes: 'City of San Diego IB-103 per-circuit pricing. $164.63 for first 5 circuits or panel upgrade. $48.85 per additional circuit (6-10).',
+            feeRule: {
+                type: 'flatPlusPerItem',
+                unit: 'circuits',
+                baseFee: 164.63,
+                includedUnits: 5,
+                unitFee: 48.85
+            }
+        },
+        plumbing: {
+            baseFee: 164.63,
+            valuationRate: null,
+            minFee: 164.63,
+            maxFee: 2000,
+            notes: 'City of San Diego IB-103 MEP fee schedule. $164.63 base for residential plumbing permits.'
+        },
+        hvac: {
+            baseFee: 164.63,
+            valuationRate: null,
+            minFee: 164.63,
+            maxFee: 2000,
+            notes: 'City of San Diego IB-103 MEP fee schedule. $164.63 base for residential mechanical permits.'
+        },
+        general: {
+            baseFee: 180,
+            valuationRate: 0.012,
+            minFee: 180,
+            maxFee: 4500
+        },
+        solar: {
+            baseFee: 300,
+            valuationRate: 0.009,
+            minFee: 300,
+            maxFee: 3000
+        },
+        processingTime: '3-5 weeks',
+        expediteFee: 200,
+        expediteTime: '5-7 days',
+        valuationMultiplier: 1.08,
+        overTheCounter: {
+            categories: ['electrical', 'plumbing', 'hvac'],
+            scopes: ['Repair/Service', 'Replacement'],
+            maxValuation: 10000,
+            time: '1-2 days',
+            notes: 'No-plan MEP permits issued over the counter (IB-103)'
+        }
+    },
+
+    'San Francisco, CA': {
+        electrical: {
+            baseFee: 405,
+            valuationRate: null,
+            minFee: 405,
+            maxFee: 3500,
+            notes: 'Scraped from 2025 fee schedule - $405/hr hourly rate for permit issuance/inspection. Complex tiered structure based on outlets/devices.',
+            // Brackets expressed as inspection time at the $405/hr rate
+            feeRule: {
+                type: 'tiered',
+                unit: 'outlets',
+                tiers: [
+                    { upTo: 10, fee: 405 },
+                    { upTo: 20, fee: 607.5 },
+                    { upTo: 40, fee: 810 },
+                    { upTo: null, fee: 810, unitFee: 10.13 }
+                ]
+            }
+        },
+        plumbing: {
+            baseFee: 405,
+            valuationRate: null,
+            minFee: 405,
+            maxFee: 3500,
+            notes: 'Estimated based on electrical hourly rate structure'
+        },
+        hvac: {
+            baseFee: 860,
+            valuationRate: null,
+            minFee: 860,
+            maxFee: 3500,
+            notes: 'Scraped from 2025 fee schedule - mechanical work base fee'
+        },
+        general: {
+            baseFee: 275,
+            valuationRate: 0.018,
+            minFee: 275,
+            maxFee: 6000
+        },
+        solar: {
+            baseFee: 450,
+            valuationRate: 0.012,
+            minFee: 450,
+            maxFee: 4500
+        },
+        processingTime: '6-12 weeks',
+        expediteFee: 400,
+        expediteTime: '7-10 days',
+        valuationMultiplier: 1.30,
+        surcharges: [
+            {
+                name: 'Technology Surcharge',
+                type: 'percentOfFee',
+                rate: 0.05,
+                source: 'SF DBI fee schedule'
+            }
+        ],
+        overTheCounter: {
+            categories: ['electrical', 'plumbing', 'hvac', 'general'],
+            scopes: ['Repair/Service', 'Replacement', 'Renovation'],
+            maxValuation: 25000,
+            time: 'Same day',
+            notes: 'DBI over-the-counter permit - minor work without structural or use changes'
+        }
+    },
+
+    // Texas
+    'Austin, TX': {
+        electrical: {
+            baseFee: 169,
+            valuationRate: 0.006,
+            minFee: 169,
+            maxFee: 1800
+        },
+        plumbing: {
+            baseFee: 169,
+            valuationRate: 0.006,
+            minFee: 169,
+            maxFee: 1800
+        },
+        hvac: {
+            baseFee: 169,
+            valuationRate: 0.006,
+            minFee: 169,
+            maxFee: 1800
+        },
+        general: {
+            baseFee: 120,
+            valuationRate: 0.01,
+            minFee: 120,
+            maxFee: 3500
+        },
+        solar: {
+            baseFee: 250,
+            valuationRate: 0.008,
+            minFee: 250,
+            maxFee: 2800
+        },
+        processingTime: '2-3 weeks',
+        expediteFee: 150,
+        expediteTime: '2-4 days',
+        valuationMultiplier: 0.92,
+        // FY 2025-26 schedule; prior fiscal year kept for jobs filed before the change
+        effectiveDate: '2025-10-01',
+        feeHistory: [
+            {
+                effectiveDate: '2024-10-01',
+                source: 'Residential Building Plan Review & Inspection Permit Fees (FY 2024-25)',
+                notes: 'Prior fiscal year schedule, replaced October 1, 2025',
+                electrical: {
+                    baseFee: 85,
+                    valuationRate: 0.006,
+                    minFee: 85,
+                    maxFee: 1800
+                },
+                plumbing: {
+                    baseFee: 75,
+                    valuationRate: 0.006,
+                    minFee: 75,
+                    maxFee: 1800
+                },
+                hvac: {
+                    baseFee: 95,
+                    valuationRate: 0.006,
+                    minFee: 95,
+                    maxFee: 1800
+                }
+            }
+        ]
+    },
+
+    'Houston, TX': {
+        electrical: {
+            baseFee: 70,
+            valuationRate: 0.005,
+            minFee: 70,
+            maxFee: 1600
+        },
+        plumbing: {
+            baseFee: 60,
+            valuationRate: 0.005,
+            minFee: 60,
+            maxFee: 1600
+        },
+        hvac: {
+            baseFee: 85,
+            valuationRate: 0.005,
+            minFee: 85,
+            maxFee: 1600
+        },
+        general: {
+            baseFee: 110,
+            valuationRate: 0.009,
+            minFee: 110,
+            maxFee: 3200
+        },
+        solar: {
+            baseFee: 225,
+            valuationRate: 0.007,
+            minFee: 225,
+            maxFee: 2500
+        },
+        processingTime: '1-2 weeks',
+        expediteFee: 125,
+        expediteTime: '1-3 days',
+        valuationMultiplier: 0.88,
+        overTheCounter: {
+            categories: ['electrical', 'plumbing', 'hvac'],
+            scopes: ['Repair/Service', 'Replacement'],
+            maxValuation: 10000,
+            time: 'Same day',
+            notes: 'iPermits online trade permit - no plan review required'
+        }
+    },
+
+    // Florida
+    'Miami, FL': {
+        electrical: {
+            baseFee: 166.63,
+            valuationRate: null,
+            minFee: 166.63,
+            maxFee: 2200,
+            notes: 'Scraped from Miami-Dade electrical fee sheet - base fee for standard permits'
+        },
+        plumbing: {
+            baseFee: 166.63,
+            valuationRate: null,
+            minFee: 166.63,
+            maxFee: 2200,
+            notes: 'Estimated based on electrical fee structure'
+        },
+        hvac: {
+            baseFee: 166.63,
+            valuationRate: null,
+            minFee: 166.63,
+            maxFee: 2200,
+            notes: 'Estimated based on electrical fee structure'
+        },
+        general: {
+            baseFee: 155,
+            valuationRate: 0.011,
+            minFee: 155,
+            maxFee: 4000
+        },
+        solar: {
+            baseFee: 275,
+            valuationRate: 0.009,
+            minFee: 275,
+            maxFee: 3200
+        },
+        processingTime: '2-4 weeks',
+        expediteFee: 175,
+        expediteTime: '3-5 days',
+        valuationMultiplier: 0.95
+    },
+
+    // Illinois
+    'Chicago, IL': {
+        electrical: {
+            baseFee: 150,
+            valuationRate: null,
+            minFee: 75,
+            maxFee: 2250,
+            notes: 'Flat/tiered per Chicago Admin Code 14A-12-1204.2. $150 for up to 10 circuits, $75 min for repairs/alterations, up to $2,250 for 81+ circuits.'
+        },
+        plumbing: {
+            baseFee: 150,
+            valuationRate: null,
+            minFee: 75,
+            maxFee: 400,
+            notes: 'Flat/tiered per Chicago Admin Code 14A-12-1204.2. $75 for water heater replacement, $150 for piping, $400 for pool/hot tub.'
+        },
+        hvac: {
+            baseFee: 150,
+            valuationRate: null,
+            minFee: 75,
+            maxFee: 600,
+            notes: 'Flat/tiered per Chicago Admin Code 14A-12-1204.2. $75 for duct/gas piping, $150 for new AC, $600 for chiller/cooling tower.'
+        },
+        general: {
+            baseFee: 190,
+            valuationRate: 0.013,
+            minFee: 190,
+            maxFee: 4800
+        },
+        solar: {
+            baseFee: 325,
+            valuationRate: 0.01,
+            minFee: 325,
+            maxFee: 3600
+        },
+        processingTime: '3-6 weeks',
+        expediteFee: 225,
+        expediteTime: '5-7 days',
+        valuationMultiplier: 1.10
+    },
+
+    // Wisconsin
+    'Milwaukee, WI': {
+        electrical: {
+            baseFee: 70,
+            valuationRate: 0.014,  // 1.4% IT & Training surcharge per Milwaukee ordinance Ch. 200-33
+            minFee: 70,
+            maxFee: 2000,
+            notes: 'Min $70 for 1-2 family homes, $80 for condos + 1.4% surcharge + $5 processing fee. Per Ch. 200-33.'
+        },
+        plumbing: {
+            baseFee: 200,
+            valuationRate: 0.016,  // 1.6% of project cost per Milwaukee Code
+            minFee: 200,
+            maxFee: 2200,
+            notes: 'Commercial plumbing: 1.6% of project cost, min $200'
+        },
+        hvac: {
+            baseFee: 200,
+            valuationRate: 0.016,  // 1.6% of cost per Milwaukee ordinance
+            minFee: 200,
+            maxFee: 2200,
+            notes: 'Min $200 for 1-2 family, $300+ for multi-family'
+        },
+        general: {
+            baseFee: 200,
+            valuationRate: 0.016,
+            minFee: 200,
+            maxFee: 4500,
+            notes: 'Residential building permits include $20 processing fee per permit'
+        },
+        solar: {
+            baseFee: 300,
+            valuationRate: 0.014,
+            minFee: 300,
+            maxFee: 3000
+        },
+        processingTime: '4-8 weeks',
+        expediteFee: 250,  // 50-100% increase for expedited review
+        expediteTime: '1-3 weeks',
+        valuationMultiplier: 1.00
+    },
+
+    // Arizona
+    'Phoenix, AZ': {
+        electrical: {
+            baseFee: 150,
+            valuationRate: 0.003,  // 0.3% of valuation (scraped data)
+            minFee: 300,
+            maxFee: 2500,
+            notes: 'Scraped from Phoenix fee schedule - $150 base + 0.3% valuation, $300 minimum for most permits'
+        },
+        plumbing: {
+            baseFee: null,
+            valuationRate: 0.003,  // 0.3% of valuation
+            minFee: 300,
+            maxFee: 2500,
+            notes: 'Scraped from Phoenix fee schedule - 0.3% valuation rate, $300 minimum'
+        },
+        hvac: {
+            baseFee: null,
+            valuationRate: 0.003,  // 0.3% of valuation
+            minFee: 300,
+            maxFee: 2500,
+            notes: 'Scraped from Phoenix fee schedule - 0.3% valuation rate, $300 minimum'
+        },
+        general: {
+            baseFee: 150,
+            valuationRate: 0.009,  // Rate decreases at higher valuations
+            minFee: 150,
+            maxFee: 7000,
+            notes: 'Valuation-based system; rates decrease for higher value projects'
+        },
+        solar: {
+            baseFee: 150,
+            valuationRate: 0.009,
+            minFee: 150,
+            maxFee: 4000
+        },
+        planReview: {
+            electrical: {
+                percentOfPermitFee: 0.8,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan review adds 80-100% of the permit fee (PDD fee schedule); low end applied'
+            },
+            plumbing: {
+                percentOfPermitFee: 0.8,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan review adds 80-100% of the permit fee (PDD fee schedule); low end applied'
+            },
+            hvac: {
+                percentOfPermitFee: 0.8,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan review adds 80-100% of the permit fee (PDD fee schedule); low end applied'
+            },
+            general: {
+                percentOfPermitFee: 0.8,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan review adds 80-100% of the permit fee (PDD fee schedule); low end applied'
+            },
+            solar: {
+                percentOfPermitFee: 0.8,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan review adds 80-100% of the permit fee (PDD fee schedule); low end applied'
+            }
+        },
+        processingTime: '2-4 weeks',
+        expediteFee: 200,
+        expediteTime: '3-5 days',
+        valuationMultiplier: 0.93
+    },
+
+    // New York
+    'New York, NY': {
+        electrical: {
+            baseFee: null,
+            valuationRate: 0.02490,  // 2.49% of valuation (scraped from 2016 fee schedule)
+            minFee: 100,
+            maxFee: 4500,
+            notes: 'Scraped from NYC DOB fee structure (dated June 9, 2016) - may be outdated. 2.49% valuation rate, $100 minimum.'
+        },
+        plumbing: {
+            baseFee: null,
+            valuationRate: 0.02490,  // 2.49% of valuation
+            minFee: 100,
+            maxFee: 4500,
+            notes: 'Scraped from NYC DOB fee structure (dated June 9, 2016) - may be outdated. Verify current rates.'
+        },
+        hvac: {
+            baseFee: null,
+            valuationRate: 0.02490,  // 2.49% of valuation
+            minFee: 100,
+            maxFee: 4500,
+            notes: 'Scraped from NYC DOB fee structure (dated June 9, 2016) - may be outdated. Verify current rates.'
+        },
+        general: {
+            baseFee: 350,
+            valuationRate: 0.02,
+            minFee: 350,
+            maxFee: 8000
+        },
+        solar: {
+            baseFee: 550,
+            valuationRate: 0.015,
+            minFee: 550,
+            maxFee: 6000
+        },
+        processingTime: '8-16 weeks',
+        expediteFee: 500,
+        expediteTime: '2-3 weeks',
+        valuationMultiplier: 1.35
+    },
+
+    // REGIONAL DEFAULTS (for cities not in database)
+    // These are averages of verified cities in each region for better accuracy
+
+    // Midwest Default (based on Chicago + Milwaukee average)
+    'default-midwest': {
+        electrical: {
+            baseFee: 110,
+            valuationRate: 0.011,
+            minFee: 110,
+            maxFee: 2200
+        },
+        plumbing: {
+            baseFee: 165,
+            valuationRate: 0.012,
+            minFee: 165,
+            maxFee: 2300
+        },
+        hvac: {
+            baseFee: 178,
+            valuationRate: 0.012,
+            minFee: 178,
+            maxFee: 2300
+        },
+        general: {
+            baseFee: 195,
+            valuationRate: 0.0145,
+            minFee: 195,
+            maxFee: 4650
+        },
+        solar: {
+            baseFee: 313,
+            valuationRate: 0.012,
+            minFee: 313,
+            maxFee: 3300
+        },
+        planReview: {
+            general: {
+                percentOfPermitFee: 0.65,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan check typically runs 65-85% of the permit fee; low end applied for regional estimate'
+            }
+        },
+        processingTime: '3-7 weeks',
+        expediteFee: 238,
+        expediteTime: '2-4 weeks',
+        valuationMultiplier: 1.05
+    },
+
+    // Texas Default (based on Houston + Austin average)
+    'default-texas': {
+        electrical: {
+            baseFee: 80,
+            valuationRate: 0.0055,
+            minFee: 80,
+            maxFee: 1700
+        },
+        plumbing: {
+            baseFee: 73,
+            valuationRate: 0.0055,
+            minFee: 73,
+            maxFee: 1700
+        },
+        hvac: {
+            baseFee: 90,
+            valuationRate: 0.0055,
+            minFee: 90,
+            maxFee: 1700
+        },
+        general: {
+            baseFee: 115,
+            valuationRate: 0.0095,
+            minFee: 115,
+            maxFee: 3350
+        },
+        solar: {
+            baseFee: 238,
+            valuationRate: 0.0075,
+            minFee: 238,
+            maxFee: 2650
+        },
+        planReview: {
+            general: {
+                percentOfPermitFee: 0.65,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan check typically runs 65-85% of the permit fee; low end applied for regional estimate'
+            }
+        },
+        processingTime: '1-3 weeks',
+        expediteFee: 138,
+        expediteTime: '1-3 days',
+        valuationMultiplier: 0.90
+    },
+
+    // California Default (based on LA + SD + SF average)
+    'default-california': {
+        electrical: {
+            baseFee: 158,
+            valuationRate: 0.0083,
+            minFee: 158,
+            maxFee: 2667
+        },
+        plumbing: {
+            baseFee: 145,
+            valuationRate: 0.0083,
+            minFee: 145,
+            maxFee: 2667
+        },
+        hvac: {
+            baseFee: 173,
+            valuationRate: 0.0083,
+            minFee: 173,
+            maxFee: 2667
+        },
+        general: {
+            baseFee: 218,
+            valuationRate: 0.015,
+            minFee: 218,
+            maxFee: 5167
+        },
+        solar: {
+            baseFee: 367,
+            valuationRate: 0.0103,
+            minFee: 367,
+            maxFee: 3667
+        },
+        planReview: {
+            general: {
+                percentOfPermitFee: 0.65,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan check typically runs 65-85% of the permit fee; low end applied for regional estimate'
+            }
+        },
+        processingTime: '4-8 weeks',
+        expediteFee: 283,
+        expediteTime: '5-7 days',
+        valuationMultiplier: 1.17
+    },
+
+    // Mountain West Default (based on Phoenix + regional estimates)
+    'default-mountain-west': {
+        electrical: {
+            baseFee: 125,
+            valuationRate: 0.008,
+            minFee: 125,
+            maxFee: 2200
+        },
+        plumbing: {
+            baseFee: 120,
+            valuationRate: 0.008,
+            minFee: 120,
+            maxFee: 2200
+        },
+        hvac: {
+            baseFee: 135,
+            valuationRate: 0.008,
+            minFee: 135,
+            maxFee: 2200
+        },
+        general: {
+            baseFee: 165,
+            valuationRate: 0.011,
+            minFee: 165,
+            maxFee: 4500
+        },
+        solar: {
+            baseFee: 225,
+            valuationRate: 0.009,
+            minFee: 225,
+            maxFee: 3200
+        },
+        planReview: {
+            general: {
+                percentOfPermitFee: 0.65,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan check typically runs 65-85% of the permit fee; low end applied for regional estimate'
+            }
+        },
+        processingTime: '2-4 weeks',
+        expediteFee: 175,
+        expediteTime: '3-5 days',
+        valuationMultiplier: 0.95
+    },
+
+    // Southeast Default (based on Miami + regional estimates)
+    'default-southeast': {
+        electrical: {
+            baseFee: 105,
+            valuationRate: 0.007,
+            minFee: 105,
+            maxFee: 2100
+        },
+        plumbing: {
+            baseFee: 95,
+            valuationRate: 0.007,
+            minFee: 95,
+            maxFee: 2100
+        },
+        hvac: {
+            baseFee: 115,
+            valuationRate: 0.007,
+            minFee: 115,
+            maxFee: 2100
+        },
+        general: {
+            baseFee: 150,
+            valuationRate: 0.011,
+            minFee: 150,
+            maxFee: 3800
+        },
+        solar: {
+            baseFee: 265,
+            valuationRate: 0.009,
+            minFee: 265,
+            maxFee: 3000
+        },
+        planReview: {
+            general: {
+                percentOfPermitFee: 0.65,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan check typically runs 65-85% of the permit fee; low end applied for regional estimate'
+            }
+        },
+        processingTime: '2-4 weeks',
+        expediteFee: 165,
+        expediteTime: '3-5 days',
+        valuationMultiplier: 0.92
+    },
+
+    // Northeast Default (based on NYC + regional adjustments)
+    'default-northeast': {
+        electrical: {
+            baseFee: 200,
+            valuationRate: 0.010,
+            minFee: 200,
+            maxFee: 3500
+        },
+        plumbing: {
+            baseFee: 185,
+            valuationRate: 0.010,
+            minFee: 185,
+            maxFee: 3500
+        },
+        hvac: {
+            baseFee: 215,
+            valuationRate: 0.010,
+            minFee: 215,
+            maxFee: 3500
+        },
+        general: {
+            baseFee: 275,
+            valuationRate: 0.016,
+            minFee: 275,
+            maxFee: 6500
+        },
+        solar: {
+            baseFee: 425,
+            valuationRate: 0.012,
+            minFee: 425,
+            maxFee: 5000
+        },
+        planReview: {
+            general: {
+                percentOfPermitFee: 0.65,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan check typically runs 65-85% of the permit fee; low end applied for regional estimate'
+            }
+        },
+        processingTime: '6-12 weeks',
+        expediteFee: 400,
+        expediteTime: '2-4 weeks',
+        valuationMultiplier: 1.20
+    },
+
+    // Generic Default (fallback if region cannot be determined)
+    'default': {
+        electrical: {
+            baseFee: 120,
+            valuationRate: 0.008,
+            minFee: 120,
+            maxFee: 2200
+        },
+        plumbing: {
+            baseFee: 110,
+            valuationRate: 0.008,
+            minFee: 110,
+            maxFee: 2200
+        },
+        hvac: {
+            baseFee: 130,
+            valuationRate: 0.008,
+            minFee: 130,
+            maxFee: 2200
+        },
+        general: {
+            baseFee: 170,
+            valuationRate: 0.012,
+            minFee: 170,
+            maxFee: 4200
+        },
+        solar: {
+            baseFee: 290,
+            valuationRate: 0.010,
+            minFee: 290,
+            maxFee: 3400
+        },
+        planReview: {
+            general: {
+                percentOfPermitFee: 0.65,
+                scopes: ['New Installation', 'Renovation', 'Addition'],
+                notes: 'Plan check typically runs 65-85% of the permit fee; low end applied for regional estimate'
+            }
+        },
+        processingTime: '3-6 weeks',
+        expediteFee: 200,
+        expediteTime: '1-2 weeks',
+        valuationMultiplier: 1.00
+    }
+};
+
+/**
+ * State-mandated surcharges collected by local building departments on
+ * every permit in the state. Local surcharges live on the jurisdiction
+ * entry under `surcharges` (see surcharges.js for the definition format).
+ */
+const stateSurcharges = {
+    'CA': [
+        {
+            name: 'Strong Motion Instrumentation (SMIP) Fee',
+            type: 'percentOfValuation',
+            rate: 0.00013,
+            minFee: 0.50,
+            source: 'Cal. Public Resources Code §2705',
+            notes: 'Residential rate; commercial projects pay $28 per $100,000 valuation'
+        },
+        {
+            name: 'Building Standards Administration Fee',
+            type: 'perValuation',
+            amount: 1,
+            per: 25000,
+            minFee: 1,
+            source: 'Cal. Health & Safety Code §18931.6'
+        }
+    ],
+    'FL': [
+        {
+            name: 'Florida Building Commission Surcharge',
+            type: 'percentOfFee',
+            rate: 0.015,
+            minFee: 2,
+            source: 'Fla. Stat. §553.721'
+        },
+        {
+            name: 'Building Code Administrators and Inspectors Fund',
+            type: 'percentOfFee',
+            rate: 0.01,
+            minFee: 2,
+            source: 'Fla. Stat. §468.631'
+        }
+    ]
+};
+
+/**
+ * Labor time estimates (in hours) for permit-related work
+ */
+const laborTimes = {
+    'Electrical': {
+        documentPrep: 1.5,      // Research requirements, fill out forms
+        planDrawing: 2.0,        // Simple plan/diagram if required
+        submission: 0.5,         // Travel to/from building dept or online submission
+        inspection: 1.0,         // Be present for inspection
+        corrections: 1.0,        // Handle any corrections if needed
+        total: 6.0
+    },
+    'Plumbing': {
+        documentPrep: 1.5,
+        planDrawing: 2.0,
+        submission: 0.5,
+        inspection: 1.0,
+        corrections: 1.0,
+        total: 6.0
+    },
+    'HVAC': {
+        documentPrep: 2.0,       // More complex load calcs
+        planDrawing: 2.5,
+        submission: 0.5,
+        inspection: 1.5,
+        corrections: 1.0,
+        total: 7.5
+    },
+    'General Construction': {
+        documentPrep: 3.0,
+        planDrawing: 4.0,
+        submission: 0.5,
+        inspection: 2.0,
+        corrections: 2.0,
+        total: 11.5
+    },
+    'Remodeling': {
+        documentPrep: 2.5,
+        planDrawing: 3.5,
+        submission: 0.5,
+        inspection: 1.5,
+        corrections: 1.5,
+        total: 9.5
+    },
+    'Solar': {
+        documentPrep: 3.0,
+        planDrawing: 3.0,
+        submission: 0.5,
+        inspection: 1.5,
+        corrections: 1.0,
+        total: 9.0
+    },
+    'Roofing': {
+        documentPrep: 1.5,
+        planDrawing: 1.5,
+        submission: 0.5,
+        inspection: 1.0,
+        corrections: 0.5,
+        total: 5.0
+    },
+    'Pool': {
+        documentPrep: 2.5,
+        planDrawing: 3.0,
+        submission: 0.5,
+        inspection: 2.0,
+        corrections: 1.5,
+        total: 9.5
+    },
+    'Fence': {
+        documentPrep: 1.0,
+        planDrawing: 0.5,
+        submission: 0.5,
+        inspection: 0.5,
+        corrections: 0.5,
+        total: 3.0
+    },
+    'Demolition': {
+        documentPrep: 1.5,
+        planDrawing: 1.0,
+        submission: 0.5,
+        inspection: 1.0,
+        corrections: 0.5,
+        total: 4.5
+    }
+};
+
+/**
+ * Industry-standard markup recommendations by trade
+ */
+const markupRecommendations = {
+    'Electrical': {
+        permitFeeMarkup: 0.15,      // 15% markup on permit fee
+        laborRate: 85,               // $/hour for permit-related labor
+        minimumCharge: 250,          // Minimum charge for permit service
+        notes: 'Industry standard: 15-25% markup on permit fees'
+    },
+    'Plumbing': {
+        permitFeeMarkup: 0.15,
+        laborRate: 80,
+        minimumCharge: 225,
+        notes: 'Industry standard: 15-25% markup on permit fees'
+    },
+    'HVAC': {
+        permitFeeMarkup: 0.18,
+        laborRate: 90,
+        minimumCharge: 300,
+        notes: 'Industry standard: 18-30% markup on permit fees'
+    },
+    'General Construction': {
+        permitFeeMarkup: 0.20,
+        laborRate: 95,
+        minimumCharge: 400,
+        notes: 'Industry standard: 20-35% markup on permit fees'
+    },
+    'Remodeling': {
+        permitFeeMarkup: 0.20,
+        laborRate: 90,
+        minimumCharge: 350,
+        notes: 'Industry standard: 20-30% markup on permit fees'
+    },
+    'Solar': {
+        permitFeeMarkup: 0.12,
+        laborRate: 85,
+        minimumCharge: 400,
+        notes: 'Industry standard: 12-20% markup on permit fees'
+    },
+    'Roofing': {
+        permitFeeMarkup: 0.15,
+        laborRate: 75,
+        minimumCharge: 200,
+        notes: 'Industry standard: 15-25% markup on permit fees'
+    },
+    'Pool': {
+        permitFeeMarkup: 0.18,
+        laborRate: 85,
+        minimumCharge: 350,
+        notes: 'Industry standard: 18-25% markup on permit fees'
+    },
+    'Fence': {
+        permitFeeMarkup: 0.15,
+        laborRate: 70,
+        minimumCharge: 150,
+        notes: 'Industry standard: 15-20% markup on permit fees'
+    },
+    'Demolition': {
+        permitFeeMarkup: 0.15,
+        laborRate: 75,
+        minimumCharge: 200,
+        notes: 'Industry standard: 15-25% markup on permit fees'
+    }
+};
+
+/**
+ * Competitive market model: what other providers typically charge for the
+ * same permit work. `default` applies everywhere; jurisdiction keys (cities
+ * or regional defaults) and their `trades` override individual fields.
+ * Admin edits are layered on top (see market-model.js). Every entry cites
+ * its source.
+ */
+const marketModel = {
+    default: {
+        laborIndex: 1.0,                    // Local labor cost relative to markupRecommendations laborRate
+        unlicensedPermitFeeFactor: 0.5,     // Unlicensed bids undercut by skipping the permit fee
+        expediter: {
+            flatFee: 500,                   // Expediter service fee per permit
+            permitFeeMultiplier: 2.5        // Expediters bill a multiple of the permit fee
+        },
+        competitorBids: null,               // { low, typical, high } licensed bids; estimated when not set
+        source: {
+            name: 'Permit tool baseline estimate',
+            url: null,
+            asOf: '2025-11-16',
+            notes: 'National rule of thumb; set local figures in the admin market model'
+        }
+    }
+};
+
+module.exports = {
+    permitFees,
+    dataQuality,
+    stateSurcharges,
+    laborTimes,
+    markupRecommendations,
+    marketModel
+};
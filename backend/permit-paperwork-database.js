@@ -49,6 +49,8 @@
  * ============================================================
  */
 
+const { findAuthority } = require('./jurisdictions');
+
 const permitPaperwork = {
   // Los Angeles, CA
   'Los Angeles, CA': {
@@ -1060,17 +1062,26 @@ const permitPaperwork = {
 };
 
 /**
- * Get all forms for a specific jurisdiction and trade type
+ * Jurisdiction whose forms apply for a trade: the jurisdiction itself or the
+ * nearest authority above it in the jurisdiction hierarchy with forms
+ * @param {string} jurisdiction - e.g., "Kendall, FL"
+ * @param {string} tradeType - e.g., "Electrical"
+ * @returns {string|null} Jurisdiction key, or null when no forms apply
+ */
+function getFormsAuthority(jurisdiction, tradeType) {
+  return findAuthority(jurisdiction, key => Boolean(permitPaperwork[key] && permitPaperwork[key][tradeType]));
+}
+
+/**
+ * Get all forms for a specific jurisdiction and trade type (inherited from
+ * the parent authority when the jurisdiction has none of its own)
  * @param {string} jurisdiction - e.g., "Los Angeles, CA"
  * @param {string} tradeType - e.g., "Electrical"
  * @returns {Array} Array of form objects
  */
 function getFormsForTrade(jurisdiction, tradeType) {
-  if (!permitPaperwork[jurisdiction]) {
-    return [];
-  }
-
-  return permitPaperwork[jurisdiction][tradeType] || [];
+  const authority = getFormsAuthority(jurisdiction, tradeType);
+  return authority ? permitPaperwork[authority][tradeType] : [];
 }
 
 /**
@@ -1182,6 +1193,7 @@ function getDatabaseStats() {
 
 module.exports = {
   permitPaperwork,
+  getFormsAuthority,
   getFormsForTrade,
   getAllFormsForJurisdiction,
   getAvailableJurisdictions,
@@ -13,6 +13,7 @@
  */
 
 const {
+  getFormsAuthority,
   getFormsForTrade,
   getAllFormsForJurisdiction,
   getAvailableJurisdictions,
@@ -20,6 +21,7 @@ const {
   searchForms,
   getDatabaseStats
 } = require('./permit-paperwork-database');
+const { getInheritedTips } = require('./jurisdictions');
 
 /**
  * Get all required paperwork for a specific permit
@@ -54,6 +56,8 @@ function getRequiredPaperwork(jurisdiction, jobType) {
   return {
     success: true,
     jurisdiction,
+    // Authority the forms come from (a parent county for unincorporated areas)
+    formsJurisdiction: getFormsAuthority(jurisdiction, jobType),
     jobType,
     totalForms: forms.length,
     applications,
@@ -217,36 +221,8 @@ function generateDownloadInstructions(paperwork) {
 function getPaperworkTips(jurisdiction, jobType) {
   const tips = [];
 
-  // Jurisdiction-specific tips
-  if (jurisdiction === 'New York, NY') {
-    tips.push('NYC requires electronic filing through DOB NOW - paper applications not accepted for most permits');
-    tips.push('Create a DOB NOW account before starting your application');
-  } else if (jurisdiction === 'Los Angeles, CA') {
-    tips.push('LADBS accepts both in-person and online submissions');
-    tips.push('Express permits available for simple electrical/plumbing work');
-  } else if (jurisdiction === 'San Francisco, CA') {
-    tips.push('SF DBI uses numbered forms (Form 1/2, 3/8, etc.) - make sure you have the right one');
-    tips.push('Energy code compliance (Title 24) required for most projects');
-  } else if (jurisdiction === 'Chicago, IL') {
-    tips.push('Express permits available for qualifying minor work');
-    tips.push('Energy code forms (408 series) required for many projects');
-  } else if (jurisdiction === 'Milwaukee, WI') {
-    tips.push('Submit permits at the Development Center (809 N. Broadway, 1st Floor)');
-    tips.push('Online applications available through the Accela portal');
-    tips.push('Plan review fees due at submission; permit fees due before issuance');
-  } else if (jurisdiction === 'Phoenix, AZ') {
-    tips.push('Phoenix uses a single unified application (TRT 00030) for all residential trades');
-    tips.push('Residential permits now go through the SHAPE PHX portal');
-    tips.push('Valuation-based fees with $150 minimum; plan review adds 80-100%');
-  } else if (jurisdiction === 'Denver, CO') {
-    tips.push('Use the ePermit online portal (Accela) at denvergov.org/epermits for all permit applications');
-    tips.push('Quick Permits available for qualifying trade work - issued without plan review');
-    tips.push('Denver uses the 2025 Denver Building Code with local amendments - do not assume standard IBC applies');
-  } else if (jurisdiction === 'Seattle, WA') {
-    tips.push('Plumbing permits are issued by Public Health - Seattle & King County, NOT SDCI');
-    tips.push('Most OTC trade permits are issued immediately after online submission via the Seattle Services Portal');
-    tips.push('Seattle uses locally amended codes - check Seattle-specific code references, not just NEC/UMC/UPC');
-  }
+  // Jurisdiction tips, inherited through the jurisdiction hierarchy and overlay districts
+  tips.push(...getInheritedTips(jurisdiction));
 
   // Trade-specific tips
   if (jobType === 'Electrical') {
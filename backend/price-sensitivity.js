@@ -0,0 +1,192 @@
+/**
+ * Price Sensitivity
+ * Sweeps projectValue for a jurisdiction and trade to show how the permit
+ * fee, recommended charge and margin move as the job grows, and where the
+ * fee crosses from the minimum into valuation pricing or hits the cap.
+ */
+
+const {
+    calculateFullPricing,
+    normalizeJobType,
+    getJurisdictionSchedule,
+    getPermitFeeCategory,
+    resolveCategoryFees,
+    getPlanReviewConfig
+} = require('./pricing-calculator');
+const { coversCategory } = require('./fee-store-schema');
+
+const DEFAULT_MIN_VALUE = 1000;
+const DEFAULT_MAX_VALUE = 50000;
+const DEFAULT_STEPS = 20;
+const MAX_STEPS = 100;
+
+/**
+ * Validate sweep options. Returns a list of problems (empty when valid).
+ */
+function validateSweepOptions({ minValue, maxValue, steps } = {}) {
+    const errors = [];
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    if (minValue !== undefined && !(isNumber(minValue) && minValue >= 0)) {
+        errors.push('minValue must be a non-negative number');
+    }
+    if (maxValue !== undefined && !(isNumber(maxValue) && maxValue > 0)) {
+        errors.push('maxValue must be a positive number');
+    }
+    if (isNumber(minValue) && isNumber(maxValue) && maxValue <= minValue) {
+        errors.push('maxValue must be greater than minValue');
+    }
+    if (steps !== undefined && !(Number.isInteger(steps) && steps >= 2 && steps <= MAX_STEPS)) {
+        errors.push(`steps must be a whole number from 2 to ${MAX_STEPS}`);
+    }
+    return errors;
+}
+
+/**
+ * Project values where pricing changes character: the fee leaves the
+ * minimum, the fee reaches the cap, plan review starts, and the job stops
+ * qualifying for an over-the-counter permit.
+ */
+function findBreakpoints(jurisdictionData, feeData, category, scope) {
+    const breakpoints = [];
+
+    if (feeData.valuationRate > 0) {
+        const minValue = Math.round((feeData.minFee - feeData.baseFee) / feeData.valuationRate);
+        if (minValue > 0) {
+            breakpoints.push({
+                type: 'minimumFee',
+                projectValue: minValue,
+                description: `Up to $${minValue.toLocaleString()} the $${feeData.minFee} minimum fee applies`
+            });
+        }
+        const maxValue = Math.round((feeData.maxFee - feeData.baseFee) / feeData.valuationRate);
+        if (maxValue > 0) {
+            breakpoints.push({
+                type: 'maximumFee',
+                projectValue: maxValue,
+                description: `From $${maxValue.toLocaleString()} the fee is capped at $${feeData.maxFee}`
+            });
+        }
+    }
+
+    const planReview = getPlanReviewConfig(jurisdictionData, category);
+    if (planReview && !planReview.mayApply && planReview.minValuation != null &&
+        !(scope && planReview.scopes && !planReview.scopes.includes(scope))) {
+        breakpoints.push({
+            type: 'planReview',
+            projectValue: planReview.minValuation,
+            description: `Plan review is charged above $${planReview.minValuation.toLocaleString()}`
+        });
+    }
+
+    const otc = jurisdictionData.overTheCounter;
+    if (otc && otc.maxValuation != null && coversCategory(otc.categories, category) &&
+        !(scope && otc.scopes && !otc.scopes.includes(scope))) {
+        breakpoints.push({
+            type: 'overTheCounter',
+            projectValue: otc.maxValuation,
+            description: `Over-the-counter permits end above $${otc.maxValuation.toLocaleString()}`
+        });
+    }
+
+    return breakpoints.sort((a, b) => a.projectValue - b.projectValue);
+}
+
+function feeRegion(pricing, projectValue, breakpoints) {
+    if (pricing.permitFee.feeMethod === 'rule') return 'rule';
+    const min = breakpoints.find(b => b.type === 'minimumFee');
+    const max = breakpoints.find(b => b.type === 'maximumFee');
+    if (min && projectValue <= min.projectValue) return 'minimum';
+    if (max && projectValue >= max.projectValue) return 'maximum';
+    return 'valuation';
+}
+
+/**
+ * Sweep projectValue and price each point with calculateFullPricing
+ *
+ * @param {string} location - "City, ST"
+ * @param {string} jobType - job type as entered
+ * @param {Object} [options]
+ * @param {number} [options.minValue=1000] - start of the sweep
+ * @param {number} [options.maxValue] - end of the sweep (defaults past the fee cap, at least $50,000)
+ * @param {number} [options.steps=20] - number of intervals between minValue and maxValue
+ * @param {string} [options.scope] - scope of work
+ * @param {Object} [options.quantities] - job quantities for rule-based fees
+ * @param {Object} [options.profile] - contractor pricing profile
+ * @param {string} [options.asOf] - price with the fee schedule in effect on this date
+ */
+function calculatePriceSensitivity(location, jobType, options = {}) {
+    const normalizedType = normalizeJobType(jobType);
+    const { data: jurisdictionData, schedule } = getJurisdictionSchedule(location, options.asOf);
+    const category = getPermitFeeCategory(normalizedType);
+    const { feeData, source, fallback } = resolveCategoryFees(location, jurisdictionData, category, schedule.asOf);
+    const breakpoints = findBreakpoints(jurisdictionData, feeData, category, options.scope);
+
+    const cap = breakpoints.find(b => b.type === 'maximumFee');
+    // A maxValue at or below the default minimum sweeps up from zero
+    const minValue = options.minValue !== undefined
+        ? options.minValue
+        : (options.maxValue !== undefined && options.maxValue <= DEFAULT_MIN_VALUE ? 0 : DEFAULT_MIN_VALUE);
+    const maxValue = options.maxValue !== undefined
+        ? options.maxValue
+        : Math.max(DEFAULT_MAX_VALUE, cap ? Math.ceil(cap.projectValue * 1.25 / 1000) * 1000 : 0, minValue * 2);
+    const steps = options.steps || DEFAULT_STEPS;
+
+    breakpoints.forEach(b => {
+        b.inRange = b.projectValue >= minValue && b.projectValue <= maxValue;
+    });
+
+    // Evenly spaced values plus the in-range breakpoints themselves
+    const values = new Set();
+    for (let i = 0; i <= steps; i++) {
+        values.add(Math.round(minValue + (maxValue - minValue) * i / steps));
+    }
+    breakpoints.filter(b => b.inRange).forEach(b => values.add(b.projectValue));
+
+    const pricingOptions = {
+        scope: options.scope,
+        quantities: options.quantities,
+        profile: options.profile,
+        asOf: schedule.asOf
+    };
+
+    const points = [...values].filter(v => v > 0).sort((a, b) => a - b).map(projectValue => {
+        const pricing = calculateFullPricing(location, normalizedType, projectValue, pricingOptions);
+        const marked = breakpoints.filter(b => b.inRange && b.projectValue === projectValue).map(b => b.type);
+        return {
+            projectValue,
+            permitFee: pricing.permitFee.permitFee,
+            totalFees: pricing.permitFee.totalFees,
+            recommendedCharge: pricing.summary.recommendedCharge,
+            yourProfit: pricing.summary.yourProfit,
+            profitMargin: pricing.summary.profitMargin,
+            feeRegion: feeRegion(pricing, projectValue, breakpoints),
+            ...(marked.length > 0 && { breakpoints: marked })
+        };
+    });
+
+    return {
+        jurisdiction: location,
+        jobType: normalizedType,
+        feeSchedule: schedule,
+        fee: {
+            category,
+            source,
+            fallback,
+            baseFee: feeData.baseFee,
+            valuationRate: feeData.valuationRate,
+            minFee: feeData.minFee,
+            maxFee: feeData.maxFee,
+            ruleBased: points.some(p => p.feeRegion === 'rule')
+        },
+        range: { minValue, maxValue, steps },
+        breakpoints,
+        points
+    };
+}
+
+module.exports = {
+    MAX_STEPS,
+    validateSweepOptions,
+    calculatePriceSensitivity
+};
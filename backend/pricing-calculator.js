@@ -3,7 +3,13 @@
  * Calculates comprehensive permit pricing for contractors
  */
 
-const { permitFees, laborTimes, markupRecommendations, dataQuality, detectRegion } = require('./database-loader');
+const { permitFees, laborTimes, markupRecommendations, dataQuality, detectRegion, getRegionalDefault } = require('./database-loader');
+const { evaluateFeeRule, normalizeQuantities } = require('./fee-rules');
+const { resolveFeeSchedule } = require('./fee-schedules');
+const { buildPricingTrace } = require('./pricing-trace');
+const { resolveMarketModel, calculateCompetitivePricing } = require('./market-model');
+const { getSurchargeDefinitions, calculateSurcharges } = require('./surcharges');
+const { PARENT_CATEGORIES, coversCategory } = require('./fee-store-schema');
 
 /**
  * Map job types to database keys
@@ -19,6 +25,10 @@ function normalizeJobType(jobType) {
         'Remodeling/Renovation': 'Remodeling',
         'Solar Installation': 'Solar',
         'Solar': 'Solar',
+        'Battery Storage': 'Battery Storage',
+        'Energy Storage': 'Battery Storage',
+        'Solar Water Heating': 'Solar Water Heating',
+        'Solar Thermal': 'Solar Water Heating',
         'Roofing': 'Roofing',
         'Pool/Spa': 'Pool',
         'Pool': 'Pool',
@@ -40,28 +50,106 @@ function getPermitFeeCategory(jobType) {
         'General Construction': 'general',
         'Remodeling': 'general',
         'Solar': 'solar',
-        'Roofing': 'general',
-        'Pool': 'general',
-        'Fence': 'general',
-        'Demolition': 'general'
+        'Battery Storage': 'energyStorage',
+        'Solar Water Heating': 'solarThermal',
+        'Roofing': 'roofing',
+        'Pool': 'pool',
+        'Fence': 'fence',
+        'Demolition': 'demolition'
     };
     return mapping[jobType] || 'general';
 }
 
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
 /**
- * Calculate permit fee based on jurisdiction and job details
+ * Jurisdiction fee data (with regional fallback) as of a date
  */
-function calculatePermitFee(location, jobType, projectValue = 5000) {
+function getJurisdictionSchedule(location, asOf) {
     // Use intelligent region detection for better estimates
-    const resolvedLocation = detectRegion(location);
-    const jurisdictionData = permitFees[resolvedLocation];
+    return resolveFeeSchedule(permitFees[detectRegion(location)], asOf);
+}
+
+/**
+ * Fee data for a permit category. Jurisdictions that do not publish the
+ * category (most verified cities fold roofing, fences etc. into building
+ * permits) price it from their regional default when that has cited fees
+ * for it; otherwise the fees are not on file, and the job is priced from the
+ * jurisdiction's own parent category (solar for the solar subtypes, general
+ * building for the rest).
+ *
+ * @returns {{ feeData: Object, category: string, source: string, sourceCategory: string, fallback: string|null }}
+ *   source is the permitFees key the data came from; fallback is null,
+ *   'regionalDefault' or 'parentCategory'
+ */
+function resolveCategoryFees(location, jurisdictionData, category, asOf) {
+    const jurisdictionKey = detectRegion(location);
+    if (jurisdictionData[category]) {
+        return { feeData: jurisdictionData[category], category, source: jurisdictionKey, sourceCategory: category, fallback: null };
+    }
+
+    const regionKey = getRegionalDefault(location);
+    const regionData = permitFees[regionKey] && resolveFeeSchedule(permitFees[regionKey], asOf).data;
+    if (regionData && regionData[category]) {
+        return { feeData: regionData[category], category, source: regionKey, sourceCategory: category, fallback: 'regionalDefault' };
+    }
+
+    const parent = jurisdictionData[PARENT_CATEGORIES[category]] ? PARENT_CATEGORIES[category] : 'general';
+    return { feeData: jurisdictionData[parent], category, source: jurisdictionKey, sourceCategory: parent, fallback: 'parentCategory' };
+}
+
+/**
+ * Data quality of the fee category a price used: the source record's
+ * per-category entry when it has one, else the record's own. Fees borrowed
+ * from another record or category are always estimates.
+ */
+function getCategoryQuality(location, normalizedType, { category, source, sourceCategory, fallback }) {
+    const record = dataQuality[source] || dataQuality['default'];
+    const quality = (record.categories && record.categories[sourceCategory]) || record;
+    const notes = {
+        regionalDefault: `${detectRegion(location)} has no separate ${normalizedType} permit fees on file; priced from the ${source} regional estimate`,
+        parentCategory: `No ${normalizedType} permit fees on file; priced as a ${sourceCategory === 'general' ? 'general building' : sourceCategory} permit`
+    };
+    return {
+        category,
+        source,
+        fallback,
+        quality: fallback ? 'estimated' : quality.quality,
+        confidence: fallback === 'parentCategory' ? 'low' : quality.confidence,
+        isEstimated: Boolean(fallback) || quality.quality === 'estimated',
+        notes: fallback ? notes[fallback] : (quality.notes || '')
+    };
+}
+
+/**
+ * Plan review config for a fee category, falling back to its parent
+ * category's (roofing uses the building permit plan review, etc.)
+ */
+function getPlanReviewConfig(jurisdictionData, feeCategory) {
+    const planReview = jurisdictionData.planReview || {};
+    return planReview[feeCategory] || planReview[PARENT_CATEGORIES[feeCategory]] || null;
+}
+
+/**
+ * Calculate permit fee based on jurisdiction and job details.
+ * Rule-based schedules (per-circuit, tiered, etc.) are used when the job
+ * supplies the quantity the rule needs; otherwise the valuation formula applies.
+ */
+function calculatePermitFee(location, jobType, projectValue = 5000, quantities = {}, asOf) {
+    const { data: jurisdictionData, schedule } = getJurisdictionSchedule(location, asOf);
 
     // Get permit category
-    const feeCategory = getPermitFeeCategory(jobType);
-    const feeData = jurisdictionData[feeCategory];
+    const feeCategory = resolveCategoryFees(location, jurisdictionData, getPermitFeeCategory(jobType), schedule.asOf);
+    const feeData = feeCategory.feeData;
+
+    const ruleResult = evaluateFeeRule(feeData.feeRule, quantities);
 
-    // Calculate fee: base fee + (project value * valuation rate)
-    let calculatedFee = feeData.baseFee + (projectValue * feeData.valuationRate);
+    // Calculate fee: rule result, or base fee + (project value * valuation rate)
+    let calculatedFee = ruleResult
+        ? ruleResult.fee
+        : feeData.baseFee + (projectValue * feeData.valuationRate);
 
     // Apply min/max constraints
     calculatedFee = Math.max(feeData.minFee, Math.min(calculatedFee, feeData.maxFee));
@@ -72,20 +160,124 @@ function calculatePermitFee(location, jobType, projectValue = 5000) {
         valuationRate: feeData.valuationRate,
         minFee: feeData.minFee,
         maxFee: feeData.maxFee,
+        feeCategory: {
+            category: feeCategory.category,
+            source: feeCategory.source,
+            sourceCategory: feeCategory.sourceCategory,
+            fallback: feeCategory.fallback
+        },
+        // Where each fee field appears in the fee schedule, keyed by field
+        citations: feeData.citations || {},
+        feeMethod: ruleResult ? 'rule' : 'valuation',
+        feeRule: ruleResult,
         processingTime: jurisdictionData.processingTime,
         expediteFee: jurisdictionData.expediteFee,
         expediteTime: jurisdictionData.expediteTime,
+        feeSchedule: schedule,
         notes: feeData.notes || ''
     };
 }
 
+/**
+ * Calculate plan review / plan check fee charged on top of the permit fee.
+ * Triggered per jurisdiction and trade by project valuation and scope of work.
+ * Only amounts with a cited fee schedule are charged; `mayApply` entries
+ * report that plan review may apply without adding a fee.
+ */
+function calculatePlanReviewFee(location, jobType, permitFee, projectValue = 5000, scope, asOf) {
+    const jurisdictionData = getJurisdictionSchedule(location, asOf).data;
+    const config = getPlanReviewConfig(jurisdictionData, getPermitFeeCategory(jobType));
+
+    if (!config) {
+        return { required: false, fee: 0, basis: null, notes: '' };
+    }
+
+    // Valuation threshold (e.g. LA: plan check only over $500)
+    if (config.minValuation != null && projectValue <= config.minValuation) {
+        return { required: false, fee: 0, basis: `Not required at or below $${config.minValuation} valuation`, notes: config.notes || '' };
+    }
+
+    // Scope filter - when no scope is given, assume review applies rather than undercount
+    if (config.scopes && scope && !config.scopes.includes(scope)) {
+        return { required: false, fee: 0, basis: `Not required for ${scope} scope`, notes: config.notes || '' };
+    }
+
+    if (config.mayApply) {
+        return { required: false, mayApply: true, fee: 0, basis: 'Plan review may apply; amount not on file', notes: config.notes || '' };
+    }
+
+    let fee = (config.flatFee || 0) + permitFee * (config.percentOfPermitFee || 0);
+    if (config.minFee != null) {
+        fee = Math.max(fee, config.minFee);
+    }
+
+    const basisParts = [];
+    if (config.flatFee) basisParts.push(`$${config.flatFee} flat`);
+    if (config.percentOfPermitFee) basisParts.push(`${Math.round(config.percentOfPermitFee * 100)}% of permit fee`);
+
+    return {
+        required: true,
+        fee: Math.round(fee),
+        basis: basisParts.join(' + '),
+        source: config.source,
+        notes: config.notes || ''
+    };
+}
+
+/**
+ * State and local surcharges added to the permit and plan review fees
+ */
+function calculatePermitSurcharges(location, jobType, permitFee, planReviewFee, projectValue = 5000, asOf) {
+    const jurisdictionData = getJurisdictionSchedule(location, asOf).data;
+    return calculateSurcharges(getSurchargeDefinitions(location, jurisdictionData), {
+        feeCategory: getPermitFeeCategory(jobType),
+        permitFee,
+        planReviewFee,
+        projectValue
+    });
+}
+
+/**
+ * Markup settings for a trade, with any contractor profile overrides applied
+ * (trade-level profile values win over profile-wide values)
+ */
+function resolveMarkup(normalizedType, profile) {
+    const markup = markupRecommendations[normalizedType] || markupRecommendations['General Construction'];
+    if (!profile) return markup;
+
+    const tradeOverrides = (profile.trades && profile.trades[normalizedType]) || {};
+    const resolved = { ...markup };
+    for (const key of ['laborRate', 'permitFeeMarkup', 'minimumCharge']) {
+        if (tradeOverrides[key] != null) {
+            resolved[key] = tradeOverrides[key];
+        } else if (profile[key] != null) {
+            resolved[key] = profile[key];
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Labor hours for a trade, with a contractor profile's per-task hours applied
+ */
+function resolveLaborTimes(normalizedType, profile) {
+    const times = laborTimes[normalizedType] || laborTimes['General Construction'];
+    const overrides = profile && profile.trades && profile.trades[normalizedType] && profile.trades[normalizedType].laborHours;
+    if (!overrides) return times;
+
+    const resolved = { ...times, ...overrides };
+    resolved.total = Math.round((resolved.documentPrep + resolved.planDrawing + resolved.submission +
+        resolved.inspection + resolved.corrections) * 10) / 10;
+    return resolved;
+}
+
 /**
  * Calculate labor costs for permit work
  */
-function calculateLaborCosts(jobType) {
+function calculateLaborCosts(jobType, profile = null) {
     const normalizedType = normalizeJobType(jobType);
-    const times = laborTimes[normalizedType] || laborTimes['General Construction'];
-    const markup = markupRecommendations[normalizedType] || markupRecommendations['General Construction'];
+    const times = resolveLaborTimes(normalizedType, profile);
+    const markup = resolveMarkup(normalizedType, profile);
 
     const laborCost = times.total * markup.laborRate;
 
@@ -121,54 +313,321 @@ function calculateLaborCosts(jobType) {
 /**
  * Calculate what to charge the client
  */
-function calculateClientCharge(permitFee, laborCost, jobType) {
+function calculateClientCharge(permitFee, laborCost, jobType, planReviewFee = 0, expediteFee = 0, surchargeFee = 0, profile = null) {
     const normalizedType = normalizeJobType(jobType);
-    const markup = markupRecommendations[normalizedType] || markupRecommendations['General Construction'];
+    const markup = resolveMarkup(normalizedType, profile);
 
-    // Markup on permit fee
-    const permitFeeMarkup = Math.round(permitFee * markup.permitFeeMarkup);
+    // Markup applies to all government fees (permit + plan review + expedite + surcharges)
+    const governmentFees = permitFee + planReviewFee + expediteFee + surchargeFee;
+    const permitFeeMarkup = Math.round(governmentFees * markup.permitFeeMarkup);
 
     // Total suggested charge
-    let totalCharge = permitFee + permitFeeMarkup + laborCost;
+    let totalCharge = governmentFees + permitFeeMarkup + laborCost;
 
     // Apply minimum charge if applicable
     totalCharge = Math.max(totalCharge, markup.minimumCharge);
 
     return {
         permitFee: permitFee,
+        planReviewFee: planReviewFee,
+        expediteFee: expediteFee,
+        surcharges: surchargeFee,
         permitFeeMarkup: permitFeeMarkup,
         permitFeeMarkupPercent: markup.permitFeeMarkup * 100,
         laborCost: laborCost,
-        subtotal: permitFee + permitFeeMarkup + laborCost,
+        subtotal: roundCents(governmentFees + permitFeeMarkup + laborCost),
         recommendedCharge: Math.round(totalCharge),
         minimumCharge: markup.minimumCharge,
         notes: markup.notes
     };
 }
 
+/**
+ * Parse a processing time like '2-4 weeks', '3-5 days' or 'Same day'
+ * into a calendar-day range
+ */
+function parseProcessingDays(processingTime) {
+    if (!processingTime) return null;
+    if (/same day/i.test(processingTime)) return { min: 0, max: 0 };
+
+    const match = processingTime.match(/(\d+)(?:\s*-\s*(\d+))?\s*(day|week)/i);
+    if (!match) return null;
+
+    const multiplier = match[3].toLowerCase() === 'week' ? 7 : 1;
+    const min = Number(match[1]) * multiplier;
+    const max = Number(match[2] || match[1]) * multiplier;
+    return { min, max };
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split('T')[0];
+}
+
+/**
+ * Expected permit issue dates for a processing time, from the submission date
+ */
+function estimateIssueDates(processingTime, startDate) {
+    const range = parseProcessingDays(processingTime);
+    if (!range) return null;
+
+    return {
+        earliest: addDays(startDate, range.min),
+        expected: addDays(startDate, Math.round((range.min + range.max) / 2)),
+        latest: addDays(startDate, range.max)
+    };
+}
+
+/**
+ * Check whether the job qualifies for an over-the-counter / express permit
+ */
+function checkOverTheCounter(jurisdictionData, jobType, projectValue, scope) {
+    const config = jurisdictionData.overTheCounter;
+    if (!config) return null;
+
+    if (!coversCategory(config.categories, getPermitFeeCategory(jobType))) return null;
+    if (config.maxValuation != null && projectValue > config.maxValuation) return null;
+    if (scope && config.scopes && !config.scopes.includes(scope)) return null;
+
+    return config;
+}
+
+/**
+ * Build side-by-side pricing scenarios: standard review, paid expedite, and
+ * over-the-counter express permits where the job qualifies. Each scenario
+ * has its own totals, recommended charge, margin and expected issue date.
+ */
+function calculateScenarios(location, jobType, projectValue, permitFeeData, laborData, scope, startDate, profile) {
+    const jurisdictionData = getJurisdictionSchedule(location, permitFeeData.feeSchedule.asOf).data;
+
+    const buildScenario = (key, label, { planReviewFee, expediteFee = 0, labor, processingTime, notes }) => {
+        // Fee-based surcharges follow the plan review fee, so recompute per scenario
+        const surcharges = calculatePermitSurcharges(
+            location,
+            jobType,
+            permitFeeData.permitFee,
+            planReviewFee,
+            projectValue,
+            permitFeeData.feeSchedule.asOf
+        ).total;
+        const clientCharge = calculateClientCharge(
+            permitFeeData.permitFee,
+            labor.laborCost,
+            jobType,
+            planReviewFee,
+            expediteFee,
+            surcharges,
+            profile
+        );
+        const totalFees = roundCents(permitFeeData.permitFee + planReviewFee + expediteFee + surcharges);
+        const totalCost = roundCents(totalFees + labor.laborCost);
+
+        return {
+            key,
+            label,
+            permitFee: permitFeeData.permitFee,
+            planReviewFee,
+            expediteFee,
+            surcharges,
+            totalFees,
+            laborHours: labor.hours,
+            laborCost: labor.laborCost,
+            totalCost,
+            recommendedCharge: clientCharge.recommendedCharge,
+            yourProfit: roundCents(clientCharge.recommendedCharge - totalCost),
+            profitMargin: Math.round(((clientCharge.recommendedCharge - totalCost) / clientCharge.recommendedCharge) * 100),
+            processingTime,
+            issueDate: estimateIssueDates(processingTime, startDate),
+            notes
+        };
+    };
+
+    const scenarios = [
+        buildScenario('standard', 'Standard Review', {
+            planReviewFee: permitFeeData.planReview.fee,
+            labor: laborData,
+            processingTime: permitFeeData.processingTime,
+            notes: 'Regular plan review queue'
+        })
+    ];
+
+    if (permitFeeData.expediteFee) {
+        scenarios.push(buildScenario('expedited', 'Expedited Review', {
+            planReviewFee: permitFeeData.planReview.fee,
+            expediteFee: permitFeeData.expediteFee,
+            labor: laborData,
+            processingTime: permitFeeData.expediteTime,
+            notes: `Expedite fee of $${permitFeeData.expediteFee} paid to the building department`
+        }));
+    }
+
+    const otc = checkOverTheCounter(jurisdictionData, jobType, projectValue, scope);
+    if (otc) {
+        // Express permits skip plan check, so no plan review fee or drawings
+        const planDrawingCost = laborData.breakdown.planDrawing.cost;
+        const otcLabor = {
+            hours: Math.round((laborData.hours - laborData.breakdown.planDrawing.hours) * 10) / 10,
+            laborCost: laborData.laborCost - planDrawingCost
+        };
+        scenarios.push(buildScenario('overTheCounter', 'Over-the-Counter Permit', {
+            planReviewFee: 0,
+            labor: otcLabor,
+            processingTime: otc.time,
+            notes: otc.notes
+        }));
+    }
+
+    return scenarios;
+}
+
+/**
+ * Low / expected / high pricing for estimated (regional default) jurisdictions.
+ * The band comes from the spread of the verified cities behind the regional
+ * default, priced for the same job, and is never narrower than the region's
+ * minSpread. Returns null for verified jurisdictions.
+ */
+function calculateEstimateRange(location, normalizedType, projectValue, quantities, scope, permitFeeData, laborData, profile) {
+    const regionQuality = dataQuality[detectRegion(location)];
+    if (!regionQuality || regionQuality.quality !== 'estimated') {
+        return null;
+    }
+
+    const asOf = permitFeeData.feeSchedule.asOf;
+    const basedOn = (regionQuality.basedOn || []).filter(city => permitFees[city]);
+    const sampleFees = basedOn.map(city => {
+        const permit = calculatePermitFee(city, normalizedType, projectValue, quantities, asOf);
+        const planReview = calculatePlanReviewFee(city, normalizedType, permit.permitFee, projectValue, scope, asOf);
+        const surcharges = calculatePermitSurcharges(city, normalizedType, permit.permitFee, planReview.fee, projectValue, asOf);
+        return permit.permitFee + planReview.fee + surcharges.total;
+    });
+
+    const spread = regionQuality.minSpread || 0;
+    const expectedFees = permitFeeData.totalFees;
+    const lowFees = Math.round(Math.min(expectedFees * (1 - spread), ...sampleFees));
+    const highFees = Math.round(Math.max(expectedFees * (1 + spread), ...sampleFees));
+
+    // Labor doesn't vary by jurisdiction; only government fees (and their markup) move
+    const chargeFor = (fees) => calculateClientCharge(fees, laborData.laborCost, normalizedType, 0, 0, 0, profile).recommendedCharge;
+
+    return {
+        totalFees: { low: lowFees, expected: expectedFees, high: highFees },
+        totalCost: {
+            low: lowFees + laborData.laborCost,
+            expected: roundCents(expectedFees + laborData.laborCost),
+            high: highFees + laborData.laborCost
+        },
+        recommendedCharge: { low: chargeFor(lowFees), expected: chargeFor(expectedFees), high: chargeFor(highFees) },
+        basedOn,
+        minSpread: spread
+    };
+}
+
 /**
  * Main pricing calculator function
+ *
+ * @param {string} location - "City, ST"
+ * @param {string} jobType - job type as entered (normalized internally)
+ * @param {number} [projectValue=5000] - estimated project value in dollars
+ * @param {Object} [options]
+ * @param {Object} [options.quantities] - job quantities, e.g. { circuits: 8, fixtures: 4 }
+ * @param {string} [options.scope] - scope of work, used to decide whether plan review applies
+ * @param {string|Date} [options.startDate] - submission date for issue-date estimates (defaults to today)
+ * @param {Object} [options.profile] - contractor pricing profile overriding default rates, markup and labor hours
+ * @param {string|Date} [options.asOf] - price with the fee schedule in effect on this date (defaults to today)
+ * @param {boolean} [options.trace] - include a `trace` of every input's provenance and the formula at each step
+ * @param {Object} [options.boundary] - job site check from boundaries.locateJurisdiction(), reported as `boundary`
  */
-function calculateFullPricing(location, jobType, projectValue = 5000) {
+function calculateFullPricing(location, jobType, projectValue = 5000, options = {}) {
     const normalizedType = normalizeJobType(jobType);
+    const quantities = normalizeQuantities(options.quantities);
 
     // Determine if we have verified data for this location
-    const qualityInfo = dataQuality[location] || dataQuality['default'];
-    const isEstimated = qualityInfo.quality === 'estimated';
+    const qualityInfo = dataQuality[location] || dataQuality[detectRegion(location)] || dataQuality['default'];
+    // Partial (scraper-onboarded) data is part regional estimate
+    const isEstimated = qualityInfo.quality !== 'verified';
 
     // Calculate each component
-    const permitFeeData = calculatePermitFee(location, normalizedType, projectValue);
-    const laborData = calculateLaborCosts(normalizedType);
+    const permitFeeData = calculatePermitFee(location, normalizedType, projectValue, quantities, options.asOf);
+    permitFeeData.planReview = calculatePlanReviewFee(
+        location,
+        normalizedType,
+        permitFeeData.permitFee,
+        projectValue,
+        options.scope,
+        permitFeeData.feeSchedule.asOf
+    );
+    permitFeeData.surcharges = calculatePermitSurcharges(
+        location,
+        normalizedType,
+        permitFeeData.permitFee,
+        permitFeeData.planReview.fee,
+        projectValue,
+        permitFeeData.feeSchedule.asOf
+    );
+    permitFeeData.totalFees = roundCents(
+        permitFeeData.permitFee + permitFeeData.planReview.fee + permitFeeData.surcharges.total
+    );
+
+    const profile = options.profile || null;
+    const laborData = calculateLaborCosts(normalizedType, profile);
     const clientChargeData = calculateClientCharge(
         permitFeeData.permitFee,
         laborData.laborCost,
-        normalizedType
+        normalizedType,
+        permitFeeData.planReview.fee,
+        0,
+        permitFeeData.surcharges.total,
+        profile
+    );
+    const totalCost = roundCents(permitFeeData.totalFees + laborData.laborCost);
+    const scenarios = calculateScenarios(
+        location,
+        normalizedType,
+        projectValue,
+        permitFeeData,
+        laborData,
+        options.scope,
+        options.startDate ? new Date(options.startDate) : new Date(),
+        profile
     );
+    const range = calculateEstimateRange(
+        location,
+        normalizedType,
+        projectValue,
+        quantities,
+        options.scope,
+        permitFeeData,
+        laborData,
+        profile
+    );
+
+    const feeSource = permitFeeData.feeCategory;
+    const trace = options.trace ? buildPricingTrace({
+        location,
+        jurisdictionKey: detectRegion(location),
+        currentJurisdictionData: permitFees[feeSource.source],
+        jurisdictionData: resolveFeeSchedule(permitFees[feeSource.source], permitFeeData.feeSchedule.asOf).data,
+        schedule: permitFeeData.feeSchedule,
+        feeCategory: feeSource.sourceCategory,
+        feeSource,
+        normalizedType,
+        projectValue,
+        quantities,
+        profile,
+        markup: resolveMarkup(normalizedType, profile),
+        times: resolveLaborTimes(normalizedType, profile),
+        permitFeeData,
+        laborData,
+        clientCharge: clientChargeData
+    }) : undefined;
 
     return {
         jurisdiction: location,
         jobType: normalizedType,
         projectValue: projectValue,
+        quantities: quantities,
+        profile: profile ? { id: profile.id, name: profile.name } : null,
 
         // Data quality information
         dataQuality: {
@@ -178,7 +637,9 @@ function calculateFullPricing(location, jobType, projectValue = 5000) {
             url: qualityInfo.url,
             confidence: qualityInfo.confidence,
             isEstimated: isEstimated,
-            notes: qualityInfo.notes
+            notes: qualityInfo.notes,
+            // The fee category may be sourced differently from the jurisdiction as a whole
+            category: getCategoryQuality(location, normalizedType, permitFeeData.feeCategory)
         },
 
         // Permit fees
@@ -192,20 +653,36 @@ function calculateFullPricing(location, jobType, projectValue = 5000) {
 
         // Quick summary for display
         summary: {
-            totalCost: permitFeeData.permitFee + laborData.laborCost,
+            totalCost: totalCost,
             recommendedCharge: clientChargeData.recommendedCharge,
-            yourProfit: clientChargeData.recommendedCharge - (permitFeeData.permitFee + laborData.laborCost),
-            profitMargin: Math.round(((clientChargeData.recommendedCharge - (permitFeeData.permitFee + laborData.laborCost)) / clientChargeData.recommendedCharge) * 100),
+            yourProfit: roundCents(clientChargeData.recommendedCharge - totalCost),
+            profitMargin: Math.round(((clientChargeData.recommendedCharge - totalCost) / clientChargeData.recommendedCharge) * 100),
             timeInvestment: `${laborData.hours} hours`,
             processingTime: permitFeeData.processingTime
         },
 
-        // Competitive intelligence
+        // Standard vs expedited vs over-the-counter options
+        scenarios: scenarios,
+
+        // Low/expected/high band for regional estimates (null when verified)
+        range: range,
+
+        // Competitive intelligence from the jurisdiction's market model
         competitive: {
-            unlicensedContractorPrice: Math.round(permitFeeData.permitFee * 0.5), // They often skip or undercharge
-            expediterServicePrice: Math.round(permitFeeData.permitFee * 2.5 + 500), // What expediters charge
+            ...calculateCompetitivePricing(resolveMarketModel(location, normalizedType), {
+                permitFee: permitFeeData.permitFee,
+                totalFees: permitFeeData.totalFees,
+                laborHours: laborData.hours,
+                jobType: normalizedType
+            }),
             yourAdvantage: 'Licensed, insured, and properly permitted work'
-        }
+        },
+
+        // Boundaries the job site coordinates fall in (options.boundary)
+        ...(options.boundary && { boundary: options.boundary }),
+
+        // Provenance of every input and the formula at each step (options.trace)
+        ...(trace && { trace })
     };
 }
 
@@ -215,13 +692,34 @@ function calculateFullPricing(location, jobType, projectValue = 5000) {
 function generateClientExplanation(pricingData) {
     const { permitFee, labor, clientCharge, summary } = pricingData;
 
+    const feeItems = [
+        {
+            item: 'Permit Fee',
+            description: permitFee.feeRule
+                ? `${pricingData.jurisdiction} building department fee (${permitFee.feeRule.description})`
+                : `${pricingData.jurisdiction} building department fee`,
+            cost: permitFee.permitFee
+        }
+    ];
+    if (permitFee.planReview && permitFee.planReview.fee > 0) {
+        feeItems.push({
+            item: 'Plan Review Fee',
+            description: `${pricingData.jurisdiction} plan check (${permitFee.planReview.basis})`,
+            cost: permitFee.planReview.fee
+        });
+    }
+
+    ((permitFee.surcharges && permitFee.surcharges.items) || []).forEach(surcharge => {
+        feeItems.push({
+            item: surcharge.name,
+            description: `${surcharge.level === 'state' ? 'State' : pricingData.jurisdiction} surcharge (${surcharge.basis})`,
+            cost: surcharge.amount
+        });
+    });
+
     return {
         breakdown: [
-            {
-                item: 'Permit Fee',
-                description: `${pricingData.jurisdiction} building department fee`,
-                cost: permitFee.permitFee
-            },
+            ...feeItems,
             {
                 item: 'Document Preparation',
                 description: `${labor.breakdown.documentPrep.hours} hrs @ $${labor.hourlyRate}/hr`,
@@ -262,6 +760,11 @@ function generateClientExplanation(pricingData) {
 
 module.exports = {
     calculateFullPricing,
+    calculateLaborCosts,
     generateClientExplanation,
-    normalizeJobType
+    normalizeJobType,
+    getPermitFeeCategory,
+    getJurisdictionSchedule,
+    resolveCategoryFees,
+    getPlanReviewConfig
 };
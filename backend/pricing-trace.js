@@ -0,0 +1,231 @@
+/**
+ * Pricing Trace
+ * Explains where every number in a calculateFullPricing result came from:
+ * each input value with its provenance (curated database, merged scraper
+ * value with scrape timestamp / PDF hash / deviation check, regional
+ * default, fee history version, contractor profile) and the formula
+ * applied at each step.
+ */
+
+const { STATIC_SOURCE } = require('./database-loader');
+const { getFeeVersions } = require('./fee-schedules');
+const { getAncestry } = require('./jurisdictions');
+
+const FEE_FIELDS = ['baseFee', 'valuationRate', 'minFee', 'maxFee'];
+
+/**
+ * How detectRegion picked the fee data: the entry itself, an ancestor in
+ * the jurisdiction hierarchy, or a regional default
+ */
+function resolutionMethod(location, jurisdictionKey) {
+    if (location === jurisdictionKey) return 'exact';
+    return getAncestry(location).includes(jurisdictionKey) ? 'hierarchy' : 'regionalDefault';
+}
+
+function traceJurisdiction(location, jurisdictionKey) {
+    const method = resolutionMethod(location, jurisdictionKey);
+    const descriptions = {
+        exact: `${location} has its own fee data`,
+        hierarchy: `${location} has no fee data of its own; it inherits from ${jurisdictionKey}, the nearest permitting authority above it`,
+        regionalDefault: `${location} is not in the database; detectRegion chose the ${jurisdictionKey} regional default`
+    };
+    return {
+        requested: location,
+        resolved: jurisdictionKey,
+        method,
+        description: descriptions[method]
+    };
+}
+
+/**
+ * Provenance for each fee field of the trade. Fields overridden by an older
+ * or future fee schedule version come from that feeHistory entry; otherwise
+ * the loader's merge provenance applies, defaulting to the curated database.
+ * A category the jurisdiction does not publish is named after the record
+ * it was borrowed from. Fields cited to the fee schedule carry the citation.
+ */
+function traceFeeInputs(ctx) {
+    const { currentJurisdictionData, jurisdictionData, schedule, feeCategory, feeSource, location } = ctx;
+    const feeData = jurisdictionData[feeCategory];
+    const jurisdictionKey = feeSource.source;
+    const method = feeSource.fallback === 'regionalDefault' ? 'regionalDefault' : resolutionMethod(location, jurisdictionKey);
+
+    let historySource = null;
+    if (!schedule.isCurrent) {
+        const version = getFeeVersions(currentJurisdictionData).find(v => v.effectiveDate === schedule.effectiveDate);
+        if (version && version.overrides[feeCategory]) {
+            historySource = `${STATIC_SOURCE} feeHistory (effective ${schedule.effectiveDate})`;
+        }
+    }
+    const merged = ((currentJurisdictionData._provenance || {})[feeCategory]) || {};
+    const citations = feeData.citations || {};
+
+    const inputs = FEE_FIELDS.map(field => {
+        const provenance = historySource
+            ? { source: historySource }
+            : (merged[field] || { source: STATIC_SOURCE });
+        return {
+            name: `${jurisdictionKey} ${feeCategory}.${field}`,
+            value: feeData[field] == null ? null : feeData[field],
+            ...provenance,
+            ...(method === 'regionalDefault' && { regionalDefault: jurisdictionKey }),
+            ...(method === 'hierarchy' && { inheritedFrom: jurisdictionKey }),
+            ...(feeSource.fallback && { categoryFallback: feeSource.fallback }),
+            ...(citations[field] && { citation: citations[field] })
+        };
+    });
+
+    if (feeData.feeRule) {
+        inputs.push({
+            name: `${jurisdictionKey} ${feeCategory}.feeRule`,
+            value: feeData.feeRule,
+            source: historySource || STATIC_SOURCE,
+            ...(citations.feeRule && { citation: citations.feeRule })
+        });
+    }
+    return inputs;
+}
+
+/**
+ * Provenance for labor and markup values: profile trade override, profile
+ * default, or the industry tables in the curated database
+ */
+function traceLaborInputs({ normalizedType, profile, markup, times }) {
+    const tradeOverrides = (profile && profile.trades && profile.trades[normalizedType]) || {};
+    const profileSource = (key, tradeLevel) => `contractor profile ${profile.id}${tradeLevel ? ` trades.${normalizedType}` : ''}.${key}`;
+
+    const rateInputs = ['laborRate', 'permitFeeMarkup', 'minimumCharge'].map(key => {
+        let source = `${STATIC_SOURCE} markupRecommendations.${normalizedType}.${key}`;
+        if (tradeOverrides[key] != null) source = profileSource(key, true);
+        else if (profile && profile[key] != null) source = profileSource(key, false);
+        return { name: key, value: markup[key], source };
+    });
+
+    const hourOverrides = tradeOverrides.laborHours || {};
+    const hourInputs = ['documentPrep', 'planDrawing', 'submission', 'inspection', 'corrections'].map(task => ({
+        name: `laborHours.${task}`,
+        value: times[task],
+        source: hourOverrides[task] != null
+            ? profileSource(`laborHours.${task}`, true)
+            : `${STATIC_SOURCE} laborTimes.${normalizedType}.${task}`
+    }));
+
+    return [...rateInputs, ...hourInputs];
+}
+
+function traceSteps(ctx) {
+    const { projectValue, permitFeeData, laborData, clientCharge, markup, jurisdictionData, feeCategory } = ctx;
+    const feeData = jurisdictionData[feeCategory];
+    const steps = [];
+
+    if (permitFeeData.feeRule) {
+        steps.push({
+            step: 'permitFee',
+            formula: `fee rule: ${permitFeeData.feeRule.description}, clamped to [minFee, maxFee]`,
+            calculation: `max(${feeData.minFee}, min(${permitFeeData.feeRule.fee}, ${feeData.maxFee}))`,
+            result: permitFeeData.permitFee
+        });
+    } else {
+        steps.push({
+            step: 'permitFee',
+            formula: 'max(minFee, min(baseFee + projectValue × valuationRate, maxFee))',
+            calculation: `max(${feeData.minFee}, min(${feeData.baseFee || 0} + ${projectValue} × ${feeData.valuationRate || 0}, ${feeData.maxFee}))`,
+            result: permitFeeData.permitFee
+        });
+    }
+
+    const planReview = permitFeeData.planReview;
+    steps.push({
+        step: 'planReviewFee',
+        formula: planReview.required || planReview.mayApply ? planReview.basis : 'not required for this job',
+        result: planReview.fee
+    });
+
+    permitFeeData.surcharges.items.forEach(item => {
+        steps.push({
+            step: 'surcharge',
+            name: item.name,
+            formula: item.basis,
+            source: item.source,
+            result: item.amount
+        });
+    });
+
+    steps.push({
+        step: 'totalFees',
+        formula: 'permitFee + planReviewFee + surcharges',
+        calculation: `${permitFeeData.permitFee} + ${planReview.fee} + ${permitFeeData.surcharges.total}`,
+        result: permitFeeData.totalFees
+    });
+    steps.push({
+        step: 'laborCost',
+        formula: 'laborHours × laborRate',
+        calculation: `${laborData.hours} × ${laborData.hourlyRate}`,
+        result: laborData.laborCost
+    });
+    steps.push({
+        step: 'permitFeeMarkup',
+        formula: 'totalFees × permitFeeMarkup',
+        calculation: `${permitFeeData.totalFees} × ${markup.permitFeeMarkup}`,
+        result: clientCharge.permitFeeMarkup
+    });
+    steps.push({
+        step: 'recommendedCharge',
+        formula: 'max(totalFees + permitFeeMarkup + laborCost, minimumCharge)',
+        calculation: `max(${permitFeeData.totalFees} + ${clientCharge.permitFeeMarkup} + ${laborData.laborCost}, ${markup.minimumCharge})`,
+        result: clientCharge.recommendedCharge
+    });
+
+    return steps;
+}
+
+function surchargeSource(item, jurisdictionKey) {
+    if (item.level === 'state') return `${STATIC_SOURCE} stateSurcharges`;
+    if (item.level === 'district') return `${STATIC_SOURCE} jurisdictions.${item.district}.surcharges`;
+    return `${STATIC_SOURCE} ${jurisdictionKey}.surcharges`;
+}
+
+/**
+ * Build the trace for one pricing result
+ *
+ * @param {Object} ctx
+ * @param {string} ctx.location - "City, ST" as requested
+ * @param {string} ctx.jurisdictionKey - key chosen by detectRegion
+ * @param {Object} ctx.currentJurisdictionData - loaded permitFees entry the fee category came from (with merge provenance)
+ * @param {Object} ctx.jurisdictionData - that entry resolved for the fee schedule date
+ * @param {Object} ctx.schedule - fee schedule description from resolveFeeSchedule
+ * @param {string} ctx.feeCategory - permit fee category priced
+ * @param {Object} ctx.feeSource - where the category came from ({ source, fallback } from resolveCategoryFees)
+ * @param {string} ctx.normalizedType - normalized job type
+ * @param {number} ctx.projectValue
+ * @param {Object} ctx.quantities - normalized job quantities
+ * @param {Object|null} ctx.profile - contractor profile
+ * @param {Object} ctx.markup - resolved markup settings
+ * @param {Object} ctx.times - resolved labor hours
+ * @param {Object} ctx.permitFeeData - computed permit fee data
+ * @param {Object} ctx.laborData - computed labor costs
+ * @param {Object} ctx.clientCharge - computed client charge
+ */
+function buildPricingTrace(ctx) {
+    return {
+        jurisdiction: traceJurisdiction(ctx.location, ctx.jurisdictionKey),
+        feeSchedule: ctx.schedule,
+        inputs: [
+            { name: 'projectValue', value: ctx.projectValue, source: 'request' },
+            ...Object.entries(ctx.quantities || {}).map(([unit, value]) => ({ name: `quantities.${unit}`, value, source: 'request' })),
+            ...traceFeeInputs(ctx),
+            ...ctx.permitFeeData.surcharges.items.map(item => ({
+                name: `surcharge: ${item.name}`,
+                value: item.amount,
+                source: surchargeSource(item, ctx.jurisdictionKey),
+                citation: item.source
+            })),
+            ...traceLaborInputs(ctx)
+        ],
+        steps: traceSteps(ctx)
+    };
+}
+
+module.exports = {
+    buildPricingTrace
+};
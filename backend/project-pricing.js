@@ -0,0 +1,192 @@
+/**
+ * Multi-Trade Project Pricing
+ * Prices every permit a project needs (the selected trade plus its
+ * RELATED_TRADES) and combines them into one recommended charge
+ */
+
+const { calculateFullPricing, normalizeJobType, getPermitFeeCategory } = require('./pricing-calculator');
+const { getRelatedTrades } = require('./requirements-generator');
+
+const PRICING_MODES = ['trade', 'project'];
+
+/**
+ * Validate project pricing request options
+ * @returns {string[]} errors (empty if valid)
+ */
+function validateProjectOptions({ pricingMode, tradeValues } = {}) {
+    const errors = [];
+    if (pricingMode !== undefined && !PRICING_MODES.includes(pricingMode)) {
+        errors.push(`pricingMode must be one of: ${PRICING_MODES.join(', ')}`);
+    }
+    if (tradeValues !== undefined) {
+        if (!tradeValues || typeof tradeValues !== 'object' || Array.isArray(tradeValues)) {
+            errors.push('tradeValues must be an object of trade values');
+        } else {
+            for (const [trade, value] of Object.entries(tradeValues)) {
+                if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                    errors.push(`tradeValues.${trade} must be a non-negative number`);
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Work out which trade permits the project needs, one per fee category.
+ * Trades sharing a category are covered by a single permit (e.g.
+ * Remodeling and General Construction are both a building permit).
+ * The selected trade always comes first.
+ */
+function getProjectTrades(jobType, scope) {
+    const primary = normalizeJobType(jobType);
+    const trades = [];
+    const seenCategories = new Set();
+
+    for (const trade of [primary, ...getRelatedTrades(primary, scope)]) {
+        const category = getPermitFeeCategory(trade);
+        if (!seenCategories.has(category)) {
+            seenCategories.add(category);
+            trades.push(trade);
+        }
+    }
+
+    return trades;
+}
+
+/**
+ * Split the project value across trades. Explicit tradeValues win; the
+ * remainder is shared with the primary trade weighted double, since the
+ * selected trade normally carries most of the work.
+ */
+function allocateTradeValues(trades, projectValue, tradeValues) {
+    tradeValues = tradeValues || {};
+    const values = {};
+    let remaining = projectValue;
+    const unassigned = [];
+
+    for (const trade of trades) {
+        const explicit = Number(tradeValues[trade]);
+        if (Number.isFinite(explicit) && explicit > 0) {
+            values[trade] = explicit;
+            remaining -= explicit;
+        } else {
+            unassigned.push(trade);
+        }
+    }
+
+    const weight = (trade) => (trade === trades[0] ? 2 : 1);
+    const totalWeight = unassigned.reduce((sum, trade) => sum + weight(trade), 0);
+    for (const trade of unassigned) {
+        values[trade] = Math.max(0, Math.round(remaining * weight(trade) / totalWeight));
+    }
+
+    return values;
+}
+
+/**
+ * Price all trade permits for a project
+ *
+ * @param {string} location - "City, ST"
+ * @param {string} jobType - selected (primary) job type
+ * @param {number} [projectValue=5000] - total project value in dollars
+ * @param {Object} [options]
+ * @param {Object} [options.quantities] - job quantities, passed to every trade
+ * @param {string} [options.scope] - scope of work
+ * @param {Object} [options.tradeValues] - per-trade value overrides, e.g. { Electrical: 4000 }
+ * @param {Object} [options.profile] - contractor pricing profile
+ * @param {string} [options.asOf] - price with the fee schedules in effect on this date
+ */
+function calculateProjectPricing(location, jobType, projectValue = 5000, options = {}) {
+    const trades = getProjectTrades(jobType, options.scope);
+    const tradeValues = allocateTradeValues(trades, projectValue, options.tradeValues);
+
+    const tradePricing = trades.map(trade => ({
+        trade,
+        pricing: calculateFullPricing(location, trade, tradeValues[trade], {
+            quantities: options.quantities,
+            scope: options.scope,
+            profile: options.profile,
+            asOf: options.asOf
+        })
+    }));
+
+    // One submission trip covers every permit for the project: keep the
+    // largest submission line, drop the rest
+    const submissionCosts = tradePricing.map(t => t.pricing.labor.breakdown.submission);
+    const keptSubmission = submissionCosts.reduce((max, s) => (s.cost > max.cost ? s : max), submissionCosts[0]);
+    const sharedLaborSavings = {
+        hours: Math.round((submissionCosts.reduce((sum, s) => sum + s.hours, 0) - keptSubmission.hours) * 10) / 10,
+        cost: submissionCosts.reduce((sum, s) => sum + s.cost, 0) - keptSubmission.cost,
+        description: 'Permit submissions combined into a single trip'
+    };
+
+    const totals = tradePricing.reduce((acc, { pricing }) => {
+        acc.permitFees += pricing.permitFee.permitFee;
+        acc.planReviewFees += pricing.permitFee.planReview.fee;
+        acc.surcharges += pricing.permitFee.surcharges.total;
+        acc.permitFeeMarkup += pricing.clientCharge.permitFeeMarkup;
+        acc.laborHours += pricing.labor.hours;
+        acc.laborCost += pricing.labor.laborCost;
+        acc.standaloneCharge += pricing.summary.recommendedCharge;
+        return acc;
+    }, { permitFees: 0, planReviewFees: 0, surcharges: 0, permitFeeMarkup: 0, laborHours: 0, laborCost: 0, standaloneCharge: 0 });
+
+    totals.surcharges = Math.round(totals.surcharges * 100) / 100;
+    totals.totalFees = Math.round((totals.permitFees + totals.planReviewFees + totals.surcharges) * 100) / 100;
+    totals.laborHours = Math.round((totals.laborHours - sharedLaborSavings.hours) * 10) / 10;
+    totals.laborCost -= sharedLaborSavings.cost;
+
+    const minimumCharge = Math.max(...tradePricing.map(t => t.pricing.clientCharge.minimumCharge));
+    const recommendedCharge = Math.round(Math.max(
+        totals.totalFees + totals.permitFeeMarkup + totals.laborCost,
+        minimumCharge
+    ));
+    const totalCost = Math.round((totals.totalFees + totals.laborCost) * 100) / 100;
+    const primary = tradePricing[0].pricing;
+
+    return {
+        jurisdiction: location,
+        jobType: primary.jobType,
+        projectValue: projectValue,
+        dataQuality: primary.dataQuality,
+        profile: primary.profile,
+
+        trades: tradePricing.map(({ trade, pricing }) => ({
+            trade,
+            isPrimary: trade === primary.jobType,
+            projectValue: pricing.projectValue,
+            permitFee: pricing.permitFee.permitFee,
+            planReviewFee: pricing.permitFee.planReview.fee,
+            surcharges: pricing.permitFee.surcharges.total,
+            totalFees: pricing.permitFee.totalFees,
+            feeMethod: pricing.permitFee.feeMethod,
+            laborHours: pricing.labor.hours,
+            laborCost: pricing.labor.laborCost,
+            permitFeeMarkup: pricing.clientCharge.permitFeeMarkup,
+            standaloneCharge: pricing.summary.recommendedCharge,
+            notes: pricing.permitFee.notes
+        })),
+
+        sharedLaborSavings,
+        totals,
+
+        summary: {
+            permitCount: trades.length,
+            totalCost: totalCost,
+            recommendedCharge: recommendedCharge,
+            yourProfit: Math.round((recommendedCharge - totalCost) * 100) / 100,
+            profitMargin: Math.round(((recommendedCharge - totalCost) / recommendedCharge) * 100),
+            timeInvestment: `${totals.laborHours} hours`,
+            processingTime: primary.summary.processingTime,
+            savingsVsSeparateQuotes: totals.standaloneCharge - recommendedCharge
+        }
+    };
+}
+
+module.exports = {
+    PRICING_MODES,
+    calculateProjectPricing,
+    getProjectTrades,
+    validateProjectOptions
+};
@@ -22,6 +22,7 @@ const RELATED_TRADES = {
     'General Construction': ['Electrical', 'Plumbing'],
     'HVAC': ['Electrical'],
     'Solar': ['Electrical'],
+    'Solar Water Heating': ['Plumbing'],
     'Pool': ['Electrical', 'Plumbing', 'Fence'],
     'Demolition': ['General Construction']
 };
@@ -80,6 +81,16 @@ const INSPECTIONS = {
         'Final solar / electrical inspection',
         'Utility interconnection verification'
     ],
+    'Battery Storage': [
+        'Equipment location / clearance inspection',
+        'Electrical rough-in inspection',
+        'Final electrical / fire inspection'
+    ],
+    'Solar Water Heating': [
+        'Roof attachment / structural inspection',
+        'Plumbing rough-in inspection (piping, valves, backflow)',
+        'Final plumbing inspection'
+    ],
     'Roofing': [
         'Tear-off / deck inspection',
         'Final roofing inspection'
@@ -139,6 +150,18 @@ const REJECTION_REASONS = {
         'Non-compliant rapid shutdown system',
         'Missing fire setback compliance details',
         'Incorrect interconnection specifications'
+    ],
+    'Battery Storage': [
+        'Battery location does not meet clearance or fire separation requirements',
+        'Missing UL 9540 listing for the energy storage system',
+        'Incomplete single-line diagram showing the storage system and disconnects',
+        'Aggregate storage capacity exceeds the residential limit without fire review'
+    ],
+    'Solar Water Heating': [
+        'Missing structural analysis for roof-mounted collectors',
+        'No freeze protection or temperature/pressure relief details',
+        'Missing backflow prevention on the potable water connection',
+        'Collector not listed to SRCC OG-100 (where required)'
     ]
 };
 
@@ -194,9 +217,13 @@ function getStepByStepProcess(jurisdiction, jobType, hasPaperwork) {
  * @param {string} [params.scope] - e.g. "New Installation"
  * @param {string} [params.description] - freeform description
  * @param {number} [params.projectValue] - estimated project value in dollars
+ * @param {Object} [params.quantities] - job quantities for rule-based fees (circuits, fixtures, ...)
+ * @param {string} [params.asOf] - price with the fee schedule in effect on this date
+ * @param {Object} [params.boundary] - job site check from boundaries.locateJurisdiction()
+ * @param {Object} [params.profile] - contractor pricing profile for the labor rate and markup
  * @returns {string} Markdown-formatted requirements
  */
-function generateRequirements({ jobType, city, state, projectType, scope, description, projectValue }) {
+function generateRequirements({ jobType, city, state, projectType, scope, description, projectValue, quantities, asOf, boundary, profile }) {
     const location = `${city}, ${state}`;
     const normalizedType = normalizeJobType(jobType);
     const resolvedLocation = detectRegion(location);
@@ -207,7 +234,7 @@ function generateRequirements({ jobType, city, state, projectType, scope, descri
     const quality = dataQuality[location] || dataQuality[resolvedLocation] || dataQuality['default'];
 
     // Get pricing
-    const pricing = calculateFullPricing(location, jobType, resolvedProjectValue);
+    const pricing = calculateFullPricing(location, jobType, resolvedProjectValue, { quantities, scope, asOf, profile });
 
     // Get paperwork
     const forms = getFormsForTrade(location, normalizedType);
@@ -230,6 +257,9 @@ function generateRequirements({ jobType, city, state, projectType, scope, descri
 
     // --- Required Permits ---
     sections.push('## Required Permits');
+    if (boundary) {
+        sections.push(`- **Permitting authority:** ${location} - ${boundary.notes}`);
+    }
     sections.push(`- **${normalizedType} Permit** - Required for ${(scope || 'standard').toLowerCase()} ${normalizedType.toLowerCase()} work in ${location}`);
     if (normalizedType === 'Electrical' && (scope === 'New Installation' || scope === 'Renovation')) {
         sections.push('- **Plan Check** may be required for projects over a certain valuation threshold');
@@ -325,6 +355,10 @@ function generateRequirements({ jobType, city, state, projectType, scope, descri
     if (expediteTime && expediteFee) {
         sections.push(`- **Expedited processing:** ${expediteTime} (additional $${expediteFee} fee)`);
     }
+    const otcScenario = pricing.scenarios.find(scenario => scenario.key === 'overTheCounter');
+    if (otcScenario) {
+        sections.push(`- **Over-the-counter permit:** ${otcScenario.processingTime} - ${otcScenario.notes}`);
+    }
     sections.push(`- **Total timeline from submission to completion:** Plan for ${processingTime} for permit approval, plus construction time and inspection scheduling`);
     sections.push('');
 
@@ -332,6 +366,15 @@ function generateRequirements({ jobType, city, state, projectType, scope, descri
     sections.push('## Estimated Costs');
     const permitFee = pricing.permitFee;
     sections.push(`- **Calculated permit fee for your $${resolvedProjectValue.toLocaleString()} project:** $${permitFee.permitFee}`);
+    if (permitFee.feeRule) {
+        sections.push(`- **Fee schedule applied:** ${permitFee.feeRule.description}`);
+    }
+    if (!permitFee.feeSchedule.isCurrent) {
+        const scheduleName = permitFee.feeSchedule.source || `schedule effective ${permitFee.feeSchedule.effectiveDate}`;
+        sections.push(`- **Fees as of ${permitFee.feeSchedule.asOf}:** ${scheduleName} (not the current schedule)`);
+    } else if (permitFee.feeSchedule.effectiveDate) {
+        sections.push(`- **Fee schedule effective:** ${permitFee.feeSchedule.effectiveDate}`);
+    }
     sections.push(`- **Fee range:** $${permitFee.minFee} - $${permitFee.maxFee}`);
     if (permitFee.baseFee) {
         sections.push(`- **Base fee:** $${permitFee.baseFee}`);
@@ -342,13 +385,29 @@ function generateRequirements({ jobType, city, state, projectType, scope, descri
     if (expediteFee) {
         sections.push(`- **Expedite fee (optional):** $${expediteFee}`);
     }
-    sections.push(`- **Plan check fee:** Typically 65-85% of the permit fee (varies by jurisdiction)`);
+    if (permitFee.planReview && permitFee.planReview.required) {
+        sections.push(`- **Plan check fee:** $${permitFee.planReview.fee} (${permitFee.planReview.basis})`);
+    } else if (permitFee.planReview && permitFee.planReview.mayApply) {
+        sections.push(`- **Plan check fee:** May apply when the work needs plans - amount not on file, confirm with the building department`);
+    } else {
+        sections.push(`- **Plan check fee:** Typically 65-85% of the permit fee when plan review is required (varies by jurisdiction)`);
+    }
+    if (permitFee.surcharges && permitFee.surcharges.items.length > 0) {
+        const items = permitFee.surcharges.items.map(s => `${s.name} $${s.amount.toFixed(2)} (${s.basis})`);
+        sections.push(`- **Surcharges:** $${permitFee.surcharges.total.toFixed(2)} total - ${items.join('; ')}`);
+    }
     if (permitFee.notes) {
         sections.push(`- **Note:** ${permitFee.notes}`);
     }
+    sections.push(`- **Your permit labor:** ${pricing.labor.hours} hrs @ $${pricing.labor.hourlyRate}/hr = $${pricing.labor.laborCost}${pricing.profile ? ` (${pricing.profile.name} rates)` : ''}`);
+    sections.push(`- **Recommended charge to client:** $${pricing.summary.recommendedCharge}`);
 
     if (quality.quality === 'estimated') {
         sections.push(`\n> **Note:** These are regional estimates. ${quality.notes || 'Please verify with your local building department.'}`);
+    } else if (quality.quality === 'partial') {
+        sections.push(`\n> **Note:** ${quality.notes}`);
+    } else if (pricing.dataQuality.category.isEstimated) {
+        sections.push(`\n> **Note:** ${pricing.dataQuality.category.notes}. Please verify with your local building department.`);
     }
     sections.push('');
 
@@ -392,4 +451,4 @@ function getInspections(jobType) {
     return INSPECTIONS[normalizedType] || INSPECTIONS['General Construction'];
 }
 
-module.exports = { generateRequirements, getInspections };
+module.exports = { generateRequirements, getInspections, getRelatedTrades };
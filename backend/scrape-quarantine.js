@@ -0,0 +1,273 @@
+/**
+ * Scrape quarantine with file-based persistence
+ *
+ * Scraped fee values that fail the database loader's deviation check (more
+ * than 10% from the curated value) are kept out of pricing, but a real fee
+ * increase looks exactly like that. Each scrape run queues the rejected
+ * values here for an admin to accept or dismiss.
+ *
+ * Entry format:
+ *   { id, jurisdiction, trade, field, curatedValue, scrapedValue, deviation,
+ *     maxDeviation, sourceUrl, pdfHash, scrapedAt, citation, status,
+ *     detectedAt, review, draftId }
+ *
+ *   id      - derived from the jurisdiction, field, value and scrape time, so
+ *             queueing the same scrape again does not add it twice
+ *   status  - pending | accepted | dismissed | superseded (a later scrape
+ *             of the same field was queued)
+ *   review  - { by, at, note } once accepted or dismissed
+ *   draftId - fee draft created on accept
+ *
+ * Accepting saves the scraped value as a fee store draft (fee-drafts.js)
+ * like any other admin edit: it is published only when a second admin
+ * approves the draft. If the draft is rejected or withdrawn instead, the
+ * entry goes back to pending.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const feeStore = require('./fee-store');
+const feeDrafts = require('./fee-drafts');
+
+const DATA_FILE = path.join(__dirname, 'scraper-results', 'scrape-quarantine.json');
+
+const QUARANTINE_STATUSES = ['pending', 'accepted', 'dismissed', 'superseded'];
+
+let entries = {};
+
+function load() {
+    try {
+        if (fs.existsSync(DATA_FILE)) {
+            const saved = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+            entries = {};
+            if (saved && typeof saved === 'object' && !Array.isArray(saved)) {
+                for (const [id, entry] of Object.entries(saved)) {
+                    if (entry && QUARANTINE_STATUSES.includes(entry.status)) entries[id] = entry;
+                }
+            }
+        }
+    } catch (err) {
+        // Graceful fallback - start fresh if file is corrupt/missing
+        console.warn('Scrape quarantine: could not load saved entries, starting fresh');
+        entries = {};
+    }
+}
+
+function save() {
+    try {
+        const dir = path.dirname(DATA_FILE);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(DATA_FILE, JSON.stringify(entries, null, 2));
+    } catch (err) {
+        console.warn('Scrape quarantine: could not save entries:', err.message);
+    }
+}
+
+const entryId = ({ jurisdiction, trade, field, scrapedValue, scrapedAt }) => crypto
+    .createHash('sha1')
+    .update(JSON.stringify([jurisdiction, trade, field, scrapedValue, scrapedAt]))
+    .digest('hex')
+    .slice(0, 12);
+
+const sameField = (a, b) => a.jurisdiction === b.jurisdiction && a.trade === b.trade && a.field === b.field;
+
+/**
+ * Queue scraped values rejected by the deviation check. Called after each
+ * scrape run: values already queued are not queued again (dismissed ones
+ * stay dismissed), and a new scrape of a field supersedes its pending entry.
+ *
+ * @param {Object[]} rejections - { jurisdiction, trade, field, curatedValue,
+ *   scrapedValue, deviation, maxDeviation, sourceUrl, pdfHash, scrapedAt, citation }
+ * @returns {Object[]} the newly queued entries
+ */
+function recordRejections(rejections) {
+    const added = [];
+    let changed = false;
+
+    for (const rejection of rejections) {
+        const id = entryId(rejection);
+        const existing = entries[id];
+        if (existing) {
+            // The curated value may have been edited since the entry was queued
+            if (existing.status === 'pending' && (existing.curatedValue !== rejection.curatedValue || existing.deviation !== rejection.deviation)) {
+                existing.curatedValue = rejection.curatedValue;
+                existing.deviation = rejection.deviation;
+                changed = true;
+            }
+            continue;
+        }
+
+        for (const entry of Object.values(entries)) {
+            if (entry.status === 'pending' && sameField(entry, rejection)) {
+                entry.status = 'superseded';
+            }
+        }
+        entries[id] = {
+            id,
+            jurisdiction: rejection.jurisdiction,
+            trade: rejection.trade,
+            field: rejection.field,
+            curatedValue: rejection.curatedValue,
+            scrapedValue: rejection.scrapedValue,
+            deviation: rejection.deviation,
+            maxDeviation: rejection.maxDeviation,
+            sourceUrl: rejection.sourceUrl || null,
+            pdfHash: rejection.pdfHash || null,
+            scrapedAt: rejection.scrapedAt || null,
+            citation: rejection.citation || null,
+            status: 'pending',
+            detectedAt: new Date().toISOString(),
+            review: null,
+            draftId: null
+        };
+        added.push(entries[id]);
+        changed = true;
+    }
+
+    if (changed) save();
+    if (added.length > 0) {
+        console.log(`🚧 Scrape quarantine: ${added.length} rejected value(s) queued for review`);
+    }
+    return added;
+}
+
+function listEntries({ status, jurisdiction } = {}) {
+    return Object.values(entries)
+        .filter(e => status === undefined || e.status === status)
+        .filter(e => jurisdiction === undefined || e.jurisdiction === jurisdiction)
+        .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt) || a.jurisdiction.localeCompare(b.jurisdiction));
+}
+
+function getEntry(id) {
+    return entries[id] || null;
+}
+
+/**
+ * The curated fee store record with the entry's scraped value (and its
+ * citation, or none) applied; null when the record or trade is gone
+ */
+function applyToRecord(entry) {
+    const record = feeStore.getRecord('permitFees', entry.jurisdiction);
+    if (!record || record.deleted || !record.data[entry.trade]) return null;
+
+    const data = record.data;
+    const fees = data[entry.trade];
+    fees[entry.field] = entry.scrapedValue;
+    const citations = { ...fees.citations };
+    if (entry.citation) {
+        citations[entry.field] = entry.citation;
+    } else {
+        delete citations[entry.field];
+    }
+    if (Object.keys(citations).length > 0) {
+        fees.citations = citations;
+    } else {
+        delete fees.citations;
+    }
+    return data;
+}
+
+/**
+ * Why the entry cannot be accepted, as { problem, error, details? }
+ * (problem: closed | missing | invalid); null when it can be
+ */
+function getAcceptProblem(entry) {
+    if (entry.status !== 'pending') {
+        return { problem: 'closed', error: `Quarantined value is ${entry.status}, not pending` };
+    }
+    const data = applyToRecord(entry);
+    if (!data) {
+        return { problem: 'missing', error: `permitFees/${entry.jurisdiction} has no ${entry.trade} fees to update` };
+    }
+    const errors = feeStore.validateRecord('permitFees', entry.jurisdiction, data);
+    if (errors.length > 0) {
+        return { problem: 'invalid', error: 'Accepting the scraped value would make the record invalid', details: errors };
+    }
+    return null;
+}
+
+function closeEntry(entry, status, reviewer, note) {
+    entry.status = status;
+    entry.review = { by: reviewer, at: new Date().toISOString(), note: typeof note === 'string' && note.trim() ? note.trim() : null };
+}
+
+/**
+ * Save the scraped value as a fee store draft by the reviewer, for a second
+ * admin to approve. Call getAcceptProblem() first.
+ * Returns { entry, draft }.
+ */
+function acceptEntry(id, reviewer, note) {
+    const entry = entries[id];
+    const draft = feeDrafts.createDraft({
+        collection: 'permitFees',
+        key: entry.jurisdiction,
+        action: 'put',
+        data: applyToRecord(entry),
+        reason: `Accepted scraped ${entry.trade}.${entry.field} ${entry.curatedValue} -> ${entry.scrapedValue}` +
+            (entry.sourceUrl ? ` from ${entry.sourceUrl}` : ''),
+        expectedVersion: feeStore.getRecord('permitFees', entry.jurisdiction).version
+    }, reviewer);
+    closeEntry(entry, 'accepted', reviewer, note);
+    entry.draftId = draft.id;
+    save();
+    return { entry, draft };
+}
+
+/**
+ * Put the entry accepted as this draft back in the queue once the draft is
+ * rejected or withdrawn (superseded if a later scrape of the field is
+ * pending). Returns the entry, or null when no accepted entry made the draft.
+ */
+function reopenForDraft(draftId) {
+    const entry = Object.values(entries).find(e => e.status === 'accepted' && e.draftId === draftId);
+    if (!entry) return null;
+
+    const newer = Object.values(entries).some(e => e !== entry && e.status === 'pending' && sameField(e, entry));
+    entry.status = newer ? 'superseded' : 'pending';
+    entry.review = null;
+    entry.draftId = null;
+    save();
+    return entry;
+}
+
+/**
+ * Keep the curated value. Returns null when the entry does not exist.
+ */
+function dismissEntry(id, reviewer, note) {
+    const entry = entries[id];
+    if (!entry) return null;
+    closeEntry(entry, 'dismissed', reviewer, note);
+    save();
+    return entry;
+}
+
+function reset() {
+    entries = {};
+    try {
+        if (fs.existsSync(DATA_FILE)) {
+            fs.unlinkSync(DATA_FILE);
+        }
+    } catch (err) {
+        // ignore
+    }
+}
+
+// Load persisted entries on module init
+load();
+
+module.exports = {
+    QUARANTINE_STATUSES,
+    recordRejections,
+    listEntries,
+    getEntry,
+    getAcceptProblem,
+    acceptEntry,
+    reopenForDraft,
+    dismissEntry,
+    reset,
+    load,
+    DATA_FILE
+};
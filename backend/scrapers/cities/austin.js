@@ -53,6 +53,9 @@ class AustinScraper extends BaseScraper {
             // Calculate hash for change detection
             fees.pdfHash = this.pdfParser.hashPDF(pdfBuffer);
 
+            // Cite each extracted value back to its page of the PDF
+            this.pdfParser.citeTrades(fees, pdfData);
+
             await page.close();
             await this.close();
 
@@ -63,6 +63,9 @@ class ChicagoScraper extends BaseScraper {
                 pdfPath: pdfPath
             };
 
+            // Cite each extracted value back to its page of the PDF
+            this.pdfParser.citeTrades(result, pdfData);
+
             await this.close();
 
             console.log('✅ Chicago scraping complete');
@@ -64,6 +64,9 @@ class LosAngelesScraper extends BaseScraper {
                 pdfPath: pdfPath
             };
 
+            // Cite each extracted value back to its page of the PDF
+            this.pdfParser.citeTrades(result, pdfData);
+
             await this.close();
 
             console.log('✅ Los Angeles scraping complete');
@@ -65,6 +65,9 @@ class MiamiScraper extends BaseScraper {
                 pdfPath: pdfPath
             };
 
+            // Cite each extracted value back to its page of the PDF
+            this.pdfParser.citeTrades(result, pdfData);
+
             await this.close();
 
             console.log('✅ Miami scraping complete');
@@ -63,6 +63,9 @@ class NewYorkScraper extends BaseScraper {
                 pdfPath: pdfPath
             };
 
+            // Cite each extracted value back to its page of the PDF
+            this.pdfParser.citeTrades(result, pdfData);
+
             await this.close();
 
             console.log('✅ New York scraping complete');
@@ -9,6 +9,14 @@ const { createCanvas } = require('canvas');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const { citeFees } = require('../fee-citations');
+
+// Fee schedule section each scraped trade is read from
+const TRADE_SECTIONS = {
+    electrical: 'electrical',
+    plumbing: 'plumbing',
+    hvac: 'mechanical'
+};
 
 class PDFParser {
     constructor() {
@@ -51,6 +59,7 @@ class PDFParser {
 
             // Extract text from all pages
             let fullText = '';
+            const pages = [];
 
             for (let i = 1; i <= numPages; i++) {
                 const page = await pdfDocument.getPage(i);
@@ -61,6 +70,7 @@ class PDFParser {
                     .map(item => item.str)
                     .join(' ');
 
+                pages.push(pageText);
                 fullText += pageText + '\n\n';
             }
 
@@ -68,6 +78,7 @@ class PDFParser {
 
             return {
                 text: fullText,
+                pages,
                 numpages: numPages,
                 info: {},
                 metadata: {}
@@ -96,6 +107,7 @@ class PDFParser {
             console.log('🔍 Rendering PDF pages to canvas and running OCR...');
 
             let fullText = '';
+            const pages = [];
             const worker = await Tesseract.createWorker('eng');
 
             // Process each page with OCR
@@ -132,11 +144,13 @@ class PDFParser {
                     console.log(`  ✅ OCR complete: ${text.length} characters extracted (confidence: ${confidence.toFixed(1)}%)`);
 
                     // Add page text with separator
+                    pages.push(text);
                     fullText += text + '\n\n';
 
                 } catch (pageError) {
                     console.error(`  ❌ Failed to process page ${pageNum}: ${pageError.message}`);
-                    // Continue with next page
+                    // Continue with next page (kept empty so page numbers stay aligned)
+                    pages.push('');
                 }
             }
 
@@ -146,6 +160,7 @@ class PDFParser {
 
             return {
                 text: fullText,
+                pages,
                 numpages: numPages,
                 info: {},
                 metadata: {
@@ -271,6 +286,20 @@ class PDFParser {
         return section;
     }
 
+    /**
+     * Attach citations (page, section heading, snippet) to the fees of each
+     * trade in a scrape result, for the values found in the PDF
+     */
+    citeTrades(result, pdfData, sections = TRADE_SECTIONS) {
+        for (const [trade, section] of Object.entries(sections)) {
+            const fees = result[trade];
+            if (!fees) continue;
+            fees.citations = citeFees(pdfData.pages, fees, { url: result.sourceUrl, section });
+            console.log(`📌 ${trade}: cited ${Object.keys(fees.citations).length} field(s)`);
+        }
+        return result;
+    }
+
     /**
      * Parse fee table from text
      */
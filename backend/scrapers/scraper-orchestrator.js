@@ -5,6 +5,9 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const dataEvents = require('../data-events');
+const { loader } = require('../database-loader');
+const scrapeQuarantine = require('../scrape-quarantine');
 
 // Import city scrapers
 const SanDiegoScraper = require('./cities/san-diego');
@@ -253,6 +256,10 @@ class ScraperOrchestrator {
 
             await fs.writeFile(this.historyFile, JSON.stringify(history, null, 2));
             console.log(`💾 History updated: ${this.historyFile}`);
+            dataEvents.emitDataChanged('scrape', { cities: Object.keys(history) });
+
+            // Queue values the deviation check kept out of pricing for admin review
+            scrapeQuarantine.recordRejections(loader.getScrapeRejections());
 
         } catch (error) {
             console.error(`❌ Failed to save results: ${error.message}`);
@@ -2,7 +2,8 @@ const express = require('express');
 const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./swagger');
-const { calculateFullPricing, generateClientExplanation } = require('./pricing-calculator');
+const { calculateFullPricing, generateClientExplanation, normalizeJobType } = require('./pricing-calculator');
+const { calculateProjectPricing, validateProjectOptions } = require('./project-pricing');
 const { generateAllClientTemplates } = require('./client-templates');
 const { generateRequirements, getInspections } = require('./requirements-generator');
 const {
@@ -14,7 +15,25 @@ const {
     calculateOptimalStrategy
 } = require('./jurisdiction-comparison');
 const analytics = require('./analytics');
+const contractorProfiles = require('./contractor-profiles');
+const { normalizeEffectiveDate, getFeeVersions } = require('./fee-schedules');
+const { validateValuationInput, estimateProjectValue } = require('./building-valuation');
+const { MAX_BATCH_ROWS, parseCsv, priceBatch, batchToCsv } = require('./batch-pricing');
+const { validateSweepOptions, calculatePriceSensitivity } = require('./price-sensitivity');
+const marketModel = require('./market-model');
+const jobReconciliation = require('./job-reconciliation');
+const feeStore = require('./fee-store');
+const feeDrafts = require('./fee-drafts');
+const { listFeeCitations, getCitationCoverage } = require('./fee-citations');
+const feeSpreadsheet = require('./fee-spreadsheet');
+const scrapeQuarantine = require('./scrape-quarantine');
+const { describeJurisdiction, getInheritedTips } = require('./jurisdictions');
+const { normalizeZip, resolveZip } = require('./zip-resolver');
+const { validateCoordinates, resolvePoint, locateJurisdiction } = require('./boundaries');
+const { marketModel: marketDefaults, loader: feeDataLoader, getDataVersion } = require('./database-loader');
+const dataEvents = require('./data-events');
 const adminAuth = require('./middleware/admin-auth');
+const { requireAdminIdentity } = adminAuth;
 require('dotenv').config({ path: '../.env' });
 
 const app = express();
@@ -30,12 +49,38 @@ function isStringArray(val, maxLen = 20) {
         val.every(item => isNonEmptyString(item));
 }
 
+/**
+ * Resolve a ZIP from a request. Returns { resolution } or, when the ZIP is
+ * invalid, unknown or spans several permitting authorities, { error } with
+ * the 400 response body (ambiguous ZIPs list their candidates).
+ */
+function resolveZipInput(zip, city) {
+    if (!normalizeZip(zip)) {
+        return { error: { error: 'zip must be a 5-digit ZIP code (ZIP+4 accepted)' } };
+    }
+    const resolution = resolveZip(zip, city);
+    if (!resolution) {
+        return { error: { error: `Unknown ZIP code: ${zip}` } };
+    }
+    if (resolution.ambiguous) {
+        return {
+            error: {
+                error: `ZIP ${resolution.zip} spans several permitting jurisdictions - specify the city`,
+                zip: resolution.zip,
+                notes: resolution.notes,
+                candidates: resolution.candidates
+            }
+        };
+    }
+    return { resolution };
+}
+
 // Middleware
 const corsOrigins = process.env.CORS_ORIGINS;
 app.use(cors(corsOrigins ? {
     origin: corsOrigins.split(',').map(o => o.trim()),
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'X-API-Key']
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'X-API-Key', 'X-Admin-User']
 } : undefined));
 app.use(express.json({ limit: '100kb' }));
 
@@ -60,6 +105,12 @@ function rateLimiter(req, res, next) {
 const responseCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
+// Cached responses are built from the fee data; drop them when it changes
+dataEvents.onDataChanged(change => {
+    responseCache.clear();
+    console.log(`🔄 Fee data changed (${change.source}); response cache cleared`);
+});
+
 function cacheMiddleware(req, res, next) {
     if (req.method !== 'GET') return next();
     const cached = responseCache.get(req.originalUrl);
@@ -104,22 +155,89 @@ apiRouter.post('/check-requirements', async (req, res) => {
     try {
         const {
             jobType,
-            city,
-            state,
+            zip,
             projectType,
             scope,
             description,
-            projectValue
+            projectValue,
+            quantities,
+            pricingMode,
+            tradeValues,
+            profileId,
+            asOf,
+            valuation,
+            coordinates,
+            trace
         } = req.body;
 
+        let { city, state } = req.body;
+
+        // A ZIP code resolves to the permitting city and state (a city alongside it picks between candidates)
+        let zipResolution = null;
+        if (zip !== undefined) {
+            const { resolution, error } = resolveZipInput(zip, city);
+            if (error) {
+                return res.status(400).json(error);
+            }
+            zipResolution = resolution;
+            city = resolution.jurisdiction.slice(0, resolution.jurisdiction.lastIndexOf(','));
+            state = resolution.state;
+        }
+
         // Validate inputs
         if (!isNonEmptyString(jobType) || !isNonEmptyString(city) || !isNonEmptyString(state)) {
             return res.status(400).json({
-                error: 'Missing required fields: jobType, city, and state must be non-empty strings'
+                error: 'Missing required fields: jobType, city, and state must be non-empty strings (or jobType and zip)'
             });
         }
 
-        const resolvedProjectValue = Number(projectValue) > 0 ? Number(projectValue) : 5000;
+        // Job site coordinates inside mapped city limits pick the city to price;
+        // a conflict with the entered city/state is reported, not rejected
+        let boundary = null;
+        if (coordinates !== undefined) {
+            const coordinateErrors = validateCoordinates(coordinates);
+            if (coordinateErrors.length > 0) {
+                return res.status(400).json({ error: `Invalid coordinates: ${coordinateErrors.join('; ')}` });
+            }
+            boundary = locateJurisdiction(`${city}, ${state}`, coordinates);
+            city = boundary.location.slice(0, boundary.location.lastIndexOf(','));
+            state = boundary.location.slice(boundary.location.lastIndexOf(',') + 1).trim();
+        }
+
+        if (asOf !== undefined && !normalizeEffectiveDate(asOf)) {
+            return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+        }
+
+        const profile = profileId ? contractorProfiles.getProfile(profileId) : null;
+        if (profileId && !profile) {
+            return res.status(404).json({ error: `Contractor profile not found: ${profileId}` });
+        }
+
+        const projectErrors = validateProjectOptions({ pricingMode, tradeValues });
+        if (projectErrors.length > 0) {
+            return res.status(400).json({ error: `Invalid project pricing: ${projectErrors.join('; ')}` });
+        }
+
+        if (valuation !== undefined) {
+            const valuationErrors = validateValuationInput(valuation);
+            if (valuationErrors.length > 0) {
+                return res.status(400).json({ error: `Invalid valuation: ${valuationErrors.join('; ')}` });
+            }
+        }
+
+        // An explicit project value wins; otherwise derive it from building valuation data
+        const location = `${city}, ${state}`;
+        let projectValueSource = 'default';
+        let valuationEstimate = null;
+        let resolvedProjectValue = 5000;
+        if (Number(projectValue) > 0) {
+            resolvedProjectValue = Number(projectValue);
+            projectValueSource = 'provided';
+        } else if (valuation !== undefined) {
+            valuationEstimate = estimateProjectValue({ ...valuation, scope, jobType, location });
+            resolvedProjectValue = valuationEstimate.projectValue;
+            projectValueSource = 'valuation';
+        }
 
         analytics.track({ city, state, jobType });
 
@@ -128,18 +246,29 @@ apiRouter.post('/check-requirements', async (req, res) => {
         console.log(`   Location: ${city}, ${state}`);
         console.log(`   Type: ${projectType}`);
         console.log(`   Scope: ${scope}`);
-        console.log(`   Project value: $${resolvedProjectValue}`);
+        console.log(`   Project value: $${resolvedProjectValue} (${projectValueSource})`);
 
         // Generate requirements from static data
-        const requirements = generateRequirements({ jobType, city, state, projectType, scope, description, projectValue: resolvedProjectValue });
+        const requirements = generateRequirements({ jobType, city, state, projectType, scope, description, projectValue: resolvedProjectValue, quantities, asOf, boundary, profile });
 
         console.log(`✅ Requirements generated (${requirements.length} chars)`);
 
         // Calculate comprehensive pricing
-        const location = `${city}, ${state}`;
-        const pricingData = calculateFullPricing(location, jobType, resolvedProjectValue);
+        const pricingData = calculateFullPricing(location, jobType, resolvedProjectValue, {
+            quantities,
+            scope,
+            profile,
+            asOf,
+            boundary,
+            trace: trace === true
+        });
         const clientExplanation = generateClientExplanation(pricingData);
 
+        // Project mode prices every related trade permit together
+        const projectPricing = pricingMode === 'project'
+            ? calculateProjectPricing(location, jobType, resolvedProjectValue, { quantities, scope, tradeValues, profile, asOf })
+            : null;
+
         // Generate client communication templates
         const fullPricingData = {
             pricing: pricingData,
@@ -151,16 +280,20 @@ apiRouter.post('/check-requirements', async (req, res) => {
                 timestamp: new Date().toISOString()
             }
         };
-        const clientTemplates = generateAllClientTemplates(fullPricingData);
+        const clientTemplates = generateAllClientTemplates(fullPricingData, contractorProfiles.toContractorInfo(profile));
 
         console.log(`💰 Pricing calculated: $${pricingData.summary.recommendedCharge} recommended charge`);
         console.log(`📊 Data quality: ${pricingData.dataQuality.quality} (confidence: ${pricingData.dataQuality.confidence})`);
+        if (projectPricing) {
+            console.log(`🏗️  Project pricing: ${projectPricing.summary.permitCount} permits, $${projectPricing.summary.recommendedCharge} combined charge`);
+        }
         console.log(`📧 Client templates generated: 5 templates ready`);
 
         res.json({
             success: true,
             requirements,
             pricing: pricingData,
+            ...(projectPricing && { projectPricing }),
             clientExplanation: clientExplanation,
             clientTemplates: clientTemplates,
             inspections: getInspections(jobType),
@@ -170,6 +303,12 @@ apiRouter.post('/check-requirements', async (req, res) => {
                 projectType,
                 scope,
                 projectValue: resolvedProjectValue,
+                projectValueSource,
+                ...(valuationEstimate && { valuation: valuationEstimate }),
+                ...(zipResolution && { zipResolution }),
+                ...(boundary && { boundary }),
+                pricingMode: projectPricing ? 'project' : 'trade',
+                asOf: pricingData.permitFee.feeSchedule.asOf,
                 timestamp: new Date().toISOString()
             }
         });
@@ -183,6 +322,317 @@ apiRouter.post('/check-requirements', async (req, res) => {
     }
 });
 
+// Batch pricing: JSON { jobs: [...] } / { csv: '...' }, or a raw text/csv upload.
+// Responds with CSV when ?format=csv or Accept: text/csv.
+apiRouter.post('/batch-pricing', express.text({ type: 'text/csv', limit: '500kb' }), (req, res) => {
+    try {
+        const isCsvUpload = typeof req.body === 'string';
+        const body = isCsvUpload ? {} : (req.body || {});
+        const profileId = body.profileId || req.query.profileId;
+        const asOf = body.asOf || req.query.asOf;
+
+        let jobs;
+        try {
+            if (isCsvUpload) {
+                jobs = parseCsv(req.body);
+            } else if (typeof body.csv === 'string') {
+                jobs = parseCsv(body.csv);
+            } else {
+                jobs = body.jobs;
+            }
+        } catch (parseError) {
+            return res.status(400).json({ error: `Invalid CSV: ${parseError.message}` });
+        }
+
+        if (!Array.isArray(jobs) || jobs.length === 0) {
+            return res.status(400).json({ error: 'Provide jobs as a non-empty JSON array or a CSV with a header row' });
+        }
+        if (jobs.length > MAX_BATCH_ROWS) {
+            return res.status(400).json({ error: `Batch too large: ${jobs.length} rows (maximum ${MAX_BATCH_ROWS})` });
+        }
+        if (asOf !== undefined && !normalizeEffectiveDate(asOf)) {
+            return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+        }
+
+        const profile = profileId ? contractorProfiles.getProfile(profileId) : null;
+        if (profileId && !profile) {
+            return res.status(404).json({ error: `Contractor profile not found: ${profileId}` });
+        }
+
+        const wantsCsv = req.query.format === 'csv' || (req.get('Accept') || '').includes('text/csv');
+        const batch = priceBatch(jobs, { profile, asOf, includeRequirements: !wantsCsv });
+
+        batch.results.forEach(({ input }) => analytics.track({ city: input.city, state: input.state, jobType: input.jobType }));
+        console.log(`📦 Batch priced: ${batch.summary.succeeded}/${batch.summary.total} rows`);
+
+        if (wantsCsv) {
+            res.type('text/csv');
+            res.attachment('batch-pricing.csv');
+            return res.send(batchToCsv(batch));
+        }
+
+        res.json({ success: true, ...batch });
+    } catch (error) {
+        console.error('❌ Batch pricing error:', error.message);
+        res.status(500).json({
+            error: 'Failed to price batch',
+            message: error.message
+        });
+    }
+});
+
+// Price sensitivity: fee, charge and margin across a projectValue sweep
+apiRouter.post('/price-sensitivity', (req, res) => {
+    try {
+        const { jobType, city, state, scope, quantities, profileId, asOf } = req.body;
+        const sweep = {
+            minValue: req.body.minValue,
+            maxValue: req.body.maxValue,
+            steps: req.body.steps
+        };
+
+        if (!isNonEmptyString(jobType) || !isNonEmptyString(city) || !isNonEmptyString(state)) {
+            return res.status(400).json({
+                error: 'Missing required fields: jobType, city, and state must be non-empty strings'
+            });
+        }
+
+        const sweepErrors = validateSweepOptions(sweep);
+        if (sweepErrors.length > 0) {
+            return res.status(400).json({ error: sweepErrors.join('; ') });
+        }
+        if (asOf !== undefined && !normalizeEffectiveDate(asOf)) {
+            return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+        }
+
+        const profile = profileId ? contractorProfiles.getProfile(profileId) : null;
+        if (profileId && !profile) {
+            return res.status(404).json({ error: `Contractor profile not found: ${profileId}` });
+        }
+
+        const sensitivity = calculatePriceSensitivity(`${city}, ${state}`, jobType, {
+            ...sweep,
+            scope,
+            quantities,
+            profile,
+            asOf
+        });
+
+        res.json({ success: true, ...sensitivity });
+    } catch (error) {
+        console.error('❌ Price sensitivity error:', error.message);
+        res.status(500).json({
+            error: 'Failed to calculate price sensitivity',
+            message: error.message
+        });
+    }
+});
+
+// Estimate project value from square footage (ICC building valuation data)
+apiRouter.post('/estimate-valuation', (req, res) => {
+    try {
+        const { city, state, jobType, scope, ...valuation } = req.body || {};
+
+        const errors = validateValuationInput(valuation);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+
+        const location = isNonEmptyString(city) && isNonEmptyString(state) ? `${city}, ${state}` : undefined;
+        res.json({
+            success: true,
+            valuation: estimateProjectValue({ ...valuation, jobType, scope, location })
+        });
+    } catch (error) {
+        console.error('❌ Valuation error:', error.message);
+        res.status(500).json({
+            error: 'Failed to estimate valuation',
+            message: error.message
+        });
+    }
+});
+
+// Contractor pricing profiles (changes need the admin API key)
+
+apiRouter.get('/profiles', (req, res) => {
+    try {
+        const profiles = contractorProfiles.listProfiles();
+        res.json({ success: true, profiles, count: profiles.length });
+    } catch (error) {
+        console.error('❌ Error listing profiles:', error.message);
+        res.status(500).json({ error: 'Failed to list contractor profiles', message: error.message });
+    }
+});
+
+apiRouter.get('/profiles/:id', (req, res) => {
+    try {
+        const profile = contractorProfiles.getProfile(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ error: `Contractor profile not found: ${req.params.id}` });
+        }
+        res.json({ success: true, profile });
+    } catch (error) {
+        console.error('❌ Error getting profile:', error.message);
+        res.status(500).json({ error: 'Failed to get contractor profile', message: error.message });
+    }
+});
+
+apiRouter.post('/profiles', adminAuth, (req, res) => {
+    try {
+        const errors = contractorProfiles.validateProfile(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid contractor profile', details: errors });
+        }
+        const profile = contractorProfiles.createProfile(req.body);
+        console.log(`👷 Created contractor profile: ${profile.name}`);
+        res.status(201).json({ success: true, profile });
+    } catch (error) {
+        console.error('❌ Error creating profile:', error.message);
+        res.status(500).json({ error: 'Failed to create contractor profile', message: error.message });
+    }
+});
+
+apiRouter.put('/profiles/:id', adminAuth, (req, res) => {
+    try {
+        const existing = contractorProfiles.getProfile(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: `Contractor profile not found: ${req.params.id}` });
+        }
+        const errors = contractorProfiles.validateProfile({ ...existing, ...req.body });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid contractor profile', details: errors });
+        }
+        const profile = contractorProfiles.updateProfile(req.params.id, req.body);
+        res.json({ success: true, profile });
+    } catch (error) {
+        console.error('❌ Error updating profile:', error.message);
+        res.status(500).json({ error: 'Failed to update contractor profile', message: error.message });
+    }
+});
+
+apiRouter.delete('/profiles/:id', adminAuth, (req, res) => {
+    try {
+        if (!contractorProfiles.deleteProfile(req.params.id)) {
+            return res.status(404).json({ error: `Contractor profile not found: ${req.params.id}` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Error deleting profile:', error.message);
+        res.status(500).json({ error: 'Failed to delete contractor profile', message: error.message });
+    }
+});
+
+// Saved quotes and actual-vs-estimated reconciliation (changes need the admin API key)
+
+apiRouter.get('/quotes', (req, res) => {
+    try {
+        const quotes = jobReconciliation.listQuotes({ profileId: req.query.profileId || undefined });
+        res.json({ success: true, quotes, count: quotes.length });
+    } catch (error) {
+        console.error('❌ Error listing quotes:', error.message);
+        res.status(500).json({ error: 'Failed to list quotes', message: error.message });
+    }
+});
+
+apiRouter.get('/quotes/:id', (req, res) => {
+    try {
+        const quote = jobReconciliation.getQuote(req.params.id);
+        if (!quote) {
+            return res.status(404).json({ error: `Quote not found: ${req.params.id}` });
+        }
+        res.json({ success: true, quote });
+    } catch (error) {
+        console.error('❌ Error getting quote:', error.message);
+        res.status(500).json({ error: 'Failed to get quote', message: error.message });
+    }
+});
+
+apiRouter.post('/quotes', adminAuth, (req, res) => {
+    try {
+        const errors = jobReconciliation.validateQuoteInput(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid quote', details: errors });
+        }
+        if (req.body.asOf !== undefined && !normalizeEffectiveDate(req.body.asOf)) {
+            return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+        }
+
+        const { profileId } = req.body;
+        const profile = profileId ? contractorProfiles.getProfile(profileId) : null;
+        if (profileId && !profile) {
+            return res.status(404).json({ error: `Contractor profile not found: ${profileId}` });
+        }
+
+        const quote = jobReconciliation.createQuote(req.body, profile);
+        console.log(`🧾 Saved quote: ${quote.jobType} in ${quote.jurisdiction}`);
+        res.status(201).json({ success: true, quote });
+    } catch (error) {
+        console.error('❌ Error saving quote:', error.message);
+        res.status(500).json({ error: 'Failed to save quote', message: error.message });
+    }
+});
+
+apiRouter.put('/quotes/:id/actuals', adminAuth, (req, res) => {
+    try {
+        if (!jobReconciliation.getQuote(req.params.id)) {
+            return res.status(404).json({ error: `Quote not found: ${req.params.id}` });
+        }
+        const errors = jobReconciliation.validateActuals(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid actuals', details: errors });
+        }
+        const quote = jobReconciliation.recordActuals(req.params.id, req.body);
+        res.json({ success: true, quote });
+    } catch (error) {
+        console.error('❌ Error recording actuals:', error.message);
+        res.status(500).json({ error: 'Failed to record actuals', message: error.message });
+    }
+});
+
+apiRouter.delete('/quotes/:id', adminAuth, (req, res) => {
+    try {
+        if (!jobReconciliation.deleteQuote(req.params.id)) {
+            return res.status(404).json({ error: `Quote not found: ${req.params.id}` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Error deleting quote:', error.message);
+        res.status(500).json({ error: 'Failed to delete quote', message: error.message });
+    }
+});
+
+// Estimation error by jurisdiction and trade
+apiRouter.get('/reconciliation/report', (req, res) => {
+    try {
+        const report = jobReconciliation.getReconciliationReport({ profileId: req.query.profileId || undefined });
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('❌ Error building reconciliation report:', error.message);
+        res.status(500).json({ error: 'Failed to build reconciliation report', message: error.message });
+    }
+});
+
+// Calibrated laborTimes for a profile from recorded actuals
+apiRouter.get('/reconciliation/labor-suggestions', (req, res) => {
+    try {
+        const { profileId } = req.query;
+        const profile = profileId ? contractorProfiles.getProfile(profileId) : null;
+        if (profileId && !profile) {
+            return res.status(404).json({ error: `Contractor profile not found: ${profileId}` });
+        }
+
+        const minJobs = req.query.minJobs !== undefined ? Number(req.query.minJobs) : undefined;
+        if (minJobs !== undefined && !(Number.isInteger(minJobs) && minJobs >= 1)) {
+            return res.status(400).json({ error: 'minJobs must be a positive whole number' });
+        }
+
+        res.json({ success: true, ...jobReconciliation.suggestLaborTimes(profile, { minJobs }) });
+    } catch (error) {
+        console.error('❌ Error suggesting labor times:', error.message);
+        res.status(500).json({ error: 'Failed to suggest labor times', message: error.message });
+    }
+});
+
 // Jurisdiction comparison endpoints
 
 // Get all supported jurisdictions
@@ -205,6 +655,122 @@ apiRouter.get('/jurisdictions', (req, res) => {
     }
 });
 
+// Fee schedule timeline for a jurisdiction (current + prior/announced versions)
+apiRouter.get('/jurisdictions/:location/fee-schedules', (req, res) => {
+    try {
+        const { permitFees, detectRegion } = require('./database-loader');
+        const { location } = req.params;
+        const resolvedLocation = detectRegion(location);
+
+        const versions = getFeeVersions(permitFees[resolvedLocation]).map(version => ({
+            effectiveDate: version.effectiveDate,
+            isCurrent: version.isCurrent,
+            source: version.source,
+            notes: version.notes || null,
+            changedFields: Object.keys(version.overrides)
+        }));
+
+        res.json({
+            success: true,
+            location,
+            resolvedLocation,
+            versions,
+            count: versions.length
+        });
+    } catch (error) {
+        console.error('❌ Error getting fee schedules:', error.message);
+        res.status(500).json({
+            error: 'Failed to retrieve fee schedules',
+            message: error.message
+        });
+    }
+});
+
+// Where a jurisdiction sits in the state → county → city hierarchy and which authority supplies its data
+apiRouter.get('/jurisdictions/:location/hierarchy', (req, res) => {
+    try {
+        const { permitFees, detectRegion } = require('./database-loader');
+        const { permitPaperwork } = require('./permit-paperwork-database');
+        const { location } = req.params;
+
+        const hierarchy = describeJurisdiction(location, {
+            fees: key => Boolean(permitFees[key]),
+            forms: key => Boolean(permitPaperwork[key])
+        });
+
+        res.json({
+            success: true,
+            ...hierarchy,
+            resolvedLocation: detectRegion(location),
+            tips: getInheritedTips(location)
+        });
+    } catch (error) {
+        console.error('❌ Error getting jurisdiction hierarchy:', error.message);
+        res.status(500).json({
+            error: 'Failed to retrieve jurisdiction hierarchy',
+            message: error.message
+        });
+    }
+});
+
+// Resolve a ZIP code (optionally with the work order city) to the permitting jurisdiction
+apiRouter.get('/zip/:zip', (req, res) => {
+    try {
+        const { detectRegion } = require('./database-loader');
+        const { zip } = req.params;
+
+        if (!normalizeZip(zip)) {
+            return res.status(400).json({ error: 'zip must be a 5-digit ZIP code (ZIP+4 accepted)' });
+        }
+
+        const resolution = resolveZip(zip, req.query.city);
+        if (!resolution) {
+            return res.status(404).json({ error: `ZIP code not found: ${zip}` });
+        }
+
+        res.json({
+            success: true,
+            ...resolution,
+            resolvedLocation: resolution.jurisdiction ? detectRegion(resolution.jurisdiction) : null,
+            candidates: resolution.candidates.map(candidate => ({
+                ...candidate,
+                resolvedLocation: detectRegion(candidate.jurisdiction)
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Error resolving ZIP code:', error.message);
+        res.status(500).json({
+            error: 'Failed to resolve ZIP code',
+            message: error.message
+        });
+    }
+});
+
+// Which jurisdiction boundaries contain a job site
+apiRouter.get('/jurisdictions/locate', (req, res) => {
+    try {
+        const coordinates = {
+            latitude: req.query.latitude === undefined ? undefined : Number(req.query.latitude),
+            longitude: req.query.longitude === undefined ? undefined : Number(req.query.longitude)
+        };
+        const errors = validateCoordinates(coordinates);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid coordinates', details: errors });
+        }
+
+        res.json({
+            success: true,
+            ...resolvePoint(coordinates)
+        });
+    } catch (error) {
+        console.error('❌ Error locating jurisdiction:', error.message);
+        res.status(500).json({
+            error: 'Failed to locate jurisdiction',
+            message: error.message
+        });
+    }
+});
+
 // Get only verified cities (for limiting user selection)
 apiRouter.get('/verified-cities', (req, res) => {
     try {
@@ -262,25 +828,53 @@ apiRouter.get('/jurisdictions/nearby/:location', (req, res) => {
 // Compare multiple jurisdictions
 apiRouter.post('/compare-jurisdictions', (req, res) => {
     try {
-        const { jurisdictions, jobType } = req.body;
+        const { jurisdictions: entries, jobType, profileId, asOf } = req.body;
+        const isZipEntry = item => item !== null && typeof item === 'object' && !Array.isArray(item) && item.zip !== undefined;
 
         // Validate inputs
-        if (!isStringArray(jurisdictions)) {
+        if (!(Array.isArray(entries) && entries.length > 0 && entries.length <= 20 &&
+            entries.every(item => isNonEmptyString(item) || isZipEntry(item)))) {
             return res.status(400).json({
-                error: 'jurisdictions must be a non-empty array of strings (max 20)'
+                error: 'jurisdictions must be a non-empty array (max 20) of locations, ZIP codes or { zip, city } objects'
             });
         }
 
+        // ZIP codes ("33101" or { zip, city }) resolve to their permitting jurisdiction
+        const jurisdictions = [];
+        const zipResolutions = [];
+        for (const item of entries) {
+            const zipInput = isZipEntry(item) ? item : (normalizeZip(item) ? { zip: item } : null);
+            if (!zipInput) {
+                jurisdictions.push(item);
+                continue;
+            }
+            const { resolution, error } = resolveZipInput(zipInput.zip, zipInput.city);
+            if (error) {
+                return res.status(400).json(error);
+            }
+            zipResolutions.push(resolution);
+            jurisdictions.push(resolution.jurisdiction);
+        }
+
         if (!isNonEmptyString(jobType)) {
             return res.status(400).json({
                 error: 'Missing required field: jobType'
             });
         }
 
+        if (asOf !== undefined && !normalizeEffectiveDate(asOf)) {
+            return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+        }
+
+        const profile = profileId ? contractorProfiles.getProfile(profileId) : null;
+        if (profileId && !profile) {
+            return res.status(404).json({ error: `Contractor profile not found: ${profileId}` });
+        }
+
         console.log(`\n⚖️  Comparing ${jurisdictions.length} jurisdictions for ${jobType}`);
         console.log(`   Jurisdictions: ${jurisdictions.join(', ')}`);
 
-        const comparison = compareJurisdictions(jurisdictions, jobType);
+        const comparison = compareJurisdictions(jurisdictions, jobType, { profile, asOf });
         const differences = identifyKeyDifferences(comparison.comparisons);
 
         console.log(`✅ Comparison complete`);
@@ -295,6 +889,7 @@ apiRouter.post('/compare-jurisdictions', (req, res) => {
             metadata: {
                 jobType,
                 jurisdictionCount: jurisdictions.length,
+                ...(zipResolutions.length > 0 && { zipResolutions }),
                 timestamp: new Date().toISOString()
             }
         });
@@ -680,6 +1275,16 @@ apiRouter.get('/admin/scraper-health', (req, res) => {
     }
 });
 
+// Active version of the merged fee data (rebuilt after scrapes, store writes and history file edits)
+apiRouter.get('/admin/data-version', (req, res) => {
+    try {
+        res.json({ success: true, version: getDataVersion(), lastChange: dataEvents.getLastChange() });
+    } catch (error) {
+        console.error('Error getting data version:', error.message);
+        res.status(500).json({ error: 'Failed to get data version', message: error.message });
+    }
+});
+
 // Get scraper run history
 apiRouter.get('/admin/scraper-runs', (req, res) => {
     try {
@@ -801,6 +1406,402 @@ apiRouter.get('/admin/analytics', (req, res) => {
     }
 });
 
+// Competitive market model (expediter rates, competitor bids, labor index)
+apiRouter.get('/admin/market-model', (req, res) => {
+    try {
+        res.json({ success: true, defaults: marketDefaults, overrides: marketModel.getMarketOverrides() });
+    } catch (error) {
+        console.error('Error getting market model:', error.message);
+        res.status(500).json({ error: 'Failed to get market model', message: error.message });
+    }
+});
+
+apiRouter.get('/admin/market-model/resolve', (req, res) => {
+    try {
+        const { city, state, jobType } = req.query;
+        if (!isNonEmptyString(city) || !isNonEmptyString(state) || !isNonEmptyString(jobType)) {
+            return res.status(400).json({ error: 'Missing required query parameters: city, state, and jobType' });
+        }
+        const model = marketModel.resolveMarketModel(`${city.trim()}, ${state.trim()}`, normalizeJobType(jobType));
+        res.json({ success: true, model });
+    } catch (error) {
+        console.error('Error resolving market model:', error.message);
+        res.status(500).json({ error: 'Failed to resolve market model', message: error.message });
+    }
+});
+
+apiRouter.put('/admin/market-model/:jurisdiction', (req, res) => {
+    try {
+        const errors = marketModel.validateMarketOverride(req.params.jurisdiction, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid market model', details: errors });
+        }
+        const entry = marketModel.setMarketOverride(req.params.jurisdiction, req.body);
+        console.log(`📈 Updated market model: ${req.params.jurisdiction}`);
+        res.json({ success: true, jurisdiction: req.params.jurisdiction, entry });
+    } catch (error) {
+        console.error('Error updating market model:', error.message);
+        res.status(500).json({ error: 'Failed to update market model', message: error.message });
+    }
+});
+
+apiRouter.delete('/admin/market-model/:jurisdiction', (req, res) => {
+    try {
+        if (!marketModel.deleteMarketOverride(req.params.jurisdiction)) {
+            return res.status(404).json({ error: `No market model override for: ${req.params.jurisdiction}` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting market model:', error.message);
+        res.status(500).json({ error: 'Failed to delete market model', message: error.message });
+    }
+});
+
+// Versioned fee store (fees, data quality, surcharges, labor, markup, market model)
+apiRouter.get('/admin/fee-store', (req, res) => {
+    try {
+        res.json({ success: true, ...feeStore.getStoreInfo() });
+    } catch (error) {
+        console.error('Error getting fee store info:', error.message);
+        res.status(500).json({ error: 'Failed to get fee store info', message: error.message });
+    }
+});
+
+apiRouter.get('/admin/fee-store/:collection', (req, res) => {
+    try {
+        const { collection } = req.params;
+        if (!feeStore.COLLECTIONS.includes(collection)) {
+            return res.status(404).json({ error: `Collection not found: ${collection}` });
+        }
+        const records = feeStore.listRecords(collection);
+        res.json({ success: true, collection, records, count: records.length });
+    } catch (error) {
+        console.error('Error listing fee store records:', error.message);
+        res.status(500).json({ error: 'Failed to list fee store records', message: error.message });
+    }
+});
+
+apiRouter.get('/admin/fee-store/:collection/:key', (req, res) => {
+    try {
+        const { collection, key } = req.params;
+        if (!feeStore.COLLECTIONS.includes(collection)) {
+            return res.status(404).json({ error: `Collection not found: ${collection}` });
+        }
+        const record = feeStore.getRecord(collection, key);
+        if (!record) {
+            return res.status(404).json({ error: `Record not found: ${key}` });
+        }
+        res.json({ success: true, collection, record });
+    } catch (error) {
+        console.error('Error getting fee store record:', error.message);
+        res.status(500).json({ error: 'Failed to get fee store record', message: error.message });
+    }
+});
+
+// Edits and retirements are saved as drafts; a second admin approves them (below)
+apiRouter.put('/admin/fee-store/:collection/:key', requireAdminIdentity, (req, res) => {
+    try {
+        const { collection, key } = req.params;
+        const { data, reason, expectedVersion } = req.body || {};
+        if (!feeStore.COLLECTIONS.includes(collection)) {
+            return res.status(404).json({ error: `Collection not found: ${collection}` });
+        }
+        const current = feeStore.getRecord(collection, key);
+        if (expectedVersion !== undefined && expectedVersion !== (current ? current.version : 0)) {
+            return res.status(409).json({
+                error: `Record ${key} has changed (expected version ${expectedVersion}, found ${current ? current.version : 0})`,
+                record: current
+            });
+        }
+        const input = { collection, key, action: 'put', data, reason, expectedVersion };
+        const errors = feeDrafts.validateDraft(input);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid fee store draft', details: errors });
+        }
+        const draft = feeDrafts.createDraft(input, req.adminUser);
+        console.log(`📝 Draft ${draft.id}: ${collection}/${key} by ${draft.createdBy}, awaiting approval`);
+        res.status(202).json({ success: true, draft });
+    } catch (error) {
+        console.error('Error saving fee store draft:', error.message);
+        res.status(500).json({ error: 'Failed to save fee store draft', message: error.message });
+    }
+});
+
+apiRouter.delete('/admin/fee-store/:collection/:key', requireAdminIdentity, (req, res) => {
+    try {
+        const { collection, key } = req.params;
+        if (!feeStore.COLLECTIONS.includes(collection)) {
+            return res.status(404).json({ error: `Collection not found: ${collection}` });
+        }
+        if (!feeStore.getCollection(collection)[key]) {
+            return res.status(404).json({ error: `Record not found: ${key}` });
+        }
+        const input = { collection, key, action: 'retire', reason: req.body && req.body.reason };
+        const errors = feeDrafts.validateDraft(input);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid fee store draft', details: errors });
+        }
+        const draft = feeDrafts.createDraft(input, req.adminUser);
+        console.log(`📝 Draft ${draft.id}: retire ${collection}/${key} by ${draft.createdBy}, awaiting approval`);
+        res.status(202).json({ success: true, draft });
+    } catch (error) {
+        console.error('Error saving fee store draft:', error.message);
+        res.status(500).json({ error: 'Failed to save fee store draft', message: error.message });
+    }
+});
+
+// Fee store drafts: review, revise, approve (publish) or reject
+const APPROVAL_PROBLEM_STATUS = { closed: 409, unverified: 403, author: 403, stale: 409, invalid: 400 };
+
+apiRouter.get('/admin/fee-drafts', (req, res) => {
+    try {
+        const { status, collection, key } = req.query;
+        if (status !== undefined && !feeDrafts.DRAFT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${feeDrafts.DRAFT_STATUSES.join(', ')}` });
+        }
+        const drafts = feeDrafts.listDrafts({ status, collection, key });
+        res.json({ success: true, drafts, count: drafts.length });
+    } catch (error) {
+        console.error('Error listing fee store drafts:', error.message);
+        res.status(500).json({ error: 'Failed to list fee store drafts', message: error.message });
+    }
+});
+
+apiRouter.get('/admin/fee-drafts/:id', (req, res) => {
+    try {
+        const draft = feeDrafts.getDraft(req.params.id);
+        if (!draft) {
+            return res.status(404).json({ error: `Draft not found: ${req.params.id}` });
+        }
+        const pending = draft.status === 'pending';
+        res.json({
+            success: true,
+            draft,
+            changes: pending ? feeDrafts.diffDraft(draft) : null,
+            stale: pending ? feeDrafts.isStale(draft) : null
+        });
+    } catch (error) {
+        console.error('Error getting fee store draft:', error.message);
+        res.status(500).json({ error: 'Failed to get fee store draft', message: error.message });
+    }
+});
+
+apiRouter.put('/admin/fee-drafts/:id', requireAdminIdentity, (req, res) => {
+    try {
+        const draft = feeDrafts.getDraft(req.params.id);
+        if (!draft) {
+            return res.status(404).json({ error: `Draft not found: ${req.params.id}` });
+        }
+        if (draft.status !== 'pending') {
+            return res.status(409).json({ error: `Draft is ${draft.status}, not pending` });
+        }
+        if (draft.createdBy !== req.adminUser) {
+            return res.status(403).json({ error: `Only the draft's author (${draft.createdBy}) can revise it` });
+        }
+        const { data, reason } = req.body || {};
+        const errors = feeDrafts.validateDraft({
+            ...draft,
+            data: data !== undefined ? data : draft.data,
+            reason: reason !== undefined ? reason : draft.reason
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid fee store draft', details: errors });
+        }
+        res.json({ success: true, draft: feeDrafts.updateDraft(draft.id, { data, reason }) });
+    } catch (error) {
+        console.error('Error updating fee store draft:', error.message);
+        res.status(500).json({ error: 'Failed to update fee store draft', message: error.message });
+    }
+});
+
+apiRouter.post('/admin/fee-drafts/:id/approve', requireAdminIdentity, (req, res) => {
+    try {
+        const draft = feeDrafts.getDraft(req.params.id);
+        if (!draft) {
+            return res.status(404).json({ error: `Draft not found: ${req.params.id}` });
+        }
+        const problem = feeDrafts.getApprovalProblem(draft, req.adminUser, { verified: req.adminUserVerified });
+        if (problem) {
+            const { problem: kind, ...body } = problem;
+            return res.status(APPROVAL_PROBLEM_STATUS[kind]).json(body);
+        }
+        const { record } = feeDrafts.approveDraft(draft.id, req.adminUser, req.body && req.body.note);
+        console.log(`🗄️  Published ${draft.collection}/${draft.key} v${record.version} (by ${draft.createdBy}, approved by ${req.adminUser})`);
+        res.json({ success: true, draft, record });
+    } catch (error) {
+        console.error('Error approving fee store draft:', error.message);
+        res.status(500).json({ error: 'Failed to approve fee store draft', message: error.message });
+    }
+});
+
+apiRouter.post('/admin/fee-drafts/:id/reject', requireAdminIdentity, (req, res) => {
+    try {
+        const draft = feeDrafts.getDraft(req.params.id);
+        if (!draft) {
+            return res.status(404).json({ error: `Draft not found: ${req.params.id}` });
+        }
+        if (draft.status !== 'pending') {
+            return res.status(409).json({ error: `Draft is ${draft.status}, not pending` });
+        }
+        const rejected = feeDrafts.rejectDraft(draft.id, req.adminUser, req.body && req.body.note);
+        // A rejected scraped value goes back to the scrape quarantine queue
+        const quarantineEntry = scrapeQuarantine.reopenForDraft(draft.id);
+        res.json({ success: true, draft: rejected, ...(quarantineEntry && { quarantineEntry }) });
+    } catch (error) {
+        console.error('Error rejecting fee store draft:', error.message);
+        res.status(500).json({ error: 'Failed to reject fee store draft', message: error.message });
+    }
+});
+
+// Per-field citations back to the fee schedule documents
+apiRouter.get('/admin/fee-citations', (req, res) => {
+    try {
+        const jurisdictions = getCitationCoverage();
+        res.json({ success: true, jurisdictions, count: jurisdictions.length });
+    } catch (error) {
+        console.error('Error getting fee citation coverage:', error.message);
+        res.status(500).json({ error: 'Failed to get fee citation coverage', message: error.message });
+    }
+});
+
+apiRouter.get('/admin/fee-citations/:jurisdiction', (req, res) => {
+    try {
+        const { jurisdiction } = req.params;
+        const fields = listFeeCitations(jurisdiction);
+        if (!fields) {
+            return res.status(404).json({ error: `Jurisdiction not found: ${jurisdiction}` });
+        }
+        res.json({ success: true, jurisdiction, fields });
+    } catch (error) {
+        console.error('Error listing fee citations:', error.message);
+        res.status(500).json({ error: 'Failed to list fee citations', message: error.message });
+    }
+});
+
+// Scrape quarantine: scraped values rejected by the deviation check, accepted
+// as a fee store draft or dismissed by an admin
+const ACCEPT_PROBLEM_STATUS = { closed: 409, missing: 409, invalid: 400 };
+
+apiRouter.get('/admin/scrape-quarantine', (req, res) => {
+    try {
+        const { status, jurisdiction } = req.query;
+        if (status !== undefined && !scrapeQuarantine.QUARANTINE_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${scrapeQuarantine.QUARANTINE_STATUSES.join(', ')}` });
+        }
+        const entries = scrapeQuarantine.listEntries({ status, jurisdiction });
+        res.json({ success: true, entries, count: entries.length });
+    } catch (error) {
+        console.error('Error listing scrape quarantine:', error.message);
+        res.status(500).json({ error: 'Failed to list scrape quarantine', message: error.message });
+    }
+});
+
+apiRouter.post('/admin/scrape-quarantine/:id/accept', requireAdminIdentity, (req, res) => {
+    try {
+        const entry = scrapeQuarantine.getEntry(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: `Quarantined value not found: ${req.params.id}` });
+        }
+        const problem = scrapeQuarantine.getAcceptProblem(entry);
+        if (problem) {
+            const { problem: kind, ...body } = problem;
+            return res.status(ACCEPT_PROBLEM_STATUS[kind]).json(body);
+        }
+        const { draft } = scrapeQuarantine.acceptEntry(entry.id, req.adminUser, req.body && req.body.note);
+        console.log(`📝 Draft ${draft.id}: scraped ${entry.jurisdiction} ${entry.trade}.${entry.field} = ${entry.scrapedValue} by ${req.adminUser}, awaiting approval`);
+        res.status(202).json({ success: true, entry, draft });
+    } catch (error) {
+        console.error('Error accepting quarantined value:', error.message);
+        res.status(500).json({ error: 'Failed to accept quarantined value', message: error.message });
+    }
+});
+
+apiRouter.post('/admin/scrape-quarantine/:id/dismiss', requireAdminIdentity, (req, res) => {
+    try {
+        const entry = scrapeQuarantine.getEntry(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: `Quarantined value not found: ${req.params.id}` });
+        }
+        if (entry.status !== 'pending') {
+            return res.status(409).json({ error: `Quarantined value is ${entry.status}, not pending` });
+        }
+        res.json({ success: true, entry: scrapeQuarantine.dismissEntry(entry.id, req.adminUser, req.body && req.body.note) });
+    } catch (error) {
+        console.error('Error dismissing quarantined value:', error.message);
+        res.status(500).json({ error: 'Failed to dismiss quarantined value', message: error.message });
+    }
+});
+
+// Fee spreadsheets: import a CSV/XLSX upload (text/csv, XLSX or JSON { csv, reason })
+// as fee store drafts, ?dryRun=true to preview; export the merged fee data
+apiRouter.post('/admin/fee-import',
+    requireAdminIdentity,
+    express.text({ type: 'text/csv', limit: '1mb' }),
+    express.raw({ type: feeSpreadsheet.XLSX_TYPE, limit: '5mb' }),
+    async (req, res) => {
+        try {
+            const isXlsx = Buffer.isBuffer(req.body);
+            const isCsvUpload = typeof req.body === 'string';
+            const body = isXlsx || isCsvUpload ? {} : (req.body || {});
+            const dryRun = req.query.dryRun === 'true';
+            const reason = body.reason || req.query.reason || 'Fee spreadsheet import';
+
+            const content = isXlsx || isCsvUpload ? req.body : body.csv;
+            if (!content || (typeof content !== 'string' && !isXlsx)) {
+                return res.status(400).json({ error: 'Upload a CSV (text/csv or JSON { csv }) or an XLSX workbook' });
+            }
+
+            let parsed;
+            try {
+                parsed = await feeSpreadsheet.parseSpreadsheet(content, isXlsx ? 'xlsx' : 'csv');
+            } catch (parseError) {
+                return res.status(400).json({ error: `Invalid spreadsheet: ${parseError.message}` });
+            }
+            const { rows, unknownColumns } = parsed;
+            if (rows.length === 0) {
+                return res.status(400).json({ error: 'Spreadsheet has no rows below its header' });
+            }
+            if (rows.length > feeSpreadsheet.MAX_IMPORT_ROWS) {
+                return res.status(400).json({ error: `Spreadsheet too large: ${rows.length} rows (maximum ${feeSpreadsheet.MAX_IMPORT_ROWS})` });
+            }
+
+            const result = feeSpreadsheet.importFees(rows, { author: req.adminUser, reason, dryRun });
+            const response = { ...result, unknownColumns, columns: feeSpreadsheet.COLUMNS };
+            if (result.errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid fee spreadsheet', ...response });
+            }
+            if (dryRun) {
+                return res.json({ success: true, ...response });
+            }
+            console.log(`📥 Fee import: ${result.drafts.length} drafts from ${rows.length} rows by ${req.adminUser}, awaiting approval`);
+            res.status(202).json({ success: true, ...response });
+        } catch (error) {
+            console.error('Error importing fee spreadsheet:', error.message);
+            res.status(500).json({ error: 'Failed to import fee spreadsheet', message: error.message });
+        }
+    }
+);
+
+apiRouter.get('/admin/fee-export', async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({ error: 'format must be one of: csv, xlsx' });
+        }
+        if (format === 'xlsx') {
+            res.type(feeSpreadsheet.XLSX_TYPE);
+            res.attachment('permit-fees.xlsx');
+            return res.send(await feeSpreadsheet.exportXlsx());
+        }
+        res.type('text/csv');
+        res.attachment('permit-fees.csv');
+        res.send(feeSpreadsheet.exportCsv());
+    } catch (error) {
+        console.error('Error exporting fee spreadsheet:', error.message);
+        res.status(500).json({ error: 'Failed to export fee spreadsheet', message: error.message });
+    }
+});
+
 // ===================================================================
 // MOUNT API ROUTER at /api and /api/v1 (backwards compatible)
 // ===================================================================
@@ -816,6 +1817,16 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Bring the fee store schema up to date before serving requests
+feeStore.runMigrations().forEach(id => console.log(`🗄️  Applied fee store migration ${id}`));
+
+// Scrape history written by another process (e.g. the scraper CLI) is a data change too
+try {
+    dataEvents.watchFile(feeDataLoader.historyFile, 'history-file');
+} catch (error) {
+    console.warn(`⚠️  Not watching ${feeDataLoader.historyFile}: ${error.message}`);
+}
+
 app.listen(PORT, () => {
     console.log(`\n🚀 Permit Assistant API running on port ${PORT}`);
     console.log(`📍 Health check: http://localhost:${PORT}/health`);
@@ -0,0 +1,147 @@
+/**
+ * Permit Surcharges
+ * State-mandated and local surcharges that building departments add to
+ * the permit fee on the invoice (e.g. California SMIP, Florida DBPR/DCA
+ * funds, city technology and systems development surcharges).
+ *
+ * A surcharge definition:
+ *   { name, type, rate | amount, per, minFee, maxFee, categories, source, notes }
+ *
+ *   percentOfFee       - rate × (permit fee + plan review fee)
+ *   percentOfValuation - rate × project value
+ *   perValuation       - amount for every `per` dollars of valuation (or part thereof)
+ *   flat               - fixed amount
+ *
+ * `categories` limits a surcharge to fee categories (e.g. ['electrical'] for a
+ * state electrical board fee); omit it to apply to every permit. A 'general'
+ * surcharge also covers roofing, pool, fence and demolition permits.
+ */
+
+const { stateSurcharges } = require('./database-loader');
+const { getOverlayDistricts } = require('./jurisdictions');
+const { coversCategory } = require('./fee-store-schema');
+
+const SURCHARGE_TYPES = ['percentOfFee', 'percentOfValuation', 'perValuation', 'flat'];
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function formatPercent(rate) {
+    return `${Number((rate * 100).toFixed(4))}%`;
+}
+
+/**
+ * Two-letter state code from a "City, ST" location
+ */
+function getStateCode(location) {
+    const match = String(location || '').match(/,\s*([A-Za-z]{2})\s*$/);
+    return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Validate a surcharge definition. Returns a list of problems (empty when valid).
+ */
+function validateSurcharge(def) {
+    if (!def || typeof def !== 'object') {
+        return ['surcharge must be an object'];
+    }
+
+    const errors = [];
+    const isPositive = (value) => typeof value === 'number' && value > 0;
+
+    if (typeof def.name !== 'string' || def.name.trim().length === 0) {
+        errors.push('name is required');
+    }
+    if (!SURCHARGE_TYPES.includes(def.type)) {
+        errors.push(`type must be one of: ${SURCHARGE_TYPES.join(', ')}`);
+    } else if (def.type === 'percentOfFee' || def.type === 'percentOfValuation') {
+        if (!isPositive(def.rate) || def.rate >= 1) errors.push('rate must be a fraction between 0 and 1');
+    } else {
+        if (!isPositive(def.amount)) errors.push('amount must be a positive number');
+        if (def.type === 'perValuation' && !isPositive(def.per)) errors.push('per must be a positive number');
+    }
+    if (def.categories !== undefined && !Array.isArray(def.categories)) {
+        errors.push('categories must be an array of fee categories');
+    }
+    return errors;
+}
+
+/**
+ * State, local and overlay district surcharge definitions that apply in a
+ * jurisdiction
+ */
+function getSurchargeDefinitions(location, jurisdictionData) {
+    const state = getStateCode(location);
+    return [
+        ...((state && stateSurcharges[state]) || []).map(def => ({ ...def, level: 'state' })),
+        ...((jurisdictionData && jurisdictionData.surcharges) || []).map(def => ({ ...def, level: 'local' })),
+        ...getOverlayDistricts(location).flatMap(district =>
+            (district.surcharges || []).map(def => ({ ...def, level: 'district', district: district.key })))
+    ];
+}
+
+function calculateAmount(def, { permitFee, planReviewFee, projectValue }) {
+    switch (def.type) {
+        case 'percentOfFee':
+            return {
+                amount: (permitFee + planReviewFee) * def.rate,
+                basis: `${formatPercent(def.rate)} of permit${planReviewFee > 0 ? ' and plan review' : ''} fees`
+            };
+        case 'percentOfValuation':
+            return { amount: projectValue * def.rate, basis: `${formatPercent(def.rate)} of valuation` };
+        case 'perValuation':
+            return {
+                amount: Math.ceil(projectValue / def.per) * def.amount,
+                basis: `$${def.amount} per $${def.per.toLocaleString()} of valuation`
+            };
+        default:
+            return { amount: def.amount, basis: 'Flat fee' };
+    }
+}
+
+/**
+ * Itemize surcharges for a permit
+ *
+ * @param {Object[]} definitions - from getSurchargeDefinitions()
+ * @param {Object} context
+ * @param {string} context.feeCategory - permit fee category (electrical, general, ...)
+ * @param {number} context.permitFee - base permit fee
+ * @param {number} [context.planReviewFee=0] - plan review fee
+ * @param {number} context.projectValue - project valuation
+ * @returns {{ items: Object[], total: number }}
+ */
+function calculateSurcharges(definitions, { feeCategory, permitFee, planReviewFee = 0, projectValue }) {
+    const items = definitions
+        .filter(def => !def.categories || coversCategory(def.categories, feeCategory))
+        .map(def => {
+            const { amount, basis } = calculateAmount(def, { permitFee, planReviewFee, projectValue });
+            let fee = amount;
+            if (def.minFee != null) fee = Math.max(fee, def.minFee);
+            if (def.maxFee != null) fee = Math.min(fee, def.maxFee);
+
+            return {
+                name: def.name,
+                level: def.level,
+                ...(def.district && { district: def.district }),
+                type: def.type,
+                basis,
+                amount: roundCents(fee),
+                source: def.source || null,
+                notes: def.notes || ''
+            };
+        });
+
+    return {
+        items,
+        total: roundCents(items.reduce((sum, item) => sum + item.amount, 0))
+    };
+}
+
+module.exports = {
+    SURCHARGE_TYPES,
+    getStateCode,
+    validateSurcharge,
+    getSurchargeDefinitions,
+    calculateSurcharges
+};
@@ -19,7 +19,8 @@
  *         application/json:
  *           schema:
  *             type: object
- *             required: [jobType, city, state]
+ *             required: [jobType]
+ *             description: Give city and state, or a zip (with the work order city when the ZIP spans several jurisdictions)
  *             properties:
  *               jobType:
  *                 type: string
@@ -30,6 +31,10 @@
  *               state:
  *                 type: string
  *                 example: CA
+ *               zip:
+ *                 type: string
+ *                 description: ZIP code (or ZIP+4) resolved to the permitting jurisdiction; the resolution is returned in metadata.zipResolution
+ *                 example: '90012'
  *               projectType:
  *                 type: string
  *                 enum: [Residential, Commercial, Industrial]
@@ -42,11 +47,252 @@
  *               projectValue:
  *                 type: number
  *                 default: 5000
+ *               quantities:
+ *                 type: object
+ *                 description: Job quantities used by rule-based fee schedules (per-circuit, tiered, hourly)
+ *                 properties:
+ *                   circuits:
+ *                     type: number
+ *                   fixtures:
+ *                     type: number
+ *                   outlets:
+ *                     type: number
+ *                   tonnage:
+ *                     type: number
+ *                   hours:
+ *                     type: number
+ *                   squares:
+ *                     type: number
+ *                     description: Roofing squares (100 sq ft each)
+ *                   linearFeet:
+ *                     type: number
+ *                     description: Fence length
+ *                   kilowatts:
+ *                     type: number
+ *                     description: Solar system size
+ *                   kilowattHours:
+ *                     type: number
+ *                     description: Battery storage capacity
+ *                 example: { circuits: 8 }
+ *               pricingMode:
+ *                 type: string
+ *                 enum: [trade, project]
+ *                 default: trade
+ *                 description: "project also prices every related trade permit (e.g. Remodeling: building, electrical, plumbing, HVAC) and returns projectPricing"
+ *               tradeValues:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                   minimum: 0
+ *                 description: Per-trade project value overrides for project pricing mode
+ *                 example: { Electrical: 6000, Plumbing: 4000 }
+ *               profileId:
+ *                 type: string
+ *                 description: Contractor profile whose rates, markup and labor hours replace the defaults
+ *               asOf:
+ *                 type: string
+ *                 format: date
+ *                 description: Price with the fee schedule in effect on this date (defaults to today)
+ *                 example: '2025-09-15'
+ *               valuation:
+ *                 $ref: '#/components/schemas/ValuationInput'
+ *                 description: Derive projectValue from square footage when projectValue is not given
+ *               coordinates:
+ *                 type: object
+ *                 description: Job site location. Inside mapped city limits it prices that city instead of the entered city/state; the match, with an advisory conflict flag when the site is outside the entered location, is returned in metadata.boundary and pricing.boundary
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *                 example: { latitude: 37.7793, longitude: -122.4193 }
+ *               trace:
+ *                 type: boolean
+ *                 description: Include pricing.trace listing each input's provenance (source file, scrape timestamp, PDF hash, deviation check) and the formula at each step
  *     responses:
  *       200:
  *         description: Pricing, requirements, templates, and inspections
  *       400:
- *         description: Missing required fields
+ *         description: Missing required fields, invalid coordinates, pricingMode or tradeValues, or a zip that is unknown or spans several jurisdictions (candidates listed)
+ *       404:
+ *         description: Contractor profile not found
+ */
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ValuationInput:
+ *       type: object
+ *       required: [squareFeet]
+ *       properties:
+ *         squareFeet:
+ *           type: number
+ *           example: 400
+ *         occupancy:
+ *           type: string
+ *           enum: [A-2, B, M, R-1, R-2, R-3, S-1, U]
+ *           default: R-3
+ *         constructionType:
+ *           type: string
+ *           enum: [IA, IB, IIA, IIB, IIIA, IIIB, IV, VA, VB]
+ *           default: VB
+ */
+
+/**
+ * @openapi
+ * /api/estimate-valuation:
+ *   post:
+ *     tags: [Permits]
+ *     summary: Estimate project value from square footage
+ *     description: Applies ICC Building Valuation Data cost per square foot for the occupancy group and construction type, scaled by scope, trade share and the jurisdiction's local cost multiplier.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ValuationInput'
+ *               - type: object
+ *                 properties:
+ *                   city:
+ *                     type: string
+ *                     example: Los Angeles
+ *                   state:
+ *                     type: string
+ *                     example: CA
+ *                   jobType:
+ *                     type: string
+ *                     example: Electrical
+ *                   scope:
+ *                     type: string
+ *                     enum: [New Installation, Repair/Service, Replacement, Renovation, Addition]
+ *     responses:
+ *       200:
+ *         description: Estimated project value with the calculation basis
+ *       400:
+ *         description: Invalid square footage, occupancy or construction type
+ */
+
+/**
+ * @openapi
+ * /api/batch-pricing:
+ *   post:
+ *     tags: [Permits]
+ *     summary: Price many jobs at once
+ *     description: Runs the check-requirements pricing pipeline for each job (up to 200). Accepts a JSON array of jobs, a CSV string, or a raw text/csv upload with a header row. Invalid rows are returned in failures without stopping the batch. Returns CSV of charges, fees and data-quality flags when format=csv or Accept is text/csv.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *       - in: query
+ *         name: profileId
+ *         schema:
+ *           type: string
+ *         description: Contractor profile (for text/csv uploads)
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fee schedule date (for text/csv uploads)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               jobs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [jobType, city, state]
+ *                   properties:
+ *                     jobType:
+ *                       type: string
+ *                     city:
+ *                       type: string
+ *                     state:
+ *                       type: string
+ *                     scope:
+ *                       type: string
+ *                     projectValue:
+ *                       type: number
+ *                 example: [{ jobType: Electrical, city: Houston, state: TX, scope: Repair/Service, projectValue: 3000 }]
+ *               csv:
+ *                 type: string
+ *                 example: "jobType,city,state,scope,projectValue\nElectrical,Houston,TX,Repair/Service,3000"
+ *               profileId:
+ *                 type: string
+ *               asOf:
+ *                 type: string
+ *                 format: date
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Per-row results, failures and a batch summary (or a CSV download)
+ *       400:
+ *         description: No jobs, invalid CSV, batch too large or invalid asOf
+ *       404:
+ *         description: Contractor profile not found
+ */
+
+/**
+ * @openapi
+ * /api/price-sensitivity:
+ *   post:
+ *     tags: [Permits]
+ *     summary: Fee and charge curve across project values
+ *     description: Sweeps projectValue from minValue to maxValue and prices each point. Returns the permit fee, total fees, recommended charge and margin per point, with breakpoints where the fee leaves the minimum, hits the maximum, plan review starts, or over-the-counter permits stop applying.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [jobType, city, state]
+ *             properties:
+ *               jobType:
+ *                 type: string
+ *                 example: Electrical
+ *               city:
+ *                 type: string
+ *                 example: Los Angeles
+ *               state:
+ *                 type: string
+ *                 example: CA
+ *               scope:
+ *                 type: string
+ *               minValue:
+ *                 type: number
+ *                 default: 1000
+ *                 description: Defaults to 0 when maxValue is 1000 or less
+ *               maxValue:
+ *                 type: number
+ *                 description: Defaults past the fee cap (at least 50000)
+ *               steps:
+ *                 type: integer
+ *                 default: 20
+ *                 maximum: 100
+ *               quantities:
+ *                 type: object
+ *               profileId:
+ *                 type: string
+ *               asOf:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Sweep points and breakpoints
+ *       400:
+ *         description: Missing fields or invalid sweep range
+ *       404:
+ *         description: Contractor profile not found
  */
 
 /**
@@ -84,206 +330,615 @@
  */
 
 // ============================================================
-// COMPARISON
+// CONTRACTOR PROFILES
 // ============================================================
 
 /**
  * @openapi
- * /api/jurisdictions:
- *   get:
- *     tags: [Comparison]
- *     summary: Get all supported jurisdictions
- *     responses:
- *       200:
- *         description: List of jurisdictions with city/state/location
+ * components:
+ *   schemas:
+ *     ContractorProfile:
+ *       type: object
+ *       required: [name]
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Bright Spark Electric
+ *         companyName:
+ *           type: string
+ *         license:
+ *           type: string
+ *           example: C-10 #987654
+ *         phone:
+ *           type: string
+ *         email:
+ *           type: string
+ *         laborRate:
+ *           type: number
+ *           description: Hourly rate for permit labor
+ *           example: 110
+ *         permitFeeMarkup:
+ *           type: number
+ *           description: Markup on government fees as a fraction (0.2 = 20%)
+ *           example: 0.2
+ *         minimumCharge:
+ *           type: number
+ *           example: 350
+ *         trades:
+ *           type: object
+ *           description: Per-trade overrides keyed by trade (Electrical, Plumbing, ...)
+ *           example: { Electrical: { laborRate: 125, laborHours: { documentPrep: 1, submission: 0.25 } } }
  */
 
 /**
  * @openapi
- * /api/compare-jurisdictions:
+ * /api/profiles:
+ *   get:
+ *     tags: [Profiles]
+ *     summary: List contractor pricing profiles
+ *     responses:
+ *       200:
+ *         description: All saved profiles
  *   post:
- *     tags: [Comparison]
- *     summary: Compare pricing across jurisdictions
- *     description: Side-by-side comparison of permit fees, charges, and processing times.
+ *     tags: [Profiles]
+ *     summary: Create a contractor pricing profile
+ *     description: Needs the admin API key when one is configured.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required: [jurisdictions, jobType]
- *             properties:
- *               jurisdictions:
- *                 type: array
- *                 items:
- *                   type: string
- *                 example: ["Los Angeles, CA", "San Diego, CA"]
- *               jobType:
- *                 type: string
- *                 example: Electrical
+ *             $ref: '#/components/schemas/ContractorProfile'
  *     responses:
- *       200:
- *         description: Comparison results with analysis and differences
+ *       201:
+ *         description: Created profile with its id
  *       400:
- *         description: Missing or invalid parameters
+ *         description: Validation errors
+ *       401:
+ *         description: Admin API key required (X-API-Key header)
  */
 
 /**
  * @openapi
- * /api/jurisdiction-strategy:
- *   post:
- *     tags: [Comparison]
- *     summary: Calculate optimal pricing strategy
- *     requestBody:
+ * /api/profiles/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
  *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [jurisdictions, jobType]
- *             properties:
- *               jurisdictions:
- *                 type: array
- *                 items:
- *                   type: string
- *               jobType:
- *                 type: string
+ *       schema:
+ *         type: string
+ *   get:
+ *     tags: [Profiles]
+ *     summary: Get a contractor pricing profile
  *     responses:
  *       200:
- *         description: Optimal strategy with average charge, best margin, fastest processing
- */
-
-/**
- * @openapi
- * /api/quick-reference:
- *   post:
- *     tags: [Comparison]
- *     summary: Generate quick reference guide
+ *         description: The profile
+ *       404:
+ *         description: Profile not found
+ *   put:
+ *     tags: [Profiles]
+ *     summary: Update a contractor pricing profile (partial updates allowed)
+ *     description: Needs the admin API key when one is configured.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required: [jurisdictions, jobTypes]
- *             properties:
- *               jurisdictions:
- *                 type: array
- *                 items:
- *                   type: string
- *               jobTypes:
- *                 type: array
- *                 items:
- *                   type: string
+ *             $ref: '#/components/schemas/ContractorProfile'
  *     responses:
  *       200:
- *         description: Quick reference grid
+ *         description: Updated profile
+ *       400:
+ *         description: Validation errors
+ *       401:
+ *         description: Admin API key required (X-API-Key header)
+ *       404:
+ *         description: Profile not found
+ *   delete:
+ *     tags: [Profiles]
+ *     summary: Delete a contractor pricing profile
+ *     description: Needs the admin API key when one is configured.
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       401:
+ *         description: Admin API key required (X-API-Key header)
+ *       404:
+ *         description: Profile not found
  */
 
-// ============================================================
-// PAPERWORK
-// ============================================================
-
 /**
  * @openapi
- * /api/required-paperwork:
+ * /api/quotes:
+ *   get:
+ *     tags: [Reconciliation]
+ *     summary: List saved quotes, newest first
+ *     parameters:
+ *       - in: query
+ *         name: profileId
+ *         schema:
+ *           type: string
+ *         description: Only quotes priced with this contractor profile
+ *     responses:
+ *       200:
+ *         description: Quotes with their estimates, actuals and variance
  *   post:
- *     tags: [Paperwork]
- *     summary: Get required paperwork for a permit
+ *     tags: [Reconciliation]
+ *     summary: Price a job and save the quote for later reconciliation
+ *     description: Needs the admin API key when one is configured.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [jurisdiction, jobType]
+ *             required: [jobType, city, state]
  *             properties:
- *               jurisdiction:
- *                 type: string
- *                 example: "Los Angeles, CA"
  *               jobType:
  *                 type: string
  *                 example: Electrical
+ *               city:
+ *                 type: string
+ *                 example: Houston
+ *               state:
+ *                 type: string
+ *                 example: TX
+ *               scope:
+ *                 type: string
+ *               projectValue:
+ *                 type: number
+ *                 example: 20000
+ *               quantities:
+ *                 type: object
+ *               profileId:
+ *                 type: string
+ *               asOf:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Saved quote
+ *       400:
+ *         description: Validation errors
+ *       401:
+ *         description: Admin API key required (X-API-Key header)
+ *       404:
+ *         description: Contractor profile not found
+ */
+
+/**
+ * @openapi
+ * /api/quotes/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *   get:
+ *     tags: [Reconciliation]
+ *     summary: Get a saved quote
  *     responses:
  *       200:
- *         description: Categorized forms and documents
+ *         description: The quote
+ *       404:
+ *         description: Quote not found
+ *   delete:
+ *     tags: [Reconciliation]
+ *     summary: Delete a saved quote
+ *     description: Needs the admin API key when one is configured.
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       401:
+ *         description: Admin API key required (X-API-Key header)
+ *       404:
+ *         description: Quote not found
  */
 
 /**
  * @openapi
- * /api/complete-paperwork-package:
- *   post:
- *     tags: [Paperwork]
- *     summary: Get complete paperwork package with checklist and tips
+ * /api/quotes/{id}/actuals:
+ *   put:
+ *     tags: [Reconciliation]
+ *     summary: Record what the job actually took
+ *     description: Replaces any previously recorded actuals and recomputes the variance against the quote. Needs the admin API key when one is configured.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [jurisdiction, jobType]
  *             properties:
- *               jurisdiction:
+ *               feePaid:
+ *                 type: number
+ *                 description: Government fees actually paid
+ *                 example: 142.5
+ *               hours:
+ *                 type: object
+ *                 description: Hours per labor task (documentPrep, planDrawing, submission, inspection, corrections)
+ *                 example: { documentPrep: 2, submission: 0.75, corrections: 1.5 }
+ *               correctionCycles:
+ *                 type: integer
+ *                 example: 1
+ *               completedAt:
  *                 type: string
- *               jobType:
+ *                 format: date
+ *               notes:
  *                 type: string
  *     responses:
  *       200:
- *         description: Full package with checklist, tips, prep time, download instructions
+ *         description: Quote with actuals and variance
+ *       400:
+ *         description: Validation errors
+ *       401:
+ *         description: Admin API key required (X-API-Key header)
+ *       404:
+ *         description: Quote not found
  */
 
 /**
  * @openapi
- * /api/paperwork-jurisdictions:
+ * /api/reconciliation/report:
  *   get:
- *     tags: [Paperwork]
- *     summary: Get all jurisdictions with paperwork data
+ *     tags: [Reconciliation]
+ *     summary: Estimation error by jurisdiction and trade
+ *     parameters:
+ *       - in: query
+ *         name: profileId
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of jurisdictions
+ *         description: Fee error, hours error per task, correction cycles and realized profit per jurisdiction and trade
  */
 
 /**
  * @openapi
- * /api/search-forms/{keyword}:
+ * /api/reconciliation/labor-suggestions:
  *   get:
- *     tags: [Paperwork]
- *     summary: Search forms by keyword
+ *     tags: [Reconciliation]
+ *     summary: Suggest calibrated labor hours from recorded actuals
+ *     description: Returns mean actual hours per trade and task once a task has minJobs recordings, plus a profileUpdate body for PUT /api/profiles/{id}.
  *     parameters:
- *       - in: path
- *         name: keyword
- *         required: true
+ *       - in: query
+ *         name: profileId
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: minJobs
+ *         schema:
+ *           type: integer
+ *           default: 3
  *     responses:
  *       200:
- *         description: Matching forms
+ *         description: Suggested laborHours per trade
+ *       400:
+ *         description: Invalid minJobs
+ *       404:
+ *         description: Contractor profile not found
  */
 
+// ============================================================
+// COMPARISON
+// ============================================================
+
 /**
  * @openapi
- * /api/report-broken-link:
- *   post:
- *     tags: [Paperwork]
- *     summary: Report a broken or outdated form link
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [jurisdiction, formCode, issue]
- *             properties:
- *               jurisdiction:
- *                 type: string
- *               jobType:
- *                 type: string
- *               formCode:
- *                 type: string
- *               formName:
- *                 type: string
- *               userEmail:
- *                 type: string
+ * /api/jurisdictions:
+ *   get:
+ *     tags: [Comparison]
+ *     summary: Get all supported jurisdictions
+ *     responses:
+ *       200:
+ *         description: List of jurisdictions with city/state/location
+ */
+
+/**
+ * @openapi
+ * /api/jurisdictions/{location}/fee-schedules:
+ *   get:
+ *     tags: [Comparison]
+ *     summary: Fee schedule timeline for a jurisdiction
+ *     description: Current and prior (or announced) fee schedule versions with their effective dates. Unknown cities resolve to their regional default.
+ *     parameters:
+ *       - in: path
+ *         name: location
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: Austin, TX
+ *     responses:
+ *       200:
+ *         description: Fee schedule versions, oldest first
+ *
+ * /api/jurisdictions/{location}/hierarchy:
+ *   get:
+ *     tags: [Comparison]
+ *     summary: Jurisdiction hierarchy and inherited data
+ *     description: The location's ancestry (city or unincorporated area → county → state), the most specific authority supplying fees and forms, overlay districts, and inherited tips.
+ *     parameters:
+ *       - in: path
+ *         name: location
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: Kendall, FL
+ *     responses:
+ *       200:
+ *         description: Chain (most specific first), authorities, districts, resolvedLocation and tips
+ */
+
+/**
+ * @openapi
+ * /api/jurisdictions/locate:
+ *   get:
+ *     tags: [Comparison]
+ *     summary: Jurisdiction boundaries containing a job site
+ *     description: >
+ *       Point-in-polygon lookup against the bundled boundary files (data/boundaries/*.geojson):
+ *       US Census boundaries simplified to 1:10,000,000, so edges can be off by about a
+ *       kilometre (nearBorder flags points that close). jurisdiction is the city whose limits
+ *       contain the point; city limits are bundled for consolidated city-counties only.
+ *     parameters:
+ *       - in: query
+ *         name: latitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *         example: 40.7128
+ *       - in: query
+ *         name: longitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *         example: -74.006
+ *     responses:
+ *       200:
+ *         description: matches (most specific first), boundary, jurisdiction, county, state, nearBorder and notes
+ *       400:
+ *         description: Invalid coordinates
+ */
+
+/**
+ * @openapi
+ * /api/zip/{zip}:
+ *   get:
+ *     tags: [Comparison]
+ *     summary: Resolve a ZIP code to its permitting jurisdiction
+ *     description: Looks the ZIP up in the bundled offline ZIP dataset. The postal city is the delivering post office; ZIPs known to span several permitting authorities come back ambiguous with candidates unless the city picks one.
+ *     parameters:
+ *       - in: path
+ *         name: zip
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: '33156'
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: City from the work order
+ *         example: Pinecrest
+ *     responses:
+ *       200:
+ *         description: postalCity, state, jurisdiction (null when ambiguous), ambiguous, candidates, matchedBy, notes and resolvedLocation
+ *       400:
+ *         description: Not a ZIP code
+ *       404:
+ *         description: ZIP code not found
+ */
+
+/**
+ * @openapi
+ * /api/compare-jurisdictions:
+ *   post:
+ *     tags: [Comparison]
+ *     summary: Compare pricing across jurisdictions
+ *     description: Side-by-side comparison of permit fees, charges, and processing times.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [jurisdictions, jobType]
+ *             properties:
+ *               jurisdictions:
+ *                 type: array
+ *                 description: Locations ("City, ST"), ZIP codes, or { zip, city } objects for ZIPs that span several jurisdictions
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       required: [zip]
+ *                       properties:
+ *                         zip:
+ *                           type: string
+ *                         city:
+ *                           type: string
+ *                 example: ["Los Angeles, CA", "92101", { zip: "33156", city: "Pinecrest" }]
+ *               jobType:
+ *                 type: string
+ *                 example: Electrical
+ *               profileId:
+ *                 type: string
+ *                 description: Contractor profile to price with
+ *               asOf:
+ *                 type: string
+ *                 format: date
+ *                 description: Compare the fee schedules in effect on this date (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Comparison results with analysis and differences
+ *       400:
+ *         description: Missing or invalid parameters, or a ZIP that is unknown or spans several jurisdictions (candidates listed)
+ *       404:
+ *         description: Contractor profile not found
+ */
+
+/**
+ * @openapi
+ * /api/jurisdiction-strategy:
+ *   post:
+ *     tags: [Comparison]
+ *     summary: Calculate optimal pricing strategy
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [jurisdictions, jobType]
+ *             properties:
+ *               jurisdictions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               jobType:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Optimal strategy with average charge, best margin, fastest processing
+ */
+
+/**
+ * @openapi
+ * /api/quick-reference:
+ *   post:
+ *     tags: [Comparison]
+ *     summary: Generate quick reference guide
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [jurisdictions, jobTypes]
+ *             properties:
+ *               jurisdictions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               jobTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Quick reference grid
+ */
+
+// ============================================================
+// PAPERWORK
+// ============================================================
+
+/**
+ * @openapi
+ * /api/required-paperwork:
+ *   post:
+ *     tags: [Paperwork]
+ *     summary: Get required paperwork for a permit
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [jurisdiction, jobType]
+ *             properties:
+ *               jurisdiction:
+ *                 type: string
+ *                 example: "Los Angeles, CA"
+ *               jobType:
+ *                 type: string
+ *                 example: Electrical
+ *     responses:
+ *       200:
+ *         description: Categorized forms and documents
+ */
+
+/**
+ * @openapi
+ * /api/complete-paperwork-package:
+ *   post:
+ *     tags: [Paperwork]
+ *     summary: Get complete paperwork package with checklist and tips
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [jurisdiction, jobType]
+ *             properties:
+ *               jurisdiction:
+ *                 type: string
+ *               jobType:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Full package with checklist, tips, prep time, download instructions
+ */
+
+/**
+ * @openapi
+ * /api/paperwork-jurisdictions:
+ *   get:
+ *     tags: [Paperwork]
+ *     summary: Get all jurisdictions with paperwork data
+ *     responses:
+ *       200:
+ *         description: List of jurisdictions
+ */
+
+/**
+ * @openapi
+ * /api/search-forms/{keyword}:
+ *   get:
+ *     tags: [Paperwork]
+ *     summary: Search forms by keyword
+ *     parameters:
+ *       - in: path
+ *         name: keyword
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Matching forms
+ */
+
+/**
+ * @openapi
+ * /api/report-broken-link:
+ *   post:
+ *     tags: [Paperwork]
+ *     summary: Report a broken or outdated form link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [jurisdiction, formCode, issue]
+ *             properties:
+ *               jurisdiction:
+ *                 type: string
+ *               jobType:
+ *                 type: string
+ *               formCode:
+ *                 type: string
+ *               formName:
+ *                 type: string
+ *               userEmail:
+ *                 type: string
  *               issue:
  *                 type: string
  *                 enum: [broken_link, outdated, wrong_form, other]
@@ -406,6 +1061,592 @@
  *         description: Summary statistics
  */
 
+/**
+ * @openapi
+ * /api/admin/market-model:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get the competitive market model (database defaults and admin overrides)
+ *     responses:
+ *       200:
+ *         description: Market model defaults and overrides keyed by jurisdiction
+ */
+
+/**
+ * @openapi
+ * /api/admin/market-model/resolve:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Resolve the market model for a location and trade, with the source of each field
+ *     parameters:
+ *       - in: query
+ *         name: city
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: Houston
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: TX
+ *       - in: query
+ *         name: jobType
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: Electrical
+ *     responses:
+ *       200:
+ *         description: Resolved model with citations
+ *       400:
+ *         description: Missing parameters
+ */
+
+/**
+ * @openapi
+ * /api/admin/market-model/{jurisdiction}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Set the market model override for a jurisdiction
+ *     description: Replaces the admin override for a city or regional default key. A cited source is required.
+ *     parameters:
+ *       - in: path
+ *         name: jurisdiction
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "Houston, TX"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [source]
+ *             properties:
+ *               laborIndex:
+ *                 type: number
+ *                 description: Local labor cost relative to the national rate (1.0 = average)
+ *                 example: 0.92
+ *               unlicensedPermitFeeFactor:
+ *                 type: number
+ *                 description: Unlicensed bid as a fraction of the permit fee
+ *                 example: 0.5
+ *               expediter:
+ *                 type: object
+ *                 properties:
+ *                   flatFee:
+ *                     type: number
+ *                     example: 450
+ *                   permitFeeMultiplier:
+ *                     type: number
+ *                     example: 2
+ *               competitorBids:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   low:
+ *                     type: number
+ *                   typical:
+ *                     type: number
+ *                   high:
+ *                     type: number
+ *               source:
+ *                 type: object
+ *                 required: [name]
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: Houston permit expediter survey
+ *                   url:
+ *                     type: string
+ *                   asOf:
+ *                     type: string
+ *                     format: date
+ *               trades:
+ *                 type: object
+ *                 description: Per-trade overrides with the same fields, keyed by trade
+ *     responses:
+ *       200:
+ *         description: Saved override
+ *       400:
+ *         description: Validation errors
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Remove the market model override for a jurisdiction
+ *     parameters:
+ *       - in: path
+ *         name: jurisdiction
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Override removed
+ *       404:
+ *         description: No override for this jurisdiction
+ */
+
+/**
+ * @openapi
+ * /api/admin/fee-store:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Fee store schema version, migrations and record counts
+ *     responses:
+ *       200:
+ *         description: Store info
+ *
+ * /api/admin/fee-store/{collection}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List record versions in a fee store collection
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [permitFees, dataQuality, stateSurcharges, laborTimes, markupRecommendations, marketModel]
+ *     responses:
+ *       200:
+ *         description: Record keys with version, updatedAt, updatedBy, reason and deleted
+ *       404:
+ *         description: Unknown collection
+ *
+ * /api/admin/fee-store/{collection}/{key}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get a fee store record with its version history
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: Houston, TX
+ *     responses:
+ *       200:
+ *         description: Record with data and history
+ *       404:
+ *         description: Unknown collection or record
+ *   put:
+ *     tags: [Admin]
+ *     summary: Draft adding or replacing a fee store record
+ *     description: >
+ *       Saves the change as a pending draft. It is published (as a new record
+ *       version) when a second admin approves it through /api/admin/fee-drafts.
+ *       Drafting and approving need a per-admin key from ADMIN_API_KEYS; the
+ *       shared ADMIN_API_KEY cannot tell admins apart.
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [data, reason]
+ *             properties:
+ *               data:
+ *                 type: object
+ *                 description: Full record data, validated against the collection schema
+ *               reason:
+ *                 type: string
+ *                 example: FY 2026 fee schedule adopted
+ *               expectedVersion:
+ *                 type: integer
+ *                 description: Reject the edit if the record is no longer at this version (0 for new records)
+ *     responses:
+ *       202:
+ *         description: Draft saved, awaiting approval
+ *       400:
+ *         description: Validation errors
+ *       403:
+ *         description: Needs a per-admin key (ADMIN_API_KEYS)
+ *       409:
+ *         description: Record changed since expectedVersion
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Draft retiring a fee store record
+ *     description: Once approved, the record is deleted and kept as a versioned tombstone.
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Draft saved, awaiting approval
+ *       400:
+ *         description: Missing reason
+ *       403:
+ *         description: Needs a per-admin key (ADMIN_API_KEYS)
+ *       404:
+ *         description: Unknown collection or record
+ *
+ * /api/admin/fee-drafts:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List fee store drafts
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, withdrawn]
+ *       - in: query
+ *         name: collection
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: key
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Drafts, newest first
+ *
+ * /api/admin/fee-drafts/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get a draft with its field-level changes to the current record
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft, changes ({ path, from, to }) and whether the record has changed since (stale)
+ *       404:
+ *         description: Draft not found
+ *   put:
+ *     tags: [Admin]
+ *     summary: Revise a pending draft (its author only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               data:
+ *                 type: object
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *       400:
+ *         description: Validation errors
+ *       403:
+ *         description: Not the draft's author, or no per-admin key
+ *       409:
+ *         description: Draft is no longer pending
+ *
+ * /api/admin/fee-drafts/{id}/approve:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Approve and publish a draft (a second admin, not its author)
+ *     description: The fee store gets a new record version and pricing uses it on the next request.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Published record
+ *       400:
+ *         description: Draft no longer passes validation
+ *       403:
+ *         description: The reviewer is the draft's author, or did not use a per-admin key
+ *       404:
+ *         description: Draft not found
+ *       409:
+ *         description: Draft not pending, or the record changed since it was written
+ *
+ * /api/admin/fee-drafts/{id}/reject:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Reject a pending draft (the author rejecting it withdraws it)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Draft rejected or withdrawn; a draft made from a scraped value returns its scrape quarantine entry to pending (quarantineEntry)
+ *       403:
+ *         description: Needs a per-admin key (ADMIN_API_KEYS)
+ *       404:
+ *         description: Draft not found
+ *       409:
+ *         description: Draft is no longer pending
+ */
+
+/**
+ * @openapi
+ * /api/admin/fee-citations:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Cited and uncited fee fields per jurisdiction
+ *     responses:
+ *       200:
+ *         description: Jurisdictions with their fee schedule URL, field count, cited count and the fee categories they have no fees for (missingCategories)
+ *
+ * /api/admin/fee-citations/{jurisdiction}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Every fee field of a jurisdiction with its citation
+ *     description: >
+ *       Each citation points to the fee schedule document, page, section heading
+ *       and the extracted text the value was read from. Edit curated citations
+ *       through the `citations` object of a permitFees category in the fee store.
+ *     parameters:
+ *       - in: path
+ *         name: jurisdiction
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: Houston, TX
+ *     responses:
+ *       200:
+ *         description: Fields with category, value, citation (or null) and source
+ *       404:
+ *         description: Unknown jurisdiction
+ */
+
+/**
+ * @openapi
+ * /api/admin/data-version:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Active version of the merged fee data
+ *     description: >
+ *       Merged fee data is rebuilt once after scrape runs, fee store writes and
+ *       edits to scrape-history.json, instead of on a timer. The version ID is a
+ *       hash of the merged data, so it only changes when the data does.
+ *     responses:
+ *       200:
+ *         description: Version (id, builtAt, storeRevision, changes that triggered the build) and the last data change
+ *
+ * /api/admin/scrape-quarantine:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Scraped values rejected by the deviation check
+ *     description: >
+ *       Scraped fees more than 10% from the curated value are kept out of pricing
+ *       and queued here after each scrape run with the curated and scraped values,
+ *       deviation, source PDF and scrape time, so a real fee change is not silently
+ *       hidden.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, dismissed, superseded]
+ *       - in: query
+ *         name: jurisdiction
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quarantined values, newest first
+ *       400:
+ *         description: Unknown status
+ *
+ * /api/admin/scrape-quarantine/{id}/accept:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Accept a scraped value as a fee store draft
+ *     description: >
+ *       Saves the permitFees record with the scraped value as a draft by the
+ *       accepting admin. It is published when a second admin approves it through
+ *       /api/admin/fee-drafts. Needs a per-admin key (ADMIN_API_KEYS).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Draft saved, awaiting approval
+ *       400:
+ *         description: The value would make the record invalid
+ *       403:
+ *         description: Needs a per-admin key (ADMIN_API_KEYS)
+ *       404:
+ *         description: Quarantined value not found
+ *       409:
+ *         description: Not pending, or the jurisdiction no longer has the trade's fees
+ *
+ * /api/admin/scrape-quarantine/{id}/dismiss:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Dismiss a scraped value and keep the curated one
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Value dismissed
+ *       403:
+ *         description: Needs a per-admin key (ADMIN_API_KEYS)
+ *       404:
+ *         description: Quarantined value not found
+ *       409:
+ *         description: Not pending
+ */
+
+/**
+ * @openapi
+ * /api/admin/fee-import:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Import permit fees from a CSV or XLSX spreadsheet
+ *     description: >
+ *       One row per jurisdiction and trade with columns jurisdiction, trade, baseFee,
+ *       valuationRate (0.5% or 0.005), minFee, maxFee, processingTime, expediteFee,
+ *       expediteTime, source, sourceUrl, quality, confidence, lastVerified and notes.
+ *       Blank cells keep the current values. New jurisdictions need electrical,
+ *       plumbing, hvac and general rows. Changed permitFees and dataQuality records
+ *       are saved as fee store drafts for a second admin to approve; nothing is
+ *       saved when any row is invalid. Needs a per-admin key (ADMIN_API_KEYS).
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Preview the planned records and changes without saving drafts
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *         description: Draft reason (for file uploads)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csv:
+ *                 type: string
+ *                 example: "jurisdiction,trade,baseFee,valuationRate,minFee\n\"Houston, TX\",electrical,80,0.5%,80"
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dry run preview per jurisdiction (isNew, rows, records with their changes)
+ *       202:
+ *         description: Drafts created, awaiting approval
+ *       400:
+ *         description: Row-level errors ({ row, jurisdiction, errors }) or an unreadable spreadsheet
+ *       403:
+ *         description: Needs a per-admin key (ADMIN_API_KEYS)
+ *
+ * /api/admin/fee-export:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Export the merged fee data as a spreadsheet
+ *     description: One row per jurisdiction and fee category, in the import layout.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *     responses:
+ *       200:
+ *         description: permit-fees.csv or permit-fees.xlsx
+ */
+
 /**
  * @openapi
  * /health:
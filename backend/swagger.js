@@ -19,6 +19,8 @@ const options = {
         tags: [
             { name: 'Permits', description: 'Permit pricing and requirements' },
             { name: 'Paperwork', description: 'Permit forms and documents' },
+            { name: 'Profiles', description: 'Contractor pricing profiles' },
+            { name: 'Reconciliation', description: 'Saved quotes, recorded job actuals and estimation error' },
             { name: 'Comparison', description: 'Jurisdiction comparison tools' },
             { name: 'Admin', description: 'Admin dashboard and monitoring' }
         ]
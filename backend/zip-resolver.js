@@ -0,0 +1,125 @@
+/**
+ * ZIP Code Resolver
+ * Maps a ZIP code (and optionally the city on the work order) to the
+ * "City, ST" jurisdiction that issues the permit, from bundled offline data:
+ *
+ *   data/zip-codes.json       - postal city and state for every US ZIP
+ *   data/zip-authorities.json - ZIPs that span several permitting authorities
+ *
+ * The postal city is the delivering post office, which usually but not always
+ * is the permitting city. For a ZIP listed in zip-authorities.json the city
+ * decides between the candidates; without a matching city the result is
+ * ambiguous and lists them.
+ */
+
+const ZIP_PATTERN = /^(\d{5})(?:-?\d{4})?$/;
+
+let zipIndex = null;
+
+/**
+ * ZIP → { city, state }, built on first use (the dataset is ~40k ZIPs)
+ */
+function getZipIndex() {
+    if (!zipIndex) {
+        const { states } = require('./data/zip-codes.json');
+        zipIndex = new Map();
+        for (const [state, cities] of Object.entries(states)) {
+            for (const [city, zips] of Object.entries(cities)) {
+                zips.forEach(zip => zipIndex.set(zip, { city, state }));
+            }
+        }
+    }
+    return zipIndex;
+}
+
+function getSpanningZips() {
+    return require('./data/zip-authorities.json').zips;
+}
+
+/**
+ * Five-digit ZIP from "12345", "12345-6789" or 12345, or null
+ */
+function normalizeZip(zip) {
+    if (typeof zip === 'number' && Number.isInteger(zip)) zip = String(zip).padStart(5, '0');
+    if (typeof zip !== 'string') return null;
+    const match = zip.trim().match(ZIP_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * Postal city and state for a ZIP, or null when the ZIP is unknown
+ */
+function lookupZip(zip) {
+    const normalized = normalizeZip(zip);
+    const entry = normalized && getZipIndex().get(normalized);
+    return entry ? { zip: normalized, ...entry } : null;
+}
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Resolve a ZIP code to the permitting jurisdiction
+ *
+ * @param {string|number} zip - 5-digit ZIP or ZIP+4
+ * @param {string} [city] - city from the work order, used to pick between candidates
+ * @returns {Object|null} null for an unknown ZIP, otherwise
+ *   { zip, postalCity, state, jurisdiction, ambiguous, candidates, matchedBy, notes }
+ *   - jurisdiction is null when ambiguous
+ */
+function resolveZip(zip, city) {
+    const postal = lookupZip(zip);
+    if (!postal) return null;
+
+    const hasCity = typeof city === 'string' && city.trim().length > 0;
+    const result = {
+        zip: postal.zip,
+        postalCity: postal.city,
+        state: postal.state,
+        jurisdiction: null,
+        ambiguous: false,
+        candidates: [],
+        matchedBy: 'zip',
+        notes: null
+    };
+
+    const span = getSpanningZips()[postal.zip];
+    if (span) {
+        result.candidates = span.candidates.map(candidate => ({ ...candidate }));
+        result.notes = span.notes;
+        const match = hasCity && result.candidates.find(candidate =>
+            sameName(candidate.jurisdiction.split(',')[0], city) || sameName(candidate.name, city));
+        if (match) {
+            return { ...result, jurisdiction: match.jurisdiction, matchedBy: 'zip+city' };
+        }
+        return { ...result, ambiguous: true };
+    }
+
+    if (hasCity && !sameName(city, postal.city)) {
+        // The work order city wins (the postal city may be a neighbouring post office); the ZIP supplies the state
+        return {
+            ...result,
+            jurisdiction: `${city.trim()}, ${postal.state}`,
+            matchedBy: 'zip+city',
+            notes: `ZIP ${postal.zip} is delivered as ${postal.city}; using ${city.trim()} as entered`
+        };
+    }
+    return { ...result, jurisdiction: `${postal.city}, ${postal.state}` };
+}
+
+/**
+ * Source and licence of the bundled ZIP dataset
+ */
+function getDatasetInfo() {
+    return {
+        ...require('./data/zip-codes.json').source,
+        zipCount: getZipIndex().size,
+        spanningZipCount: Object.keys(getSpanningZips()).length
+    };
+}
+
+module.exports = {
+    normalizeZip,
+    lookupZip,
+    resolveZip,
+    getDatasetInfo
+};